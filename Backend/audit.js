@@ -0,0 +1,66 @@
+// Audit trail of who viewed or changed customer and order data. Writes are
+// recorded in the same transaction as the change, so an entry exists exactly
+// when the change does; detail views and exports are recorded after the
+// response is prepared and never hold it up. List and analytics reads are
+// not recorded.
+
+// Field-by-field difference between two versions of a record, as
+// { field: { from, to } } for every field whose value changed. Returns null
+// when nothing changed.
+const diffChanges = (before, after) => {
+  const changes = {};
+  for (const field of new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ])) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return Object.keys(changes).length ? changes : null;
+};
+
+// Record an audit entry for a request. `client` is the pool, or the
+// transaction client of the change being recorded. `action` names what was
+// done (e.g. "customer.update"); `changes` is a diffChanges() result and
+// `details` any other context worth keeping.
+const recordAudit = (
+  client,
+  req,
+  { action, customerIds = [], orderIds = [], changes = null, details = null }
+) => {
+  const auth = req.auth || {};
+  return client.query(
+    `INSERT INTO audit_log (
+       actor_type, actor_id, actor, actor_role, action, method, route, path,
+       customer_ids, order_ids, changes, details
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+    [
+      auth.type || "anonymous",
+      auth.id === undefined ? null : String(auth.id),
+      auth.name || null,
+      auth.role || null,
+      action,
+      req.method,
+      req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+      req.path,
+      customerIds.map(Number),
+      orderIds.map(Number),
+      changes,
+      details,
+    ]
+  );
+};
+
+// Record a read without waiting for it; a failure is logged rather than
+// failing the request
+const recordView = (pool, req, entry) => {
+  recordAudit(pool, req, entry).catch((error) =>
+    console.error("Error recording audit entry:", error)
+  );
+};
+
+module.exports = { diffChanges, recordAudit, recordView };
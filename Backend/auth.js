@@ -0,0 +1,273 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+require("dotenv").config();
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles, from least to most privileged. Each role has every permission of
+// the roles before it.
+const ROLES = ["viewer", "support", "admin"];
+
+const VIEWER_PERMISSIONS = ["customers:read", "orders:read", "analytics:read"];
+const SUPPORT_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  // Unmasked email, street address, postal code and coordinates (see
+  // redaction.js)
+  "customers:read_pii",
+  "customers:write",
+  "orders:write",
+  "data:export",
+  "audit:read",
+];
+const ADMIN_PERMISSIONS = [
+  ...SUPPORT_PERMISSIONS,
+  "data:import",
+  "api_keys:manage",
+  // Customer data export bundles and erasure requests
+  "privacy:manage",
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: new Set(VIEWER_PERMISSIONS),
+  support: new Set(SUPPORT_PERMISSIONS),
+  admin: new Set(ADMIN_PERMISSIONS),
+};
+
+const hasPermission = (role, permission) =>
+  Boolean(ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].has(permission));
+
+const rolePermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+// Tokens are signed with JWT_SECRET. Without one a random secret is made on
+// first use, so tokens stop working whenever the server restarts.
+let jwtSecret = process.env.JWT_SECRET || null;
+const getJwtSecret = () => {
+  if (!jwtSecret) {
+    console.warn(
+      "⚠️  JWT_SECRET is not set; using a random secret for this process"
+    );
+    jwtSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return jwtSecret;
+};
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "8h";
+
+// API keys look like "t41_<random>"; only their SHA-256 hash is stored
+const API_KEY_PREFIX = "t41_";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hash a password as "scrypt$<salt>$<hash>" (base64)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), 64);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Checked against when a username does not exist, so unknown and known
+// usernames take as long to reject
+let unknownAccountHash = null;
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+// Create a sign-in account. Resolves to the account without its password
+// hash; rejects when the role is unknown or the password too short.
+const createAccount = async (pool, { username, password, role }) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${ROLES.join(", ")}`);
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+
+  const result = await pool.query(
+    `INSERT INTO accounts (username, password_hash, role)
+     VALUES ($1, $2, $3)
+     RETURNING id, username, role, created_at`,
+    [username, await hashPassword(password), role]
+  );
+  return result.rows[0];
+};
+
+// Sign a token for an account. Resolves to the token, when it expires and
+// who it was issued to.
+const issueToken = (account) => {
+  const token = jwt.sign(
+    { username: account.username, role: account.role },
+    getJwtSecret(),
+    { subject: String(account.id), expiresIn: JWT_EXPIRES_IN }
+  );
+  return {
+    token,
+    token_type: "Bearer",
+    expires_at: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    account: {
+      id: account.id,
+      username: account.username,
+      role: account.role,
+      permissions: rolePermissions(account.role),
+    },
+  };
+};
+
+// Check a username and password. Resolves to a token (see issueToken), or
+// null when they do not match an account.
+const login = async (pool, { username, password }) => {
+  const result = await pool.query(
+    `SELECT id, username, password_hash, role FROM accounts
+     WHERE LOWER(username) = LOWER($1)`,
+    [username]
+  );
+  const account = result.rows[0];
+
+  if (!account) {
+    unknownAccountHash =
+      unknownAccountHash || (await hashPassword(crypto.randomUUID()));
+    await verifyPassword(password, unknownAccountHash);
+    return null;
+  }
+  if (!(await verifyPassword(password, account.password_hash))) {
+    return null;
+  }
+
+  await pool.query("UPDATE accounts SET last_login_at = NOW() WHERE id = $1", [
+    account.id,
+  ]);
+  return issueToken(account);
+};
+
+// Create an API key for a service integration. The key itself is only
+// returned here; afterwards it is identified by its prefix.
+const createApiKey = async (pool, { name, role, createdBy = null }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const result = await pool.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, role, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, name, key_prefix, role, created_by, created_at`,
+    [name, key.slice(0, 12), hashApiKey(key), role, createdBy]
+  );
+  return { ...result.rows[0], key };
+};
+
+// Identify the caller from an `Authorization: Bearer <token>` header or an
+// `X-API-Key` header and set req.auth to { type, id, name, role }. Requests
+// without credentials carry on with req.auth null; bad credentials are noted
+// in req.authError for authorize() to report.
+const authenticate = (pool) => async (req, res, next) => {
+  req.auth = null;
+  req.authError = null;
+
+  try {
+    const apiKey = req.get("X-API-Key");
+    const authorization = req.get("Authorization");
+
+    if (apiKey) {
+      const result = await pool.query(
+        `UPDATE api_keys SET last_used_at = NOW()
+         WHERE key_hash = $1 AND revoked_at IS NULL
+         RETURNING id, name, role`,
+        [hashApiKey(apiKey)]
+      );
+      if (result.rows.length) {
+        const key = result.rows[0];
+        req.auth = {
+          type: "api_key",
+          id: key.id,
+          name: key.name,
+          role: key.role,
+        };
+      } else {
+        req.authError = "API key is invalid or has been revoked";
+      }
+    } else if (authorization) {
+      const [scheme, token] = authorization.split(" ");
+      if (scheme !== "Bearer" || !token) {
+        req.authError = "Authorization header must be 'Bearer <token>'";
+      } else {
+        let claims = null;
+        try {
+          claims = jwt.verify(token, getJwtSecret(), { algorithms: ["HS256"] });
+        } catch (error) {
+          req.authError =
+            error.name === "TokenExpiredError"
+              ? "Token has expired; sign in again"
+              : "Token is invalid";
+        }
+
+        // Use the account's current role, so demoting or deleting an
+        // account takes effect without waiting for its tokens to expire
+        if (claims) {
+          const result = await pool.query(
+            "SELECT id, username, role FROM accounts WHERE id = $1",
+            [claims.sub]
+          );
+          if (result.rows.length) {
+            const account = result.rows[0];
+            req.auth = {
+              type: "account",
+              id: String(account.id),
+              name: account.username,
+              role: account.role,
+            };
+          } else {
+            req.authError = "Account no longer exists";
+          }
+        }
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject requests without valid credentials (401) or, when `permission` is
+// given, whose role lacks it (403)
+const authorize = (permission) => (req, res, next) => {
+  if (!req.auth) {
+    return res
+      .status(401)
+      .set("WWW-Authenticate", "Bearer")
+      .json({
+        success: false,
+        error: "Authentication required",
+        message:
+          req.authError ||
+          "Sign in or send an API key (X-API-Key header) to use this endpoint",
+      });
+  }
+
+  if (permission && !hasPermission(req.auth.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message: `The ${req.auth.role} role does not have the ${permission} permission`,
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  ROLES,
+  hasPermission,
+  rolePermissions,
+  createAccount,
+  login,
+  createApiKey,
+  authenticate,
+  authorize,
+};
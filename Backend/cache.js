@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+
+// Response cache for read-heavy GET routes (lists, statistics, analytics).
+// Cached responses are tagged with the data they are built from
+// ("customers", "orders", ...); a write invalidates its tags, and every
+// response built from them is fetched afresh on the next request. Responses
+// carry an ETag, so clients revalidate with If-None-Match and get a 304 when
+// nothing changed.
+//
+// Entries are kept in a store: any object with async get(key),
+// set(key, value, ttlSeconds) and delete(key), where values are JSON-safe
+// and a missing key resolves to undefined. createMemoryStore() is the
+// in-process default; a shared store (e.g. Redis) lets several API
+// processes share entries and invalidations. Bodies are stored as they are
+// sent (after `transform`), so a store never holds more than the caller
+// was allowed to see.
+
+// In-process store keeping the `maxEntries` most recently used entries
+const createMemoryStore = ({ maxEntries = 500 } = {}) => {
+  // Map iteration follows insertion order, so re-inserting an entry on
+  // every use keeps the least recently used one first
+  const entries = new Map();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, ttlSeconds) => {
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+// Weak ETag for a response body as sent to one role (redaction differs by
+// role, so the same data is a different representation for each)
+const computeEtag = (role, url, body) =>
+  `W/"${crypto
+    .createHash("sha1")
+    .update(`${role} ${url} `)
+    .update(JSON.stringify(body))
+    .digest("base64url")}"`;
+
+// Create a response cache over `store`. Entries expire after `ttl` seconds
+// even without a write, which bounds how stale a change made outside the
+// API (a script, a psql session) can look. `transform(body, req)` turns a
+// route's response body into the one sent and stored; server.js passes the
+// redaction policy, which only depends on the role and the URL the entries
+// are keyed by.
+const createResponseCache = ({
+  store = createMemoryStore(),
+  ttl = 300,
+  transform = (body) => body,
+} = {}) => {
+  // Each tag's current version is a random token, so a tag whose version
+  // was evicted from the store gets a new one rather than matching entries
+  // cached before an invalidation
+  const tagVersion = async (tag) => {
+    const key = `tag:${tag}`;
+    let version = await store.get(key);
+    if (!version) {
+      version = crypto.randomUUID();
+      await store.set(key, version);
+    }
+    return version;
+  };
+
+  // Drop every response built from `tags`. A store failure is logged rather
+  // than failing the write that triggered it.
+  const invalidate = async (...tags) => {
+    try {
+      await Promise.all(
+        tags.map((tag) => store.set(`tag:${tag}`, crypto.randomUUID()))
+      );
+    } catch (error) {
+      console.error("Error invalidating cached responses:", error);
+    }
+  };
+
+  // Middleware serving a GET route from the cache. `tags` name the data the
+  // response is built from; `maxAge` lets clients reuse a response for that
+  // many seconds before revalidating (by default they always revalidate).
+  // Only successful JSON responses are cached, once per role and URL.
+  const cached =
+    ({ tags, maxAge = 0 }) =>
+    async (req, res, next) => {
+      const role = req.auth ? req.auth.role : "anonymous";
+      res.set(
+        "Cache-Control",
+        maxAge > 0 ? `private, max-age=${maxAge}` : "private, no-cache"
+      );
+      res.vary("Authorization").vary("X-API-Key");
+
+      let key;
+      try {
+        const versions = await Promise.all(tags.map(tagVersion));
+        key = `response:${role}:${req.originalUrl}:${versions.join(":")}`;
+
+        const entry = await store.get(key);
+        if (entry) {
+          res.set({ ETag: entry.etag, "X-Cache": "HIT" });
+          if (req.fresh) return res.status(304).end();
+          return res.json(entry.body);
+        }
+      } catch (error) {
+        // Without the store, answer from the route
+        console.error("Error reading cached response:", error);
+        return next();
+      }
+
+      const json = res.json.bind(res);
+      res.json = (routeBody) => {
+        const body = transform(routeBody, req);
+        if (res.statusCode === 200 && body && body.success) {
+          const etag = computeEtag(role, req.originalUrl, body);
+          res.set({ ETag: etag, "X-Cache": "MISS" });
+          store
+            .set(key, { etag, body }, ttl)
+            .catch((error) => console.error("Error caching response:", error));
+          if (req.fresh) return res.status(304).end();
+        }
+        return json(body);
+      };
+      next();
+    };
+
+  return { cached, invalidate };
+};
+
+module.exports = { createMemoryStore, createResponseCache };
@@ -0,0 +1,13 @@
+const { Pool } = require("pg");
+require("dotenv").config();
+
+// Database connection shared by the API server and command-line scripts
+const pool = new Pool({
+  user: process.env.DB_USER,
+  host: process.env.DB_HOST,
+  database: process.env.DB_NAME,
+  password: process.env.DB_PASSWORD,
+  port: process.env.DB_PORT,
+});
+
+module.exports = pool;
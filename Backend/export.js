@@ -0,0 +1,167 @@
+const Cursor = require("pg-cursor");
+const ExcelJS = require("exceljs");
+
+// Rows fetched from the database cursor per round trip
+const BATCH_SIZE = 500;
+
+// Supported export formats and the media type each is served as
+const EXPORT_FORMATS = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Pick the export format from the `format` query parameter, falling back to
+// the Accept header (CSV when anything is accepted). Returns null when
+// neither names a supported format.
+const resolveExportFormat = (req) => {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format).toLowerCase();
+    return EXPORT_FORMATS[format] ? format : null;
+  }
+
+  const accepted = req.accepts(Object.values(EXPORT_FORMATS));
+  if (!accepted) return null;
+  return Object.keys(EXPORT_FORMATS).find(
+    (format) => EXPORT_FORMATS[format] === accepted
+  );
+};
+
+// Plain value for a CSV/XLSX cell: dates as ISO strings, null as empty
+const cellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Quote a CSV field when needed. Text starting with a formula character is
+// prefixed with a quote so spreadsheets do not evaluate it.
+const escapeCsv = (value) => {
+  let text = String(cellValue(value));
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Wait for the response to drain its buffer (or for the client to go away)
+const drained = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+// Write a chunk, waiting for the response to drain when its buffer is full
+const write = (res, chunk) =>
+  res.write(chunk) ? Promise.resolve() : drained(res);
+
+// Writers for each format: `start` runs before the first row, `row` for
+// every row and `end` after the last one
+const createWriter = (format, res, columns) => {
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const worksheet = workbook.addWorksheet("Export");
+    worksheet.columns = columns.map((column) => ({
+      header: column,
+      key: column,
+    }));
+    return {
+      start: async () => {},
+      // The workbook writes to the response itself, so check its buffer
+      // after each row
+      row: async (row) => {
+        worksheet
+          .addRow(columns.map((column) => cellValue(row[column])))
+          .commit();
+        if (res.writableNeedDrain) await drained(res);
+      },
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  if (format === "ndjson") {
+    return {
+      start: async () => {},
+      row: (row) =>
+        write(
+          res,
+          `${JSON.stringify(
+            Object.fromEntries(columns.map((column) => [column, row[column]]))
+          )}\n`
+        ),
+      end: async () => res.end(),
+    };
+  }
+
+  return {
+    start: () => write(res, `${columns.join(",")}\r\n`),
+    row: (row) =>
+      write(
+        res,
+        `${columns.map((column) => escapeCsv(row[column])).join(",")}\r\n`
+      ),
+    end: async () => res.end(),
+  };
+};
+
+// Stream every row of a query to the response in the requested format,
+// reading through a database cursor so memory use does not grow with the
+// result. `columns` lists the row fields to export, in order, and
+// `transform` (e.g. redaction) is applied to each row before writing.
+const streamExport = async (
+  pool,
+  res,
+  { query, params, columns, format, filename, transform = (row) => row }
+) => {
+  const client = await pool.connect();
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  const cursor = client.query(new Cursor(query, params));
+  try {
+    // Read the first batch before sending headers, so a failing query can
+    // still be answered with a normal error response
+    let rows = await cursor.read(BATCH_SIZE);
+
+    res.status(200);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}.${format}"`
+    );
+    const writer = createWriter(format, res, columns);
+    await writer.start();
+
+    while (!closed) {
+      for (const row of rows) {
+        if (closed) break;
+        await writer.row(transform(row));
+      }
+      if (rows.length < BATCH_SIZE) break;
+      rows = await cursor.read(BATCH_SIZE);
+    }
+
+    if (!closed) {
+      await writer.end();
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
+  }
+};
+
+module.exports = { EXPORT_FORMATS, resolveExportFormat, streamExport };
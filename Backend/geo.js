@@ -0,0 +1,96 @@
+// Geographic helpers for the location routes (GET /analytics/geo and
+// GET /customers/nearby): great-circle distance in SQL, bounding boxes and
+// the grid customers are clustered into on the map.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Kilometres per degree of latitude (and of longitude at the equator)
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+// SQL for the haversine distance in kilometres between two points, each
+// given as SQL expressions in degrees
+const haversineSql = (lat1, lng1, lat2, lng2) => `(
+  ${2 * EARTH_RADIUS_KM} * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(${lat2} - ${lat1}) / 2), 2)
+    + COS(RADIANS(${lat1})) * COS(RADIANS(${lat2}))
+      * POWER(SIN(RADIANS(${lng2} - ${lng1}) / 2), 2)
+  )))
+)`;
+
+// Box around a point enclosing every point within `radiusKm`, used to
+// narrow a distance search before computing exact distances. West and east
+// are null when the box reaches a pole or wraps past the antimeridian, where
+// every longitude can be in range.
+const boundingBox = (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const south = Math.max(-90, lat - latDelta);
+  const north = Math.min(90, lat + latDelta);
+  const cosLat = Math.min(
+    Math.cos((south * Math.PI) / 180),
+    Math.cos((north * Math.PI) / 180)
+  );
+  const lngDelta = cosLat > 0 ? radiusKm / (KM_PER_DEGREE * cosLat) : 360;
+
+  if (lngDelta >= 180 || lng - lngDelta < -180 || lng + lngDelta > 180) {
+    return { south, north, west: null, east: null };
+  }
+  return { south, north, west: lng - lngDelta, east: lng + lngDelta };
+};
+
+// Parse a `bbox` query value, "west,south,east,north" in degrees as in
+// GeoJSON. West may be greater than east for a box spanning the
+// antimeridian. Returns { bbox } (null when not given) or { error }.
+const parseBbox = (value) => {
+  if (value === undefined || value === "") return { bbox: null };
+
+  const parts = String(value).split(",").map(Number);
+  const [west, south, east, north] = parts;
+  if (
+    parts.length !== 4 ||
+    parts.some((part) => !Number.isFinite(part)) ||
+    [west, east].some((lng) => lng < -180 || lng > 180) ||
+    [south, north].some((lat) => lat < -90 || lat > 90) ||
+    south > north
+  ) {
+    return {
+      error:
+        "bbox must be west,south,east,north in degrees (longitudes -180 to 180, latitudes -90 to 90)",
+    };
+  }
+  return { bbox: { west, south, east, north } };
+};
+
+// SQL conditions keeping points inside `bbox`, with values pushed onto
+// `params`
+const bboxConditions = (bbox, latitude, longitude, params) => {
+  const conditions = [
+    `${latitude} BETWEEN $${params.push(bbox.south)} AND $${params.push(
+      bbox.north
+    )}`,
+  ];
+  conditions.push(
+    bbox.west <= bbox.east
+      ? `${longitude} BETWEEN $${params.push(bbox.west)} AND $${params.push(
+          bbox.east
+        )}`
+      : `(${longitude} >= $${params.push(bbox.west)} OR ${longitude} <= $${params.push(
+          bbox.east
+        )})`
+  );
+  return conditions;
+};
+
+// Map zoom levels the grid aggregation accepts. Cells are square in
+// degrees and halve in size with each level: 180° at zoom 0, about 0.7° at
+// zoom 8.
+const MAX_GRID_ZOOM = 16;
+const gridCellSize = (zoom) => 180 / Math.pow(2, zoom);
+
+module.exports = {
+  haversineSql,
+  boundingBox,
+  parseBbox,
+  bboxConditions,
+  MAX_GRID_ZOOM,
+  gridCellSize,
+};
@@ -0,0 +1,412 @@
+const crypto = require("crypto");
+const { parse } = require("csv-parse");
+
+// Rows validated and written per batch
+const BATCH_SIZE = 500;
+
+// Per-row errors and skipped rows kept on a job; later ones are only counted
+const MAX_REPORTED_ERRORS = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Column parsers. Each turns a CSV cell into the value stored, or throws
+// with a message when the cell is not valid for the column.
+const integer =
+  (min = -2147483648, max = 2147483647) =>
+  (text) => {
+    if (!/^-?\d+$/.test(text) || Number(text) < min || Number(text) > max) {
+      throw new Error(`must be an integer between ${min} and ${max}`);
+    }
+    return Number(text);
+  };
+
+const number = (min, max) => (text) => {
+  const value = Number(text);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`must be a number between ${min} and ${max}`);
+  }
+  return value;
+};
+
+const text =
+  (maxLength = 255) =>
+  (value) => {
+    if (value.length > maxLength) {
+      throw new Error(`must be at most ${maxLength} characters`);
+    }
+    return value;
+  };
+
+const oneOf = (values) => (value) => {
+  const match = values.find(
+    (allowed) => allowed.toLowerCase() === value.toLowerCase()
+  );
+  if (!match) {
+    throw new Error(`must be one of: ${values.join(", ")}`);
+  }
+  return match;
+};
+
+const email = (value) => {
+  if (!EMAIL_PATTERN.test(value) || value.length > 255) {
+    throw new Error("must be a valid email address");
+  }
+  return value.toLowerCase();
+};
+
+// Timestamps are validated here and passed to PostgreSQL as written, so
+// sub-millisecond precision is kept
+const timestamp = (value) => {
+  if (isNaN(Date.parse(value))) {
+    throw new Error("must be a valid timestamp");
+  }
+  return value;
+};
+
+// Importable tables: the key column rows are upserted by, each column's
+// parser and whether it must have a value, and optionally which existing
+// rows an import must leave alone and why
+const IMPORT_TYPES = {
+  users: {
+    table: "users",
+    key: "id",
+    // Writing an erased or deleted customer back would undo the erasure
+    locked: {
+      condition: "anonymized_at IS NOT NULL OR deleted_at IS NOT NULL",
+      reason: "the customer has been erased or deleted",
+    },
+    // Unique indexes a row can violate, and the error reported for it
+    unique: {
+      users_email_unique_idx: {
+        field: "email",
+        message: "email is already used by another customer",
+      },
+    },
+    columns: {
+      id: { parse: integer(1), required: true },
+      first_name: { parse: text(100), required: true },
+      last_name: { parse: text(100), required: true },
+      email: { parse: email, required: true },
+      age: { parse: integer(0, 150) },
+      gender: { parse: oneOf(["M", "F"]) },
+      state: { parse: text() },
+      street_address: { parse: text() },
+      postal_code: { parse: text(20) },
+      city: { parse: text() },
+      country: { parse: text() },
+      latitude: { parse: number(-90, 90) },
+      longitude: { parse: number(-180, 180) },
+      traffic_source: { parse: text(50) },
+      created_at: { parse: timestamp },
+    },
+  },
+  orders: {
+    table: "orders",
+    key: "order_id",
+    columns: {
+      order_id: { parse: integer(1), required: true },
+      user_id: { parse: integer(1), required: true },
+      status: { parse: text(20), required: true },
+      gender: { parse: oneOf(["M", "F"]) },
+      created_at: { parse: timestamp, required: true },
+      returned_at: { parse: timestamp },
+      shipped_at: { parse: timestamp },
+      delivered_at: { parse: timestamp },
+      num_of_item: { parse: integer(1, 10000), required: true },
+    },
+  },
+};
+
+// Validate one parsed CSV record. Returns { values } with the stored value
+// of every present column, or { errors } listing each invalid field.
+const validateRecord = (definition, record, columns) => {
+  const values = {};
+  const errors = [];
+
+  for (const column of columns) {
+    const raw = record[column] === undefined ? "" : record[column].trim();
+    const { parse: parseValue, required } = definition.columns[column];
+    if (raw === "") {
+      if (required) {
+        errors.push({ field: column, message: `${column} is required` });
+      }
+      values[column] = null;
+      continue;
+    }
+    try {
+      values[column] = parseValue(raw);
+    } catch (error) {
+      errors.push({ field: column, message: `${column} ${error.message}` });
+    }
+  }
+
+  return errors.length ? { errors } : { values };
+};
+
+// Update the row with the same key, or insert it when there is none.
+// Resolves to "inserted", "updated" or "skipped" (a locked row).
+const upsertRow = async (client, definition, columns, values) => {
+  const params = columns.map((column) => values[column]);
+  const updates = columns
+    .filter((column) => column !== definition.key)
+    .map((column) => `${column} = $${columns.indexOf(column) + 1}`);
+  const keyParam = `$${columns.indexOf(definition.key) + 1}`;
+  const locked = definition.locked ? `(${definition.locked.condition})` : "";
+
+  if (updates.length) {
+    const updated = await client.query(
+      `UPDATE ${definition.table} SET ${updates.join(", ")}
+       WHERE ${definition.key} = ${keyParam}${locked && ` AND NOT ${locked}`}`,
+      params
+    );
+    if (updated.rowCount > 0) return "updated";
+  }
+
+  // Nothing updated: the row is missing, locked, or there was nothing to set
+  const existing = await client.query(
+    `SELECT ${locked || "FALSE"} AS locked FROM ${definition.table}
+     WHERE ${definition.key} = $1`,
+    [values[definition.key]]
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0].locked ? "skipped" : "updated";
+  }
+
+  await client.query(
+    `INSERT INTO ${definition.table} (${columns.join(", ")})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})`,
+    params
+  );
+  return "inserted";
+};
+
+// Import a users or orders CSV from a readable stream. Every row is
+// validated and upserted by id inside one transaction, which is committed
+// only when all rows are valid and `dryRun` is off. `progress` is updated
+// in place as rows are processed (and passed to `onProgress`).
+const runImport = async (
+  pool,
+  { type, stream, dryRun = false, progress = {}, onProgress = () => {} }
+) => {
+  const definition = IMPORT_TYPES[type];
+  if (!definition) {
+    throw new Error(
+      `type must be one of: ${Object.keys(IMPORT_TYPES).join(", ")}`
+    );
+  }
+
+  Object.assign(progress, {
+    processed_rows: 0,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    failed_rows: 0,
+    errors: [],
+    skipped_rows: [],
+    ignored_columns: [],
+  });
+
+  const parser = stream.pipe(
+    parse({ columns: true, bom: true, skip_empty_lines: true, info: true })
+  );
+  // pipe() does not forward source errors (e.g. a missing file); end the
+  // parser and rethrow once the rows read so far are handled
+  let streamError = null;
+  stream.on("error", (error) => {
+    streamError = error;
+    parser.end();
+  });
+  const client = await pool.connect();
+  let columns = null;
+  let batch = [];
+
+  const recordError = (line, errors) => {
+    progress.failed_rows += 1;
+    for (const error of errors) {
+      if (progress.errors.length < MAX_REPORTED_ERRORS) {
+        progress.errors.push({ line, ...error });
+      }
+    }
+  };
+
+  // Validate a batch, check that orders reference existing customers and
+  // write the valid rows. Writing stops after the first invalid row, since
+  // the transaction will be rolled back anyway.
+  const flush = async () => {
+    let valid = [];
+    for (const { line, record } of batch) {
+      const result = validateRecord(definition, record, columns);
+      if (result.errors) {
+        recordError(line, result.errors);
+      } else {
+        valid.push({ line, values: result.values });
+      }
+    }
+
+    if (type === "orders" && valid.length) {
+      const userIds = [...new Set(valid.map(({ values }) => values.user_id))];
+      const existing = await client.query(
+        "SELECT id FROM users WHERE id = ANY($1::bigint[])",
+        [userIds]
+      );
+      const known = new Set(existing.rows.map((user) => Number(user.id)));
+      valid = valid.filter(({ line, values }) => {
+        if (known.has(values.user_id)) return true;
+        recordError(line, [
+          {
+            field: "user_id",
+            message: `user_id ${values.user_id} does not match a customer`,
+          },
+        ]);
+        return false;
+      });
+    }
+
+    if (progress.failed_rows === 0) {
+      for (const { line, values } of valid) {
+        let outcome;
+        try {
+          outcome = await upsertRow(client, definition, columns, values);
+        } catch (error) {
+          const violated =
+            error.code === "23505" && definition.unique?.[error.constraint];
+          if (!violated) throw error;
+          // The transaction is aborted now and will be rolled back
+          recordError(line, [violated]);
+          break;
+        }
+        progress[outcome] += 1;
+        if (
+          outcome === "skipped" &&
+          progress.skipped_rows.length < MAX_REPORTED_ERRORS
+        ) {
+          progress.skipped_rows.push({
+            line,
+            message: `${definition.key} ${values[definition.key]} was not imported: ${definition.locked.reason}`,
+          });
+        }
+      }
+    }
+
+    progress.processed_rows += batch.length;
+    batch = [];
+    onProgress(progress);
+  };
+
+  try {
+    await client.query("BEGIN");
+
+    for await (const { record, info } of parser) {
+      if (!columns) {
+        const header = Object.keys(record);
+        const missing = Object.keys(definition.columns).filter(
+          (column) =>
+            definition.columns[column].required && !header.includes(column)
+        );
+        if (missing.length) {
+          throw new Error(`Missing required columns: ${missing.join(", ")}`);
+        }
+        columns = header.filter((column) => definition.columns[column]);
+        progress.ignored_columns = header.filter(
+          (column) => !definition.columns[column]
+        );
+      }
+
+      // Errors refer to the CSV line the record ends on
+      batch.push({ line: info.lines, record });
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    if (batch.length) {
+      await flush();
+    }
+    if (streamError) {
+      throw streamError;
+    }
+
+    if (dryRun || progress.failed_rows > 0) {
+      await client.query("ROLLBACK");
+    } else {
+      // Keep generated customer ids clear of imported ones
+      if (type === "users") {
+        await client.query(`
+          SELECT setval('users_id_seq', GREATEST((SELECT MAX(id) FROM users), 1))
+          WHERE to_regclass('users_id_seq') IS NOT NULL
+        `);
+      }
+      await client.query("COMMIT");
+    }
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+    stream.destroy();
+  }
+
+  return progress;
+};
+
+// Import jobs started through the API, by id. Jobs live in memory for the
+// lifetime of the server process; only the most recent ones are kept.
+const MAX_JOBS = 100;
+const jobs = new Map();
+
+// Start an import in the background and return its job, whose status moves
+// from "running" to "completed" (committed, or checked in a dry run),
+// "rejected" (invalid rows, nothing written) or "failed". `onFinish` is
+// called with the job once it has stopped running.
+const startImportJob = (pool, { type, stream, dryRun, filename, onFinish }) => {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    filename: filename || null,
+    dry_run: dryRun,
+    status: "running",
+    message: null,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    processed_rows: 0,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    failed_rows: 0,
+    errors: [],
+    skipped_rows: [],
+    ignored_columns: [],
+  };
+  jobs.set(job.id, job);
+  if (jobs.size > MAX_JOBS) {
+    jobs.delete(jobs.keys().next().value);
+  }
+
+  runImport(pool, { type, stream, dryRun, progress: job })
+    .then(() => {
+      if (job.failed_rows > 0) {
+        job.status = "rejected";
+        job.message = `${job.failed_rows} rows failed validation; nothing was imported`;
+      } else {
+        job.status = "completed";
+        job.message = dryRun
+          ? "Dry run: all rows are valid; nothing was written"
+          : `Imported ${job.inserted + job.updated} rows` +
+            (job.skipped ? `; skipped ${job.skipped} (see skipped_rows)` : "");
+      }
+    })
+    .catch((error) => {
+      console.error("Error running import:", error);
+      job.status = "failed";
+      job.message = error.message;
+    })
+    .finally(() => {
+      job.finished_at = new Date().toISOString();
+      if (onFinish) onFinish(job);
+    });
+
+  return job;
+};
+
+const getImportJob = (id) => jobs.get(id) || null;
+
+module.exports = { IMPORT_TYPES, runImport, startImportJob, getImportJob };
@@ -0,0 +1,464 @@
+// Filtering, sorting and pagination shared by the list routes. Each route
+// describes its filterable and sortable fields; this module turns the query
+// string into parameterized SQL and fetches a page of rows, so every listing
+// accepts the same filter operators and returns the same pagination block.
+
+// Filter operators, written before the value: `num_of_item=gt:2`,
+// `status=in:shipped,delivered`. A value without one is an exact match.
+const FILTER_OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in"];
+
+const COMPARISONS = {
+  eq: "=",
+  ne: "<>",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+};
+
+// Operators each type of field accepts. Text and enums only compare for
+// (in)equality; array fields (e.g. audit_log.customer_ids) match an element.
+const FILTER_TYPE_OPERATORS = {
+  text: ["eq", "ne", "in"],
+  enum: ["eq", "ne", "in"],
+  integer: FILTER_OPERATORS,
+  id: FILTER_OPERATORS,
+  date: ["eq", "ne", "gt", "gte", "lt", "lte"],
+  ids: ["eq", "in"],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Split a filter value into { operator, operand }
+const parseFilterValue = (raw) => {
+  const match = /^([a-z]+):(.*)$/s.exec(raw);
+  if (match && FILTER_OPERATORS.includes(match[1])) {
+    return { operator: match[1], operand: match[2] };
+  }
+  return { operator: "eq", operand: raw };
+};
+
+// Convert one operand to the field's type. Returns { value } or { error }.
+const parseOperand = (name, field, operand) => {
+  const text = operand.trim();
+  switch (field.type) {
+    case "integer":
+      return /^-?\d+$/.test(text)
+        ? { value: parseInt(text) }
+        : { error: `${name} must be an integer` };
+    case "id":
+    case "ids":
+      return /^\d+$/.test(text) && parseInt(text) > 0
+        ? { value: parseInt(text) }
+        : { error: `${name} must be a positive integer` };
+    case "date":
+      return text && !isNaN(Date.parse(text))
+        ? { value: text }
+        : { error: `${name} must be a valid date (YYYY-MM-DD)` };
+    case "enum": {
+      const value = text.toLowerCase();
+      return field.values.includes(value)
+        ? { value }
+        : { error: `${name} must be one of: ${field.values.join(", ")}` };
+    }
+    default:
+      return text ? { value: text } : { error: `${name} must not be empty` };
+  }
+};
+
+// SQL condition for a date comparison. A date without a time covers the
+// whole day, so `lte:2024-01-31` includes orders placed that evening.
+const dateCondition = (expression, operator, value, params) => {
+  if (!DATE_ONLY.test(value)) {
+    return `${expression} ${COMPARISONS[operator]} $${params.push(
+      new Date(value)
+    )}`;
+  }
+
+  const start = new Date(value);
+  const end = new Date(start.getTime() + DAY_MS);
+  switch (operator) {
+    case "gt":
+      return `${expression} >= $${params.push(end)}`;
+    case "gte":
+      return `${expression} >= $${params.push(start)}`;
+    case "lt":
+      return `${expression} < $${params.push(start)}`;
+    case "lte":
+      return `${expression} < $${params.push(end)}`;
+    case "ne":
+      return `(${expression} < $${params.push(start)} OR ${expression} >= $${params.push(end)})`;
+    default:
+      return `(${expression} >= $${params.push(start)} AND ${expression} < $${params.push(end)})`;
+  }
+};
+
+// SQL condition for one parsed filter clause, with its values pushed onto
+// `params`
+const filterCondition = (field, operator, values, params) => {
+  const { expression, type } = field;
+
+  if (type === "ids") {
+    return operator === "in"
+      ? `${expression} && $${params.push(values)}::bigint[]`
+      : `$${params.push(values[0])}::bigint = ANY(${expression})`;
+  }
+  if (type === "date") {
+    return dateCondition(expression, operator, values[0], params);
+  }
+
+  // Text and enums compare case-insensitively
+  const caseInsensitive = type === "text" || type === "enum";
+  const column = caseInsensitive ? `LOWER(${expression})` : expression;
+  const operands = caseInsensitive
+    ? values.map((value) => value.toLowerCase())
+    : values;
+
+  if (operator === "in") {
+    return `${column} = ANY($${params.push(operands)})`;
+  }
+  return `${column} ${COMPARISONS[operator]} $${params.push(operands[0])}`;
+};
+
+// Non-empty string values of a query parameter given once or repeatedly
+const queryValues = (raw) =>
+  (Array.isArray(raw) ? raw : [raw]).filter(
+    (value) => typeof value === "string" && value.trim() !== ""
+  );
+
+// Build WHERE conditions from the filter parameters in `query`. `fields`
+// maps each filterable parameter to { expression, type } (type is one of
+// the FILTER_TYPE_OPERATORS keys; enums also list their `values`).
+// `aliases` maps older single-purpose parameters to an operator on the
+// field, e.g. { from: "gte" } on created_at. A parameter given more than once must
+// match every clause, so `created_at=gte:2024-01-01&created_at=lt:2024-02-01`
+// is a range.
+//
+// Returns { conditions, params, filters }, where `filters` echoes the
+// applied filters (exact matches and aliases as their value, others as
+// { operator: value }), or { error } for an invalid filter. Values are
+// always passed as parameters, never spliced into the SQL; `params` may
+// already hold earlier parameters.
+const buildFilters = (query, fields, params = []) => {
+  const conditions = [];
+  const filters = {};
+
+  for (const [name, field] of Object.entries(fields)) {
+    const own = queryValues(query[name]).map((value) => ({
+      param: name,
+      ...parseFilterValue(value.trim()),
+    }));
+    const aliased = Object.entries(field.aliases || {}).flatMap(
+      ([alias, operator]) =>
+        queryValues(query[alias]).map((value) => ({
+          param: alias,
+          operator,
+          operand: value,
+          alias: true,
+        }))
+    );
+
+    for (const { param, operator, operand, alias } of [...own, ...aliased]) {
+      if (!FILTER_TYPE_OPERATORS[field.type].includes(operator)) {
+        return {
+          error: `${param} does not support "${operator}". Operators: ${FILTER_TYPE_OPERATORS[
+            field.type
+          ].join(", ")}`,
+        };
+      }
+
+      const values = [];
+      for (const part of operator === "in" ? operand.split(",") : [operand]) {
+        const parsed = parseOperand(param, field, part);
+        if (parsed.error) return { error: parsed.error };
+        values.push(parsed.value);
+      }
+
+      conditions.push(filterCondition(field, operator, values, params));
+
+      const echoed = operator === "in" ? values : values[0];
+      if (alias || (operator === "eq" && own.length === 1)) {
+        filters[param] = echoed;
+      } else {
+        filters[param] = { ...filters[param], [operator]: echoed };
+      }
+    }
+  }
+
+  return { conditions, params, filters };
+};
+
+// Render conditions as a WHERE clause (empty when there are none)
+const whereClause = (conditions) =>
+  conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "";
+
+// Render sort terms as an ORDER BY clause. `reverse` flips every direction,
+// which keyset pagination uses to walk backwards from a cursor.
+const renderOrderBy = (terms, reverse = false) =>
+  `ORDER BY ${terms
+    .map(
+      ({ expression, descending }) =>
+        `${expression} ${descending !== reverse ? "DESC" : "ASC"} ${
+          reverse ? "NULLS FIRST" : "NULLS LAST"
+        }`
+    )
+    .join(", ")}`;
+
+// Build an ORDER BY clause from a comma-separated sort parameter
+// (e.g. "-order_count,last_name"; a leading "-" sorts descending).
+// Only whitelisted fields are accepted, and the tie-breaker column is always
+// appended so pages are stable. Returns { error } for unknown fields.
+const buildOrderBy = (sortParam, sortableFields, defaultSort, tieBreaker) => {
+  const sort =
+    typeof sortParam === "string" && sortParam.trim()
+      ? sortParam.trim()
+      : defaultSort;
+  const fields = [];
+  const terms = [];
+
+  for (const term of sort.split(",")) {
+    const descending = term.trim().startsWith("-");
+    const field = term.trim().replace(/^[-+]/, "");
+
+    if (!Object.prototype.hasOwnProperty.call(sortableFields, field)) {
+      return {
+        error: `Cannot sort by "${field}". Sortable fields: ${Object.keys(
+          sortableFields
+        ).join(", ")}`,
+      };
+    }
+    if (fields.some((f) => f.replace(/^-/, "") === field)) {
+      return { error: `Sort field "${field}" is specified more than once` };
+    }
+    fields.push(descending ? `-${field}` : field);
+    terms.push({ expression: sortableFields[field], descending });
+  }
+
+  if (!terms.some((term) => term.expression === tieBreaker)) {
+    terms.push({ expression: tieBreaker, descending: false });
+  }
+
+  return {
+    orderBy: renderOrderBy(terms),
+    sort: fields.join(","),
+    terms,
+  };
+};
+
+// Keyset (cursor) pagination. A cursor is an opaque base64url token holding
+// the sort values of a page's boundary row, so the next page is fetched with
+// a WHERE condition on those values instead of an ever-growing OFFSET.
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload))
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+};
+
+// SELECT list entries exposing each sort key as text, so cursors keep full
+// timestamp precision
+const cursorColumns = (terms) =>
+  terms
+    .map(({ expression }, i) => `(${expression})::text AS cursor_${i}`)
+    .join(", ");
+
+// Condition matching rows strictly after (direction "next") or strictly
+// before (direction "prev") the cursor values in the sort order. Sorts put
+// NULLs last, so a NULL sorts after every value.
+const buildKeysetCondition = (terms, values, direction, params) => {
+  const forward = direction === "next";
+  const alternatives = terms.map((term, i) => {
+    const conditions = terms
+      .slice(0, i)
+      .map(({ expression }, j) =>
+        values[j] === null
+          ? `${expression} IS NULL`
+          : `${expression} = $${params.push(values[j])}`
+      );
+    const operator = forward !== term.descending ? ">" : "<";
+
+    if (forward) {
+      conditions.push(
+        values[i] === null
+          ? "FALSE"
+          : `(${term.expression} ${operator} $${params.push(
+              values[i]
+            )} OR ${term.expression} IS NULL)`
+      );
+    } else {
+      conditions.push(
+        values[i] === null
+          ? `${term.expression} IS NOT NULL`
+          : `${term.expression} ${operator} $${params.push(values[i])}`
+      );
+    }
+    return `(${conditions.join(" AND ")})`;
+  });
+
+  return `(${alternatives.join(" OR ")})`;
+};
+
+// Resolve the `cursor` query parameter against the current sort. An empty
+// cursor starts from the first page. Returns { error } when the cursor is
+// malformed or was issued for a different sort order.
+const buildKeyset = (cursorParam, sorting, params) => {
+  if (!cursorParam) {
+    return { condition: null, orderBy: sorting.orderBy, direction: "next" };
+  }
+
+  const cursor = decodeCursor(cursorParam);
+  if (
+    !cursor ||
+    cursor.s !== sorting.sort ||
+    !["next", "prev"].includes(cursor.d) ||
+    !Array.isArray(cursor.v) ||
+    cursor.v.length !== sorting.terms.length
+  ) {
+    return {
+      error: "Cursor is malformed or does not match the requested sort",
+    };
+  }
+
+  return {
+    condition: buildKeysetCondition(sorting.terms, cursor.v, cursor.d, params),
+    orderBy: renderOrderBy(sorting.terms, cursor.d === "prev"),
+    direction: cursor.d,
+    fromCursor: true,
+  };
+};
+
+// Turn the `limit + 1` rows fetched in cursor mode into a page of rows and
+// the cursor pagination block
+const buildCursorPage = (rows, limit, keyset, sorting) => {
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (keyset.direction === "prev") page.reverse();
+
+  const cursorFor = (row, direction) =>
+    encodeCursor({
+      s: sorting.sort,
+      d: direction,
+      v: sorting.terms.map((_, i) => row[`cursor_${i}`]),
+    });
+  const hasNextPage = keyset.direction === "next" ? hasMore : true;
+  const hasPrevPage =
+    keyset.direction === "prev" ? hasMore : Boolean(keyset.fromCursor);
+
+  return {
+    rows: page.map((row) => {
+      const cleaned = { ...row };
+      sorting.terms.forEach((_, i) => delete cleaned[`cursor_${i}`]);
+      return cleaned;
+    }),
+    pagination: {
+      per_page: limit,
+      has_next_page: hasNextPage && page.length > 0,
+      has_prev_page: hasPrevPage && page.length > 0,
+      next_cursor:
+        hasNextPage && page.length > 0
+          ? cursorFor(page[page.length - 1], "next")
+          : null,
+      prev_cursor:
+        hasPrevPage && page.length > 0 ? cursorFor(page[0], "prev") : null,
+    },
+  };
+};
+
+// Page-number or cursor pagination from the query string: `cursor` (even
+// empty) selects keyset pagination, otherwise `page` is used. Page and
+// limit are already bounded by request validation.
+const parsePagination = (query, { defaultLimit = 10 } = {}) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || defaultLimit;
+  return {
+    cursorMode: query.cursor !== undefined,
+    cursor: query.cursor,
+    page,
+    limit,
+    offset: (page - 1) * limit,
+  };
+};
+
+// Fetch one page of a listing. `columns` and `from` make up the row query;
+// `countFrom` (default `from`) is used to count matching rows, and may skip
+// joins the count does not need. `totalKey` names the total in the
+// pagination block (e.g. "total_orders"). Resolves to { rows, pagination },
+// or { error } when the cursor is invalid.
+const fetchPage = async (
+  pool,
+  {
+    columns,
+    from,
+    countFrom = from,
+    conditions,
+    params,
+    sorting,
+    pagination,
+    totalKey,
+  }
+) => {
+  const { cursorMode, limit, page, offset } = pagination;
+
+  if (cursorMode) {
+    // Keyset pagination: fetch one extra row past the cursor instead of
+    // counting and offsetting
+    const queryParams = [...params];
+    const keyset = buildKeyset(pagination.cursor, sorting, queryParams);
+    if (keyset.error) return { error: keyset.error };
+
+    const result = await pool.query(
+      `SELECT ${columns}, ${cursorColumns(sorting.terms)}
+       ${from}
+       ${whereClause(keyset.condition ? [...conditions, keyset.condition] : conditions)}
+       ${keyset.orderBy}
+       LIMIT $${queryParams.length + 1}`,
+      [...queryParams, limit + 1]
+    );
+    return buildCursorPage(result.rows, limit, keyset, sorting);
+  }
+
+  const where = whereClause(conditions);
+  const [countResult, result] = await Promise.all([
+    pool.query(`SELECT COUNT(*) AS total ${countFrom}${where}`, params),
+    pool.query(
+      `SELECT ${columns}
+       ${from}
+       ${where}
+       ${sorting.orderBy}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+  ]);
+  const total = parseInt(countResult.rows[0].total);
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    rows: result.rows,
+    pagination: {
+      current_page: page,
+      total_pages: totalPages,
+      [totalKey]: total,
+      per_page: limit,
+      has_next_page: page < totalPages,
+      has_prev_page: page > 1,
+    },
+  };
+};
+
+module.exports = {
+  FILTER_TYPE_OPERATORS,
+  buildFilters,
+  whereClause,
+  buildOrderBy,
+  parsePagination,
+  fetchPage,
+};
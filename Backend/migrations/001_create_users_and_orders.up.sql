@@ -0,0 +1,33 @@
+-- Customers and their orders, with the columns of the original users.csv
+-- and orders.csv dataset. Tables that already exist (e.g. loaded by the old
+-- pandas upload script) are left as they are and fixed up by 002.
+
+CREATE TABLE IF NOT EXISTS users (
+  id BIGINT PRIMARY KEY,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  age INTEGER,
+  gender TEXT,
+  state TEXT,
+  street_address TEXT,
+  postal_code TEXT,
+  city TEXT,
+  country TEXT,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  traffic_source TEXT,
+  created_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+  order_id BIGINT PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users (id),
+  status TEXT NOT NULL,
+  gender TEXT,
+  created_at TIMESTAMPTZ NOT NULL,
+  returned_at TIMESTAMPTZ,
+  shipped_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  num_of_item INTEGER NOT NULL
+);
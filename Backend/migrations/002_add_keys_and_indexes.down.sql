@@ -0,0 +1,5 @@
+-- Keys and column types are left in place; only the indexes are dropped
+DROP INDEX IF EXISTS users_email_idx;
+DROP INDEX IF EXISTS orders_created_at_idx;
+DROP INDEX IF EXISTS orders_status_idx;
+DROP INDEX IF EXISTS orders_user_id_idx;
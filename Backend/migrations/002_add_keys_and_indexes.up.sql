@@ -0,0 +1,60 @@
+-- Tables loaded by the old pandas upload script have no keys and may store
+-- timestamps as text. Convert those columns and add the missing keys; on
+-- tables created by 001 this only adds the indexes.
+
+DO $$
+DECLARE
+  timestamp_column RECORD;
+BEGIN
+  FOR timestamp_column IN
+    SELECT table_name, column_name
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND data_type IN ('text', 'timestamp without time zone')
+      AND (table_name, column_name) IN (
+        ('users', 'created_at'),
+        ('orders', 'created_at'),
+        ('orders', 'returned_at'),
+        ('orders', 'shipped_at'),
+        ('orders', 'delivered_at')
+      )
+  LOOP
+    EXECUTE format(
+      'ALTER TABLE %I ALTER COLUMN %I TYPE TIMESTAMPTZ USING %I::timestamptz',
+      timestamp_column.table_name,
+      timestamp_column.column_name,
+      timestamp_column.column_name
+    );
+  END LOOP;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'users'::regclass AND contype = 'p'
+  ) THEN
+    ALTER TABLE users ADD PRIMARY KEY (id);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'orders'::regclass AND contype = 'p'
+  ) THEN
+    ALTER TABLE orders ADD PRIMARY KEY (order_id);
+  END IF;
+
+  -- NOT VALID: orders already loaded are not re-checked, new ones are
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'orders'::regclass AND contype = 'f'
+  ) THEN
+    ALTER TABLE orders
+      ADD CONSTRAINT orders_user_id_fkey
+      FOREIGN KEY (user_id) REFERENCES users (id) NOT VALID;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS orders_user_id_idx ON orders (user_id);
+-- Status filters compare case-insensitively
+CREATE INDEX IF NOT EXISTS orders_status_idx ON orders (LOWER(status));
+CREATE INDEX IF NOT EXISTS orders_created_at_idx ON orders (created_at);
+-- Email lookups (duplicate checks) compare case-insensitively
+CREATE INDEX IF NOT EXISTS users_email_idx ON users (LOWER(email));
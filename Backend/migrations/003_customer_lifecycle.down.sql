@@ -0,0 +1,4 @@
+ALTER TABLE users ALTER COLUMN id DROP DEFAULT;
+DROP SEQUENCE IF EXISTS users_id_seq;
+ALTER TABLE users DROP COLUMN IF EXISTS merged_into;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
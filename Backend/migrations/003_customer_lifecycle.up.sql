@@ -0,0 +1,12 @@
+-- Schema for the customer write API (POST/PATCH/DELETE /customers and
+-- POST /customers/:id/merge)
+
+-- Soft delete and merge state. Merged duplicates are also soft-deleted and
+-- point at the customer they were folded into.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS merged_into BIGINT;
+
+-- New customers get ids after the ones already loaded
+CREATE SEQUENCE IF NOT EXISTS users_id_seq OWNED BY users.id;
+SELECT setval('users_id_seq', COALESCE((SELECT MAX(id) FROM users), 0) + 1, false);
+ALTER TABLE users ALTER COLUMN id SET DEFAULT nextval('users_id_seq');
@@ -0,0 +1,13 @@
+-- Order status history for POST /orders/:order_id/transitions
+
+CREATE TABLE IF NOT EXISTS order_history (
+  id BIGSERIAL PRIMARY KEY,
+  order_id BIGINT NOT NULL REFERENCES orders (order_id),
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  note TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_history_order_id_idx
+  ON order_history (order_id, changed_at);
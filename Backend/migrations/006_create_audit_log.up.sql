@@ -0,0 +1,27 @@
+-- Who viewed or changed which customers and orders (see audit.js)
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor_type TEXT NOT NULL,
+  actor_id TEXT,
+  actor TEXT,
+  actor_role TEXT,
+  action TEXT NOT NULL,
+  method TEXT NOT NULL,
+  route TEXT NOT NULL,
+  path TEXT NOT NULL,
+  customer_ids BIGINT[] NOT NULL DEFAULT '{}',
+  order_ids BIGINT[] NOT NULL DEFAULT '{}',
+  changes JSONB,
+  details JSONB
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_occurred_at_idx
+  ON audit_log (occurred_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS audit_log_customer_ids_idx
+  ON audit_log USING GIN (customer_ids);
+CREATE INDEX IF NOT EXISTS audit_log_order_ids_idx
+  ON audit_log USING GIN (order_ids);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx
+  ON audit_log (LOWER(actor));
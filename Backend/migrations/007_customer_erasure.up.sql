@@ -0,0 +1,19 @@
+-- Data subject erasure: anonymized customers are flagged, and each request
+-- is kept as a record that it was carried out
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS erasure_requests (
+  id BIGSERIAL PRIMARY KEY,
+  customer_id BIGINT NOT NULL REFERENCES users (id),
+  erased_customer_ids BIGINT[] NOT NULL,
+  erased_fields TEXT[] NOT NULL,
+  reason TEXT,
+  reference TEXT,
+  requested_by TEXT,
+  requested_by_role TEXT,
+  completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS erasure_requests_customer_id_idx
+  ON erasure_requests (customer_id);
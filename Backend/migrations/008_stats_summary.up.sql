@@ -0,0 +1,18 @@
+-- GET /stats figures as of the last refresh, read when the API runs with
+-- STATS_SOURCE=materialized. The API refreshes it on a schedule; keep the
+-- columns in step with STATS_COLUMNS in server.js.
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS stats_summary AS
+SELECT
+  1 AS id,
+  (SELECT COUNT(*) FROM users WHERE deleted_at IS NULL) AS total_customers,
+  (SELECT COUNT(*) FROM orders) AS total_orders,
+  (SELECT COALESCE(AVG(num_of_item), 0) FROM orders) AS average_items_per_order,
+  (SELECT COALESCE(SUM(num_of_item), 0) FROM orders) AS total_items_sold,
+  (SELECT COUNT(*) FROM orders WHERE status = 'delivered') AS delivered_orders,
+  (SELECT COUNT(*) FROM orders WHERE status = 'returned') AS returned_orders,
+  (SELECT COUNT(DISTINCT traffic_source) FROM users WHERE deleted_at IS NULL) AS unique_traffic_sources,
+  NOW() AS refreshed_at;
+
+-- REFRESH MATERIALIZED VIEW CONCURRENTLY needs a unique index
+CREATE UNIQUE INDEX IF NOT EXISTS stats_summary_id_idx ON stats_summary (id);
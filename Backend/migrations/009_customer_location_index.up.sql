@@ -0,0 +1,6 @@
+-- Customer locations for GET /customers/nearby and GET /analytics/geo,
+-- which narrow searches to a latitude/longitude box
+
+CREATE INDEX IF NOT EXISTS users_location_idx
+  ON users (latitude, longitude)
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,24 @@
+-- Live customers may not share an email (compared case-insensitively).
+-- POST and PATCH /customers answer 409 when this index rejects a write, so
+-- two requests racing for the same email cannot both succeed. Soft-deleted
+-- and merged customers keep their email without blocking it.
+
+DO $$
+DECLARE
+  shared INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO shared FROM (
+    SELECT LOWER(email)
+    FROM users
+    WHERE deleted_at IS NULL
+    GROUP BY 1
+    HAVING COUNT(*) > 1
+  ) duplicates;
+  IF shared > 0 THEN
+    RAISE EXCEPTION '% emails are used by more than one live customer; merge (POST /customers/:id/merge) or delete the duplicates, then migrate again', shared;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_unique_idx
+  ON users (LOWER(email))
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Key for the advisory lock that stops two migration runs overlapping
+const MIGRATION_LOCK_ID = 41000001;
+
+// Migrations are pairs of files named NNN_description.up.sql and
+// NNN_description.down.sql, applied in version order
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// Read every migration from disk, ordered by version
+const loadMigrations = () => {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name });
+    }
+    migrations.get(version)[direction] = fs.readFileSync(
+      path.join(MIGRATIONS_DIR, file),
+      "utf8"
+    );
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (!migration.up || !migration.down) {
+        throw new Error(
+          `Migration ${migration.version}_${migration.name} needs both an up and a down file`
+        );
+      }
+      return migration;
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+// Run `fn` with a client holding the migration lock and an up-to-date
+// schema_migrations table
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    return await fn(client);
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+      .catch(() => {});
+    client.release();
+  }
+};
+
+const appliedVersions = async (client) => {
+  const result = await client.query(
+    "SELECT version, applied_at FROM schema_migrations"
+  );
+  return new Map(result.rows.map((row) => [row.version, row.applied_at]));
+};
+
+// Run one migration direction and record it, in a single transaction
+const runMigration = async (client, migration, direction) => {
+  try {
+    await client.query("BEGIN");
+    await client.query(migration[direction]);
+    if (direction === "up") {
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+        migration.version,
+      ]);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+};
+
+// Apply pending migrations (all of them, or the next `steps`). Resolves to
+// the migrations applied.
+const migrateUp = (pool, { steps = Infinity } = {}) =>
+  withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const pending = loadMigrations()
+      .filter((migration) => !applied.has(migration.version))
+      .slice(0, steps);
+    for (const migration of pending) {
+      await runMigration(client, migration, "up");
+    }
+    return pending;
+  });
+
+// Revert the most recently applied migrations (one by default). Resolves to
+// the migrations reverted.
+const migrateDown = (pool, { steps = 1 } = {}) =>
+  withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const reverting = loadMigrations()
+      .filter((migration) => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+    for (const migration of reverting) {
+      await runMigration(client, migration, "down");
+    }
+    return reverting;
+  });
+
+// Every migration with the time it was applied (null when pending)
+const migrationStatus = (pool) =>
+  withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    return loadMigrations().map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.get(migration.version) || null,
+    }));
+  });
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
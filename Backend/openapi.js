@@ -0,0 +1,1831 @@
+// OpenAPI 3 description of the API. It is served at /openapi.json and /docs,
+// checks every request before it reaches a route (see validation.js) and
+// lets tests check responses. Values the routes define themselves (segment
+// names, sortable fields, export formats, ...) are passed in so the document
+// cannot drift from them.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const timestamp = nullable({ type: "string", format: "date-time" });
+
+const json = (schema) => ({ "application/json": { schema } });
+
+// A successful response: `data` holds the payload, `message` is sometimes
+// added for writes
+const success = (description, data) => ({
+  description,
+  content: json({
+    type: "object",
+    required: ["success", "data"],
+    properties: {
+      success: { type: "boolean", enum: [true] },
+      message: { type: "string" },
+      data,
+    },
+  }),
+});
+
+const errorResponse = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// Cached responses (see cache.js) answer If-None-Match with 304
+const NOT_MODIFIED = { $ref: "#/components/responses/NotModified" };
+
+// Error responses every authenticated operation can return
+const AUTH_ERRORS = {
+  401: errorResponse("Unauthorized"),
+  403: errorResponse("Forbidden"),
+  500: errorResponse("InternalError"),
+};
+
+// An operation requiring `permission` (any signed-in caller when null)
+const operation = (permission, spec) => ({
+  ...spec,
+  description: [
+    spec.description,
+    permission
+      ? `Requires the \`${permission}\` permission.`
+      : "Requires a signed-in account or API key.",
+  ]
+    .filter(Boolean)
+    .join("\n\n"),
+  security: [{ bearerAuth: [] }, { apiKey: [] }],
+  responses: { ...spec.responses, ...AUTH_ERRORS },
+});
+
+const queryParam = (name, schema, description) => ({
+  name,
+  in: "query",
+  required: false,
+  schema,
+  ...(description ? { description } : {}),
+});
+
+const pathParam = (name, schema, description) => ({
+  name,
+  in: "path",
+  required: true,
+  schema,
+  description,
+});
+
+const sortParam = (fields, defaultSort) =>
+  queryParam(
+    "sort",
+    { type: "string", default: defaultSort },
+    `Comma-separated sort fields; prefix a field with "-" to sort descending. Sortable fields: ${fields.join(", ")}`
+  );
+
+// A filter parameter of one of the listing field types (see listing.js).
+// Values are strings so they can carry an operator, and the parameter may
+// be repeated.
+const filterParam = (operators, name, type, description) =>
+  queryParam(
+    name,
+    {
+      anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+    },
+    [
+      description,
+      `Exact match, or an operator before the value (${operators[type]
+        .map((operator) => `\`${operator}:\``)
+        .join(
+          ", "
+        )}); \`in:\` takes a comma-separated list. Repeat the parameter to combine conditions.`,
+    ]
+      .filter(Boolean)
+      .join(". ")
+  );
+
+const exportResponses = (formats) => ({
+  200: {
+    description: "The matching rows, streamed in the requested format",
+    content: Object.fromEntries(
+      Object.values(formats).map((mediaType) => [
+        mediaType,
+        { schema: { type: "string", format: "binary" } },
+      ])
+    ),
+  },
+  400: errorResponse("BadRequest"),
+  406: errorResponse("NotAcceptable"),
+});
+
+const buildOpenApiSpec = ({
+  segments,
+  customerSortFields,
+  orderSortFields,
+  customerOrderSortFields,
+  orderStatuses,
+  exportFormats,
+  importTypes,
+  roles,
+  timeseries,
+  cohortIntervals,
+  filterOperators,
+  geoLevels,
+  maxGridZoom,
+  fulfillment,
+}) => {
+  const filter = (name, type, description) =>
+    filterParam(filterOperators, name, type, description);
+
+  const customerFilters = [
+    queryParam(
+      "q",
+      { type: "string" },
+      "Search first name, last name, full name and email"
+    ),
+    filter("country", "text"),
+    filter("state", "text"),
+    filter("city", "text"),
+    filter("gender", "text"),
+    filter("traffic_source", "text"),
+    filter("age", "integer"),
+    queryParam("min_age", { type: "integer", minimum: 0, maximum: 150 }),
+    queryParam("max_age", { type: "integer", minimum: 0, maximum: 150 }),
+    filter(
+      "created_at",
+      "date",
+      "Signup date; a date without a time covers the whole day"
+    ),
+    queryParam("signup_from", { type: "string", format: "date" }),
+    queryParam(
+      "signup_to",
+      { type: "string", format: "date" },
+      "Inclusive of the whole day"
+    ),
+    queryParam(
+      "include_deleted",
+      { type: "boolean", default: false },
+      "Include deleted and merged customers"
+    ),
+  ];
+  const segmentFilter = filter(
+    "segment",
+    "enum",
+    `One of: ${segments.join(", ")}`
+  );
+  const customerListParameters = [
+    param("Page"),
+    param("Limit"),
+    param("Cursor"),
+    sortParam(customerSortFields, "id"),
+    param("Fields"),
+    ...customerFilters,
+  ];
+
+  // Filters of a customer's orders; the order listings add status and
+  // user_id
+  const customerOrderFilters = [
+    filter("gender", "text"),
+    filter("num_of_item", "integer"),
+    filter(
+      "created_at",
+      "date",
+      "Order date; a date without a time covers the whole day"
+    ),
+    queryParam("from", { type: "string", format: "date" }),
+    queryParam(
+      "to",
+      { type: "string", format: "date" },
+      "Inclusive of the whole day"
+    ),
+    filter("shipped_at", "date"),
+    filter("delivered_at", "date"),
+    filter("returned_at", "date"),
+  ];
+  const statusFilter = filter(
+    "status",
+    "text",
+    `Usually one of: ${orderStatuses.join(", ")}`
+  );
+  const orderFilters = [
+    statusFilter,
+    filter("user_id", "id"),
+    ...customerOrderFilters,
+  ];
+
+  const orderListData = {
+    type: "object",
+    required: ["orders", "pagination"],
+    properties: {
+      orders: { type: "array", items: ref("OrderSummary") },
+      pagination: {
+        oneOf: [ref("PagePagination"), ref("CursorPagination")],
+      },
+      filters: { type: "object" },
+      sort: { type: "string" },
+    },
+  };
+
+  const customerListData = {
+    type: "object",
+    required: ["customers", "pagination"],
+    properties: {
+      customers: { type: "array", items: ref("CustomerSummary") },
+      pagination: {
+        oneOf: [ref("PagePagination"), ref("CursorPagination")],
+      },
+      filters: { type: "object" },
+      sort: { type: "string" },
+    },
+  };
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Think41 Customer API",
+      version: "1.0.0",
+      description:
+        "Customers, orders and analytics. Every JSON response has a boolean `success`; successful responses carry their payload in `data` (list responses include a `pagination` block there), and failed ones an `error` title and `message`, plus `details` listing invalid fields. Personal data is masked for callers without the `customers:read_pii` permission, and `?fields=` limits the fields returned. List, statistics and analytics responses carry an `ETag`; send it back in `If-None-Match` to get a 304 while they are unchanged.",
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "Token from POST /auth/login",
+        },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+      parameters: {
+        Page: queryParam("page", { type: "integer", minimum: 1, default: 1 }),
+        Limit: queryParam("limit", {
+          type: "integer",
+          minimum: 1,
+          maximum: 100,
+          default: 10,
+        }),
+        Cursor: queryParam(
+          "cursor",
+          { type: "string" },
+          "Use keyset pagination; pass an empty value for the first page and then `next_cursor`/`prev_cursor`"
+        ),
+        Fields: queryParam(
+          "fields",
+          { type: "string", pattern: "^[a-z_.,\\s]+$" },
+          "Comma-separated fields to return (dotted paths select nested fields)"
+        ),
+        CustomerId: pathParam(
+          "id",
+          { type: "integer", minimum: 1 },
+          "Customer ID"
+        ),
+        OrderId: pathParam(
+          "order_id",
+          { type: "integer", minimum: 1 },
+          "Order ID"
+        ),
+        ExportFormat: queryParam(
+          "format",
+          { type: "string", enum: Object.keys(exportFormats) },
+          "Export format; defaults to the Accept header, then CSV"
+        ),
+      },
+      responses: {
+        BadRequest: {
+          description: "The request is invalid",
+          content: json(ref("Error")),
+        },
+        Unauthorized: {
+          description: "No valid token or API key was sent",
+          content: json(ref("Error")),
+        },
+        Forbidden: {
+          description: "The caller's role lacks the required permission",
+          content: json(ref("Error")),
+        },
+        NotFound: {
+          description: "The resource does not exist",
+          content: json(ref("Error")),
+        },
+        Conflict: {
+          description: "The request conflicts with the resource's state",
+          content: json(ref("Error")),
+        },
+        NotModified: {
+          description:
+            "The response matching the If-None-Match ETag is still current",
+        },
+        NotAcceptable: {
+          description: "The Accept header names no supported format",
+          content: json(ref("Error")),
+        },
+        InternalError: {
+          description: "Unexpected server error",
+          content: json(ref("Error")),
+        },
+      },
+      schemas: {
+        // PostgreSQL BIGINT and COUNT() values are sent as strings
+        BigInt: {
+          anyOf: [{ type: "integer" }, { type: "string", pattern: "^\\d+$" }],
+        },
+        NullableBigInt: {
+          anyOf: [
+            { type: "integer", nullable: true },
+            { type: "string", pattern: "^\\d+$", nullable: true },
+          ],
+        },
+        Error: {
+          type: "object",
+          required: ["success", "error", "message"],
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            error: { type: "string" },
+            message: { type: "string" },
+            details: {
+              type: "array",
+              items: ref("FieldError"),
+            },
+          },
+        },
+        FieldError: {
+          type: "object",
+          required: ["field", "message"],
+          properties: {
+            field: nullable({ type: "string" }),
+            location: { type: "string", enum: ["path", "query", "body"] },
+            message: { type: "string" },
+          },
+        },
+        PagePagination: {
+          type: "object",
+          required: [
+            "current_page",
+            "total_pages",
+            "per_page",
+            "has_next_page",
+            "has_prev_page",
+          ],
+          properties: {
+            current_page: { type: "integer" },
+            total_pages: { type: "integer" },
+            total_customers: { type: "integer" },
+            total_orders: { type: "integer" },
+            total_entries: { type: "integer" },
+            per_page: { type: "integer" },
+            has_next_page: { type: "boolean" },
+            has_prev_page: { type: "boolean" },
+          },
+        },
+        CursorPagination: {
+          type: "object",
+          required: [
+            "per_page",
+            "has_next_page",
+            "has_prev_page",
+            "next_cursor",
+            "prev_cursor",
+          ],
+          properties: {
+            per_page: { type: "integer" },
+            has_next_page: { type: "boolean" },
+            has_prev_page: { type: "boolean" },
+            next_cursor: nullable({ type: "string" }),
+            prev_cursor: nullable({ type: "string" }),
+          },
+        },
+        CustomerSummary: {
+          type: "object",
+          properties: {
+            id: ref("BigInt"),
+            first_name: { type: "string" },
+            last_name: { type: "string" },
+            email: { type: "string" },
+            age: nullable({ type: "integer" }),
+            gender: nullable({ type: "string" }),
+            state: nullable({ type: "string" }),
+            city: nullable({ type: "string" }),
+            country: nullable({ type: "string" }),
+            traffic_source: nullable({ type: "string" }),
+            created_at: timestamp,
+            deleted_at: timestamp,
+            merged_into: ref("NullableBigInt"),
+            anonymized_at: timestamp,
+            order_count: ref("BigInt"),
+            last_order_date: timestamp,
+            segment: nullable({ type: "string", enum: [...segments, null] }),
+          },
+        },
+        NearbyCustomer: {
+          allOf: [
+            ref("CustomerSummary"),
+            {
+              type: "object",
+              properties: {
+                latitude: { type: "number" },
+                longitude: { type: "number" },
+                distance_km: { type: "number" },
+              },
+            },
+          ],
+        },
+        // Figures of one GET /analytics/geo region or grid cell
+        GeoFigures: {
+          type: "object",
+          properties: {
+            customers: { type: "integer" },
+            orders: { type: "integer" },
+            returned_orders: { type: "integer" },
+            return_rate: nullable({
+              type: "number",
+              description: "Percentage of orders returned",
+            }),
+            latitude: nullable({ type: "number" }),
+            longitude: nullable({ type: "number" }),
+          },
+        },
+        // Order count and percentiles (in days) of one
+        // GET /analytics/fulfillment duration; percentiles are null without
+        // orders
+        FulfillmentDurations: {
+          type: "object",
+          properties: {
+            orders: { type: "integer" },
+            p50: nullable({ type: "number" }),
+            p90: nullable({ type: "number" }),
+            p99: nullable({ type: "number" }),
+          },
+        },
+        // One period's GET /analytics/channels figures for a traffic
+        // source; ratios are null without signups or orders to divide by
+        ChannelFigures: {
+          type: "object",
+          properties: {
+            signups: { type: "integer" },
+            customers: {
+              type: "integer",
+              description: "Signups who placed at least one order",
+            },
+            conversion_rate: nullable({ type: "number" }),
+            orders: { type: "integer" },
+            orders_per_customer: nullable({ type: "number" }),
+            items_per_order: nullable({ type: "number" }),
+            return_rate: nullable({ type: "number" }),
+            median_days_to_first_order: nullable({ type: "number" }),
+          },
+        },
+        // Both periods' figures and the percentage change of each
+        ChannelComparison: {
+          type: "object",
+          properties: {
+            current: ref("ChannelFigures"),
+            previous: ref("ChannelFigures"),
+            change: {
+              type: "object",
+              additionalProperties: nullable({ type: "number" }),
+            },
+          },
+        },
+        Customer: {
+          type: "object",
+          properties: {
+            id: ref("BigInt"),
+            first_name: { type: "string" },
+            last_name: { type: "string" },
+            full_name: { type: "string" },
+            email: { type: "string" },
+            age: nullable({ type: "integer" }),
+            gender: nullable({ type: "string" }),
+            location: {
+              type: "object",
+              properties: {
+                state: nullable({ type: "string" }),
+                city: nullable({ type: "string" }),
+                country: nullable({ type: "string" }),
+                street_address: nullable({ type: "string" }),
+                postal_code: nullable({ type: "string" }),
+                latitude: nullable({ type: "number" }),
+                longitude: nullable({ type: "number" }),
+              },
+            },
+            traffic_source: nullable({ type: "string" }),
+            created_at: timestamp,
+            anonymized_at: timestamp,
+            order_statistics: {
+              type: "object",
+              properties: {
+                total_orders: { type: "integer" },
+                delivered_orders: { type: "integer" },
+                returned_orders: { type: "integer" },
+                total_items_ordered: { type: "integer" },
+                first_order_date: timestamp,
+                last_order_date: timestamp,
+              },
+            },
+            segment: nullable({ type: "string", enum: [...segments, null] }),
+            rfm_scores: nullable({
+              type: "object",
+              properties: {
+                recency: { type: "integer" },
+                frequency: { type: "integer" },
+                volume: { type: "integer" },
+              },
+            }),
+          },
+        },
+        CustomerInput: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            first_name: { type: "string", minLength: 1, maxLength: 100 },
+            last_name: { type: "string", minLength: 1, maxLength: 100 },
+            email: { type: "string", format: "email", minLength: 3 },
+            age: nullable({ type: "integer", minimum: 0, maximum: 150 }),
+            gender: nullable({ type: "string", enum: ["M", "F", null] }),
+            street_address: nullable({
+              type: "string",
+              minLength: 1,
+              maxLength: 255,
+            }),
+            postal_code: nullable({
+              type: "string",
+              minLength: 1,
+              maxLength: 20,
+            }),
+            city: nullable({ type: "string", minLength: 1, maxLength: 100 }),
+            state: nullable({ type: "string", minLength: 1, maxLength: 100 }),
+            country: nullable({
+              type: "string",
+              minLength: 1,
+              maxLength: 100,
+            }),
+            latitude: nullable({ type: "number", minimum: -90, maximum: 90 }),
+            longitude: nullable({
+              type: "number",
+              minimum: -180,
+              maximum: 180,
+            }),
+            traffic_source: nullable({
+              type: "string",
+              minLength: 1,
+              maxLength: 50,
+            }),
+          },
+        },
+        OrderTimestamps: {
+          type: "object",
+          properties: {
+            created_at: timestamp,
+            shipped_at: timestamp,
+            delivered_at: timestamp,
+            returned_at: timestamp,
+          },
+        },
+        OrderSummary: {
+          allOf: [
+            ref("OrderTimestamps"),
+            {
+              type: "object",
+              properties: {
+                order_id: ref("BigInt"),
+                user_id: ref("BigInt"),
+                customer: {
+                  type: "object",
+                  properties: {
+                    first_name: nullable({ type: "string" }),
+                    last_name: nullable({ type: "string" }),
+                    full_name: nullable({ type: "string" }),
+                    email: nullable({ type: "string" }),
+                  },
+                },
+                status: { type: "string" },
+                gender: nullable({ type: "string" }),
+                num_of_item: { type: "integer" },
+              },
+            },
+          ],
+        },
+        OrderDetail: {
+          type: "object",
+          properties: {
+            order_id: ref("BigInt"),
+            status: { type: "string" },
+            num_of_item: { type: "integer" },
+            gender: nullable({ type: "string" }),
+            customer: {
+              type: "object",
+              properties: {
+                user_id: ref("BigInt"),
+                first_name: nullable({ type: "string" }),
+                last_name: nullable({ type: "string" }),
+                full_name: nullable({ type: "string" }),
+                email: nullable({ type: "string" }),
+                age: nullable({ type: "integer" }),
+                location: { type: "string" },
+                traffic_source: nullable({ type: "string" }),
+                anonymized_at: timestamp,
+              },
+            },
+            timeline: ref("OrderTimeline"),
+            history: { type: "array", items: ref("OrderHistoryEntry") },
+            processing_metrics: {
+              type: "object",
+              properties: {
+                processing_time_days: nullable({ type: "integer" }),
+                delivery_time_days: nullable({ type: "integer" }),
+                total_fulfillment_days: nullable({ type: "integer" }),
+              },
+            },
+          },
+        },
+        OrderTimeline: {
+          type: "object",
+          properties: {
+            ordered: timestamp,
+            shipped: timestamp,
+            delivered: timestamp,
+            returned: timestamp,
+          },
+        },
+        OrderHistoryEntry: {
+          type: "object",
+          properties: {
+            from_status: { type: "string" },
+            to_status: { type: "string" },
+            note: nullable({ type: "string" }),
+            changed_at: timestamp,
+          },
+        },
+        ImportJob: {
+          type: "object",
+          properties: {
+            id: { type: "string", format: "uuid" },
+            type: { type: "string", enum: Object.keys(importTypes) },
+            filename: nullable({ type: "string" }),
+            dry_run: { type: "boolean" },
+            status: { type: "string" },
+            message: nullable({ type: "string" }),
+            started_at: { type: "string", format: "date-time" },
+            finished_at: timestamp,
+            processed_rows: { type: "integer" },
+            inserted: { type: "integer" },
+            updated: { type: "integer" },
+            skipped: {
+              type: "integer",
+              description:
+                "Rows left alone because the customer has been erased or deleted",
+            },
+            failed_rows: { type: "integer" },
+            errors: { type: "array", items: { type: "object" } },
+            skipped_rows: { type: "array", items: { type: "object" } },
+            ignored_columns: { type: "array", items: { type: "string" } },
+          },
+        },
+        ApiKey: {
+          type: "object",
+          properties: {
+            id: ref("BigInt"),
+            name: { type: "string" },
+            key_prefix: { type: "string" },
+            role: { type: "string", enum: roles },
+            created_by: ref("NullableBigInt"),
+            created_at: timestamp,
+            last_used_at: timestamp,
+            revoked_at: timestamp,
+          },
+        },
+        AuditEntry: {
+          type: "object",
+          properties: {
+            id: ref("BigInt"),
+            occurred_at: timestamp,
+            actor_type: { type: "string" },
+            actor_id: nullable({ type: "string" }),
+            actor: nullable({ type: "string" }),
+            actor_role: nullable({ type: "string" }),
+            action: { type: "string" },
+            method: { type: "string" },
+            route: { type: "string" },
+            path: { type: "string" },
+            customer_ids: { type: "array", items: ref("BigInt") },
+            order_ids: { type: "array", items: ref("BigInt") },
+            changes: nullable({ type: "object" }),
+            details: nullable({ type: "object" }),
+          },
+        },
+        ErasureRequest: {
+          type: "object",
+          properties: {
+            id: ref("BigInt"),
+            customer_id: ref("BigInt"),
+            erased_customer_ids: { type: "array", items: ref("BigInt") },
+            erased_fields: { type: "array", items: { type: "string" } },
+            reason: nullable({ type: "string" }),
+            reference: nullable({ type: "string" }),
+            requested_by: nullable({ type: "string" }),
+            requested_by_role: nullable({ type: "string" }),
+            completed_at: timestamp,
+          },
+        },
+      },
+    },
+    paths: {
+      "/health": {
+        get: {
+          summary: "Health check",
+          tags: ["System"],
+          responses: {
+            200: {
+              description: "The API and database are up",
+              content: json({
+                type: "object",
+                required: ["success"],
+                properties: {
+                  success: { type: "boolean" },
+                  message: { type: "string" },
+                  database: { type: "string" },
+                  timestamp: { type: "string", format: "date-time" },
+                },
+              }),
+            },
+            500: {
+              description: "The database is unreachable",
+              content: json({ type: "object" }),
+            },
+          },
+        },
+      },
+      "/openapi.json": {
+        get: {
+          summary: "This OpenAPI document",
+          tags: ["System"],
+          responses: {
+            200: {
+              description: "OpenAPI 3 document",
+              content: json({ type: "object" }),
+            },
+          },
+        },
+      },
+      "/auth/login": {
+        post: {
+          summary: "Exchange a username and password for a bearer token",
+          tags: ["Auth"],
+          requestBody: {
+            required: true,
+            content: json({
+              type: "object",
+              required: ["username", "password"],
+              properties: {
+                username: { type: "string", minLength: 1 },
+                password: { type: "string", minLength: 1 },
+              },
+            }),
+          },
+          responses: {
+            200: success("Signed in", {
+              type: "object",
+              properties: {
+                token: { type: "string" },
+                token_type: { type: "string", enum: ["Bearer"] },
+                expires_at: { type: "string", format: "date-time" },
+                account: {
+                  type: "object",
+                  properties: {
+                    id: ref("BigInt"),
+                    username: { type: "string" },
+                    role: { type: "string", enum: roles },
+                    permissions: { type: "array", items: { type: "string" } },
+                  },
+                },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+            401: errorResponse("Unauthorized"),
+            500: errorResponse("InternalError"),
+          },
+        },
+      },
+      "/auth/me": {
+        get: operation(null, {
+          summary: "The signed-in account or API key and its permissions",
+          tags: ["Auth"],
+          responses: {
+            200: success("The caller", {
+              type: "object",
+              properties: {
+                type: { type: "string", enum: ["account", "api_key"] },
+                id: ref("BigInt"),
+                name: { type: "string" },
+                role: { type: "string", enum: roles },
+                permissions: { type: "array", items: { type: "string" } },
+              },
+            }),
+          },
+        }),
+      },
+      "/auth/api-keys": {
+        get: operation("api_keys:manage", {
+          summary: "List API keys (never the keys themselves)",
+          tags: ["Auth"],
+          responses: {
+            200: success("API keys, newest first", {
+              type: "object",
+              properties: {
+                api_keys: { type: "array", items: ref("ApiKey") },
+              },
+            }),
+          },
+        }),
+        post: operation("api_keys:manage", {
+          summary: "Create an API key for a service integration",
+          description: "The key is only ever returned in this response.",
+          tags: ["Auth"],
+          requestBody: {
+            required: true,
+            content: json({
+              type: "object",
+              required: ["name", "role"],
+              properties: {
+                name: { type: "string", minLength: 1, maxLength: 100 },
+                role: { type: "string", enum: roles },
+              },
+            }),
+          },
+          responses: {
+            201: success("The new key", {
+              type: "object",
+              properties: {
+                api_key: {
+                  allOf: [
+                    ref("ApiKey"),
+                    {
+                      type: "object",
+                      properties: { key: { type: "string" } },
+                    },
+                  ],
+                },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/auth/api-keys/{id}": {
+        delete: operation("api_keys:manage", {
+          summary: "Revoke an API key",
+          tags: ["Auth"],
+          parameters: [
+            pathParam("id", { type: "integer", minimum: 1 }, "API key ID"),
+          ],
+          responses: {
+            200: success("The revoked key", {
+              type: "object",
+              properties: { api_key: ref("ApiKey") },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+          },
+        }),
+      },
+      "/customers": {
+        get: operation("customers:read", {
+          summary: "List customers with pagination, search and filters",
+          tags: ["Customers"],
+          parameters: [...customerListParameters, segmentFilter],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("A page of customers", customerListData),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+        post: operation("customers:write", {
+          summary: "Create a customer",
+          tags: ["Customers"],
+          requestBody: {
+            required: true,
+            content: json({
+              allOf: [
+                ref("CustomerInput"),
+                { required: ["first_name", "last_name", "email"] },
+              ],
+            }),
+          },
+          responses: {
+            201: success("The new customer", {
+              type: "object",
+              properties: { customer: ref("Customer") },
+            }),
+            400: errorResponse("BadRequest"),
+            409: errorResponse("Conflict"),
+          },
+        }),
+      },
+      "/customers/nearby": {
+        get: operation("customers:read", {
+          summary: "Customers near a location, nearest first",
+          description:
+            "Great-circle (haversine) distance from `lat`/`lng`. Callers who cannot read personal data are measured from coordinates rounded as they are in responses.",
+          tags: ["Customers"],
+          parameters: [
+            {
+              ...queryParam("lat", {
+                type: "number",
+                minimum: -90,
+                maximum: 90,
+              }),
+              required: true,
+            },
+            {
+              ...queryParam("lng", {
+                type: "number",
+                minimum: -180,
+                maximum: 180,
+              }),
+              required: true,
+            },
+            queryParam(
+              "radius_km",
+              { type: "number", minimum: 0.01, maximum: 20000, default: 10 },
+              "Search radius in kilometres"
+            ),
+            queryParam("limit", {
+              type: "integer",
+              minimum: 1,
+              maximum: 100,
+              default: 20,
+            }),
+            param("Fields"),
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("Customers within the radius", {
+              type: "object",
+              required: ["customers"],
+              properties: {
+                customers: { type: "array", items: ref("NearbyCustomer") },
+                origin: {
+                  type: "object",
+                  properties: {
+                    latitude: { type: "number" },
+                    longitude: { type: "number" },
+                  },
+                },
+                radius_km: { type: "number" },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/customers/export": {
+        get: operation("data:export", {
+          summary: "Export customers matching the GET /customers filters",
+          tags: ["Customers"],
+          parameters: [
+            param("ExportFormat"),
+            sortParam(customerSortFields, "id"),
+            param("Fields"),
+            ...customerFilters,
+            segmentFilter,
+          ],
+          responses: exportResponses(exportFormats),
+        }),
+      },
+      "/customers/{id}": {
+        parameters: [param("CustomerId")],
+        get: operation("customers:read", {
+          summary: "Get a customer with order statistics and segment",
+          tags: ["Customers"],
+          parameters: [param("Fields")],
+          responses: {
+            200: success("The customer", {
+              type: "object",
+              properties: { customer: ref("Customer") },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+          },
+        }),
+        patch: operation("customers:write", {
+          summary: "Update some of a customer's fields",
+          tags: ["Customers"],
+          requestBody: {
+            required: true,
+            content: json({
+              allOf: [ref("CustomerInput"), { minProperties: 1 }],
+            }),
+          },
+          responses: {
+            200: success("The updated customer", {
+              type: "object",
+              properties: { customer: ref("Customer") },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+            409: errorResponse("Conflict"),
+          },
+        }),
+        delete: operation("customers:write", {
+          summary: "Soft-delete a customer (orders are kept)",
+          tags: ["Customers"],
+          responses: {
+            200: success("The customer was deleted", {
+              type: "object",
+              properties: {
+                customer_id: { type: "integer" },
+                deleted_at: timestamp,
+              },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+          },
+        }),
+      },
+      "/customers/{id}/orders": {
+        get: operation("customers:read", {
+          summary: "A page of a customer's orders",
+          tags: ["Customers"],
+          parameters: [
+            param("CustomerId"),
+            param("Page"),
+            param("Limit"),
+            param("Cursor"),
+            sortParam(customerOrderSortFields, "-created_at"),
+            param("Fields"),
+            ...customerOrderFilters,
+          ],
+          responses: {
+            200: success("A page of the customer's orders", {
+              type: "object",
+              required: ["customer_id", "orders", "pagination"],
+              properties: {
+                customer_id: { type: "integer" },
+                orders: { type: "array", items: ref("OrderSummary") },
+                pagination: {
+                  oneOf: [ref("PagePagination"), ref("CursorPagination")],
+                },
+                filters: { type: "object" },
+                sort: { type: "string" },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+          },
+        }),
+      },
+      "/customers/{id}/merge": {
+        post: operation("customers:write", {
+          summary: "Fold duplicate accounts into this customer",
+          description:
+            "The duplicates' orders are re-pointed to this customer and the duplicates are soft-deleted with `merged_into` set.",
+          tags: ["Customers"],
+          parameters: [param("CustomerId")],
+          requestBody: {
+            required: true,
+            content: json({
+              type: "object",
+              required: ["duplicate_ids"],
+              properties: {
+                duplicate_ids: {
+                  type: "array",
+                  minItems: 1,
+                  items: { type: "integer", minimum: 1 },
+                },
+              },
+            }),
+          },
+          responses: {
+            200: success("The merged customer", {
+              type: "object",
+              properties: {
+                customer: ref("Customer"),
+                merged_customer_ids: { type: "array", items: ref("BigInt") },
+                orders_moved: { type: "integer" },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+            409: errorResponse("Conflict"),
+          },
+        }),
+      },
+      "/customers/{id}/data-export": {
+        get: operation("privacy:manage", {
+          summary: "Everything held about a customer",
+          description:
+            "Profile, orders, status history, derived segment and statistics, merged accounts, access log and erasure requests, as one JSON document or a ZIP of one JSON file per section. Deleted and merged customers can be exported too.",
+          tags: ["Privacy"],
+          parameters: [
+            param("CustomerId"),
+            queryParam("format", {
+              type: "string",
+              enum: ["json", "zip"],
+              default: "json",
+            }),
+          ],
+          responses: {
+            200: {
+              description: "The data export bundle, as an attachment",
+              content: {
+                "application/json": { schema: { type: "object" } },
+                "application/zip": {
+                  schema: { type: "string", format: "binary" },
+                },
+              },
+            },
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+          },
+        }),
+      },
+      "/customers/{id}/erasure": {
+        post: operation("privacy:manage", {
+          summary: "Anonymize a customer's personal data",
+          description:
+            "Clears name, email, street address, postal code and coordinates of the customer and any accounts merged into them. Orders are kept for aggregate statistics.",
+          tags: ["Privacy"],
+          parameters: [param("CustomerId")],
+          requestBody: {
+            required: false,
+            content: json({
+              type: "object",
+              properties: {
+                reason: nullable({ type: "string", maxLength: 500 }),
+                reference: nullable({ type: "string", maxLength: 500 }),
+              },
+            }),
+          },
+          responses: {
+            200: success("The erasure request and anonymized customer", {
+              type: "object",
+              properties: {
+                erasure_request: ref("ErasureRequest"),
+                customer: ref("Customer"),
+              },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+            409: errorResponse("Conflict"),
+          },
+        }),
+      },
+      "/orders": {
+        get: operation("orders:read", {
+          summary: "List orders with pagination and filters",
+          tags: ["Orders"],
+          parameters: [
+            param("Page"),
+            param("Limit"),
+            param("Cursor"),
+            sortParam(orderSortFields, "-created_at"),
+            param("Fields"),
+            ...orderFilters,
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("A page of orders", orderListData),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/orders/export": {
+        get: operation("data:export", {
+          summary: "Export orders matching the GET /orders filters",
+          tags: ["Orders"],
+          parameters: [
+            param("ExportFormat"),
+            sortParam(orderSortFields, "-created_at"),
+            param("Fields"),
+            ...orderFilters,
+          ],
+          responses: exportResponses(exportFormats),
+        }),
+      },
+      "/orders/{order_id}": {
+        get: operation("orders:read", {
+          summary: "Get an order with its timeline and status history",
+          tags: ["Orders"],
+          parameters: [param("OrderId"), param("Fields")],
+          responses: {
+            200: success("The order", {
+              type: "object",
+              properties: { order: ref("OrderDetail") },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+          },
+        }),
+      },
+      "/orders/{order_id}/transitions": {
+        post: operation("orders:write", {
+          summary: "Move an order to its next status",
+          description:
+            "Sets the matching timestamp and records the move in the order's status history.",
+          tags: ["Orders"],
+          parameters: [param("OrderId")],
+          requestBody: {
+            required: true,
+            content: json({
+              type: "object",
+              required: ["status"],
+              properties: {
+                status: {
+                  type: "string",
+                  description: `One of: ${orderStatuses.join(", ")}`,
+                },
+                note: nullable({ type: "string", maxLength: 500 }),
+              },
+            }),
+          },
+          responses: {
+            201: success("The order's new status", {
+              type: "object",
+              properties: {
+                order: {
+                  type: "object",
+                  properties: {
+                    order_id: ref("BigInt"),
+                    status: { type: "string" },
+                    timeline: ref("OrderTimeline"),
+                  },
+                },
+                transition: ref("OrderHistoryEntry"),
+              },
+            }),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+            409: errorResponse("Conflict"),
+          },
+        }),
+      },
+      "/orders/status/{status}": {
+        get: operation("orders:read", {
+          summary: "List orders with a status",
+          description:
+            "GET /orders with the status filter taken from the path; the other filters, pagination and response are the same.",
+          tags: ["Orders"],
+          parameters: [
+            pathParam(
+              "status",
+              { type: "string" },
+              `One of: ${orderStatuses.join(", ")} (case-insensitive)`
+            ),
+            param("Page"),
+            param("Limit"),
+            param("Cursor"),
+            sortParam(orderSortFields, "-created_at"),
+            param("Fields"),
+            ...orderFilters.filter((filter) => filter !== statusFilter),
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("A page of orders", orderListData),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/stats": {
+        get: operation("analytics:read", {
+          summary: "Overall customer and order statistics",
+          tags: ["Analytics"],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("Statistics", {
+              type: "object",
+              properties: {
+                statistics: {
+                  type: "object",
+                  properties: {
+                    total_customers: { type: "integer" },
+                    total_orders: { type: "integer" },
+                    average_items_per_order: {
+                      type: "string",
+                      description: "Two decimal places",
+                    },
+                    total_items_sold: { type: "integer" },
+                    delivered_orders: { type: "integer" },
+                    returned_orders: { type: "integer" },
+                    unique_traffic_sources: { type: "integer" },
+                    delivery_rate: { type: "string", example: "42.10%" },
+                    return_rate: { type: "string", example: "9.80%" },
+                  },
+                },
+                source: {
+                  type: "string",
+                  enum: ["live", "materialized"],
+                  description:
+                    "`materialized` figures are read from a view refreshed on a schedule",
+                },
+                refreshed_at: nullable({
+                  type: "string",
+                  format: "date-time",
+                  description: "When materialized figures were computed",
+                }),
+              },
+            }),
+          },
+        }),
+      },
+      "/stats/timeseries": {
+        get: operation("analytics:read", {
+          summary: "Bucketed counts over a date range",
+          description:
+            "Buckets with no data are filled with zeros. `status` grouping only applies to order metrics.",
+          tags: ["Analytics"],
+          parameters: [
+            queryParam("metric", {
+              type: "string",
+              enum: timeseries.metrics,
+              default: "orders",
+            }),
+            queryParam("interval", {
+              type: "string",
+              enum: timeseries.intervals,
+              default: "day",
+            }),
+            queryParam("group_by", {
+              type: "string",
+              enum: timeseries.groups,
+            }),
+            queryParam("from", { type: "string", format: "date" }),
+            queryParam("to", { type: "string", format: "date" }),
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("One series per group", {
+              type: "object",
+              properties: {
+                metric: { type: "string" },
+                interval: { type: "string" },
+                group_by: nullable({ type: "string" }),
+                from: { type: "string", format: "date" },
+                to: { type: "string", format: "date" },
+                buckets: { type: "array", items: { type: "string" } },
+                series: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      group: nullable({ type: "string" }),
+                      data: { type: "array", items: { type: "integer" } },
+                      total: { type: "integer" },
+                    },
+                  },
+                },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/analytics/cohorts": {
+        get: operation("analytics:read", {
+          summary: "Signup cohorts by periods since signup",
+          tags: ["Analytics"],
+          parameters: [
+            queryParam("interval", {
+              type: "string",
+              enum: cohortIntervals,
+              default: "month",
+            }),
+            queryParam("periods", {
+              type: "integer",
+              minimum: 1,
+              maximum: 60,
+              default: 12,
+            }),
+            queryParam("traffic_source", { type: "string" }),
+            queryParam("from", { type: "string", format: "date" }),
+            queryParam("to", { type: "string", format: "date" }),
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("Cohort retention", {
+              type: "object",
+              properties: {
+                interval: { type: "string" },
+                periods: { type: "integer" },
+                filters: { type: "object" },
+                cohorts: { type: "array", items: { type: "object" } },
+                summary: { type: "object" },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/analytics/geo": {
+        get: operation("analytics:read", {
+          summary: "Customers, orders and return rate by location",
+          description:
+            "`country`, `state` and `city` levels aggregate by region (states and cities within their country), busiest first. `grid` clusters customers into square cells for a map: cells are 180° at zoom 0 and halve with each zoom level. Orders are placed by their customer's location.",
+          tags: ["Analytics"],
+          parameters: [
+            queryParam("level", {
+              type: "string",
+              enum: geoLevels,
+              default: "country",
+            }),
+            queryParam(
+              "bbox",
+              { type: "string" },
+              "Only customers inside west,south,east,north (degrees); west may exceed east to span the antimeridian"
+            ),
+            queryParam(
+              "zoom",
+              { type: "integer", minimum: 0, maximum: maxGridZoom, default: 2 },
+              "Grid level only"
+            ),
+            queryParam(
+              "limit",
+              { type: "integer", minimum: 1, maximum: 1000, default: 100 },
+              "Most regions, or grid cells, to return; grid cells with the most customers come first"
+            ),
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("Regions or grid cells", {
+              type: "object",
+              properties: {
+                level: { type: "string", enum: geoLevels },
+                bbox: nullable({ type: "object" }),
+                zoom: { type: "integer" },
+                cell_size: { type: "number" },
+                regions: {
+                  type: "array",
+                  items: {
+                    allOf: [
+                      ref("GeoFigures"),
+                      {
+                        type: "object",
+                        properties: {
+                          country: nullable({ type: "string" }),
+                          state: nullable({ type: "string" }),
+                          city: nullable({ type: "string" }),
+                        },
+                      },
+                    ],
+                  },
+                },
+                cells: {
+                  type: "array",
+                  items: {
+                    allOf: [
+                      ref("GeoFigures"),
+                      {
+                        type: "object",
+                        properties: {
+                          bounds: {
+                            type: "object",
+                            properties: {
+                              west: { type: "number" },
+                              south: { type: "number" },
+                              east: { type: "number" },
+                              north: { type: "number" },
+                            },
+                          },
+                          customer_id: ref("NullableBigInt"),
+                        },
+                      },
+                    ],
+                  },
+                },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/analytics/fulfillment": {
+        get: operation("analytics:read", {
+          summary: "Processing, delivery and return times",
+          description: `Durations are in days: processing from order to shipment, delivery from shipment to delivery and return from delivery to return. Histograms count orders per whole day; the last bucket (${fulfillment.histogramDays} days) holds everything longer. \`from\` and \`to\` select orders by order date. Stuck orders are those waiting in a status longer than its SLA, whenever they were placed.`,
+          tags: ["Analytics"],
+          parameters: [
+            queryParam("from", { type: "string", format: "date" }),
+            queryParam(
+              "to",
+              { type: "string", format: "date" },
+              "Inclusive of the whole day"
+            ),
+            ...Object.entries(fulfillment.sla).map(([status, days]) =>
+              queryParam(
+                `${status}_sla_days`,
+                { type: "number", minimum: 0.01, default: days },
+                `Days an order may stay ${status} before it is flagged`
+              )
+            ),
+            queryParam(
+              "limit",
+              { type: "integer", minimum: 1, maximum: 500, default: 50 },
+              "Most stuck orders listed"
+            ),
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("Fulfillment performance", {
+              type: "object",
+              properties: {
+                filters: { type: "object" },
+                orders: { type: "integer" },
+                histogram_max_days: { type: "integer" },
+                metrics: {
+                  type: "object",
+                  properties: Object.fromEntries(
+                    fulfillment.metrics.map((name) => [
+                      name,
+                      {
+                        allOf: [
+                          ref("FulfillmentDurations"),
+                          {
+                            type: "object",
+                            properties: {
+                              histogram: {
+                                type: "array",
+                                items: {
+                                  type: "object",
+                                  properties: {
+                                    days: { type: "integer" },
+                                    orders: { type: "integer" },
+                                  },
+                                },
+                              },
+                            },
+                          },
+                        ],
+                      },
+                    ])
+                  ),
+                },
+                breakdowns: {
+                  type: "object",
+                  properties: Object.fromEntries(
+                    fulfillment.breakdowns.map((name) => [
+                      name,
+                      {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            key: {
+                              anyOf: [
+                                nullable({ type: "string" }),
+                                nullable({ type: "integer" }),
+                              ],
+                            },
+                            orders: { type: "integer" },
+                            ...Object.fromEntries(
+                              fulfillment.metrics.map((metric) => [
+                                metric,
+                                ref("FulfillmentDurations"),
+                              ])
+                            ),
+                          },
+                        },
+                      },
+                    ])
+                  ),
+                },
+                sla: {
+                  type: "object",
+                  properties: {
+                    days: { type: "object" },
+                    stuck: {
+                      type: "object",
+                      description: "Number of stuck orders per status",
+                    },
+                    orders: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: {
+                          order_id: ref("BigInt"),
+                          user_id: ref("NullableBigInt"),
+                          status: { type: "string" },
+                          num_of_item: nullable({ type: "integer" }),
+                          since: timestamp,
+                          days_in_status: { type: "number" },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/analytics/channels": {
+        get: operation("analytics:read", {
+          summary: "Acquisition and order figures per traffic source",
+          description:
+            "Covers live customers who signed up between `from` and `to` (the last 90 days by default), compared with the period of equal length just before. Orders are counted whenever they were placed; `orders_per_customer` is per customer who ordered. `change` holds the percentage change of each figure, null when the previous figure is null or zero. Trends cover the current period, one value per bucket.",
+          tags: ["Analytics"],
+          parameters: [
+            queryParam("from", { type: "string", format: "date" }),
+            queryParam(
+              "to",
+              { type: "string", format: "date" },
+              "Inclusive of the whole day"
+            ),
+            queryParam(
+              "interval",
+              {
+                type: "string",
+                enum: timeseries.intervals,
+                default: "week",
+              },
+              "Trend bucket size"
+            ),
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("Channel comparison", {
+              type: "object",
+              properties: {
+                interval: { type: "string" },
+                from: { type: "string", format: "date" },
+                to: { type: "string", format: "date" },
+                previous: {
+                  type: "object",
+                  properties: {
+                    from: { type: "string", format: "date" },
+                    to: { type: "string", format: "date" },
+                  },
+                },
+                buckets: { type: "array", items: { type: "string" } },
+                channels: {
+                  type: "array",
+                  items: {
+                    allOf: [
+                      ref("ChannelComparison"),
+                      {
+                        type: "object",
+                        properties: {
+                          traffic_source: nullable({ type: "string" }),
+                          trend: {
+                            type: "object",
+                            properties: {
+                              signups: {
+                                type: "array",
+                                items: { type: "integer" },
+                              },
+                              orders: {
+                                type: "array",
+                                items: { type: "integer" },
+                              },
+                            },
+                          },
+                        },
+                      },
+                    ],
+                  },
+                },
+                total: ref("ChannelComparison"),
+              },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/segments": {
+        get: operation("analytics:read", {
+          summary: "Customer segments with their size and averages",
+          tags: ["Analytics"],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("Segments", {
+              type: "object",
+              properties: {
+                total_customers: { type: "integer" },
+                segments: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      name: { type: "string", enum: segments },
+                      label: { type: "string" },
+                      description: { type: "string" },
+                      customers: { type: "integer" },
+                      share: { type: "string" },
+                      average_orders: { type: "number" },
+                      average_items: { type: "number" },
+                      average_days_since_last_order: nullable({
+                        type: "number",
+                      }),
+                    },
+                  },
+                },
+              },
+            }),
+          },
+        }),
+      },
+      "/segments/{name}/customers": {
+        get: operation("customers:read", {
+          summary: "List the customers in a segment",
+          tags: ["Analytics"],
+          parameters: [
+            pathParam("name", { type: "string" }, "Segment name"),
+            ...customerListParameters,
+          ],
+          responses: {
+            304: NOT_MODIFIED,
+            200: success("A page of customers", customerListData),
+            400: errorResponse("BadRequest"),
+            404: errorResponse("NotFound"),
+          },
+        }),
+      },
+      "/imports": {
+        post: operation("data:import", {
+          summary: "Upload a users or orders CSV and start importing it",
+          description:
+            "Responds 202 with the job; poll GET /imports/{id} for progress. Rows for customers who have been erased or deleted are skipped rather than written back.",
+          tags: ["Imports"],
+          requestBody: {
+            required: true,
+            content: {
+              "multipart/form-data": {
+                schema: {
+                  type: "object",
+                  required: ["file", "type"],
+                  properties: {
+                    file: { type: "string", format: "binary" },
+                    type: { type: "string", enum: Object.keys(importTypes) },
+                    dry_run: { type: "boolean", default: false },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            202: success("The import job", {
+              type: "object",
+              properties: { job: ref("ImportJob") },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+      "/imports/{id}": {
+        get: operation("data:import", {
+          summary: "Status, progress and row errors of an import",
+          tags: ["Imports"],
+          parameters: [pathParam("id", { type: "string" }, "Import job ID")],
+          responses: {
+            200: success("The import job", {
+              type: "object",
+              properties: { job: ref("ImportJob") },
+            }),
+            404: errorResponse("NotFound"),
+          },
+        }),
+      },
+      "/audit": {
+        get: operation("audit:read", {
+          summary: "Audit log entries, newest first",
+          tags: ["Audit"],
+          parameters: [
+            param("Page"),
+            queryParam("limit", {
+              type: "integer",
+              minimum: 1,
+              maximum: 100,
+              default: 20,
+            }),
+            param("Cursor"),
+            filter("customer_id", "ids"),
+            filter("order_id", "ids"),
+            filter(
+              "actor",
+              "text",
+              "Account or API key name (case-insensitive)"
+            ),
+            filter("action", "text"),
+            filter("occurred_at", "date"),
+            queryParam("from", { type: "string", format: "date" }),
+            queryParam(
+              "to",
+              { type: "string", format: "date" },
+              "Inclusive of the whole day"
+            ),
+          ],
+          responses: {
+            200: success("A page of audit entries", {
+              type: "object",
+              required: ["entries", "pagination"],
+              properties: {
+                entries: { type: "array", items: ref("AuditEntry") },
+                pagination: {
+                  oneOf: [ref("PagePagination"), ref("CursorPagination")],
+                },
+                filters: { type: "object" },
+              },
+            }),
+            400: errorResponse("BadRequest"),
+          },
+        }),
+      },
+    },
+  };
+};
+
+module.exports = { buildOpenApiSpec };
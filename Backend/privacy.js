@@ -0,0 +1,199 @@
+const archiver = require("archiver");
+const { recordAudit } = require("./audit");
+
+// Data subject requests: a bundle of everything held about a customer, and
+// erasure of their personal data. Erasure anonymizes the user row in place
+// rather than deleting it, so their orders still count towards order,
+// status and location statistics.
+
+// Personal data cleared by an erasure, with the value each column is set to.
+// City, state and country are kept for aggregate reporting.
+const ERASED_FIELDS = {
+  first_name: () => "Anonymized",
+  last_name: () => "Customer",
+  email: (id) => `erased+${id}@anonymized.invalid`,
+  street_address: () => null,
+  postal_code: () => null,
+  latitude: () => null,
+  longitude: () => null,
+};
+
+// Sections of a data export bundle, each written to its own file in the ZIP
+// format
+const EXPORT_SECTIONS = [
+  "profile",
+  "derived",
+  "orders",
+  "order_history",
+  "merged_accounts",
+  "access_log",
+  "erasure_requests",
+];
+
+// Everything held about a customer, as a plain object with one key per
+// EXPORT_SECTIONS entry plus `metadata`. `customer` is the formatted
+// customer (with segment, RFM scores and order statistics) the API returns.
+const buildDataExport = async (pool, customer) => {
+  const id = customer.id;
+  const [profile, orders, history, merged, access, erasures] =
+    await Promise.all([
+      pool.query("SELECT * FROM users WHERE id = $1", [id]),
+      pool.query(
+        "SELECT * FROM orders WHERE user_id = $1 ORDER BY created_at, order_id",
+        [id]
+      ),
+      pool.query(
+        `SELECT h.order_id, h.from_status, h.to_status, h.note, h.changed_at
+         FROM order_history h
+         JOIN orders o ON o.order_id = h.order_id
+         WHERE o.user_id = $1
+         ORDER BY h.changed_at, h.id`,
+        [id]
+      ),
+      pool.query("SELECT * FROM users WHERE merged_into = $1 ORDER BY id", [
+        id,
+      ]),
+      pool.query(
+        `SELECT occurred_at, actor, actor_role, action, changes, details
+         FROM audit_log
+         WHERE customer_ids @> ARRAY[$1]::bigint[]
+         ORDER BY occurred_at, id`,
+        [id]
+      ),
+      pool.query(
+        `SELECT id, erased_customer_ids, erased_fields, reason, reference,
+                requested_by, completed_at
+         FROM erasure_requests
+         WHERE customer_id = $1
+         ORDER BY completed_at`,
+        [id]
+      ),
+    ]);
+
+  return {
+    metadata: {
+      customer_id: Number(id),
+      generated_at: new Date().toISOString(),
+      sections: EXPORT_SECTIONS,
+    },
+    profile: profile.rows[0],
+    derived: {
+      segment: customer.segment,
+      rfm_scores: customer.rfm_scores,
+      order_statistics: customer.order_statistics,
+    },
+    orders: orders.rows,
+    order_history: history.rows,
+    merged_accounts: merged.rows,
+    access_log: access.rows,
+    erasure_requests: erasures.rows,
+  };
+};
+
+// Stream a data export bundle as a ZIP with a JSON file per section
+const writeDataExportZip = async (res, bundle) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on("error", reject);
+    res.on("close", resolve);
+  });
+
+  archive.pipe(res);
+  for (const section of ["metadata", ...EXPORT_SECTIONS]) {
+    archive.append(JSON.stringify(bundle[section], null, 2), {
+      name: `${section}.json`,
+    });
+  }
+  await archive.finalize();
+  return finished;
+};
+
+// Anonymize a customer, and any accounts merged into them, inside the
+// caller's transaction. Personal data is also scrubbed from the changes
+// recorded in the audit log. Resolves to { erasure } with the request
+// record, or { error: "not_found" | "already_erased" }.
+const eraseCustomer = async (
+  client,
+  req,
+  customerId,
+  { reason, reference }
+) => {
+  const target = await client.query(
+    "SELECT id, anonymized_at FROM users WHERE id = $1 FOR UPDATE",
+    [customerId]
+  );
+  if (target.rows.length === 0) return { error: "not_found" };
+  if (target.rows[0].anonymized_at) return { error: "already_erased" };
+
+  const merged = await client.query(
+    `SELECT id FROM users
+     WHERE merged_into = $1 AND anonymized_at IS NULL
+     ORDER BY id
+     FOR UPDATE`,
+    [customerId]
+  );
+  const ids = [Number(customerId), ...merged.rows.map((row) => Number(row.id))];
+
+  const fields = Object.keys(ERASED_FIELDS);
+  for (const id of ids) {
+    await client.query(
+      `UPDATE users
+       SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(", ")},
+           anonymized_at = NOW()
+       WHERE id = $1`,
+      [id, ...fields.map((field) => ERASED_FIELDS[field](id))]
+    );
+  }
+
+  // Earlier entries keep which fields changed, but not their values
+  await client.query(
+    `UPDATE audit_log
+     SET changes = (
+       SELECT jsonb_object_agg(
+         key,
+         CASE WHEN key = ANY($2::text[])
+           THEN '{"from": "[erased]", "to": "[erased]"}'::jsonb
+           ELSE value
+         END
+       )
+       FROM jsonb_each(changes)
+     )
+     WHERE customer_ids && $1::bigint[] AND changes IS NOT NULL`,
+    [ids, fields]
+  );
+
+  const auth = req.auth || {};
+  const erasure = await client.query(
+    `INSERT INTO erasure_requests (
+       customer_id, erased_customer_ids, erased_fields, reason, reference,
+       requested_by, requested_by_role
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      customerId,
+      ids,
+      fields,
+      reason || null,
+      reference || null,
+      auth.name || null,
+      auth.role || null,
+    ]
+  );
+
+  await recordAudit(client, req, {
+    action: "customer.erase",
+    customerIds: ids,
+    details: { erasure_request_id: Number(erasure.rows[0].id), fields },
+  });
+
+  return { erasure: erasure.rows[0] };
+};
+
+module.exports = {
+  ERASED_FIELDS,
+  EXPORT_SECTIONS,
+  buildDataExport,
+  writeDataExportZip,
+  eraseCustomer,
+};
@@ -0,0 +1,211 @@
+const { hasPermission } = require("./auth");
+
+// Personal data policy. Callers without the customers:read_pii permission
+// get these fields masked wherever they appear in a response or export,
+// however deeply nested; each rule returns the value to send, or undefined
+// to drop the field.
+const maskEmail = (email) => {
+  if (typeof email !== "string") return email;
+  const at = email.lastIndexOf("@");
+  if (at < 1) return "***";
+  return `${email[0]}***${email.slice(at)}`;
+};
+
+// Keep the outward part of a postal code (e.g. "10001" -> "100")
+const truncatePostalCode = (postalCode) =>
+  typeof postalCode === "string" ? postalCode.slice(0, 3) : postalCode;
+
+// One decimal place is roughly 11 km
+const roundCoordinate = (value) =>
+  value === null || value === undefined
+    ? value
+    : Math.round(Number(value) * 10) / 10;
+
+const REDACTION_RULES = {
+  email: maskEmail,
+  customer_email: maskEmail,
+  street_address: () => undefined,
+  postal_code: truncatePostalCode,
+  latitude: roundCoordinate,
+  longitude: roundCoordinate,
+};
+
+// Top-level response data keys holding the records `fields` projects, most
+// specific first: a customer's order list projects its orders, not the
+// customer id beside them
+const PROJECTED_DATA_KEYS = ["customers", "orders", "customer", "order"];
+
+const FIELD_PATTERN = /^[a-z_]+(\.[a-z_]+)*$/;
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const canReadPii = (auth) =>
+  Boolean(auth && hasPermission(auth.role, "customers:read_pii"));
+
+// SQL expressions for customer coordinates (of the `table` alias) at the
+// precision the caller may see: exact, or rounded like roundCoordinate.
+// Queries that measure or group by location use them, so distances and map
+// clusters give away no more than the coordinates in a response.
+const coordinateColumns = (auth, table = "u") =>
+  canReadPii(auth)
+    ? { latitude: `${table}.latitude`, longitude: `${table}.longitude` }
+    : {
+        latitude: `ROUND(${table}.latitude::numeric, 1)::float8`,
+        longitude: `ROUND(${table}.longitude::numeric, 1)::float8`,
+      };
+
+// Apply the redaction rules to a value and everything nested in it, unless
+// the caller may read personal data. Returns a new value; the input is not
+// modified.
+const redact = (value, auth) => {
+  if (canReadPii(auth)) return value;
+
+  const walk = (item) => {
+    if (Array.isArray(item)) return item.map(walk);
+    if (!isPlainObject(item)) return item;
+
+    const redacted = {};
+    for (const [key, fieldValue] of Object.entries(item)) {
+      const next = REDACTION_RULES[key]
+        ? REDACTION_RULES[key](fieldValue)
+        : walk(fieldValue);
+      if (next !== undefined) redacted[key] = next;
+    }
+    return redacted;
+  };
+
+  return walk(value);
+};
+
+// Parse a `fields` query value ("id,email,location.city") into a list of
+// field paths. Returns { fields } (null when not given) or { error }.
+const parseFields = (param) => {
+  if (param === undefined || param === "") return { fields: null };
+
+  const fields = String(param)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  const invalid = fields.filter((field) => !FIELD_PATTERN.test(field));
+  if (fields.length === 0 || invalid.length) {
+    return {
+      error: `fields must be a comma-separated list of field names (invalid: ${
+        invalid.join(", ") || param
+      })`,
+    };
+  }
+  return { fields };
+};
+
+// Keep only the listed field paths of a record. Dotted paths select inside
+// nested objects; fields the record does not have are skipped.
+const projectRecord = (record, fields) => {
+  const projected = {};
+  const nested = new Map();
+
+  for (const field of fields) {
+    const [head, ...rest] = field.split(".");
+    if (!Object.prototype.hasOwnProperty.call(record, head)) continue;
+    if (rest.length === 0) {
+      projected[head] = record[head];
+    } else {
+      nested.set(head, [...(nested.get(head) || []), rest.join(".")]);
+    }
+  }
+
+  for (const [head, subfields] of nested) {
+    if (!(head in projected) && isPlainObject(record[head])) {
+      projected[head] = projectRecord(record[head], subfields);
+    }
+  }
+  return projected;
+};
+
+// Redact response data for the caller and apply the `fields` projection to
+// its records
+const redactResponseData = (data, auth, fields) => {
+  const redacted = redact(data, auth);
+  if (!fields || !isPlainObject(redacted)) return redacted;
+
+  const key = PROJECTED_DATA_KEYS.find(
+    (candidate) =>
+      Array.isArray(redacted[candidate]) || isPlainObject(redacted[candidate])
+  );
+  if (!key) return redacted;
+
+  const records = redacted[key];
+  return {
+    ...redacted,
+    [key]: Array.isArray(records)
+      ? records.map((record) =>
+          isPlainObject(record) ? projectRecord(record, fields) : record
+        )
+      : projectRecord(records, fields),
+  };
+};
+
+// Response bodies redactResponseBody has produced, so the middleware does
+// not redact them a second time
+const redactedBodies = new WeakSet();
+
+// A JSON response body as sent to the caller of `req`: the `data` of a
+// successful response passed through redactResponseData. The response cache
+// stores bodies in this form (see cache.js).
+const redactResponseBody = (body, req) => {
+  if (!body || !body.success || body.data === undefined) return body;
+  if (redactedBodies.has(body)) return body;
+  const redacted = {
+    ...body,
+    data: redactResponseData(body.data, req.auth, req.fields),
+  };
+  redactedBodies.add(redacted);
+  return redacted;
+};
+
+// Middleware applying the policy to every JSON response: validates
+// `?fields=` (400 when malformed) and passes every body through
+// redactResponseBody. Runs after authentication.
+const applyRedactionPolicy = (req, res, next) => {
+  const { fields, error } = parseFields(req.query.fields);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid fields",
+      message: error,
+    });
+  }
+  req.fields = fields;
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(redactResponseBody(body, req));
+  next();
+};
+
+// Columns to export given the request's `fields`: the requested ones, in
+// the order asked for, or every available column. Returns { columns } or
+// { error } naming fields that cannot be exported.
+const selectExportColumns = (fields, available) => {
+  if (!fields) return { columns: available };
+  const unknown = fields.filter((field) => !available.includes(field));
+  if (unknown.length) {
+    return {
+      error: `Unknown export fields: ${unknown.join(", ")}. Available: ${available.join(", ")}`,
+    };
+  }
+  return { columns: [...new Set(fields)] };
+};
+
+module.exports = {
+  maskEmail,
+  redact,
+  coordinateColumns,
+  parseFields,
+  projectRecord,
+  redactResponseData,
+  redactResponseBody,
+  applyRedactionPolicy,
+  selectExportColumns,
+};
@@ -0,0 +1,80 @@
+// Manage sign-in accounts and API keys.
+//
+//   npm run accounts -- add <username> <viewer|support|admin>
+//   npm run accounts -- list
+//   npm run accounts -- api-key <name> <viewer|support|admin>
+//
+// `add` reads the password from ACCOUNT_PASSWORD, or asks for it.
+const readline = require("readline");
+const pool = require("../db");
+const { ROLES, createAccount, createApiKey } = require("../auth");
+
+const USAGE = `Usage: npm run accounts -- <add <username> <role>|list|api-key <name> <role>>
+Roles: ${ROLES.join(", ")}`;
+
+// Ask for a password on the terminal without echoing it
+const promptPassword = () =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+    });
+    rl.question("Password: ", (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+    rl._writeToOutput = () => {};
+  });
+
+const main = async () => {
+  const [command, name, role] = process.argv.slice(2);
+
+  if (command === "add" && name && ROLES.includes(role)) {
+    const password = process.env.ACCOUNT_PASSWORD || (await promptPassword());
+    try {
+      const account = await createAccount(pool, {
+        username: name,
+        password,
+        role,
+      });
+      console.log(`✅ Created ${account.role} account ${account.username}`);
+    } catch (error) {
+      // Unique violation on the username index
+      if (error.code === "23505") {
+        throw new Error(`An account named ${name} already exists`);
+      }
+      throw error;
+    }
+  } else if (command === "list") {
+    const result = await pool.query(
+      "SELECT username, role, created_at, last_login_at FROM accounts ORDER BY username"
+    );
+    if (result.rows.length === 0) {
+      console.log("No accounts yet");
+    }
+    for (const account of result.rows) {
+      console.log(
+        `${account.username.padEnd(24)} ${account.role.padEnd(8)} last sign-in ${
+          account.last_login_at ? account.last_login_at.toISOString() : "never"
+        }`
+      );
+    }
+  } else if (command === "api-key" && name && ROLES.includes(role)) {
+    const apiKey = await createApiKey(pool, { name, role });
+    console.log(`✅ Created ${apiKey.role} API key "${apiKey.name}":`);
+    console.log(`   ${apiKey.key}`);
+    console.log("   Store it now; it cannot be shown again.");
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error("❌", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,74 @@
+// Import a users or orders CSV into the database, validating every row and
+// upserting by id in one transaction.
+//
+//   npm run import -- users ../Dataset/users.csv
+//   npm run import -- orders ../Dataset/orders.csv --dry-run
+const fs = require("fs");
+const pool = require("../db");
+const { IMPORT_TYPES, runImport } = require("../importer");
+
+// Errors printed before the rest are summarised
+const MAX_PRINTED_ERRORS = 20;
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const [type, file] = args.filter((arg) => !arg.startsWith("--"));
+
+  if (!IMPORT_TYPES[type] || !file) {
+    console.error(
+      `Usage: npm run import -- <${Object.keys(IMPORT_TYPES).join("|")}> <file.csv> [--dry-run]`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`📥 Importing ${type} from ${file}${dryRun ? " (dry run)" : ""}`);
+  const result = await runImport(pool, {
+    type,
+    stream: fs.createReadStream(file),
+    dryRun,
+    onProgress: (progress) =>
+      process.stdout.write(`\r   ${progress.processed_rows} rows processed`),
+  });
+  process.stdout.write("\n");
+
+  if (result.ignored_columns.length) {
+    console.log(`   Ignored columns: ${result.ignored_columns.join(", ")}`);
+  }
+
+  if (result.failed_rows > 0) {
+    console.error(
+      `❌ ${result.failed_rows} rows failed validation; nothing was imported`
+    );
+    for (const error of result.errors.slice(0, MAX_PRINTED_ERRORS)) {
+      console.error(`   line ${error.line}: ${error.message}`);
+    }
+    if (result.errors.length > MAX_PRINTED_ERRORS) {
+      console.error(
+        `   ...and ${result.errors.length - MAX_PRINTED_ERRORS} more errors`
+      );
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(
+    `✅ ${dryRun ? "Dry run passed: would insert" : "Inserted"} ${
+      result.inserted
+    } and ${dryRun ? "update" : "updated"} ${result.updated} ${type}`
+  );
+  if (result.skipped > 0) {
+    console.log(`⚠️  Skipped ${result.skipped} rows:`);
+    for (const row of result.skipped_rows.slice(0, MAX_PRINTED_ERRORS)) {
+      console.log(`   line ${row.line}: ${row.message}`);
+    }
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error("❌ Import failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,57 @@
+// Apply, revert or list the SQL migrations in migrations/.
+//
+//   npm run migrate -- up [steps]     apply pending migrations
+//   npm run migrate -- down [steps]   revert the last migration(s)
+//   npm run migrate -- status         list applied and pending migrations
+const pool = require("../db");
+const { migrateUp, migrateDown, migrationStatus } = require("../migrator");
+
+const USAGE = "Usage: npm run migrate -- <up|down|status> [steps]";
+
+const main = async () => {
+  const [command, stepsArg] = process.argv.slice(2);
+  const steps = stepsArg === undefined ? undefined : Number(stepsArg);
+  if (steps !== undefined && (!Number.isInteger(steps) || steps < 1)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (command === "up") {
+    const applied = await migrateUp(pool, { steps });
+    if (applied.length === 0) {
+      console.log("✅ Database is up to date");
+    }
+    for (const migration of applied) {
+      console.log(`✅ Applied ${migration.version}_${migration.name}`);
+    }
+  } else if (command === "down") {
+    const reverted = await migrateDown(pool, { steps });
+    if (reverted.length === 0) {
+      console.log("Nothing to revert");
+    }
+    for (const migration of reverted) {
+      console.log(`↩  Reverted ${migration.version}_${migration.name}`);
+    }
+  } else if (command === "status") {
+    for (const migration of await migrationStatus(pool)) {
+      console.log(
+        `${migration.applied_at ? "applied" : "pending"}  ${migration.version}_${migration.name}${
+          migration.applied_at
+            ? `  (${migration.applied_at.toISOString()})`
+            : ""
+        }`
+      );
+    }
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error("❌", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
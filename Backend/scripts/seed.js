@@ -0,0 +1,47 @@
+// Fill a freshly migrated database with deterministic synthetic customers
+// and orders.
+//
+//   npm run seed                          500 customers from seed 41
+//   npm run seed -- --users 2000 --seed 7
+//   npm run seed -- --reset               replace existing customers and orders
+const pool = require("../db");
+const { seedDatabase } = require("../seeder");
+
+const USAGE =
+  "Usage: npm run seed -- [--users <count>] [--seed <number>] [--reset]";
+
+// Value following `--name`, as a positive integer (undefined when absent)
+const integerOption = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const value = Number(args[index + 1]);
+  return Number.isInteger(value) && value > 0 ? value : NaN;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const users = integerOption(args, "--users");
+  const seed = integerOption(args, "--seed");
+  if (Number.isNaN(users) || Number.isNaN(seed)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log("🌱 Seeding synthetic customers and orders");
+  const result = await seedDatabase(pool, {
+    users,
+    seed,
+    reset: args.includes("--reset"),
+  });
+  console.log(
+    `✅ Inserted ${result.users} customers and ${result.orders} orders`
+  );
+};
+
+main()
+  .catch((error) => {
+    console.error("❌ Seeding failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
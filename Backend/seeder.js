@@ -0,0 +1,354 @@
+// Deterministic synthetic customers and orders for local development. The
+// same options always produce the same rows, so a fresh database can be
+// brought to a known state without the original CSVs.
+
+// Rows inserted per INSERT statement
+const BATCH_SIZE = 500;
+
+const FIRST_NAMES = {
+  F: [
+    "Olivia",
+    "Emma",
+    "Ava",
+    "Sofia",
+    "Mia",
+    "Isabella",
+    "Lucia",
+    "Hana",
+    "Amara",
+    "Chloe",
+    "Priya",
+    "Yuki",
+  ],
+  M: [
+    "Liam",
+    "Noah",
+    "Lucas",
+    "Mateo",
+    "Ethan",
+    "Hugo",
+    "Arjun",
+    "Kenji",
+    "Omar",
+    "Leo",
+    "Daniel",
+    "Felix",
+  ],
+};
+
+const LAST_NAMES = [
+  "Smith",
+  "Garcia",
+  "Müller",
+  "Rossi",
+  "Kim",
+  "Nguyen",
+  "Silva",
+  "Tanaka",
+  "Brown",
+  "Martin",
+  "Khan",
+  "Lopez",
+  "Wilson",
+  "Dubois",
+  "Novak",
+  "Chen",
+];
+
+const LOCATIONS = [
+  {
+    country: "United States",
+    state: "California",
+    city: "Los Angeles",
+    latitude: 34.05,
+    longitude: -118.24,
+  },
+  {
+    country: "United States",
+    state: "New York",
+    city: "New York",
+    latitude: 40.71,
+    longitude: -74.01,
+  },
+  {
+    country: "United States",
+    state: "Texas",
+    city: "Austin",
+    latitude: 30.27,
+    longitude: -97.74,
+  },
+  {
+    country: "China",
+    state: "Guangdong",
+    city: "Shenzhen",
+    latitude: 22.54,
+    longitude: 114.06,
+  },
+  {
+    country: "China",
+    state: "Shanghai",
+    city: "Shanghai",
+    latitude: 31.23,
+    longitude: 121.47,
+  },
+  {
+    country: "Brasil",
+    state: "São Paulo",
+    city: "São Paulo",
+    latitude: -23.55,
+    longitude: -46.63,
+  },
+  {
+    country: "South Korea",
+    state: "Seoul",
+    city: "Seoul",
+    latitude: 37.57,
+    longitude: 126.98,
+  },
+  {
+    country: "France",
+    state: "Île-de-France",
+    city: "Paris",
+    latitude: 48.86,
+    longitude: 2.35,
+  },
+  {
+    country: "United Kingdom",
+    state: "England",
+    city: "London",
+    latitude: 51.51,
+    longitude: -0.13,
+  },
+  {
+    country: "Germany",
+    state: "Berlin",
+    city: "Berlin",
+    latitude: 52.52,
+    longitude: 13.4,
+  },
+  {
+    country: "Spain",
+    state: "Madrid",
+    city: "Madrid",
+    latitude: 40.42,
+    longitude: -3.7,
+  },
+  {
+    country: "Japan",
+    state: "Tokyo",
+    city: "Tokyo",
+    latitude: 35.68,
+    longitude: 139.69,
+  },
+  {
+    country: "Australia",
+    state: "New South Wales",
+    city: "Sydney",
+    latitude: -33.87,
+    longitude: 151.21,
+  },
+];
+
+const STREETS = [
+  "Main",
+  "Oak",
+  "Maple",
+  "Park",
+  "Cedar",
+  "Hill",
+  "Lake",
+  "River",
+];
+
+// Weighted choices: [value, weight]
+const TRAFFIC_SOURCES = [
+  ["Search", 70],
+  ["Organic", 15],
+  ["Facebook", 6],
+  ["Email", 5],
+  ["Display", 4],
+];
+const ORDER_COUNTS = [
+  [0, 30],
+  [1, 35],
+  [2, 18],
+  [3, 10],
+  [4, 5],
+  [5, 2],
+];
+const ORDER_STATUSES = [
+  ["delivered", 45],
+  ["shipped", 20],
+  ["pending", 15],
+  ["cancelled", 12],
+  ["returned", 8],
+];
+
+// Signups are spread over this range; orders follow signups up to the end
+const SIGNUP_START = Date.UTC(2023, 0, 1);
+const SIGNUP_END = Date.UTC(2024, 11, 31);
+const ORDERS_END = Date.UTC(2025, 2, 31);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Generate `userCount` customers and their orders from `seed`
+const generateData = ({ users: userCount, seed }) => {
+  const random = createRandom(seed);
+  const between = (min, max) => min + random() * (max - min);
+  const integer = (min, max) => Math.floor(between(min, max + 1));
+  const pick = (values) => values[Math.floor(random() * values.length)];
+  const weighted = (choices) => {
+    const total = choices.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = random() * total;
+    for (const [value, weight] of choices) {
+      roll -= weight;
+      if (roll < 0) return value;
+    }
+    return choices[choices.length - 1][0];
+  };
+
+  const users = [];
+  const orders = [];
+  for (let id = 1; id <= userCount; id++) {
+    const gender = random() < 0.5 ? "F" : "M";
+    const firstName = pick(FIRST_NAMES[gender]);
+    const lastName = pick(LAST_NAMES);
+    const location = pick(LOCATIONS);
+    const signedUp = between(SIGNUP_START, SIGNUP_END);
+
+    users.push({
+      id,
+      first_name: firstName,
+      last_name: lastName,
+      email: `${firstName}.${lastName}${id}@example.com`
+        .normalize("NFD")
+        .replace(/[^\x20-\x7e]/g, "")
+        .toLowerCase(),
+      age: integer(12, 70),
+      gender,
+      state: location.state,
+      street_address: `${integer(1, 9999)} ${pick(STREETS)} Street`,
+      postal_code: String(integer(10000, 99999)),
+      city: location.city,
+      country: location.country,
+      latitude: Number((location.latitude + between(-0.2, 0.2)).toFixed(6)),
+      longitude: Number((location.longitude + between(-0.2, 0.2)).toFixed(6)),
+      traffic_source: weighted(TRAFFIC_SOURCES),
+      created_at: new Date(signedUp),
+    });
+
+    const orderCount = weighted(ORDER_COUNTS);
+    for (let n = 0; n < orderCount; n++) {
+      const created = between(signedUp, ORDERS_END);
+      const status = weighted(ORDER_STATUSES);
+      const shipped =
+        status === "pending" || status === "cancelled"
+          ? null
+          : created + between(2 * HOUR_MS, 3 * DAY_MS);
+      const delivered =
+        status === "delivered" || status === "returned"
+          ? shipped + between(DAY_MS, 7 * DAY_MS)
+          : null;
+      const returned =
+        status === "returned" ? delivered + between(DAY_MS, 14 * DAY_MS) : null;
+
+      orders.push({
+        order_id: orders.length + 1,
+        user_id: id,
+        status,
+        gender,
+        created_at: new Date(created),
+        returned_at: returned && new Date(returned),
+        shipped_at: shipped && new Date(shipped),
+        delivered_at: delivered && new Date(delivered),
+        num_of_item: weighted([
+          [1, 60],
+          [2, 25],
+          [3, 10],
+          [4, 5],
+        ]),
+      });
+    }
+  }
+
+  return { users, orders };
+};
+
+// Insert rows in multi-row INSERT batches
+const insertRows = async (client, table, rows) => {
+  if (rows.length === 0) return;
+  const columns = Object.keys(rows[0]);
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const batch = rows.slice(start, start + BATCH_SIZE);
+    const params = [];
+    const values = batch.map(
+      (row) =>
+        `(${columns
+          .map((column) => `$${params.push(row[column])}`)
+          .join(", ")})`
+    );
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(", ")}) VALUES ${values.join(", ")}`,
+      params
+    );
+  }
+};
+
+// Seed the users and orders tables (created by the migrations). Refuses to
+// touch tables that already hold customers unless `reset` is set, which
+// empties them first. Resolves to the number of rows inserted.
+const seedDatabase = async (
+  pool,
+  { users = 500, seed = 41, reset = false } = {}
+) => {
+  const data = generateData({ users, seed });
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    if (reset) {
+      // CASCADE also empties order_history, which references orders
+      await client.query("TRUNCATE users, orders CASCADE");
+    } else {
+      const existing = await client.query("SELECT 1 FROM users LIMIT 1");
+      if (existing.rows.length > 0) {
+        throw new Error(
+          "users table is not empty; reset it to replace its data"
+        );
+      }
+    }
+
+    await insertRows(client, "users", data.users);
+    await insertRows(client, "orders", data.orders);
+
+    // Keep generated customer ids clear of the seeded ones
+    await client.query(`
+      SELECT setval('users_id_seq', GREATEST((SELECT MAX(id) FROM users), 1))
+      WHERE to_regclass('users_id_seq') IS NOT NULL
+    `);
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { users: data.users.length, orders: data.orders.length };
+};
+
+module.exports = { generateData, seedDatabase };
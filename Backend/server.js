@@ -1,155 +1,727 @@
+const fs = require("fs");
+const os = require("os");
 const express = require("express");
-const { Pool } = require("pg");
 const cors = require("cors");
+const multer = require("multer");
+const swaggerUi = require("swagger-ui-express");
+const {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  streamExport,
+} = require("./export");
+const { IMPORT_TYPES, startImportJob, getImportJob } = require("./importer");
+const {
+  ROLES,
+  rolePermissions,
+  login,
+  createApiKey,
+  authenticate,
+  authorize,
+} = require("./auth");
+const { diffChanges, recordAudit, recordView } = require("./audit");
+const {
+  buildDataExport,
+  writeDataExportZip,
+  eraseCustomer,
+} = require("./privacy");
+const {
+  applyRedactionPolicy,
+  redactResponseBody,
+  redact,
+  coordinateColumns,
+  selectExportColumns,
+} = require("./redaction");
+const {
+  FILTER_TYPE_OPERATORS,
+  buildFilters,
+  whereClause,
+  buildOrderBy,
+  parsePagination,
+  fetchPage,
+} = require("./listing");
+const { createMemoryStore, createResponseCache } = require("./cache");
+const {
+  haversineSql,
+  boundingBox,
+  parseBbox,
+  bboxConditions,
+  MAX_GRID_ZOOM,
+  gridCellSize,
+} = require("./geo");
+const { buildOpenApiSpec } = require("./openapi");
+const { sendValidationError, validateRequests } = require("./validation");
 require("dotenv").config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Browser origins allowed to call the API, from a comma-separated
+// CORS_ORIGINS (the Vite dev server by default). "*" allows any origin.
+const corsOrigins = (process.env.CORS_ORIGINS || "http://localhost:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(
+  cors({
+    origin: corsOrigins.includes("*") ? true : corsOrigins,
+    exposedHeaders: ["Content-Disposition", "Location"],
+  })
+);
 app.use(express.json());
 
+// CSV uploads for POST /imports are spooled to a temporary file
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 200 * 1024 * 1024 },
+});
+
 // Database connection
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
+const pool = require("./db");
+
+// Cached list, statistics and analytics responses (see cache.js), kept in
+// process for up to CACHE_TTL_SECONDS and invalidated by writes. Entries
+// are stored redacted for the caller's role, as they are sent.
+const responseCache = createResponseCache({
+  store: createMemoryStore({
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+  }),
+  ttl: parseInt(process.env.CACHE_TTL_SECONDS) || 300,
+  transform: redactResponseBody,
 });
 
-// Test database connection
-pool
-  .connect()
-  .then(() => console.log("✅ Connected to PostgreSQL database"))
-  .catch((err) => console.error("❌ Database connection error:", err));
+// GET /stats computes its figures live by default. With
+// STATS_SOURCE=materialized it reads the stats_summary materialized view,
+// refreshed every STATS_REFRESH_SECONDS instead.
+const STATS_SOURCE =
+  process.env.STATS_SOURCE === "materialized" ? "materialized" : "live";
+const STATS_REFRESH_SECONDS =
+  parseInt(process.env.STATS_REFRESH_SECONDS) || 300;
+
+// GET /stats figures (the stats_summary view is defined with the same
+// columns in migrations/008_stats_summary.up.sql)
+const STATS_COLUMNS = `
+        (SELECT COUNT(*) FROM users WHERE deleted_at IS NULL) as total_customers,
+        (SELECT COUNT(*) FROM orders) as total_orders,
+        (SELECT COALESCE(AVG(num_of_item), 0) FROM orders) as average_items_per_order,
+        (SELECT COALESCE(SUM(num_of_item), 0) FROM orders) as total_items_sold,
+        (SELECT COUNT(*) FROM orders WHERE status = 'delivered') as delivered_orders,
+        (SELECT COUNT(*) FROM orders WHERE status = 'returned') as returned_orders,
+        (SELECT COUNT(DISTINCT traffic_source) FROM users WHERE deleted_at IS NULL) as unique_traffic_sources`;
+
+// Recompute the stats_summary view and drop the cached GET /stats
+// responses built from the old figures. CONCURRENTLY keeps the view
+// readable while it refreshes.
+const refreshStatsSummary = async () => {
+  await pool.query("REFRESH MATERIALIZED VIEW CONCURRENTLY stats_summary");
+  await responseCache.invalidate("stats");
+};
+
+// Identify the caller on every request; routes check permissions with
+// authorize()
+app.use(authenticate(pool));
+
+// Mask personal data the caller may not see and apply `?fields=` to every
+// response
+app.use(applyRedactionPolicy);
 
 // Helper function to validate customer ID
 const isValidId = (id) => {
-  return !isNaN(id) && parseInt(id) > 0;
+  return /^\d+$/.test(id) && parseInt(id) > 0;
 };
 
-// API Routes
+// Helper function to validate a date query value (e.g. 2023-01-31)
+const isValidDate = (value) => !isNaN(Date.parse(value));
 
-// 1. GET /customers - List all customers with pagination
-app.get("/customers", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
+// Escape LIKE wildcards so search input is matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
 
-    // Get total count for pagination metadata
-    const countQuery = "SELECT COUNT(*) FROM users";
-    const countResult = await pool.query(countQuery);
-    const totalCustomers = parseInt(countResult.rows[0].count);
-    const totalPages = Math.ceil(totalCustomers / limit);
+// SQL condition for a returned order (of the `table` alias). Statuses are
+// stored in any case, so compare lowercased like the order filters do.
+const returnedOrder = (table) => `LOWER(${table}.status) = 'returned'`;
 
-    // Get customers with order count
-    const query = `
-      SELECT 
-        u.id,
-        u.first_name,
-        u.last_name,
-        u.email,
-        u.age,
-        u.gender,
-        u.state,
-        u.city,
-        u.country,
-        u.traffic_source,
-        u.created_at,
-        COUNT(o.order_id) as order_count
-      FROM users u
-      LEFT JOIN orders o ON u.id = o.user_id
-      GROUP BY u.id, u.first_name, u.last_name, u.email, u.age, u.gender, u.state, u.city, u.country, u.traffic_source, u.created_at
-      ORDER BY u.id
-      LIMIT $1 OFFSET $2
-    `;
+// Sortable fields for each listing, mapped to the SQL expression they sort by
+const CUSTOMER_SORT_FIELDS = {
+  id: "u.id",
+  first_name: "u.first_name",
+  last_name: "u.last_name",
+  email: "u.email",
+  age: "u.age",
+  gender: "u.gender",
+  state: "u.state",
+  city: "u.city",
+  country: "u.country",
+  traffic_source: "u.traffic_source",
+  created_at: "u.created_at",
+  order_count: "COALESCE(os.order_count, 0)",
+  last_order_date: "os.last_order_date",
+};
 
-    const result = await pool.query(query, [limit, offset]);
+const ORDER_SORT_FIELDS = {
+  order_id: "o.order_id",
+  user_id: "o.user_id",
+  status: "o.status",
+  num_of_item: "o.num_of_item",
+  created_at: "o.created_at",
+  shipped_at: "o.shipped_at",
+  delivered_at: "o.delivered_at",
+  returned_at: "o.returned_at",
+  first_name: "u.first_name",
+  last_name: "u.last_name",
+  email: "u.email",
+};
 
-    res.json({
-      success: true,
-      data: {
-        customers: result.rows,
-        pagination: {
-          current_page: page,
-          total_pages: totalPages,
-          total_customers: totalCustomers,
-          per_page: limit,
-          has_next_page: page < totalPages,
-          has_prev_page: page > 1,
-        },
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching customers:", error);
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-      message: "Failed to fetch customers",
-    });
+const CUSTOMER_ORDER_SORT_FIELDS = {
+  order_id: "o.order_id",
+  status: "o.status",
+  num_of_item: "o.num_of_item",
+  created_at: "o.created_at",
+  shipped_at: "o.shipped_at",
+  delivered_at: "o.delivered_at",
+  returned_at: "o.returned_at",
+};
+
+// Audit entries are listed newest first; `id` breaks ties
+const AUDIT_SORT_FIELDS = {
+  occurred_at: "occurred_at",
+  id: "id",
+};
+
+// Legal order status transitions, mapped to the timestamp column each move
+// sets (cancelling has no timestamp of its own)
+const ORDER_TRANSITIONS = {
+  pending: { shipped: "shipped_at", cancelled: null },
+  shipped: { delivered: "delivered_at" },
+  delivered: { returned: "returned_at" },
+  returned: {},
+  cancelled: {},
+};
+
+// Metrics available from GET /stats/timeseries: the table they are counted
+// from, the timestamp that places a row in a bucket and the aggregate summed
+// into each bucket
+const TIMESERIES_METRICS = {
+  orders: {
+    from: "orders o LEFT JOIN users u ON o.user_id = u.id",
+    dateColumn: "o.created_at",
+    value: "COUNT(*)",
+  },
+  items: {
+    from: "orders o LEFT JOIN users u ON o.user_id = u.id",
+    dateColumn: "o.created_at",
+    value: "COALESCE(SUM(o.num_of_item), 0)",
+  },
+  returns: {
+    from: "orders o LEFT JOIN users u ON o.user_id = u.id",
+    dateColumn: "o.returned_at",
+    value: "COUNT(*)",
+  },
+  signups: {
+    from: "users u",
+    dateColumn: "u.created_at",
+    value: "COUNT(*)",
+    where: "u.deleted_at IS NULL",
+  },
+};
+
+// Columns a time series can be split by. `status` only exists on orders.
+const TIMESERIES_GROUPS = {
+  status: { expression: "LOWER(o.status)", ordersOnly: true },
+  traffic_source: { expression: "u.traffic_source" },
+  country: { expression: "u.country" },
+  gender: { expression: "u.gender" },
+};
+
+// Default date range (ending today) and bucket cap for each interval
+const TIMESERIES_INTERVALS = {
+  day: { defaultDays: 30, maxBuckets: 366 },
+  week: { defaultDays: 12 * 7, maxBuckets: 260 },
+  month: { defaultDays: 365, maxBuckets: 120 },
+};
+
+// Every `interval` bucket start (YYYY-MM-DD) from `fromDay` to `toDay`, so
+// empty buckets can be zero-filled. Stops after maxBuckets + 1, which tells
+// the caller the range is too long.
+const listBuckets = async (interval, fromDay, toDay, maxBuckets) => {
+  const result = await pool.query(
+    `
+      SELECT to_char(bucket, 'YYYY-MM-DD') AS bucket
+      FROM generate_series(
+        date_trunc('${interval}', $1::timestamp),
+        date_trunc('${interval}', $2::timestamp),
+        INTERVAL '1 ${interval}'
+      ) bucket
+      LIMIT ${maxBuckets + 1}
+    `,
+    [fromDay, toDay]
+  );
+  return result.rows.map((row) => row.bucket);
+};
+
+// Durations reported by GET /analytics/fulfillment, in days between two
+// order timestamps
+const FULFILLMENT_METRICS = {
+  processing: { from: "created_at", to: "shipped_at" },
+  delivery: { from: "shipped_at", to: "delivered_at" },
+  return: { from: "delivered_at", to: "returned_at" },
+};
+
+// Dimensions GET /analytics/fulfillment breaks its durations down by
+const FULFILLMENT_BREAKDOWNS = {
+  month:
+    "to_char(date_trunc('month', o.created_at AT TIME ZONE 'UTC'), 'YYYY-MM')",
+  country: "u.country",
+  num_of_item: "o.num_of_item",
+};
+
+// Histograms count orders per whole day, with everything from this many
+// days on in the last bucket
+const FULFILLMENT_HISTOGRAM_DAYS = 30;
+
+// How long an order may wait in a status, counted from the timestamp that
+// put it there, before GET /analytics/fulfillment flags it as stuck. Set
+// with SLA_PENDING_DAYS and SLA_SHIPPED_DAYS; requests can override them.
+const FULFILLMENT_SLA = {
+  pending: {
+    since: "created_at",
+    days: parseFloat(process.env.SLA_PENDING_DAYS) || 3,
+  },
+  shipped: {
+    since: "shipped_at",
+    days: parseFloat(process.env.SLA_SHIPPED_DAYS) || 7,
+  },
+};
+
+// Region columns each level of GET /analytics/geo groups customers by.
+// States and cities are grouped within their country (and state), so
+// places sharing a name stay apart.
+const GEO_LEVELS = {
+  country: ["country"],
+  state: ["country", "state"],
+  city: ["country", "state", "city"],
+};
+
+// Number of whole intervals between a cohort start and a later timestamp,
+// both truncated to the interval in UTC. Used to place orders in the
+// "periods since signup" columns of GET /analytics/cohorts.
+const COHORT_PERIOD_EXPRESSIONS = {
+  month: (cohort, timestamp) => `(
+    (EXTRACT(YEAR FROM date_trunc('month', ${timestamp} AT TIME ZONE 'UTC')) - EXTRACT(YEAR FROM ${cohort})) * 12 +
+    EXTRACT(MONTH FROM date_trunc('month', ${timestamp} AT TIME ZONE 'UTC')) - EXTRACT(MONTH FROM ${cohort})
+  )::int`,
+  week: (cohort, timestamp) => `(
+    EXTRACT(EPOCH FROM date_trunc('week', ${timestamp} AT TIME ZONE 'UTC') - ${cohort}) / 604800
+  )::int`,
+};
+
+// Periods elapsed between a cohort start (YYYY-MM-DD) and now, so periods
+// that have not happened yet can be told apart from periods with no orders
+const elapsedCohortPeriods = (cohort, interval) => {
+  const start = new Date(cohort);
+  const now = new Date();
+  if (interval === "month") {
+    return (
+      (now.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+      now.getUTCMonth() -
+      start.getUTCMonth()
+    );
   }
-});
+  return Math.floor((now - start) / (7 * 24 * 60 * 60 * 1000));
+};
 
-// 2. GET /customers/:id - Get specific customer details with order count
-app.get("/customers/:id", async (req, res) => {
-  try {
-    const customerId = req.params.id;
+// RFM-style customer segments, checked in order. Live customers with orders
+// are scored 1–5 on recency (last order), frequency (order count) and volume
+// (items ordered), relative to every other ordering customer; customers
+// without orders are prospects.
+const CUSTOMER_SEGMENTS = [
+  {
+    name: "champions",
+    label: "Champions",
+    description: "Ordered recently, order often and buy in volume",
+    condition:
+      "recency_score >= 4 AND frequency_score >= 4 AND volume_score >= 4",
+  },
+  {
+    name: "new",
+    label: "New",
+    description: "Placed their first and only order recently",
+    condition: "recency_score >= 4 AND order_count = 1",
+  },
+  {
+    name: "loyal",
+    label: "Loyal",
+    description: "Order often and have ordered fairly recently",
+    condition: "recency_score >= 3 AND frequency_score >= 4",
+  },
+  {
+    name: "potential_loyalists",
+    label: "Potential Loyalists",
+    description: "Recent customers who could be encouraged to order more",
+    condition: "recency_score >= 3",
+  },
+  {
+    name: "at_risk",
+    label: "At Risk",
+    description: "Used to order often or in volume but not lately",
+    condition: "frequency_score >= 4 OR volume_score >= 4",
+  },
+  {
+    name: "hibernating",
+    label: "Hibernating",
+    description: "Occasional customers who have not ordered for a while",
+    condition: "recency_score = 2",
+  },
+  {
+    name: "lost",
+    label: "Lost",
+    description: "Last ordered long ago",
+    condition: "TRUE",
+  },
+  {
+    name: "prospects",
+    label: "Prospects",
+    description: "Signed up but never ordered",
+    condition: null,
+  },
+];
 
-    // Validate customer ID
-    if (!isValidId(customerId)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid customer ID",
-        message: "Customer ID must be a positive integer",
-      });
+// Per-customer RFM scores and segment for live customers with orders.
+// CUME_DIST gives tied values the same score.
+const CUSTOMER_SEGMENT_SCORES = `
+  SELECT
+    *,
+    CASE
+      ${CUSTOMER_SEGMENTS.filter((segment) => segment.condition)
+        .map((segment) => `WHEN ${segment.condition} THEN '${segment.name}'`)
+        .join("\n      ")}
+    END AS segment
+  FROM (
+    SELECT
+      user_id,
+      order_count,
+      total_items,
+      last_order_date,
+      CEIL(CUME_DIST() OVER (ORDER BY last_order_date) * 5)::int AS recency_score,
+      CEIL(CUME_DIST() OVER (ORDER BY order_count) * 5)::int AS frequency_score,
+      CEIL(CUME_DIST() OVER (ORDER BY total_items) * 5)::int AS volume_score
+    FROM (
+      SELECT
+        o.user_id,
+        COUNT(*) AS order_count,
+        COALESCE(SUM(o.num_of_item), 0) AS total_items,
+        MAX(o.created_at) AS last_order_date
+      FROM orders o
+      JOIN users ou ON ou.id = o.user_id AND ou.deleted_at IS NULL
+      GROUP BY o.user_id
+    ) activity
+  ) scores
+`;
+
+// Join and column exposing each customer's segment as `seg`/`segment`.
+// Deleted customers are not scored and have no segment.
+const CUSTOMER_SEGMENT_JOIN = `
+      LEFT JOIN (${CUSTOMER_SEGMENT_SCORES}) seg ON seg.user_id = u.id`;
+const CUSTOMER_SEGMENT_COLUMN = `CASE WHEN u.deleted_at IS NULL THEN COALESCE(seg.segment, 'prospects') END`;
+
+// Filterable fields of each listing (see buildFilters in listing.js): the
+// SQL expression a field is compared with, its type, and the older
+// parameters kept as aliases for one operator on it
+const CUSTOMER_FILTER_FIELDS = {
+  country: { expression: "u.country", type: "text" },
+  state: { expression: "u.state", type: "text" },
+  city: { expression: "u.city", type: "text" },
+  gender: { expression: "u.gender", type: "text" },
+  traffic_source: { expression: "u.traffic_source", type: "text" },
+  segment: {
+    expression: CUSTOMER_SEGMENT_COLUMN,
+    type: "enum",
+    values: CUSTOMER_SEGMENTS.map((segment) => segment.name),
+  },
+  age: {
+    expression: "u.age",
+    type: "integer",
+    aliases: { min_age: "gte", max_age: "lte" },
+  },
+  created_at: {
+    expression: "u.created_at",
+    type: "date",
+    aliases: { signup_from: "gte", signup_to: "lte" },
+  },
+};
+
+const ORDER_FILTER_FIELDS = {
+  status: { expression: "o.status", type: "text" },
+  user_id: { expression: "o.user_id", type: "id" },
+  gender: { expression: "o.gender", type: "text" },
+  num_of_item: { expression: "o.num_of_item", type: "integer" },
+  created_at: {
+    expression: "o.created_at",
+    type: "date",
+    aliases: { from: "gte", to: "lte" },
+  },
+  shipped_at: { expression: "o.shipped_at", type: "date" },
+  delivered_at: { expression: "o.delivered_at", type: "date" },
+  returned_at: { expression: "o.returned_at", type: "date" },
+};
+
+// A customer's own orders filter on everything but the customer
+const { user_id: _userId, ...CUSTOMER_ORDER_FILTER_FIELDS } =
+  ORDER_FILTER_FIELDS;
+
+const AUDIT_FILTER_FIELDS = {
+  customer_id: { expression: "customer_ids", type: "ids" },
+  order_id: { expression: "order_ids", type: "ids" },
+  actor: { expression: "actor", type: "text" },
+  action: { expression: "action", type: "text" },
+  occurred_at: {
+    expression: "occurred_at",
+    type: "date",
+    aliases: { from: "gte", to: "lte" },
+  },
+};
+
+// Build the WHERE conditions for GET /customers from the query string:
+// the name/email search and deleted-customer toggle plus the
+// CUSTOMER_FILTER_FIELDS filters. Returns { error } when a filter value is
+// invalid.
+const buildCustomerFilters = (query) => {
+  const conditions = [];
+  const params = [];
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  const includeDeleted = query.include_deleted === "true";
+
+  // Soft-deleted (and merged) customers are hidden unless asked for
+  if (!includeDeleted) {
+    conditions.push("u.deleted_at IS NULL");
+  }
+
+  // Name/email search: matches prefixes and substrings, case-insensitive
+  if (q) {
+    params.push(`%${escapeLike(q)}%`);
+    const term = `$${params.length}`;
+    conditions.push(`(
+      u.first_name ILIKE ${term}
+      OR u.last_name ILIKE ${term}
+      OR (u.first_name || ' ' || u.last_name) ILIKE ${term}
+      OR u.email ILIKE ${term}
+    )`);
+  }
+
+  const filtering = buildFilters(query, CUSTOMER_FILTER_FIELDS, params);
+  if (filtering.error) return filtering;
+
+  return {
+    conditions: [...conditions, ...filtering.conditions],
+    params,
+    filters: {
+      q: q || null,
+      include_deleted: includeDeleted,
+      ...filtering.filters,
+    },
+  };
+};
+
+// Writable customer fields. `validate` returns an error message for a bad
+// value, or null when the value is acceptable. Optional fields may be set to
+// null to clear them.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const validateText = (maxLength) => (value, field) => {
+  if (typeof value !== "string" || !value.trim()) {
+    return `${field} must be a non-empty string`;
+  }
+  if (value.trim().length > maxLength) {
+    return `${field} must be at most ${maxLength} characters`;
+  }
+  return null;
+};
+
+const validateNumber =
+  (min, max, { integer = false } = {}) =>
+  (value, field) => {
+    if (
+      typeof value !== "number" ||
+      !Number.isFinite(value) ||
+      (integer && !Number.isInteger(value)) ||
+      value < min ||
+      value > max
+    ) {
+      return `${field} must be ${
+        integer ? "an integer" : "a number"
+      } between ${min} and ${max}`;
     }
+    return null;
+  };
 
-    // Get customer details with order statistics
-    const query = `
-      SELECT 
-        u.id,
-        u.first_name,
-        u.last_name,
-        u.email,
-        u.age,
-        u.gender,
-        u.state,
-        u.street_address,
-        u.postal_code,
-        u.city,
-        u.country,
-        u.latitude,
-        u.longitude,
-        u.traffic_source,
-        u.created_at,
-        COUNT(o.order_id) as order_count,
-        COUNT(CASE WHEN o.status = 'delivered' THEN 1 END) as delivered_orders,
-        COUNT(CASE WHEN o.status = 'returned' THEN 1 END) as returned_orders,
-        COALESCE(SUM(o.num_of_item), 0) as total_items_ordered,
-        MAX(o.created_at) as last_order_date,
-        MIN(o.created_at) as first_order_date
-      FROM users u
-      LEFT JOIN orders o ON u.id = o.user_id
-      WHERE u.id = $1
-      GROUP BY u.id, u.first_name, u.last_name, u.email, u.age, u.gender, u.state, u.street_address, u.postal_code, u.city, u.country, u.latitude, u.longitude, u.traffic_source, u.created_at
-    `;
+const CUSTOMER_FIELDS = {
+  first_name: { required: true, validate: validateText(100) },
+  last_name: { required: true, validate: validateText(100) },
+  email: {
+    required: true,
+    validate: (value, field) =>
+      typeof value === "string" &&
+      value.trim().length <= 255 &&
+      EMAIL_PATTERN.test(value.trim())
+        ? null
+        : `${field} must be a valid email address`,
+  },
+  age: { validate: validateNumber(0, 150, { integer: true }) },
+  gender: {
+    validate: (value, field) =>
+      ["M", "F"].includes(value) ? null : `${field} must be one of: M, F`,
+  },
+  street_address: { validate: validateText(255) },
+  postal_code: { validate: validateText(20) },
+  city: { validate: validateText(100) },
+  state: { validate: validateText(100) },
+  country: { validate: validateText(100) },
+  latitude: { validate: validateNumber(-90, 90) },
+  longitude: { validate: validateNumber(-180, 180) },
+  traffic_source: { validate: validateText(50) },
+};
 
-    const result = await pool.query(query, [customerId]);
+// Validate a customer create (or, with `partial`, update) payload.
+// Returns a list of { field, message } errors; empty when the body is valid.
+const validateCustomerInput = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return [{ field: null, message: "Request body must be a JSON object" }];
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "Customer not found",
-        message: `Customer with ID ${customerId} does not exist`,
-      });
+  const errors = Object.keys(body)
+    .filter((field) => !CUSTOMER_FIELDS[field])
+    .map((field) => ({ field, message: `${field} is not a writable field` }));
+
+  for (const [field, rule] of Object.entries(CUSTOMER_FIELDS)) {
+    const value = body[field];
+    if (value === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      }
+    } else if (value === null) {
+      if (rule.required) {
+        errors.push({ field, message: `${field} cannot be null` });
+      }
+    } else {
+      const message = rule.validate(value, field);
+      if (message) errors.push({ field, message });
     }
+  }
+
+  if (partial && Object.keys(body).length === 0) {
+    errors.push({
+      field: null,
+      message: "At least one field must be provided",
+    });
+  }
+  return errors;
+};
+
+// Pick the writable fields from a validated payload, trimming text values
+// and lower-casing the email
+const normalizeCustomerInput = (body) => {
+  const input = {};
+  for (const field of Object.keys(CUSTOMER_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const value = body[field];
+    input[field] = typeof value === "string" ? value.trim() : value;
+  }
+  if (input.email) input.email = input.email.toLowerCase();
+  return input;
+};
+
+// Run `fn` with a client inside a transaction, committing when it resolves
+// and rolling back when it throws
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Whether a write failed because another live customer already uses the
+// email (see migrations/010_unique_customer_email)
+const isDuplicateEmailError = (error) =>
+  error.code === "23505" && error.constraint === "users_email_unique_idx";
+
+const sendEmailTaken = (res, email) =>
+  res.status(409).json({
+    success: false,
+    error: "Email already in use",
+    message: `A customer with email ${email} already exists`,
+  });
 
-    // Format the response
-    const customer = result.rows[0];
-    const formattedCustomer = {
+// 404 message for a customer that is missing, deleted or merged away
+const customerNotFoundMessage = (customerId, customer) => {
+  if (customer && customer.merged_into) {
+    return `Customer with ID ${customerId} was merged into customer ${customer.merged_into}`;
+  }
+  if (customer && customer.deleted_at) {
+    return `Customer with ID ${customerId} has been deleted`;
+  }
+  return `Customer with ID ${customerId} does not exist`;
+};
+
+// Load a customer with order statistics, formatted for API responses.
+// Resolves to null when the id does not exist; deleted and merged customers
+// are returned with their `deleted_at`/`merged_into` state so callers can
+// decide how to treat them.
+const getCustomerDetails = async (customerId, client = pool) => {
+  const query = `
+    SELECT 
+      u.id,
+      u.first_name,
+      u.last_name,
+      u.email,
+      u.age,
+      u.gender,
+      u.state,
+      u.street_address,
+      u.postal_code,
+      u.city,
+      u.country,
+      u.latitude,
+      u.longitude,
+      u.traffic_source,
+      u.created_at,
+      u.deleted_at,
+      u.merged_into,
+      u.anonymized_at,
+      COUNT(o.order_id) as order_count,
+      COUNT(CASE WHEN o.status = 'delivered' THEN 1 END) as delivered_orders,
+      COUNT(CASE WHEN o.status = 'returned' THEN 1 END) as returned_orders,
+      COALESCE(SUM(o.num_of_item), 0) as total_items_ordered,
+      MAX(o.created_at) as last_order_date,
+      MIN(o.created_at) as first_order_date,
+      ${CUSTOMER_SEGMENT_COLUMN} as segment,
+      seg.recency_score,
+      seg.frequency_score,
+      seg.volume_score
+    FROM users u
+    LEFT JOIN orders o ON u.id = o.user_id${CUSTOMER_SEGMENT_JOIN}
+    WHERE u.id = $1
+    GROUP BY u.id, u.first_name, u.last_name, u.email, u.age, u.gender, u.state, u.street_address, u.postal_code, u.city, u.country, u.latitude, u.longitude, u.traffic_source, u.created_at, u.deleted_at, u.merged_into, u.anonymized_at, seg.segment, seg.recency_score, seg.frequency_score, seg.volume_score
+  `;
+
+  const result = await client.query(query, [customerId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  // Format the response
+  const customer = result.rows[0];
+  return {
+    deleted_at: customer.deleted_at,
+    merged_into: customer.merged_into,
+    customer: {
       id: customer.id,
       first_name: customer.first_name,
       last_name: customer.last_name,
@@ -168,6 +740,7 @@ app.get("/customers/:id", async (req, res) => {
       },
       traffic_source: customer.traffic_source,
       created_at: customer.created_at,
+      anonymized_at: customer.anonymized_at,
       order_statistics: {
         total_orders: parseInt(customer.order_count),
         delivered_orders: parseInt(customer.delivered_orders),
@@ -176,205 +749,740 @@ app.get("/customers/:id", async (req, res) => {
         first_order_date: customer.first_order_date,
         last_order_date: customer.last_order_date,
       },
-    };
+      segment: customer.segment,
+      rfm_scores: customer.recency_score
+        ? {
+            recency: customer.recency_score,
+            frequency: customer.frequency_score,
+            volume: customer.volume_score,
+          }
+        : null,
+    },
+  };
+};
+
+// Customer list columns plus per-customer order statistics, aggregated once
+// per user rather than grouping the whole users/orders join
+const CUSTOMER_LIST_COLUMNS = `
+        u.id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        u.age,
+        u.gender,
+        u.state,
+        u.city,
+        u.country,
+        u.traffic_source,
+        u.created_at,
+        u.deleted_at,
+        u.merged_into,
+        u.anonymized_at,
+        COALESCE(os.order_count, 0) as order_count,
+        os.last_order_date,
+        ${CUSTOMER_SEGMENT_COLUMN} as segment`;
+const CUSTOMER_LIST_FROM = `
+      FROM users u
+      LEFT JOIN (
+        SELECT user_id, COUNT(*) as order_count, MAX(created_at) as last_order_date
+        FROM orders
+        GROUP BY user_id
+      ) os ON os.user_id = u.id${CUSTOMER_SEGMENT_JOIN}`;
+
+// Order list columns with the ordering customer's name and email
+const ORDER_LIST_COLUMNS = `
+        o.order_id,
+        o.user_id,
+        o.status,
+        o.gender,
+        o.num_of_item,
+        o.created_at,
+        o.shipped_at,
+        o.delivered_at,
+        o.returned_at,
+        u.first_name,
+        u.last_name,
+        u.email`;
+const ORDER_LIST_FROM = `
+      FROM orders o
+      LEFT JOIN users u ON o.user_id = u.id`;
+
+// Columns written by GET /customers/export, in order
+const CUSTOMER_EXPORT_COLUMNS = [
+  "id",
+  "first_name",
+  "last_name",
+  "email",
+  "age",
+  "gender",
+  "state",
+  "city",
+  "country",
+  "traffic_source",
+  "created_at",
+  "order_count",
+  "last_order_date",
+  "segment",
+  "anonymized_at",
+];
+
+// Columns written by GET /orders/export, in order
+const ORDER_EXPORT_COLUMNS = [
+  "order_id",
+  "user_id",
+  "first_name",
+  "last_name",
+  "email",
+  "status",
+  "num_of_item",
+  "created_at",
+  "shipped_at",
+  "delivered_at",
+  "returned_at",
+];
+
+// Reject an export request whose `format` parameter (400) or Accept header
+// (406) names no supported format
+const sendExportFormatError = (req, res) =>
+  res.status(req.query.format !== undefined ? 400 : 406).json({
+    success: false,
+    error: "Unsupported export format",
+    message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+  });
+
+// List customers with pagination, search and filters. `fixed` query values
+// override the request's (GET /segments/:name/customers lists one segment
+// through the same handler).
+const listCustomers = async (req, res, fixed = {}) => {
+  try {
+    const pagination = parsePagination(req.query);
+
+    // Build WHERE conditions from search and filter parameters
+    const { conditions, params, filters, error } = buildCustomerFilters({
+      ...req.query,
+      ...fixed,
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid filter",
+        message: error,
+      });
+    }
+
+    // Build ORDER BY clause from the sort parameter
+    const sorting = buildOrderBy(
+      req.query.sort,
+      CUSTOMER_SORT_FIELDS,
+      "id",
+      "u.id"
+    );
+    if (sorting.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid sort",
+        message: sorting.error,
+      });
+    }
+
+    // Customers with order count (segments are only joined into the count
+    // when filtering on them)
+    const page = await fetchPage(pool, {
+      columns: CUSTOMER_LIST_COLUMNS,
+      from: CUSTOMER_LIST_FROM,
+      countFrom: `FROM users u${filters.segment ? CUSTOMER_SEGMENT_JOIN : ""}`,
+      conditions,
+      params,
+      sorting,
+      pagination,
+      totalKey: "total_customers",
+    });
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid cursor",
+        message: page.error,
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        customer: formattedCustomer,
+        customers: page.rows,
+        pagination: page.pagination,
+        filters: filters,
+        sort: sorting.sort,
       },
     });
   } catch (error) {
-    console.error("Error fetching customer details:", error);
+    console.error("Error fetching customers:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
-      message: "Failed to fetch customer details",
+      message: "Failed to fetch customers",
     });
   }
+};
+
+// Shape an ORDER_LIST_COLUMNS row the way every order listing returns it
+const formatOrder = (order) => ({
+  order_id: order.order_id,
+  user_id: order.user_id,
+  customer: {
+    first_name: order.first_name,
+    last_name: order.last_name,
+    full_name:
+      order.first_name && order.last_name
+        ? `${order.first_name} ${order.last_name}`
+        : null,
+    email: order.email,
+  },
+  status: order.status,
+  gender: order.gender,
+  num_of_item: order.num_of_item,
+  created_at: order.created_at,
+  shipped_at: order.shipped_at,
+  delivered_at: order.delivered_at,
+  returned_at: order.returned_at,
 });
 
-// 3. GET /customers/:id/orders - Get all orders for a specific customer
-app.get("/customers/:id/orders", async (req, res) => {
+// List orders with pagination, filters and sort. `fixed` query values
+// override the request's (GET /orders/status/:status lists one status
+// through the same handler).
+const listOrders = async (req, res, fixed = {}) => {
   try {
-    const customerId = req.params.id;
+    const pagination = parsePagination(req.query);
 
-    // Validate customer ID
-    if (!isValidId(customerId)) {
+    // Build ORDER BY clause from the sort parameter
+    const sorting = buildOrderBy(
+      req.query.sort,
+      ORDER_SORT_FIELDS,
+      "-created_at",
+      "o.order_id"
+    );
+    if (sorting.error) {
       return res.status(400).json({
         success: false,
-        error: "Invalid customer ID",
-        message: "Customer ID must be a positive integer",
+        error: "Invalid sort",
+        message: sorting.error,
       });
     }
 
-    // Check if customer exists
-    const customerCheck = await pool.query(
-      "SELECT id FROM users WHERE id = $1",
-      [customerId]
+    // Build WHERE conditions from the filter parameters
+    const { conditions, params, filters, error } = buildFilters(
+      { ...req.query, ...fixed },
+      ORDER_FILTER_FIELDS
     );
-    if (customerCheck.rows.length === 0) {
-      return res.status(404).json({
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: "Customer not found",
-        message: `Customer with ID ${customerId} does not exist`,
+        error: "Invalid filter",
+        message: error,
       });
     }
 
-    // Get customer's orders
-    const query = `
-      SELECT 
-        order_id,
-        status,
-        num_of_item,
-        created_at,
-        shipped_at,
-        delivered_at,
-        returned_at
-      FROM orders 
-      WHERE user_id = $1
-      ORDER BY created_at DESC
-    `;
-
-    const result = await pool.query(query, [customerId]);
+    // Orders with customer details (the count needs no join, every filter
+    // is on the order)
+    const page = await fetchPage(pool, {
+      columns: ORDER_LIST_COLUMNS,
+      from: ORDER_LIST_FROM,
+      countFrom: "FROM orders o",
+      conditions,
+      params,
+      sorting,
+      pagination,
+      totalKey: "total_orders",
+    });
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid cursor",
+        message: page.error,
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        customer_id: parseInt(customerId),
-        orders: result.rows.map((order) => ({
-          order_id: order.order_id,
-          status: order.status,
-          num_of_item: order.num_of_item,
-          created_at: order.created_at,
-          shipped_at: order.shipped_at,
-          delivered_at: order.delivered_at,
-          returned_at: order.returned_at,
-        })),
+        orders: page.rows.map(formatOrder),
+        pagination: page.pagination,
+        filters: filters,
+        sort: sorting.sort,
       },
     });
   } catch (error) {
-    console.error("Error fetching customer orders:", error);
+    console.error("Error fetching orders:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
-      message: "Failed to fetch customer orders",
+      message: "Failed to fetch orders",
     });
   }
+};
+
+// OpenAPI document for every route below (served at /openapi.json and
+// /docs). Requests are validated against it before they reach a route.
+const openApiSpec = buildOpenApiSpec({
+  segments: CUSTOMER_SEGMENTS.map((segment) => segment.name),
+  customerSortFields: Object.keys(CUSTOMER_SORT_FIELDS),
+  orderSortFields: Object.keys(ORDER_SORT_FIELDS),
+  customerOrderSortFields: Object.keys(CUSTOMER_ORDER_SORT_FIELDS),
+  orderStatuses: Object.keys(ORDER_TRANSITIONS),
+  exportFormats: EXPORT_FORMATS,
+  importTypes: IMPORT_TYPES,
+  roles: ROLES,
+  timeseries: {
+    metrics: Object.keys(TIMESERIES_METRICS),
+    intervals: Object.keys(TIMESERIES_INTERVALS),
+    groups: Object.keys(TIMESERIES_GROUPS),
+  },
+  cohortIntervals: Object.keys(COHORT_PERIOD_EXPRESSIONS),
+  geoLevels: [...Object.keys(GEO_LEVELS), "grid"],
+  maxGridZoom: MAX_GRID_ZOOM,
+  fulfillment: {
+    metrics: Object.keys(FULFILLMENT_METRICS),
+    breakdowns: Object.keys(FULFILLMENT_BREAKDOWNS),
+    histogramDays: FULFILLMENT_HISTOGRAM_DAYS,
+    sla: Object.fromEntries(
+      Object.entries(FULFILLMENT_SLA).map(([status, sla]) => [status, sla.days])
+    ),
+  },
+  filterOperators: FILTER_TYPE_OPERATORS,
 });
+app.use(validateRequests(openApiSpec));
 
-// 4. GET /orders - List all orders with pagination and filters
-app.get("/orders", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    const status = req.query.status; // Optional status filter
-    const user_id = req.query.user_id; // Optional user filter
+// API Routes
 
-    // Build WHERE clause dynamically
-    let whereClause = "";
-    let queryParams = [limit, offset];
-    let paramCount = 2;
+// 1. GET /customers - List all customers with pagination, search and filters.
+// Pass `cursor` (empty for the first page) to use keyset pagination instead
+// of page numbers.
+app.get(
+  "/customers",
+  authorize("customers:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  (req, res) => listCustomers(req, res)
+);
 
-    if (status) {
-      whereClause += ` WHERE o.status = ${++paramCount}`;
-      queryParams.push(status);
+// 17. GET /customers/export - Stream every customer matching the GET
+// /customers filters and sort as CSV, NDJSON or XLSX (chosen by `format` or
+// the Accept header). Registered before /customers/:id so "export" is not
+// taken for an id.
+app.get("/customers/export", authorize("data:export"), async (req, res) => {
+  try {
+    const format = resolveExportFormat(req);
+    if (!format) {
+      return sendExportFormatError(req, res);
     }
 
-    if (user_id) {
-      if (!isValidId(user_id)) {
-        return res.status(400).json({
-          success: false,
-          error: "Invalid user ID",
-          message: "User ID must be a positive integer",
-        });
-      }
-      whereClause +=
-        (status ? " AND" : " WHERE") + ` o.user_id = ${++paramCount}`;
-      queryParams.push(user_id);
+    const { conditions, params, error } = buildCustomerFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid filter",
+        message: error,
+      });
     }
 
-    // Get total count for pagination
-    const countQuery = `SELECT COUNT(*) FROM orders o${whereClause}`;
-    const countParams = queryParams.slice(2); // Remove limit and offset
-    const countResult = await pool.query(countQuery, countParams);
-    const totalOrders = parseInt(countResult.rows[0].count);
-    const totalPages = Math.ceil(totalOrders / limit);
-
-    // Get orders with customer details
-    const query = `
-      SELECT 
-        o.order_id,
-        o.user_id,
-        o.status,
-        o.gender,
-        o.num_of_item,
-        o.created_at,
-        o.shipped_at,
-        o.delivered_at,
-        o.returned_at,
-        u.first_name,
-        u.last_name,
-        u.email
-      FROM orders o
-      LEFT JOIN users u ON o.user_id = u.id
-      ${whereClause}
-      ORDER BY o.created_at DESC
-      LIMIT $1 OFFSET $2
+    const sorting = buildOrderBy(
+      req.query.sort,
+      CUSTOMER_SORT_FIELDS,
+      "id",
+      "u.id"
+    );
+    if (sorting.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid sort",
+        message: sorting.error,
+      });
+    }
+
+    const selection = selectExportColumns(req.fields, CUSTOMER_EXPORT_COLUMNS);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid fields",
+        message: selection.error,
+      });
+    }
+
+    recordView(pool, req, {
+      action: "customers.export",
+      details: { format, query: req.query },
+    });
+
+    await streamExport(pool, res, {
+      query: `
+        SELECT ${CUSTOMER_LIST_COLUMNS}
+        ${CUSTOMER_LIST_FROM}
+        ${whereClause(conditions)}
+        ${sorting.orderBy}
+      `,
+      params,
+      columns: selection.columns,
+      format,
+      filename: "customers",
+      transform: (row) => redact(row, req.auth),
+    });
+  } catch (error) {
+    console.error("Error exporting customers:", error);
+    // Once rows are streaming the status is sent; just cut the download
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: "Failed to export customers",
+    });
+  }
+});
+
+// 29. GET /customers/nearby - Customers within radius_km of lat/lng,
+// nearest first, by great-circle (haversine) distance. Registered before
+// /customers/:id so "nearby" is not taken for an id.
+app.get(
+  "/customers/nearby",
+  authorize("customers:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  async (req, res) => {
+    try {
+      const lat = Number(req.query.lat);
+      const lng = Number(req.query.lng);
+      const radiusKm =
+        req.query.radius_km === undefined ? 10 : Number(req.query.radius_km);
+      const limit = parseInt(req.query.limit) || 20;
+
+      if (
+        !Number.isFinite(lat) ||
+        !Number.isFinite(lng) ||
+        Math.abs(lat) > 90 ||
+        Math.abs(lng) > 180
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid location",
+          message:
+            "lat must be between -90 and 90 and lng between -180 and 180",
+        });
+      }
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > 20000) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid radius",
+          message: "radius_km must be greater than 0 and at most 20000",
+        });
+      }
+
+      // Distances use coordinates at the precision the caller may see
+      const coordinates = coordinateColumns(req.auth);
+      const params = [lat, lng, radiusKm];
+      const conditions = [
+        "u.deleted_at IS NULL",
+        `${coordinates.latitude} IS NOT NULL`,
+        `${coordinates.longitude} IS NOT NULL`,
+      ];
+      // Narrow to the surrounding box first, so exact distances are only
+      // computed for customers that can be in range
+      const box = boundingBox(lat, lng, radiusKm);
+      conditions.push(
+        `${coordinates.latitude} BETWEEN $${params.push(box.south)} AND $${params.push(box.north)}`
+      );
+      if (box.west !== null) {
+        conditions.push(
+          `${coordinates.longitude} BETWEEN $${params.push(box.west)} AND $${params.push(box.east)}`
+        );
+      }
+
+      const query = `
+      SELECT * FROM (
+        SELECT
+          ${CUSTOMER_LIST_COLUMNS},
+          ${coordinates.latitude} AS latitude,
+          ${coordinates.longitude} AS longitude,
+          ${haversineSql("$1", "$2", coordinates.latitude, coordinates.longitude)} AS distance_km
+        ${CUSTOMER_LIST_FROM}
+        WHERE ${conditions.join(" AND ")}
+      ) nearby
+      WHERE distance_km <= $3
+      ORDER BY distance_km, id
+      LIMIT $${params.push(limit)}
     `;
+      const result = await pool.query(query, params);
+
+      res.json({
+        success: true,
+        data: {
+          customers: result.rows.map((customer) => ({
+            ...customer,
+            distance_km: parseFloat(customer.distance_km.toFixed(2)),
+          })),
+          origin: { latitude: lat, longitude: lng },
+          radius_km: radiusKm,
+        },
+      });
+    } catch (error) {
+      console.error("Error finding nearby customers:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to find nearby customers",
+      });
+    }
+  }
+);
+
+// 2. GET /customers/:id - Get specific customer details with order count
+app.get("/customers/:id", authorize("customers:read"), async (req, res) => {
+  try {
+    const customerId = req.params.id;
+
+    // Validate customer ID
+    if (!isValidId(customerId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid customer ID",
+        message: "Customer ID must be a positive integer",
+      });
+    }
+
+    // Get customer details with order statistics
+    const details = await getCustomerDetails(customerId);
+
+    if (!details || details.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        error: "Customer not found",
+        message: customerNotFoundMessage(customerId, details),
+      });
+    }
 
-    const result = await pool.query(query, queryParams);
+    recordView(pool, req, {
+      action: "customer.view",
+      customerIds: [customerId],
+    });
 
     res.json({
       success: true,
       data: {
-        orders: result.rows.map((order) => ({
-          order_id: order.order_id,
-          user_id: order.user_id,
-          customer: {
-            first_name: order.first_name,
-            last_name: order.last_name,
-            full_name:
-              order.first_name && order.last_name
-                ? `${order.first_name} ${order.last_name}`
-                : null,
-            email: order.email,
-          },
-          status: order.status,
-          gender: order.gender,
-          num_of_item: order.num_of_item,
-          created_at: order.created_at,
-          shipped_at: order.shipped_at,
-          delivered_at: order.delivered_at,
-          returned_at: order.returned_at,
-        })),
-        pagination: {
-          current_page: page,
-          total_pages: totalPages,
-          total_orders: totalOrders,
-          per_page: limit,
-          has_next_page: page < totalPages,
-          has_prev_page: page > 1,
-        },
-        filters: {
-          status: status || null,
-          user_id: user_id ? parseInt(user_id) : null,
-        },
+        customer: details.customer,
       },
     });
   } catch (error) {
-    console.error("Error fetching orders:", error);
+    console.error("Error fetching customer details:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
-      message: "Failed to fetch orders",
+      message: "Failed to fetch customer details",
+    });
+  }
+});
+
+// 3. GET /customers/:id/orders - Get a page of a customer's orders
+app.get(
+  "/customers/:id/orders",
+  authorize("customers:read"),
+  async (req, res) => {
+    try {
+      const customerId = req.params.id;
+      const pagination = parsePagination(req.query);
+
+      // Validate customer ID
+      if (!isValidId(customerId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid customer ID",
+          message: "Customer ID must be a positive integer",
+        });
+      }
+
+      // Check if customer exists (and has not been deleted or merged)
+      const customerCheck = await pool.query(
+        "SELECT id, deleted_at, merged_into FROM users WHERE id = $1",
+        [customerId]
+      );
+      if (customerCheck.rows.length === 0 || customerCheck.rows[0].deleted_at) {
+        return res.status(404).json({
+          success: false,
+          error: "Customer not found",
+          message: customerNotFoundMessage(customerId, customerCheck.rows[0]),
+        });
+      }
+
+      // Build ORDER BY clause from the sort parameter
+      const sorting = buildOrderBy(
+        req.query.sort,
+        CUSTOMER_ORDER_SORT_FIELDS,
+        "-created_at",
+        "o.order_id"
+      );
+      if (sorting.error) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid sort",
+          message: sorting.error,
+        });
+      }
+
+      // Build WHERE conditions from the filter parameters, after the
+      // customer's own id ($1)
+      const filtering = buildFilters(req.query, CUSTOMER_ORDER_FILTER_FIELDS, [
+        customerId,
+      ]);
+      if (filtering.error) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid filter",
+          message: filtering.error,
+        });
+      }
+
+      // One page of the customer's orders (the count needs no join, every
+      // filter is on the order)
+      const page = await fetchPage(pool, {
+        columns: ORDER_LIST_COLUMNS,
+        from: ORDER_LIST_FROM,
+        countFrom: "FROM orders o",
+        conditions: ["o.user_id = $1", ...filtering.conditions],
+        params: filtering.params,
+        sorting,
+        pagination,
+        totalKey: "total_orders",
+      });
+      if (page.error) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid cursor",
+          message: page.error,
+        });
+      }
+
+      recordView(pool, req, {
+        action: "customer.orders_view",
+        customerIds: [customerId],
+        orderIds: page.rows.map((order) => order.order_id),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          customer_id: parseInt(customerId),
+          orders: page.rows.map(formatOrder),
+          pagination: page.pagination,
+          filters: filtering.filters,
+          sort: sorting.sort,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching customer orders:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to fetch customer orders",
+      });
+    }
+  }
+);
+
+// 4. GET /orders - List all orders with pagination and filters.
+// Pass `cursor` (empty for the first page) to use keyset pagination instead
+// of page numbers.
+app.get(
+  "/orders",
+  authorize("orders:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  (req, res) => listOrders(req, res)
+);
+
+// 18. GET /orders/export - Stream every order matching the GET /orders
+// filters and sort as CSV, NDJSON or XLSX (chosen by `format` or the Accept
+// header). Registered before /orders/:order_id so "export" is not taken for
+// an id.
+app.get("/orders/export", authorize("data:export"), async (req, res) => {
+  try {
+    const format = resolveExportFormat(req);
+    if (!format) {
+      return sendExportFormatError(req, res);
+    }
+
+    const filtering = buildFilters(req.query, ORDER_FILTER_FIELDS);
+    if (filtering.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid filter",
+        message: filtering.error,
+      });
+    }
+
+    const sorting = buildOrderBy(
+      req.query.sort,
+      ORDER_SORT_FIELDS,
+      "-created_at",
+      "o.order_id"
+    );
+    if (sorting.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid sort",
+        message: sorting.error,
+      });
+    }
+
+    const selection = selectExportColumns(req.fields, ORDER_EXPORT_COLUMNS);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid fields",
+        message: selection.error,
+      });
+    }
+
+    recordView(pool, req, {
+      action: "orders.export",
+      details: { format, query: req.query },
+    });
+
+    await streamExport(pool, res, {
+      query: `
+        SELECT
+          o.order_id,
+          o.user_id,
+          u.first_name,
+          u.last_name,
+          u.email,
+          o.status,
+          o.num_of_item,
+          o.created_at,
+          o.shipped_at,
+          o.delivered_at,
+          o.returned_at
+        FROM orders o
+        LEFT JOIN users u ON o.user_id = u.id
+        ${whereClause(filtering.conditions)}
+        ${sorting.orderBy}
+      `,
+      params: filtering.params,
+      columns: selection.columns,
+      format,
+      filename: "orders",
+      transform: (row) => redact(row, req.auth),
+    });
+  } catch (error) {
+    console.error("Error exporting orders:", error);
+    // Once rows are streaming the status is sent; just cut the download
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: "Failed to export orders",
     });
   }
 });
 
 // 5. GET /orders/:order_id - Get specific order details
-app.get("/orders/:order_id", async (req, res) => {
+app.get("/orders/:order_id", authorize("orders:read"), async (req, res) => {
   try {
     const orderId = req.params.order_id;
 
@@ -406,239 +1514,2286 @@ app.get("/orders/:order_id", async (req, res) => {
         u.state,
         u.city,
         u.country,
-        u.traffic_source
+        u.traffic_source,
+        u.anonymized_at
       FROM orders o
       LEFT JOIN users u ON o.user_id = u.id
       WHERE o.order_id = $1
     `;
 
-    const result = await pool.query(query, [orderId]);
+    const result = await pool.query(query, [orderId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+        message: `Order with ID ${orderId} does not exist`,
+      });
+    }
+
+    const order = result.rows[0];
+
+    // Get recorded status transitions
+    const historyResult = await pool.query(
+      `SELECT from_status, to_status, note, changed_at
+       FROM order_history
+       WHERE order_id = $1
+       ORDER BY changed_at, id`,
+      [orderId]
+    );
+
+    // Calculate order timeline and duration
+    const timeline = {
+      ordered: order.created_at,
+      shipped: order.shipped_at,
+      delivered: order.delivered_at,
+      returned: order.returned_at,
+    };
+
+    let processingTime = null;
+    let deliveryTime = null;
+
+    if (order.shipped_at && order.created_at) {
+      processingTime = Math.round(
+        (new Date(order.shipped_at) - new Date(order.created_at)) /
+          (1000 * 60 * 60 * 24)
+      );
+    }
+
+    if (order.delivered_at && order.shipped_at) {
+      deliveryTime = Math.round(
+        (new Date(order.delivered_at) - new Date(order.shipped_at)) /
+          (1000 * 60 * 60 * 24)
+      );
+    }
+
+    const formattedOrder = {
+      order_id: order.order_id,
+      status: order.status,
+      num_of_item: order.num_of_item,
+      gender: order.gender,
+      customer: {
+        user_id: order.user_id,
+        first_name: order.first_name,
+        last_name: order.last_name,
+        full_name:
+          order.first_name && order.last_name
+            ? `${order.first_name} ${order.last_name}`
+            : null,
+        email: order.email,
+        age: order.age,
+        location: `${order.city}, ${order.state}, ${order.country}`,
+        traffic_source: order.traffic_source,
+        anonymized_at: order.anonymized_at,
+      },
+      timeline: timeline,
+      history: historyResult.rows,
+      processing_metrics: {
+        processing_time_days: processingTime,
+        delivery_time_days: deliveryTime,
+        total_fulfillment_days:
+          processingTime !== null && deliveryTime !== null
+            ? processingTime + deliveryTime
+            : null,
+      },
+    };
+
+    recordView(pool, req, {
+      action: "order.view",
+      customerIds: order.user_id ? [order.user_id] : [],
+      orderIds: [orderId],
+    });
+
+    res.json({
+      success: true,
+      data: {
+        order: formattedOrder,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching order details:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: "Failed to fetch order details",
+    });
+  }
+});
+
+// 6. GET /orders/status/:status - Get orders by status. Same listing,
+// filters and response as GET /orders with the status filter fixed.
+app.get(
+  "/orders/status/:status",
+  authorize("orders:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  async (req, res) => {
+    const status = req.params.status.toLowerCase();
+
+    // Validate status
+    const validStatuses = Object.keys(ORDER_TRANSITIONS);
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid status",
+        message: `Status must be one of: ${validStatuses.join(", ")}`,
+      });
+    }
+
+    return listOrders(req, res, { status });
+  }
+);
+
+// 7. GET /stats - Get overall statistics
+app.get(
+  "/stats",
+  authorize("analytics:read"),
+  responseCache.cached({
+    tags: STATS_SOURCE === "materialized" ? ["stats"] : ["customers", "orders"],
+  }),
+  async (req, res) => {
+    try {
+      // The materialized view holds the same figures as of its last refresh
+      const statsQuery =
+        STATS_SOURCE === "materialized"
+          ? "SELECT * FROM stats_summary"
+          : `SELECT ${STATS_COLUMNS}, NULL AS refreshed_at`;
+
+      const result = await pool.query(statsQuery);
+      const stats = result.rows[0];
+
+      res.json({
+        success: true,
+        data: {
+          statistics: {
+            total_customers: parseInt(stats.total_customers),
+            total_orders: parseInt(stats.total_orders),
+            average_items_per_order: parseFloat(
+              stats.average_items_per_order
+            ).toFixed(2),
+            total_items_sold: parseInt(stats.total_items_sold),
+            delivered_orders: parseInt(stats.delivered_orders),
+            returned_orders: parseInt(stats.returned_orders),
+            unique_traffic_sources: parseInt(stats.unique_traffic_sources),
+            delivery_rate:
+              stats.total_orders > 0
+                ? ((stats.delivered_orders / stats.total_orders) * 100).toFixed(
+                    2
+                  ) + "%"
+                : "0%",
+            return_rate:
+              stats.total_orders > 0
+                ? ((stats.returned_orders / stats.total_orders) * 100).toFixed(
+                    2
+                  ) + "%"
+                : "0%",
+          },
+          source: STATS_SOURCE,
+          refreshed_at: stats.refreshed_at,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching statistics:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to fetch statistics",
+      });
+    }
+  }
+);
+
+// 8. POST /customers - Create a customer
+app.post("/customers", authorize("customers:write"), async (req, res) => {
+  try {
+    const errors = validateCustomerInput(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const input = normalizeCustomerInput(req.body);
+    const columns = Object.keys(input);
+    const query = `
+      INSERT INTO users (${columns.join(", ")}, created_at)
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")}, NOW())
+      RETURNING id
+    `;
+    const customerId = await withTransaction(async (client) => {
+      const result = await client.query(
+        query,
+        columns.map((column) => input[column])
+      );
+      await recordAudit(client, req, {
+        action: "customer.create",
+        customerIds: [result.rows[0].id],
+        changes: diffChanges(null, input),
+      });
+      return result.rows[0].id;
+    });
+    await responseCache.invalidate("customers");
+    const details = await getCustomerDetails(customerId);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        customer: details.customer,
+      },
+    });
+  } catch (error) {
+    if (isDuplicateEmailError(error)) {
+      return sendEmailTaken(res, normalizeCustomerInput(req.body).email);
+    }
+    console.error("Error creating customer:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: "Failed to create customer",
+    });
+  }
+});
+
+// 9. PATCH /customers/:id - Update some of a customer's fields
+app.patch("/customers/:id", authorize("customers:write"), async (req, res) => {
+  try {
+    const customerId = req.params.id;
+
+    // Validate customer ID
+    if (!isValidId(customerId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid customer ID",
+        message: "Customer ID must be a positive integer",
+      });
+    }
+
+    const errors = validateCustomerInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const customerCheck = await pool.query(
+      "SELECT id, deleted_at, merged_into, anonymized_at FROM users WHERE id = $1",
+      [customerId]
+    );
+    if (customerCheck.rows.length === 0 || customerCheck.rows[0].deleted_at) {
+      return res.status(404).json({
+        success: false,
+        error: "Customer not found",
+        message: customerNotFoundMessage(customerId, customerCheck.rows[0]),
+      });
+    }
+    if (customerCheck.rows[0].anonymized_at) {
+      return res.status(409).json({
+        success: false,
+        error: "Customer anonymized",
+        message: `Customer with ID ${customerId} has been anonymized and cannot be edited`,
+      });
+    }
+
+    const input = normalizeCustomerInput(req.body);
+
+    const columns = Object.keys(input);
+    const query = `
+      UPDATE users
+      SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")}
+      WHERE id = $1
+    `;
+    await withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT ${columns.join(", ")} FROM users WHERE id = $1 FOR UPDATE`,
+        [customerId]
+      );
+      await client.query(query, [
+        customerId,
+        ...columns.map((column) => input[column]),
+      ]);
+      await recordAudit(client, req, {
+        action: "customer.update",
+        customerIds: [customerId],
+        changes: diffChanges(before.rows[0], input),
+      });
+    });
+    await responseCache.invalidate("customers");
+    const details = await getCustomerDetails(customerId);
+
+    res.json({
+      success: true,
+      data: {
+        customer: details.customer,
+      },
+    });
+  } catch (error) {
+    if (isDuplicateEmailError(error)) {
+      return sendEmailTaken(res, normalizeCustomerInput(req.body).email);
+    }
+    console.error("Error updating customer:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: "Failed to update customer",
+    });
+  }
+});
+
+// 10. DELETE /customers/:id - Soft-delete a customer (orders are kept)
+app.delete("/customers/:id", authorize("customers:write"), async (req, res) => {
+  try {
+    const customerId = req.params.id;
+
+    // Validate customer ID
+    if (!isValidId(customerId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid customer ID",
+        message: "Customer ID must be a positive integer",
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const deleted = await client.query(
+        `UPDATE users SET deleted_at = NOW()
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING id, deleted_at`,
+        [customerId]
+      );
+      if (deleted.rows.length > 0) {
+        await recordAudit(client, req, {
+          action: "customer.delete",
+          customerIds: [customerId],
+          changes: diffChanges(
+            { deleted_at: null },
+            { deleted_at: deleted.rows[0].deleted_at }
+          ),
+        });
+      }
+      return deleted;
+    });
+
+    if (result.rows.length === 0) {
+      const customerCheck = await pool.query(
+        "SELECT id, deleted_at, merged_into FROM users WHERE id = $1",
+        [customerId]
+      );
+      return res.status(404).json({
+        success: false,
+        error: "Customer not found",
+        message: customerNotFoundMessage(customerId, customerCheck.rows[0]),
+      });
+    }
+    await responseCache.invalidate("customers");
+
+    res.json({
+      success: true,
+      message: `Customer with ID ${customerId} has been deleted`,
+      data: {
+        customer_id: parseInt(customerId),
+        deleted_at: result.rows[0].deleted_at,
+      },
+    });
+  } catch (error) {
+    console.error("Error deleting customer:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: "Failed to delete customer",
+    });
+  }
+});
+
+// 11. POST /customers/:id/merge - Fold duplicate accounts into this customer.
+// Body: { "duplicate_ids": [2, 3] }. The duplicates' orders are re-pointed to
+// this customer and the duplicates are soft-deleted with `merged_into` set.
+app.post(
+  "/customers/:id/merge",
+  authorize("customers:write"),
+  async (req, res) => {
+    try {
+      const customerId = req.params.id;
+
+      // Validate customer ID
+      if (!isValidId(customerId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid customer ID",
+          message: "Customer ID must be a positive integer",
+        });
+      }
+
+      const duplicateIds = req.body && req.body.duplicate_ids;
+      if (
+        !Array.isArray(duplicateIds) ||
+        duplicateIds.length === 0 ||
+        !duplicateIds.every((id) => Number.isInteger(id) && id > 0)
+      ) {
+        return sendValidationError(res, [
+          {
+            field: "duplicate_ids",
+            message: "duplicate_ids must be a non-empty array of customer IDs",
+          },
+        ]);
+      }
+      if (duplicateIds.includes(parseInt(customerId))) {
+        return sendValidationError(res, [
+          {
+            field: "duplicate_ids",
+            message:
+              "duplicate_ids cannot include the customer being merged into",
+          },
+        ]);
+      }
+
+      const ids = [parseInt(customerId), ...new Set(duplicateIds)];
+      const mergedIds = ids.slice(1);
+      const result = await withTransaction(async (client) => {
+        // Lock the surviving customer and the duplicates for the merge
+        const lockResult = await client.query(
+          "SELECT id, deleted_at FROM users WHERE id = ANY($1::bigint[]) FOR UPDATE",
+          [ids]
+        );
+        const liveIds = lockResult.rows
+          .filter((row) => !row.deleted_at)
+          .map((row) => parseInt(row.id));
+        const missingIds = ids.filter((id) => !liveIds.includes(id));
+        if (missingIds.length > 0) {
+          return { missingIds };
+        }
+
+        const ordersResult = await client.query(
+          "UPDATE orders SET user_id = $1 WHERE user_id = ANY($2::bigint[])",
+          [customerId, mergedIds]
+        );
+        await client.query(
+          `UPDATE users SET merged_into = $1, deleted_at = NOW()
+           WHERE id = ANY($2::bigint[])`,
+          [customerId, mergedIds]
+        );
+        // Accounts previously merged into a duplicate now point at the
+        // survivor
+        await client.query(
+          "UPDATE users SET merged_into = $1 WHERE merged_into = ANY($2::bigint[])",
+          [customerId, mergedIds]
+        );
+        // The change applies to each merged customer
+        await recordAudit(client, req, {
+          action: "customer.merge",
+          customerIds: ids,
+          changes: diffChanges(
+            { merged_into: null },
+            { merged_into: parseInt(customerId) }
+          ),
+          details: {
+            merged_customer_ids: mergedIds,
+            orders_moved: ordersResult.rowCount,
+          },
+        });
+        return { ordersMoved: ordersResult.rowCount };
+      });
+
+      if (result.missingIds) {
+        return res.status(404).json({
+          success: false,
+          error: "Customer not found",
+          message: `Customers do not exist or have been deleted: ${result.missingIds.join(
+            ", "
+          )}`,
+        });
+      }
+      await responseCache.invalidate("customers", "orders");
+
+      const details = await getCustomerDetails(customerId);
+      res.json({
+        success: true,
+        message: `Merged ${mergedIds.length} customer${
+          mergedIds.length === 1 ? "" : "s"
+        } into customer ${customerId}`,
+        data: {
+          customer: details.customer,
+          merged_customer_ids: mergedIds,
+          orders_moved: result.ordersMoved,
+        },
+      });
+    } catch (error) {
+      console.error("Error merging customers:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to merge customers",
+      });
+    }
+  }
+);
+
+// 12. POST /orders/:order_id/transitions - Move an order to its next status.
+// Body: { "status": "shipped", "note": "optional" }. Sets the matching
+// timestamp and records the move in order_history, all in one transaction.
+app.post(
+  "/orders/:order_id/transitions",
+  authorize("orders:write"),
+  async (req, res) => {
+    try {
+      const orderId = req.params.order_id;
+
+      // Validate order ID
+      if (!isValidId(orderId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid order ID",
+          message: "Order ID must be a positive integer",
+        });
+      }
+
+      const body = req.body || {};
+      const targetStatus =
+        typeof body.status === "string" ? body.status.trim().toLowerCase() : "";
+      const errors = [];
+      if (
+        !Object.prototype.hasOwnProperty.call(ORDER_TRANSITIONS, targetStatus)
+      ) {
+        errors.push({
+          field: "status",
+          message: `status must be one of: ${Object.keys(
+            ORDER_TRANSITIONS
+          ).join(", ")}`,
+        });
+      }
+      if (
+        body.note !== undefined &&
+        body.note !== null &&
+        (typeof body.note !== "string" || body.note.length > 500)
+      ) {
+        errors.push({
+          field: "note",
+          message: "note must be a string of at most 500 characters",
+        });
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const result = await withTransaction(async (client) => {
+        const orderResult = await client.query(
+          `SELECT order_id, user_id, status, shipped_at, delivered_at, returned_at
+           FROM orders WHERE order_id = $1 FOR UPDATE`,
+          [orderId]
+        );
+        if (orderResult.rows.length === 0) {
+          return { error: "not_found" };
+        }
+
+        // Enforce the state machine
+        const currentStatus = (orderResult.rows[0].status || "").toLowerCase();
+        const allowed = ORDER_TRANSITIONS[currentStatus] || {};
+        if (!Object.prototype.hasOwnProperty.call(allowed, targetStatus)) {
+          return { error: "illegal", currentStatus, allowed };
+        }
+
+        const timestampColumn = allowed[targetStatus];
+        const updateResult = await client.query(
+          `UPDATE orders
+           SET status = $2${timestampColumn ? `, ${timestampColumn} = NOW()` : ""}
+           WHERE order_id = $1
+           RETURNING order_id, status, created_at, shipped_at, delivered_at, returned_at`,
+          [orderId, targetStatus]
+        );
+        const historyResult = await client.query(
+          `INSERT INTO order_history (order_id, from_status, to_status, note)
+           VALUES ($1, $2, $3, $4)
+           RETURNING from_status, to_status, note, changed_at`,
+          [orderId, currentStatus, targetStatus, body.note || null]
+        );
+        const before = orderResult.rows[0];
+        const after = updateResult.rows[0];
+        await recordAudit(client, req, {
+          action: "order.transition",
+          customerIds: before.user_id ? [before.user_id] : [],
+          orderIds: [orderId],
+          changes: diffChanges(
+            {
+              status: before.status,
+              shipped_at: before.shipped_at,
+              delivered_at: before.delivered_at,
+              returned_at: before.returned_at,
+            },
+            {
+              status: after.status,
+              shipped_at: after.shipped_at,
+              delivered_at: after.delivered_at,
+              returned_at: after.returned_at,
+            }
+          ),
+          details: body.note ? { note: body.note } : null,
+        });
+        return { order: after, transition: historyResult.rows[0] };
+      });
+
+      if (result.error === "not_found") {
+        return res.status(404).json({
+          success: false,
+          error: "Order not found",
+          message: `Order with ID ${orderId} does not exist`,
+        });
+      }
+      if (result.error === "illegal") {
+        const { currentStatus } = result;
+        const allowedStatuses = Object.keys(result.allowed);
+        return res.status(409).json({
+          success: false,
+          error: "Illegal status transition",
+          message: `Order ${orderId} cannot move from ${
+            currentStatus || "unknown"
+          } to ${targetStatus}. ${
+            allowedStatuses.length > 0
+              ? `Allowed next statuses: ${allowedStatuses.join(", ")}`
+              : `${currentStatus} is a final status`
+          }`,
+        });
+      }
+      await responseCache.invalidate("orders");
+
+      const { order } = result;
+      res.status(201).json({
+        success: true,
+        data: {
+          order: {
+            order_id: order.order_id,
+            status: order.status,
+            timeline: {
+              ordered: order.created_at,
+              shipped: order.shipped_at,
+              delivered: order.delivered_at,
+              returned: order.returned_at,
+            },
+          },
+          transition: result.transition,
+        },
+      });
+    } catch (error) {
+      console.error("Error transitioning order:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to update order status",
+      });
+    }
+  }
+);
+
+// 13. GET /stats/timeseries - Bucketed counts of orders, signups, items or
+// returns over a date range, optionally split by a customer or order column.
+// Buckets with no data are filled with zeros.
+app.get(
+  "/stats/timeseries",
+  authorize("analytics:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  async (req, res) => {
+    try {
+      const metricName = req.query.metric || "orders";
+      const interval = req.query.interval || "day";
+      const groupBy = req.query.group_by || null;
+
+      const metric = TIMESERIES_METRICS[metricName];
+      if (!metric) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid metric",
+          message: `metric must be one of: ${Object.keys(TIMESERIES_METRICS).join(", ")}`,
+        });
+      }
+
+      if (!TIMESERIES_INTERVALS[interval]) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid interval",
+          message: `interval must be one of: ${Object.keys(TIMESERIES_INTERVALS).join(", ")}`,
+        });
+      }
+
+      const group = groupBy ? TIMESERIES_GROUPS[groupBy] : null;
+      if (
+        groupBy &&
+        (!group || (group.ordersOnly && metricName === "signups"))
+      ) {
+        const allowed = Object.keys(TIMESERIES_GROUPS).filter(
+          (name) =>
+            !(TIMESERIES_GROUPS[name].ordersOnly && metricName === "signups")
+        );
+        return res.status(400).json({
+          success: false,
+          error: "Invalid group_by",
+          message: `group_by for ${metricName} must be one of: ${allowed.join(", ")}`,
+        });
+      }
+
+      for (const name of ["from", "to"]) {
+        if (req.query[name] && !isValidDate(req.query[name])) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid date",
+            message: `${name} must be a valid date (YYYY-MM-DD)`,
+          });
+        }
+      }
+
+      // Default to a range ending today; `to` includes the whole end day
+      const { defaultDays, maxBuckets } = TIMESERIES_INTERVALS[interval];
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+      const fromDay = from.toISOString().slice(0, 10);
+      const toDay = to.toISOString().slice(0, 10);
+      const endOfDay = new Date(toDay);
+      endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
+
+      if (fromDay > toDay) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid date range",
+          message: "from must not be after to",
+        });
+      }
+
+      const buckets = await listBuckets(interval, fromDay, toDay, maxBuckets);
+      if (buckets.length > maxBuckets) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid date range",
+          message: `A ${interval} series can span at most ${maxBuckets} buckets; narrow the range or use a wider interval`,
+        });
+      }
+
+      // Buckets are computed in UTC
+      const conditions = [
+        `${metric.dateColumn} >= $1`,
+        `${metric.dateColumn} < $2`,
+      ];
+      if (metric.where) conditions.push(metric.where);
+
+      const valuesResult = await pool.query(
+        `
+      SELECT
+        to_char(date_trunc('${interval}', ${metric.dateColumn} AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS bucket,
+        ${group ? group.expression : "NULL"} AS group_key,
+        ${metric.value} AS value
+      FROM ${metric.from}
+      WHERE ${conditions.join(" AND ")}
+      GROUP BY 1, 2
+    `,
+        [new Date(fromDay), endOfDay]
+      );
+
+      // One series per group (a single series without group_by), with a value
+      // for every bucket
+      const seriesByGroup = new Map();
+      if (!group) seriesByGroup.set(null, new Map());
+      for (const row of valuesResult.rows) {
+        if (!seriesByGroup.has(row.group_key)) {
+          seriesByGroup.set(row.group_key, new Map());
+        }
+        seriesByGroup.get(row.group_key).set(row.bucket, parseInt(row.value));
+      }
+
+      const series = [...seriesByGroup.entries()]
+        .map(([key, values]) => {
+          const data = buckets.map((bucket) => values.get(bucket) || 0);
+          return {
+            group: key,
+            data,
+            total: data.reduce((sum, value) => sum + value, 0),
+          };
+        })
+        .sort((a, b) => b.total - a.total);
+
+      res.json({
+        success: true,
+        data: {
+          metric: metricName,
+          interval,
+          group_by: groupBy,
+          from: fromDay,
+          to: toDay,
+          buckets,
+          series,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching time series:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to fetch time series",
+      });
+    }
+  }
+);
+
+// 14. GET /analytics/cohorts - Signup cohorts × periods since signup, with
+// the share of each cohort that ordered in each period, the repeat-purchase
+// rate and the median days between first and second order
+app.get(
+  "/analytics/cohorts",
+  authorize("analytics:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  async (req, res) => {
+    try {
+      const interval = req.query.interval || "month";
+      const periods =
+        req.query.periods === undefined ? 12 : Number(req.query.periods);
+      const trafficSource = req.query.traffic_source || null;
+
+      if (!COHORT_PERIOD_EXPRESSIONS[interval]) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid interval",
+          message: `interval must be one of: ${Object.keys(COHORT_PERIOD_EXPRESSIONS).join(", ")}`,
+        });
+      }
+
+      if (!Number.isInteger(periods) || periods < 1 || periods > 60) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid periods",
+          message: "periods must be an integer between 1 and 60",
+        });
+      }
+
+      for (const name of ["from", "to"]) {
+        if (req.query[name] && !isValidDate(req.query[name])) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid date",
+            message: `${name} must be a valid signup date (YYYY-MM-DD)`,
+          });
+        }
+      }
+
+      // Live customers in scope, with the start of their signup cohort
+      const conditions = ["u.deleted_at IS NULL", "u.created_at IS NOT NULL"];
+      const params = [];
+      if (trafficSource) {
+        params.push(trafficSource);
+        conditions.push(`LOWER(u.traffic_source) = LOWER($${params.length})`);
+      }
+      if (req.query.from) {
+        params.push(new Date(req.query.from));
+        conditions.push(`u.created_at >= $${params.length}`);
+      }
+      if (req.query.to) {
+        // Include the whole end day
+        const endOfDay = new Date(req.query.to);
+        endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
+        params.push(endOfDay);
+        conditions.push(`u.created_at < $${params.length}`);
+      }
+      const cohortUsers = `
+      cohort_users AS (
+        SELECT
+          u.id,
+          date_trunc('${interval}', u.created_at AT TIME ZONE 'UTC') AS cohort
+        FROM users u
+        WHERE ${conditions.join(" AND ")}
+      )
+    `;
+      const period = COHORT_PERIOD_EXPRESSIONS[interval](
+        "cu.cohort",
+        "o.created_at"
+      );
+
+      // Distinct customers ordering in each period since signup
+      const matrixQuery = `
+      WITH ${cohortUsers}
+      SELECT
+        to_char(cu.cohort, 'YYYY-MM-DD') AS cohort,
+        ${period} AS period,
+        COUNT(DISTINCT cu.id) AS customers
+      FROM cohort_users cu
+      JOIN orders o ON o.user_id = cu.id
+      WHERE ${period} BETWEEN 0 AND ${periods - 1}
+      GROUP BY 1, 2
+    `;
+
+      // Cohort sizes and repeat-purchase figures, per cohort and overall
+      // (the grouping set with a NULL cohort)
+      const summaryQuery = `
+      WITH ${cohortUsers},
+      ranked_orders AS (
+        SELECT
+          o.user_id,
+          o.created_at,
+          ROW_NUMBER() OVER (
+            PARTITION BY o.user_id ORDER BY o.created_at, o.order_id
+          ) AS order_number
+        FROM orders o
+        JOIN cohort_users cu ON cu.id = o.user_id
+      ),
+      customer_orders AS (
+        SELECT
+          cu.id,
+          cu.cohort,
+          MIN(r.created_at) FILTER (WHERE r.order_number = 1) AS first_order_at,
+          MIN(r.created_at) FILTER (WHERE r.order_number = 2) AS second_order_at
+        FROM cohort_users cu
+        LEFT JOIN ranked_orders r ON r.user_id = cu.id AND r.order_number <= 2
+        GROUP BY cu.id, cu.cohort
+      )
+      SELECT
+        to_char(cohort, 'YYYY-MM-DD') AS cohort,
+        COUNT(*) AS customers,
+        COUNT(first_order_at) AS purchasers,
+        COUNT(second_order_at) AS repeat_purchasers,
+        percentile_cont(0.5) WITHIN GROUP (
+          ORDER BY EXTRACT(EPOCH FROM second_order_at - first_order_at) / 86400
+        ) AS median_days_to_second_order
+      FROM customer_orders
+      GROUP BY GROUPING SETS ((cohort), ())
+      ORDER BY cohort NULLS LAST
+    `;
+
+      const [matrixResult, summaryResult] = await Promise.all([
+        pool.query(matrixQuery, params),
+        pool.query(summaryQuery, params),
+      ]);
+
+      const activeByCohort = new Map();
+      for (const row of matrixResult.rows) {
+        if (!activeByCohort.has(row.cohort)) {
+          activeByCohort.set(row.cohort, new Map());
+        }
+        activeByCohort.get(row.cohort).set(row.period, parseInt(row.customers));
+      }
+
+      // Share of purchasers who ordered again, as a percentage
+      const formatRepeat = (row) => ({
+        purchasers: parseInt(row.purchasers),
+        repeat_purchasers: parseInt(row.repeat_purchasers),
+        repeat_purchase_rate:
+          row.purchasers > 0
+            ? parseFloat(
+                ((row.repeat_purchasers / row.purchasers) * 100).toFixed(2)
+              )
+            : null,
+        median_days_to_second_order:
+          row.median_days_to_second_order === null
+            ? null
+            : parseFloat(
+                parseFloat(row.median_days_to_second_order).toFixed(1)
+              ),
+      });
+
+      // The overall grouping set always returns a row, even with no customers
+      const overall = summaryResult.rows.find((row) => row.cohort === null);
+      const cohorts = summaryResult.rows
+        .filter((row) => row.cohort !== null)
+        .map((row) => {
+          const customers = parseInt(row.customers);
+          const active = activeByCohort.get(row.cohort) || new Map();
+          const elapsed = elapsedCohortPeriods(row.cohort, interval);
+          // Periods that have not started yet are null rather than zero
+          const retention = Array.from({ length: periods }, (_, index) =>
+            index > elapsed
+              ? null
+              : {
+                  customers: active.get(index) || 0,
+                  rate: parseFloat(
+                    (((active.get(index) || 0) / customers) * 100).toFixed(2)
+                  ),
+                }
+          );
+          return {
+            cohort: row.cohort,
+            customers,
+            retention,
+            ...formatRepeat(row),
+          };
+        });
+
+      res.json({
+        success: true,
+        data: {
+          interval,
+          periods,
+          filters: {
+            traffic_source: trafficSource,
+            from: req.query.from || null,
+            to: req.query.to || null,
+          },
+          cohorts,
+          summary: {
+            customers: parseInt(overall.customers),
+            ...formatRepeat(overall),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching cohorts:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to fetch cohort analysis",
+      });
+    }
+  }
+);
+
+// 30. GET /analytics/geo - Customers, orders and return rate by location.
+// level=country|state|city aggregates by region; level=grid clusters
+// customers into square cells for a map at the given zoom. Both can be
+// limited to a bbox (west,south,east,north) and return at most `limit`
+// regions or cells, busiest first. Orders are placed by the
+// location of the customer who placed them.
+app.get(
+  "/analytics/geo",
+  authorize("analytics:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  async (req, res) => {
+    try {
+      const level = req.query.level || "country";
+      const zoom = req.query.zoom === undefined ? 2 : Number(req.query.zoom);
+      const limit = parseInt(req.query.limit) || 100;
+
+      if (level !== "grid" && !GEO_LEVELS[level]) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid level",
+          message: `level must be one of: ${[...Object.keys(GEO_LEVELS), "grid"].join(", ")}`,
+        });
+      }
+      if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_GRID_ZOOM) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid zoom",
+          message: `zoom must be an integer between 0 and ${MAX_GRID_ZOOM}`,
+        });
+      }
+      const { bbox, error } = parseBbox(req.query.bbox);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid bbox",
+          message: error,
+        });
+      }
+
+      // Locations at the precision the caller may see
+      const coordinates = coordinateColumns(req.auth);
+      const params = [];
+      const conditions = ["u.deleted_at IS NULL"];
+      if (bbox) {
+        conditions.push(
+          ...bboxConditions(
+            bbox,
+            coordinates.latitude,
+            coordinates.longitude,
+            params
+          )
+        );
+      }
+
+      // Per-customer order counts, summed into each region or cell
+      const aggregates = `
+          COUNT(*) AS customers,
+          COALESCE(SUM(co.orders), 0) AS orders,
+          COALESCE(SUM(co.returned_orders), 0) AS returned_orders,
+          AVG(${coordinates.latitude}) AS latitude,
+          AVG(${coordinates.longitude}) AS longitude`;
+      const from = `
+        FROM users u
+        LEFT JOIN (
+          SELECT
+            user_id,
+            COUNT(*) AS orders,
+            COUNT(*) FILTER (WHERE ${returnedOrder("o")}) AS returned_orders
+          FROM orders o
+          GROUP BY user_id
+        ) co ON co.user_id = u.id`;
+
+      const formatFigures = (row) => {
+        const orders = parseInt(row.orders);
+        const returnedOrders = parseInt(row.returned_orders);
+        return {
+          customers: parseInt(row.customers),
+          orders,
+          returned_orders: returnedOrders,
+          return_rate:
+            orders > 0
+              ? parseFloat(((returnedOrders / orders) * 100).toFixed(2))
+              : null,
+          latitude: row.latitude === null ? null : parseFloat(row.latitude),
+          longitude: row.longitude === null ? null : parseFloat(row.longitude),
+        };
+      };
+
+      if (level === "grid") {
+        const cellSize = gridCellSize(zoom);
+        conditions.push(
+          `${coordinates.latitude} IS NOT NULL`,
+          `${coordinates.longitude} IS NOT NULL`
+        );
+        const size = `$${params.push(cellSize)}`;
+        const result = await pool.query(
+          `SELECT
+             FLOOR((${coordinates.latitude} + 90) / ${size}) AS row,
+             FLOOR((${coordinates.longitude} + 180) / ${size}) AS col,
+             ${aggregates},
+             MIN(u.id) AS customer_id
+           ${from}
+           WHERE ${conditions.join(" AND ")}
+           GROUP BY 1, 2
+           ORDER BY customers DESC, row, col
+           LIMIT $${params.push(limit)}`,
+          params
+        );
+
+        return res.json({
+          success: true,
+          data: {
+            level,
+            zoom,
+            cell_size: cellSize,
+            bbox,
+            cells: result.rows.map((row) => {
+              const figures = formatFigures(row);
+              const south = row.row * cellSize - 90;
+              const west = row.col * cellSize - 180;
+              return {
+                ...figures,
+                bounds: {
+                  west,
+                  south,
+                  east: west + cellSize,
+                  north: south + cellSize,
+                },
+                // A cell holding one customer links straight to them
+                customer_id:
+                  figures.customers === 1 ? parseInt(row.customer_id) : null,
+              };
+            }),
+          },
+        });
+      }
+
+      const columns = GEO_LEVELS[level].map((column) => `u.${column}`);
+      const result = await pool.query(
+        `SELECT ${columns.join(", ")}, ${aggregates}
+         ${from}
+         WHERE ${conditions.join(" AND ")}
+         GROUP BY ${columns.join(", ")}
+         ORDER BY orders DESC, customers DESC, ${columns.join(", ")}
+         LIMIT $${params.push(limit)}`,
+        params
+      );
+
+      res.json({
+        success: true,
+        data: {
+          level,
+          bbox,
+          regions: result.rows.map((row) => ({
+            ...Object.fromEntries(
+              GEO_LEVELS[level].map((column) => [column, row[column]])
+            ),
+            ...formatFigures(row),
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching geographic analytics:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to fetch geographic analytics",
+      });
+    }
+  }
+);
+
+// 31. GET /analytics/fulfillment - Percentiles and histograms of processing
+// (ordered to shipped), delivery (shipped to delivered) and return
+// (delivered to returned) times for orders placed between from and to,
+// broken down by order month, customer country and item count. Also lists
+// the orders stuck in pending or shipped for longer than the SLA, whenever
+// they were placed.
+app.get(
+  "/analytics/fulfillment",
+  authorize("analytics:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+
+      for (const name of ["from", "to"]) {
+        if (req.query[name] && !isValidDate(req.query[name])) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid date",
+            message: `${name} must be a valid order date (YYYY-MM-DD)`,
+          });
+        }
+      }
+
+      // SLA in days per status, from `<status>_sla_days` or the default
+      const slaDays = {};
+      for (const [status, sla] of Object.entries(FULFILLMENT_SLA)) {
+        const value = req.query[`${status}_sla_days`];
+        slaDays[status] = value === undefined ? sla.days : Number(value);
+        if (!(slaDays[status] > 0)) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid SLA",
+            message: `${status}_sla_days must be a positive number of days`,
+          });
+        }
+      }
+
+      const conditions = [];
+      const params = [];
+      if (req.query.from) {
+        params.push(new Date(req.query.from));
+        conditions.push(`o.created_at >= $${params.length}`);
+      }
+      if (req.query.to) {
+        // Include the whole end day
+        const endOfDay = new Date(req.query.to);
+        endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
+        params.push(endOfDay);
+        conditions.push(`o.created_at < $${params.length}`);
+      }
+
+      const metrics = Object.keys(FULFILLMENT_METRICS);
+      const breakdowns = Object.keys(FULFILLMENT_BREAKDOWNS);
+
+      // Each order's breakdown keys and durations in days (null until both
+      // timestamps are set)
+      const durations = `
+      durations AS (
+        SELECT
+          ${breakdowns
+            .map((name) => `${FULFILLMENT_BREAKDOWNS[name]} AS ${name}`)
+            .join(",\n          ")},
+          ${Object.entries(FULFILLMENT_METRICS)
+            .map(
+              ([name, metric]) =>
+                `EXTRACT(EPOCH FROM o.${metric.to} - o.${metric.from}) / 86400 AS ${name}_days`
+            )
+            .join(",\n          ")}
+        FROM orders o
+        LEFT JOIN users u ON o.user_id = u.id
+        ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      )
+    `;
+
+      // Percentiles overall (the empty grouping set) and per breakdown:
+      // months and item counts in order, countries busiest first
+      const summaryQuery = `
+      WITH ${durations}
+      SELECT
+        ${breakdowns.join(", ")},
+        ${breakdowns
+          .map((name) => `GROUPING(${name}) = 0 AS by_${name}`)
+          .join(", ")},
+        COUNT(*) AS orders,
+        ${metrics
+          .map(
+            (name) => `COUNT(${name}_days) AS ${name}_orders,
+        percentile_cont(ARRAY[0.5, 0.9, 0.99]) WITHIN GROUP (
+          ORDER BY ${name}_days
+        ) AS ${name}_percentiles`
+          )
+          .join(",\n        ")}
+      FROM durations
+      GROUP BY GROUPING SETS ((), ${breakdowns.map((name) => `(${name})`).join(", ")})
+      ORDER BY month, num_of_item, orders DESC, country
+    `;
+
+      const histogramQuery = `
+      WITH ${durations}
+      SELECT
+        v.metric,
+        LEAST(GREATEST(FLOOR(v.days), 0), ${FULFILLMENT_HISTOGRAM_DAYS})::int AS days,
+        COUNT(*) AS orders
+      FROM durations d
+      CROSS JOIN LATERAL (
+        VALUES ${metrics.map((name) => `('${name}', d.${name}_days)`).join(", ")}
+      ) v(metric, days)
+      WHERE v.days IS NOT NULL
+      GROUP BY 1, 2
+    `;
+
+      // Orders waiting longer than their status's SLA, oldest first.
+      // Statuses compare case-insensitively, as in the order filters.
+      const slaParams = [];
+      const stuckConditions = Object.entries(FULFILLMENT_SLA).map(
+        ([status, sla]) =>
+          `(LOWER(o.status) = $${slaParams.push(status)} AND o.${
+            sla.since
+          } < $${slaParams.push(
+            new Date(Date.now() - slaDays[status] * 24 * 60 * 60 * 1000)
+          )})`
+      );
+      const since = `CASE ${Object.entries(FULFILLMENT_SLA)
+        .map(
+          ([status, sla]) =>
+            `WHEN LOWER(o.status) = $${slaParams.indexOf(status) + 1} THEN o.${
+              sla.since
+            }`
+        )
+        .join(" ")} END`;
+      const stuckWhere = `WHERE ${stuckConditions.join(" OR ")}`;
+
+      const [summaryResult, histogramResult, stuckResult, stuckCountResult] =
+        await Promise.all([
+          pool.query(summaryQuery, params),
+          pool.query(histogramQuery, params),
+          pool.query(
+            `SELECT
+               o.order_id,
+               o.user_id,
+               o.status,
+               o.num_of_item,
+               ${since} AS since,
+               EXTRACT(EPOCH FROM NOW() - ${since}) / 86400 AS days_in_status
+             FROM orders o
+             ${stuckWhere}
+             ORDER BY since, o.order_id
+             LIMIT $${slaParams.length + 1}`,
+            [...slaParams, limit]
+          ),
+          pool.query(
+            `SELECT LOWER(o.status) AS status, COUNT(*) AS orders
+             FROM orders o
+             ${stuckWhere}
+             GROUP BY 1`,
+            slaParams
+          ),
+        ]);
+
+      const round = (value) =>
+        value === null ? null : parseFloat(parseFloat(value).toFixed(1));
+
+      // Order count and percentiles of each duration in a summary row
+      const formatDurations = (row) =>
+        Object.fromEntries(
+          metrics.map((name) => {
+            const percentiles = row[`${name}_percentiles`] || [];
+            return [
+              name,
+              {
+                orders: parseInt(row[`${name}_orders`]),
+                p50: round(percentiles[0] ?? null),
+                p90: round(percentiles[1] ?? null),
+                p99: round(percentiles[2] ?? null),
+              },
+            ];
+          })
+        );
+
+      // Histogram buckets from 0 days up to the longest duration seen
+      const histograms = Object.fromEntries(
+        metrics.map((name) => [name, new Map()])
+      );
+      for (const row of histogramResult.rows) {
+        histograms[row.metric].set(row.days, parseInt(row.orders));
+      }
+      const formatHistogram = (counts) =>
+        counts.size === 0
+          ? []
+          : Array.from(
+              { length: Math.max(...counts.keys()) + 1 },
+              (_, days) => ({ days, orders: counts.get(days) || 0 })
+            );
+
+      // The overall grouping set always returns a row, even with no orders
+      const overall = summaryResult.rows.find((row) =>
+        breakdowns.every((name) => !row[`by_${name}`])
+      );
+      const overallDurations = formatDurations(overall);
+
+      const breakdownRows = Object.fromEntries(
+        breakdowns.map((name) => [
+          name,
+          summaryResult.rows
+            .filter((row) => row[`by_${name}`])
+            .map((row) => ({
+              key: row[name],
+              orders: parseInt(row.orders),
+              ...formatDurations(row),
+            })),
+        ])
+      );
+
+      const stuckCounts = new Map(
+        stuckCountResult.rows.map((row) => [row.status, parseInt(row.orders)])
+      );
+
+      res.json({
+        success: true,
+        data: {
+          filters: {
+            from: req.query.from || null,
+            to: req.query.to || null,
+          },
+          orders: parseInt(overall.orders),
+          histogram_max_days: FULFILLMENT_HISTOGRAM_DAYS,
+          metrics: Object.fromEntries(
+            metrics.map((name) => [
+              name,
+              {
+                ...overallDurations[name],
+                histogram: formatHistogram(histograms[name]),
+              },
+            ])
+          ),
+          breakdowns: breakdownRows,
+          sla: {
+            days: slaDays,
+            stuck: Object.fromEntries(
+              Object.keys(FULFILLMENT_SLA).map((status) => [
+                status,
+                stuckCounts.get(status) || 0,
+              ])
+            ),
+            orders: stuckResult.rows.map((row) => ({
+              order_id: row.order_id,
+              user_id: row.user_id,
+              status: row.status,
+              num_of_item: row.num_of_item,
+              since: row.since,
+              days_in_status: round(row.days_in_status),
+            })),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching fulfillment analytics:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to fetch fulfillment analytics",
+      });
+    }
+  }
+);
+
+// 32. GET /analytics/channels - Acquisition figures per traffic source for
+// customers who signed up between from and to (the last 90 days by
+// default): signups, conversion to a first order, orders per ordering
+// customer, items per order, return rate and median days to first order.
+// Each channel is compared with the same figures for the period of equal
+// length just before, and has a signup and order trend for sparklines.
+// Orders are counted whenever they were placed.
+app.get(
+  "/analytics/channels",
+  authorize("analytics:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  async (req, res) => {
+    try {
+      const interval = req.query.interval || "week";
+
+      if (!TIMESERIES_INTERVALS[interval]) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid interval",
+          message: `interval must be one of: ${Object.keys(TIMESERIES_INTERVALS).join(", ")}`,
+        });
+      }
+
+      for (const name of ["from", "to"]) {
+        if (req.query[name] && !isValidDate(req.query[name])) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid date",
+            message: `${name} must be a valid signup date (YYYY-MM-DD)`,
+          });
+        }
+      }
+
+      const DAY_MS = 24 * 60 * 60 * 1000;
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - 89 * DAY_MS);
+      const fromDay = from.toISOString().slice(0, 10);
+      const toDay = to.toISOString().slice(0, 10);
+
+      if (fromDay > toDay) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid date range",
+          message: "from must not be after to",
+        });
+      }
+
+      const { maxBuckets } = TIMESERIES_INTERVALS[interval];
+      const buckets = await listBuckets(interval, fromDay, toDay, maxBuckets);
+      if (buckets.length > maxBuckets) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid date range",
+          message: `A ${interval} trend can span at most ${maxBuckets} buckets; narrow the range or use a wider interval`,
+        });
+      }
+
+      // The previous period has as many days and ends the day before `from`
+      const start = new Date(fromDay);
+      const endOfDay = new Date(new Date(toDay).getTime() + DAY_MS);
+      const previousStart = new Date(
+        start.getTime() - (endOfDay.getTime() - start.getTime())
+      );
+      const previousEndDay = new Date(start.getTime() - DAY_MS);
+
+      // Live customers who signed up in either period, with their orders
+      const signups = `
+      signups AS (
+        SELECT
+          u.id,
+          u.traffic_source,
+          u.created_at,
+          u.created_at >= $2 AS current
+        FROM users u
+        WHERE u.deleted_at IS NULL
+          AND u.created_at >= $1
+          AND u.created_at < $3
+      ),
+      customer_orders AS (
+        SELECT
+          s.id,
+          COUNT(*) AS orders,
+          SUM(o.num_of_item) AS items,
+          COUNT(*) FILTER (WHERE ${returnedOrder("o")}) AS returned_orders,
+          MIN(o.created_at) AS first_order_at
+        FROM signups s
+        JOIN orders o ON o.user_id = s.id
+        GROUP BY s.id
+      )
+    `;
+      const params = [previousStart, start, endOfDay];
+
+      // Figures per period and channel, and per period for all channels
+      // (the grouping sets without traffic_source)
+      const figuresQuery = `
+      WITH ${signups}
+      SELECT
+        s.current,
+        s.traffic_source,
+        GROUPING(s.traffic_source) = 1 AS all_channels,
+        COUNT(*) AS signups,
+        COUNT(co.id) AS customers,
+        COALESCE(SUM(co.orders), 0) AS orders,
+        COALESCE(SUM(co.items), 0) AS items,
+        COALESCE(SUM(co.returned_orders), 0) AS returned_orders,
+        percentile_cont(0.5) WITHIN GROUP (
+          ORDER BY EXTRACT(EPOCH FROM co.first_order_at - s.created_at) / 86400
+        ) AS median_days_to_first_order
+      FROM signups s
+      LEFT JOIN customer_orders co ON co.id = s.id
+      GROUP BY GROUPING SETS ((s.current, s.traffic_source), (s.current))
+    `;
+
+      // Signups and orders by those customers in each bucket of the
+      // current period
+      const trendQuery = `
+      WITH ${signups}
+      SELECT
+        'signups' AS series,
+        to_char(date_trunc('${interval}', s.created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS bucket,
+        s.traffic_source,
+        COUNT(*) AS value
+      FROM signups s
+      WHERE s.current
+      GROUP BY 1, 2, 3
+      UNION ALL
+      SELECT
+        'orders',
+        to_char(date_trunc('${interval}', o.created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD'),
+        s.traffic_source,
+        COUNT(*)
+      FROM signups s
+      JOIN orders o ON o.user_id = s.id
+      WHERE s.current AND o.created_at >= $2 AND o.created_at < $3
+      GROUP BY 1, 2, 3
+    `;
+
+      const [figuresResult, trendResult] = await Promise.all([
+        pool.query(figuresQuery, params),
+        pool.query(trendQuery, params),
+      ]);
+
+      const ratio = (value, total, scale = 1) =>
+        total > 0 ? parseFloat(((value / total) * scale).toFixed(2)) : null;
+
+      // Figures of one period; a period without signups has zero counts
+      // and null ratios
+      const formatFigures = (row) => {
+        const signupCount = row ? parseInt(row.signups) : 0;
+        const customers = row ? parseInt(row.customers) : 0;
+        const orders = row ? parseInt(row.orders) : 0;
+        const items = row ? parseInt(row.items) : 0;
+        const returnedOrders = row ? parseInt(row.returned_orders) : 0;
+        const medianDays = row ? row.median_days_to_first_order : null;
+        return {
+          signups: signupCount,
+          customers,
+          conversion_rate: ratio(customers, signupCount, 100),
+          orders,
+          orders_per_customer: ratio(orders, customers),
+          items_per_order: ratio(items, orders),
+          return_rate: ratio(returnedOrders, orders, 100),
+          median_days_to_first_order:
+            medianDays === null
+              ? null
+              : parseFloat(parseFloat(medianDays).toFixed(1)),
+        };
+      };
+
+      // Percentage change of every figure from the previous period (null
+      // when there is nothing to compare with)
+      const compare = (current, previous) =>
+        Object.fromEntries(
+          Object.keys(current).map((name) => [
+            name,
+            current[name] === null || !previous[name]
+              ? null
+              : parseFloat(
+                  (
+                    ((current[name] - previous[name]) / previous[name]) *
+                    100
+                  ).toFixed(2)
+                ),
+          ])
+        );
+
+      const period = (current, previous) => {
+        const figures = {
+          current: formatFigures(current),
+          previous: formatFigures(previous),
+        };
+        return {
+          ...figures,
+          change: compare(figures.current, figures.previous),
+        };
+      };
+
+      // Rows by channel and period; a channel seen in only one period gets
+      // empty figures for the other
+      const rowsByChannel = new Map();
+      const overall = {};
+      for (const row of figuresResult.rows) {
+        const key = row.current ? "current" : "previous";
+        if (row.all_channels) {
+          overall[key] = row;
+          continue;
+        }
+        if (!rowsByChannel.has(row.traffic_source)) {
+          rowsByChannel.set(row.traffic_source, {});
+        }
+        rowsByChannel.get(row.traffic_source)[key] = row;
+      }
+
+      const trends = new Map();
+      for (const row of trendResult.rows) {
+        const key = `${row.series}:${row.traffic_source}:${row.bucket}`;
+        trends.set(key, parseInt(row.value));
+      }
+      const trend = (source) =>
+        Object.fromEntries(
+          ["signups", "orders"].map((series) => [
+            series,
+            buckets.map(
+              (bucket) => trends.get(`${series}:${source}:${bucket}`) || 0
+            ),
+          ])
+        );
+
+      const channels = [...rowsByChannel.entries()]
+        .map(([source, rows]) => ({
+          traffic_source: source,
+          ...period(rows.current, rows.previous),
+          trend: trend(source),
+        }))
+        .sort(
+          (a, b) =>
+            b.current.signups - a.current.signups ||
+            b.previous.signups - a.previous.signups
+        );
+
+      res.json({
+        success: true,
+        data: {
+          interval,
+          from: fromDay,
+          to: toDay,
+          previous: {
+            from: previousStart.toISOString().slice(0, 10),
+            to: previousEndDay.toISOString().slice(0, 10),
+          },
+          buckets,
+          channels,
+          total: period(overall.current, overall.previous),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching channel analytics:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to fetch channel analytics",
+      });
+    }
+  }
+);
+
+// 15. GET /segments - Customer segments with their size and average
+// recency, frequency and volume
+app.get(
+  "/segments",
+  authorize("analytics:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  async (req, res) => {
+    try {
+      const query = `
+      SELECT
+        ${CUSTOMER_SEGMENT_COLUMN} as segment,
+        COUNT(*) as customers,
+        COALESCE(AVG(seg.order_count), 0) as average_orders,
+        COALESCE(AVG(seg.total_items), 0) as average_items,
+        AVG(EXTRACT(EPOCH FROM NOW() - seg.last_order_date) / 86400) as average_days_since_last_order
+      FROM users u${CUSTOMER_SEGMENT_JOIN}
+      WHERE u.deleted_at IS NULL
+      GROUP BY 1
+    `;
+
+      const result = await pool.query(query);
+      const bySegment = new Map(result.rows.map((row) => [row.segment, row]));
+      const totalCustomers = result.rows.reduce(
+        (sum, row) => sum + parseInt(row.customers),
+        0
+      );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+      res.json({
+        success: true,
+        data: {
+          total_customers: totalCustomers,
+          segments: CUSTOMER_SEGMENTS.map((segment) => {
+            const row = bySegment.get(segment.name);
+            const customers = row ? parseInt(row.customers) : 0;
+            return {
+              name: segment.name,
+              label: segment.label,
+              description: segment.description,
+              customers,
+              share:
+                totalCustomers > 0
+                  ? ((customers / totalCustomers) * 100).toFixed(2) + "%"
+                  : "0%",
+              average_orders: row
+                ? parseFloat(parseFloat(row.average_orders).toFixed(2))
+                : 0,
+              average_items: row
+                ? parseFloat(parseFloat(row.average_items).toFixed(2))
+                : 0,
+              average_days_since_last_order:
+                row && row.average_days_since_last_order !== null
+                  ? Math.round(row.average_days_since_last_order)
+                  : null,
+            };
+          }),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching segments:", error);
+      res.status(500).json({
         success: false,
-        error: "Order not found",
-        message: `Order with ID ${orderId} does not exist`,
+        error: "Internal server error",
+        message: "Failed to fetch segments",
       });
     }
+  }
+);
 
-    const order = result.rows[0];
+// 16. GET /segments/:name/customers - List the customers in a segment,
+// paginated and filterable like GET /customers
+app.get(
+  "/segments/:name/customers",
+  authorize("customers:read"),
+  responseCache.cached({ tags: ["customers", "orders"] }),
+  (req, res) => {
+    const segmentName = req.params.name;
+    if (!CUSTOMER_SEGMENTS.some((segment) => segment.name === segmentName)) {
+      return res.status(404).json({
+        success: false,
+        error: "Segment not found",
+        message: `Segment ${segmentName} does not exist`,
+      });
+    }
 
-    // Calculate order timeline and duration
-    const timeline = {
-      ordered: order.created_at,
-      shipped: order.shipped_at,
-      delivered: order.delivered_at,
-      returned: order.returned_at,
-    };
+    return listCustomers(req, res, { segment: segmentName });
+  }
+);
 
-    let processingTime = null;
-    let deliveryTime = null;
+// 19. POST /imports - Upload a users or orders CSV (multipart field `file`,
+// with `type` and optional `dry_run`) and start importing it in the
+// background. Responds 202 with the job; poll GET /imports/:id for progress.
+app.post(
+  "/imports",
+  authorize("data:import"),
+  upload.single("file"),
+  (req, res) => {
+    const type = req.body.type || req.query.type;
+    const dryRun = String(req.body.dry_run || req.query.dry_run) === "true";
 
-    if (order.shipped_at && order.created_at) {
-      processingTime = Math.round(
-        (new Date(order.shipped_at) - new Date(order.created_at)) /
-          (1000 * 60 * 60 * 24)
-      );
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing file",
+        message: "Upload the CSV as multipart form field `file`",
+      });
     }
 
-    if (order.delivered_at && order.shipped_at) {
-      deliveryTime = Math.round(
-        (new Date(order.delivered_at) - new Date(order.shipped_at)) /
-          (1000 * 60 * 60 * 24)
-      );
+    if (!IMPORT_TYPES[type]) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({
+        success: false,
+        error: "Invalid import type",
+        message: `type must be one of: ${Object.keys(IMPORT_TYPES).join(", ")}`,
+      });
     }
 
-    const formattedOrder = {
-      order_id: order.order_id,
-      status: order.status,
-      num_of_item: order.num_of_item,
-      gender: order.gender,
-      customer: {
-        user_id: order.user_id,
-        first_name: order.first_name,
-        last_name: order.last_name,
-        full_name:
-          order.first_name && order.last_name
-            ? `${order.first_name} ${order.last_name}`
-            : null,
-        email: order.email,
-        age: order.age,
-        location: `${order.city}, ${order.state}, ${order.country}`,
-        traffic_source: order.traffic_source,
+    // The uploaded file is removed once the import has finished reading it
+    const stream = fs.createReadStream(req.file.path);
+    stream.on("close", () => fs.unlink(req.file.path, () => {}));
+
+    const job = startImportJob(pool, {
+      type,
+      stream,
+      dryRun,
+      filename: req.file.originalname,
+      // Imported rows show up in every cached list and statistic
+      onFinish: (finished) => {
+        if (finished.status === "completed" && !finished.dry_run) {
+          responseCache.invalidate(type === "users" ? "customers" : "orders");
+        }
       },
-      timeline: timeline,
-      processing_metrics: {
-        processing_time_days: processingTime,
-        delivery_time_days: deliveryTime,
-        total_fulfillment_days:
-          processingTime && deliveryTime ? processingTime + deliveryTime : null,
+    });
+    recordView(pool, req, {
+      action: "data.import",
+      details: {
+        job_id: job.id,
+        type,
+        dry_run: dryRun,
+        filename: req.file.originalname,
       },
-    };
+    });
+
+    res
+      .status(202)
+      .location(`/imports/${job.id}`)
+      .json({
+        success: true,
+        data: {
+          job: job,
+        },
+      });
+  }
+);
+
+// 20. GET /imports/:id - Get the status, progress and row errors of an
+// import job
+app.get("/imports/:id", authorize("data:import"), (req, res) => {
+  const job = getImportJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: "Import not found",
+      message: `Import with ID ${req.params.id} does not exist`,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      job: job,
+    },
+  });
+});
+
+// 21. POST /auth/login - Exchange a username and password for a bearer token
+app.post("/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const errors = [];
+    if (typeof username !== "string" || username.trim() === "") {
+      errors.push({ field: "username", message: "username is required" });
+    }
+    if (typeof password !== "string" || password === "") {
+      errors.push({ field: "password", message: "password is required" });
+    }
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const session = await login(pool, { username: username.trim(), password });
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid credentials",
+        message: "Username or password is incorrect",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    console.error("Error signing in:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: "Failed to sign in",
+    });
+  }
+});
+
+// 22. GET /auth/me - The signed-in account or API key and its permissions
+app.get("/auth/me", authorize(), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...req.auth,
+      permissions: rolePermissions(req.auth.role),
+    },
+  });
+});
+
+// 23. GET /auth/api-keys - List API keys (never the keys themselves)
+app.get("/auth/api-keys", authorize("api_keys:manage"), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, key_prefix, role, created_by, created_at, last_used_at, revoked_at
+      FROM api_keys
+      ORDER BY created_at DESC, id DESC
+    `);
 
     res.json({
       success: true,
       data: {
-        order: formattedOrder,
+        api_keys: result.rows,
       },
     });
   } catch (error) {
-    console.error("Error fetching order details:", error);
+    console.error("Error fetching API keys:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
-      message: "Failed to fetch order details",
+      message: "Failed to fetch API keys",
     });
   }
 });
 
-// 6. GET /orders/status/:status - Get orders by status
-app.get("/orders/status/:status", async (req, res) => {
+// 24. POST /auth/api-keys - Create an API key for a service integration.
+// The key is only ever returned in this response.
+app.post("/auth/api-keys", authorize("api_keys:manage"), async (req, res) => {
   try {
-    const status = req.params.status.toLowerCase();
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    // Validate status
-    const validStatuses = [
-      "pending",
-      "shipped",
-      "delivered",
-      "returned",
-      "cancelled",
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid status",
-        message: `Status must be one of: ${validStatuses.join(", ")}`,
+    const { name, role } = req.body || {};
+    const errors = [];
+    if (typeof name !== "string" || name.trim() === "") {
+      errors.push({ field: "name", message: "name is required" });
+    } else if (name.trim().length > 100) {
+      errors.push({
+        field: "name",
+        message: "name must be at most 100 characters",
       });
     }
+    if (!ROLES.includes(role)) {
+      errors.push({
+        field: "role",
+        message: `role must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
 
-    // Get total count for pagination
-    const countQuery = "SELECT COUNT(*) FROM orders WHERE LOWER(status) = $1";
-    const countResult = await pool.query(countQuery, [status]);
-    const totalOrders = parseInt(countResult.rows[0].count);
-    const totalPages = Math.ceil(totalOrders / limit);
-
-    // Get orders with customer details
-    const query = `
-      SELECT 
-        o.order_id,
-        o.user_id,
-        o.status,
-        o.num_of_item,
-        o.created_at,
-        o.shipped_at,
-        o.delivered_at,
-        o.returned_at,
-        u.first_name,
-        u.last_name,
-        u.email
-      FROM orders o
-      LEFT JOIN users u ON o.user_id = u.id
-      WHERE LOWER(o.status) = $1
-      ORDER BY o.created_at DESC
-      LIMIT $2 OFFSET $3
-    `;
-
-    const result = await pool.query(query, [status, limit, offset]);
+    const apiKey = await createApiKey(pool, {
+      name: name.trim(),
+      role,
+      createdBy: req.auth.type === "account" ? req.auth.id : null,
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
+      message: "Store this key now; it cannot be shown again",
       data: {
-        status_filter: status,
-        orders: result.rows.map((order) => ({
-          order_id: order.order_id,
-          user_id: order.user_id,
-          customer_name:
-            order.first_name && order.last_name
-              ? `${order.first_name} ${order.last_name}`
-              : null,
-          customer_email: order.email,
-          status: order.status,
-          num_of_item: order.num_of_item,
-          created_at: order.created_at,
-          shipped_at: order.shipped_at,
-          delivered_at: order.delivered_at,
-          returned_at: order.returned_at,
-        })),
-        pagination: {
-          current_page: page,
-          total_pages: totalPages,
-          total_orders: totalOrders,
-          per_page: limit,
-          has_next_page: page < totalPages,
-          has_prev_page: page > 1,
-        },
+        api_key: apiKey,
       },
     });
   } catch (error) {
-    console.error("Error fetching orders by status:", error);
+    console.error("Error creating API key:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
-      message: "Failed to fetch orders by status",
+      message: "Failed to create API key",
     });
   }
 });
 
-// 7. GET /stats - Get overall statistics
-app.get("/stats", async (req, res) => {
+// 25. DELETE /auth/api-keys/:id - Revoke an API key
+app.delete(
+  "/auth/api-keys/:id",
+  authorize("api_keys:manage"),
+  async (req, res) => {
+    try {
+      const keyId = req.params.id;
+
+      if (!isValidId(keyId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid API key ID",
+          message: "API key ID must be a positive integer",
+        });
+      }
+
+      const result = await pool.query(
+        `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+         WHERE id = $1
+         RETURNING id, name, key_prefix, role, created_by, created_at, last_used_at, revoked_at`,
+        [keyId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "API key not found",
+          message: `API key with ID ${keyId} does not exist`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "API key revoked",
+        data: {
+          api_key: result.rows[0],
+        },
+      });
+    } catch (error) {
+      console.error("Error revoking API key:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to revoke API key",
+      });
+    }
+  }
+);
+
+// 26. GET /audit - Audit entries, newest first, filtered by customer_id,
+// order_id, actor (account or API key name), action and occurred_at (or the
+// from/to date range)
+app.get("/audit", authorize("audit:read"), async (req, res) => {
   try {
-    const statsQuery = `
-      SELECT 
-        (SELECT COUNT(*) FROM users) as total_customers,
-        (SELECT COUNT(*) FROM orders) as total_orders,
-        (SELECT COALESCE(AVG(num_of_item), 0) FROM orders) as average_items_per_order,
-        (SELECT COALESCE(SUM(num_of_item), 0) FROM orders) as total_items_sold,
-        (SELECT COUNT(*) FROM orders WHERE status = 'delivered') as delivered_orders,
-        (SELECT COUNT(*) FROM orders WHERE status = 'returned') as returned_orders,
-        (SELECT COUNT(DISTINCT traffic_source) FROM users) as unique_traffic_sources
-    `;
+    const pagination = parsePagination(req.query, { defaultLimit: 20 });
+
+    const { conditions, params, filters, error } = buildFilters(
+      req.query,
+      AUDIT_FILTER_FIELDS
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid filter",
+        message: error,
+      });
+    }
 
-    const result = await pool.query(statsQuery);
-    const stats = result.rows[0];
+    const page = await fetchPage(pool, {
+      columns: `id, occurred_at, actor_type, actor_id, actor, actor_role, action,
+                method, route, path, customer_ids, order_ids, changes, details`,
+      from: "FROM audit_log",
+      conditions,
+      params,
+      sorting: buildOrderBy(
+        undefined,
+        AUDIT_SORT_FIELDS,
+        "-occurred_at,-id",
+        "id"
+      ),
+      pagination,
+      totalKey: "total_entries",
+    });
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid cursor",
+        message: page.error,
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        statistics: {
-          total_customers: parseInt(stats.total_customers),
-          total_orders: parseInt(stats.total_orders),
-          average_items_per_order: parseFloat(
-            stats.average_items_per_order
-          ).toFixed(2),
-          total_items_sold: parseInt(stats.total_items_sold),
-          delivered_orders: parseInt(stats.delivered_orders),
-          returned_orders: parseInt(stats.returned_orders),
-          unique_traffic_sources: parseInt(stats.unique_traffic_sources),
-          delivery_rate:
-            stats.total_orders > 0
-              ? ((stats.delivered_orders / stats.total_orders) * 100).toFixed(
-                  2
-                ) + "%"
-              : "0%",
-          return_rate:
-            stats.total_orders > 0
-              ? ((stats.returned_orders / stats.total_orders) * 100).toFixed(
-                  2
-                ) + "%"
-              : "0%",
-        },
+        entries: page.rows,
+        pagination: page.pagination,
+        filters: filters,
       },
     });
   } catch (error) {
-    console.error("Error fetching statistics:", error);
+    console.error("Error fetching audit log:", error);
     res.status(500).json({
       success: false,
       error: "Internal server error",
-      message: "Failed to fetch statistics",
+      message: "Failed to fetch audit log",
     });
   }
 });
 
+// 27. GET /customers/:id/data-export - Everything held about a customer
+// (profile, orders, status history, derived segment and statistics, merged
+// accounts, access log and erasure requests) as a JSON document or, with
+// ?format=zip, a ZIP of one JSON file per section. Deleted and merged
+// customers can be exported too.
+app.get(
+  "/customers/:id/data-export",
+  authorize("privacy:manage"),
+  async (req, res) => {
+    try {
+      const customerId = req.params.id;
+
+      // Validate customer ID
+      if (!isValidId(customerId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid customer ID",
+          message: "Customer ID must be a positive integer",
+        });
+      }
+
+      const format = String(req.query.format || "json").toLowerCase();
+      if (!["json", "zip"].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: "Unsupported export format",
+          message: "format must be one of: json, zip",
+        });
+      }
+
+      const details = await getCustomerDetails(customerId);
+      if (!details) {
+        return res.status(404).json({
+          success: false,
+          error: "Customer not found",
+          message: customerNotFoundMessage(customerId, details),
+        });
+      }
+
+      const bundle = await buildDataExport(pool, details.customer);
+
+      recordView(pool, req, {
+        action: "customer.data_export",
+        customerIds: [customerId],
+        orderIds: bundle.orders.map((order) => order.order_id),
+        details: { format },
+      });
+
+      res.attachment(`customer-${customerId}-data.${format}`);
+      if (format === "zip") {
+        res.type("application/zip");
+        await writeDataExportZip(res, bundle);
+      } else {
+        res.type("application/json");
+        res.send(JSON.stringify(bundle, null, 2));
+      }
+    } catch (error) {
+      console.error("Error exporting customer data:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to export customer data",
+      });
+    }
+  }
+);
+
+// 28. POST /customers/:id/erasure - Anonymize a customer's personal data
+// (name, email, street address, postal code and coordinates), and that of
+// any accounts merged into them. Orders are kept for aggregate statistics.
+// Body: { reason?, reference? }, recorded with the request.
+app.post(
+  "/customers/:id/erasure",
+  authorize("privacy:manage"),
+  async (req, res) => {
+    try {
+      const customerId = req.params.id;
+
+      // Validate customer ID
+      if (!isValidId(customerId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid customer ID",
+          message: "Customer ID must be a positive integer",
+        });
+      }
+
+      const { reason, reference } = req.body || {};
+      const errors = [];
+      for (const [field, value] of Object.entries({ reason, reference })) {
+        if (
+          value !== undefined &&
+          value !== null &&
+          (typeof value !== "string" || value.length > 500)
+        ) {
+          errors.push({
+            field,
+            message: `${field} must be a string of at most 500 characters`,
+          });
+        }
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const result = await withTransaction((client) =>
+        eraseCustomer(client, req, customerId, { reason, reference })
+      );
+
+      if (result.error === "not_found") {
+        return res.status(404).json({
+          success: false,
+          error: "Customer not found",
+          message: customerNotFoundMessage(customerId, null),
+        });
+      }
+      if (result.error === "already_erased") {
+        return res.status(409).json({
+          success: false,
+          error: "Customer anonymized",
+          message: `Customer with ID ${customerId} has already been anonymized`,
+        });
+      }
+      await responseCache.invalidate("customers");
+
+      const details = await getCustomerDetails(customerId);
+
+      res.json({
+        success: true,
+        message: `Customer ${customerId} has been anonymized`,
+        data: {
+          erasure_request: result.erasure,
+          customer: details.customer,
+        },
+      });
+    } catch (error) {
+      console.error("Error erasing customer:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: "Failed to erase customer",
+      });
+    }
+  }
+);
+
 // Health check endpoint
 app.get("/health", async (req, res) => {
   try {
@@ -658,6 +3813,12 @@ app.get("/health", async (req, res) => {
   }
 });
 
+// OpenAPI document and interactive documentation
+app.get("/openapi.json", (req, res) => {
+  res.json(openApiSpec);
+});
+app.use("/docs", swaggerUi.serve, swaggerUi.setup(openApiSpec));
+
 // 404 handler for undefined routes
 app.use("*", (req, res) => {
   res.status(404).json({
@@ -669,6 +3830,24 @@ app.use("*", (req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // Malformed JSON request bodies
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid JSON",
+      message: "Request body must be valid JSON",
+    });
+  }
+
+  // Rejected multipart uploads (file too large, unexpected field, ...)
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid upload",
+      message: err.message,
+    });
+  }
+
   console.error("Unhandled error:", err);
   res.status(500).json({
     success: false,
@@ -677,18 +3856,87 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`🚀 Customer API server running on port ${port}`);
-  console.log(`📋 Available endpoints:`);
-  console.log(`   GET  /health - Health check`);
-  console.log(`   GET  /customers - List all customers (with pagination)`);
-  console.log(`   GET  /customers/:id - Get customer details`);
-  console.log(`   GET  /customers/:id/orders - Get customer orders`);
-  console.log(`   GET  /orders - List all orders (with pagination & filters)`);
-  console.log(`   GET  /orders/:order_id - Get specific order details`);
-  console.log(`   GET  /orders/status/:status - Get orders by status`);
-  console.log(`   GET  /stats - Get overall statistics`);
-});
+// Start the server when run directly (npm start); importing the app, as the
+// tests do, neither connects to the database nor listens
+const start = () => {
+  // Test database connection
+  pool
+    .connect()
+    .then((client) => {
+      client.release();
+      console.log("✅ Connected to PostgreSQL database");
+    })
+    .catch((err) => console.error("❌ Database connection error:", err));
+
+  // Keep the materialized /stats figures current, starting with a refresh
+  // so they do not date from the last deploy
+  if (STATS_SOURCE === "materialized") {
+    const refresh = () =>
+      refreshStatsSummary().catch((err) =>
+        console.error("Error refreshing stats_summary:", err)
+      );
+    refresh();
+    setInterval(refresh, STATS_REFRESH_SECONDS * 1000);
+  }
+
+  app.listen(port, () => {
+    console.log(`🚀 Customer API server running on port ${port}`);
+    console.log(`📋 Available endpoints:`);
+    console.log(`   GET  /health - Health check`);
+    console.log(`   GET  /docs - Interactive API documentation`);
+    console.log(
+      `   GET  /customers - List all customers (with pagination, search & filters)`
+    );
+    console.log(
+      `   GET  /customers/export - Export customers (CSV, NDJSON, XLSX)`
+    );
+    console.log(
+      `   GET  /customers/nearby - Customers within a radius of a point`
+    );
+    console.log(`   GET  /customers/:id - Get customer details`);
+    console.log(`   GET  /customers/:id/orders - Get customer orders`);
+    console.log(
+      `   GET  /orders - List all orders (with pagination & filters)`
+    );
+    console.log(`   GET  /orders/export - Export orders (CSV, NDJSON, XLSX)`);
+    console.log(`   GET  /orders/:order_id - Get specific order details`);
+    console.log(`   GET  /orders/status/:status - Get orders by status`);
+    console.log(`   GET  /stats - Get overall statistics`);
+    console.log(`   GET  /stats/timeseries - Bucketed counts over time`);
+    console.log(`   GET  /analytics/cohorts - Cohort retention analysis`);
+    console.log(`   GET  /analytics/geo - Customers and orders by location`);
+    console.log(
+      `   GET  /analytics/fulfillment - Fulfillment times and stuck orders`
+    );
+    console.log(
+      `   GET  /analytics/channels - Acquisition figures per traffic source`
+    );
+    console.log(`   GET  /segments - Customer segments`);
+    console.log(`   GET  /segments/:name/customers - Customers in a segment`);
+    console.log(`   POST /imports - Import a users or orders CSV`);
+    console.log(`   GET  /imports/:id - Get import progress`);
+    console.log(`   POST /auth/login - Sign in and get a bearer token`);
+    console.log(`   GET  /auth/me - Current account or API key`);
+    console.log(`   GET  /auth/api-keys - List API keys`);
+    console.log(`   POST /auth/api-keys - Create an API key`);
+    console.log(`   DELETE /auth/api-keys/:id - Revoke an API key`);
+    console.log(`   GET  /audit - Audit log of data access and changes`);
+    console.log(`   POST /customers - Create a customer`);
+    console.log(`   PATCH /customers/:id - Update a customer`);
+    console.log(`   DELETE /customers/:id - Soft-delete a customer`);
+    console.log(`   POST /customers/:id/merge - Merge duplicate customers`);
+    console.log(
+      `   GET  /customers/:id/data-export - Export all of a customer's data`
+    );
+    console.log(`   POST /customers/:id/erasure - Anonymize a customer`);
+    console.log(
+      `   POST /orders/:order_id/transitions - Change an order's status`
+    );
+  });
+};
+
+if (require.main === module) {
+  start();
+}
 
 module.exports = app;
@@ -0,0 +1,1785 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { startTestDatabase } = require("./support/testDatabase");
+const { createResponseValidator } = require("../validation");
+const { EXPORT_FORMATS } = require("../export");
+const { ERASED_FIELDS, EXPORT_SECTIONS } = require("../privacy");
+const { runImport } = require("../importer");
+const { createAccount } = require("../auth");
+const { readZip } = require("./support/zip");
+const { CUSTOMERS, ORDERS, ACCOUNTS } = require("./support/fixtures");
+
+// End-to-end tests of the API against a throwaway PostgreSQL loaded with
+// tests/support/fixtures.js. Every JSON response is also checked against the
+// OpenAPI document. Read-only tests run first; the ones that change data
+// come last and assert only on the rows they touch.
+
+const ACTIVE_CUSTOMERS = CUSTOMERS.filter((customer) => !customer.deleted_at);
+
+let database;
+let checkResponse;
+const tokens = {};
+
+before(
+  async () => {
+    database = await startTestDatabase();
+    const spec = await request(database.app).get("/openapi.json");
+    checkResponse = createResponseValidator(spec.body);
+    for (const { username, password, role } of ACCOUNTS) {
+      const response = await request(database.app)
+        .post("/auth/login")
+        .send({ username, password });
+      tokens[role] = response.body.data.token;
+    }
+  },
+  { timeout: 120000 }
+);
+
+after(async () => {
+  if (database) await database.stop();
+});
+
+// Send a request as `role` (default admin) and check the response against
+// the OpenAPI document
+const call = async (method, url, { role = "admin", body, headers } = {}) => {
+  let pending = request(database.app)[method](url);
+  if (role) pending = pending.set("Authorization", `Bearer ${tokens[role]}`);
+  if (headers) pending = pending.set(headers);
+  if (body !== undefined) pending = pending.send(body);
+  const response = await pending;
+  if (response.type === "application/json") {
+    assert.deepEqual(
+      checkResponse(method, url, response.status, response.body),
+      [],
+      `${method.toUpperCase()} ${url} ${response.status} does not match the document`
+    );
+  }
+  return response;
+};
+
+const get = (url, options) => call("get", url, options);
+
+// Make pool.connect() fail, as when the database is unavailable, for the
+// rest of test `t`. pool.query (which authentication uses) passes connect a
+// callback and keeps working.
+const refuseTransactions = (t) => {
+  const connect = database.pool.connect.bind(database.pool);
+  t.mock.method(database.pool, "connect", (callback) =>
+    callback
+      ? connect(callback)
+      : Promise.reject(new Error("connection refused"))
+  );
+};
+
+// Download a file as `role`; the response body is a Buffer
+const download = (url, { role = "admin", headers } = {}) => {
+  let pending = request(database.app)
+    .get(url)
+    .set("Authorization", `Bearer ${tokens[role]}`);
+  if (headers) pending = pending.set(headers);
+  return pending.buffer(true).parse((res, done) => {
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => done(null, Buffer.concat(chunks)));
+  });
+};
+
+describe("pagination", () => {
+  test("splits customers into pages", async () => {
+    const pages = [];
+    for (let page = 1; page <= 3; page++) {
+      const { status, body } = await get(`/customers?limit=5&page=${page}`);
+      assert.equal(status, 200);
+      pages.push(body.data);
+    }
+
+    assert.deepEqual(
+      pages.map((data) => data.customers.length),
+      [5, 5, 1]
+    );
+    assert.deepEqual(pages[0].pagination, {
+      current_page: 1,
+      total_pages: 3,
+      total_customers: ACTIVE_CUSTOMERS.length,
+      per_page: 5,
+      has_next_page: true,
+      has_prev_page: false,
+    });
+    assert.equal(pages[2].pagination.has_next_page, false);
+    assert.equal(pages[2].pagination.has_prev_page, true);
+
+    const ids = pages.flatMap((data) =>
+      data.customers.map((customer) => Number(customer.id))
+    );
+    assert.deepEqual(
+      [...ids].sort((a, b) => a - b),
+      ACTIVE_CUSTOMERS.map((customer) => customer.id)
+    );
+  });
+
+  test("returns an empty page past the end", async () => {
+    const { status, body } = await get("/customers?limit=5&page=4");
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.customers, []);
+    assert.equal(body.data.pagination.has_next_page, false);
+    assert.equal(body.data.pagination.has_prev_page, true);
+  });
+
+  test("fits every order on one page of the maximum size", async () => {
+    const { body } = await get("/orders?limit=100");
+    assert.equal(body.data.orders.length, ORDERS.length);
+    assert.equal(body.data.pagination.total_pages, 1);
+    assert.equal(body.data.pagination.has_next_page, false);
+  });
+
+  test("rejects out-of-range page sizes and numbers", async () => {
+    for (const query of ["limit=0", "limit=101", "page=0", "page=-1"]) {
+      const { status, body } = await get(`/orders?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.error, "Validation failed");
+    }
+  });
+
+  test("walks every order with a cursor", async () => {
+    const seen = [];
+    let cursor = "";
+    for (let pages = 0; pages < 10; pages++) {
+      const { status, body } = await get(
+        `/orders?limit=7&sort=order_id&cursor=${encodeURIComponent(cursor)}`
+      );
+      assert.equal(status, 200);
+      seen.push(...body.data.orders.map((order) => Number(order.order_id)));
+      if (!body.data.pagination.has_next_page) break;
+      cursor = body.data.pagination.next_cursor;
+    }
+    assert.deepEqual(
+      seen,
+      ORDERS.map((order) => order.order_id)
+    );
+  });
+
+  test("rejects a malformed cursor", async () => {
+    const { status, body } = await get("/orders?cursor=not-a-cursor");
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+});
+
+describe("invalid ids", () => {
+  const INVALID_IDS = ["abc", "1.5", "0", "1e3"];
+
+  for (const url of [
+    "/customers/:id",
+    "/customers/:id/orders",
+    "/orders/:id",
+  ]) {
+    test(`GET ${url} rejects ids that are not positive integers`, async () => {
+      for (const id of INVALID_IDS) {
+        const { status, body } = await get(url.replace(":id", id));
+        assert.equal(status, 400, id);
+        assert.equal(body.success, false);
+      }
+    });
+  }
+
+  test("writes reject ids that are not positive integers", async () => {
+    for (const id of INVALID_IDS) {
+      const deleted = await call("delete", `/customers/${id}`);
+      assert.equal(deleted.status, 400, id);
+      const transition = await call("post", `/orders/${id}/transitions`, {
+        body: { status: "shipped" },
+      });
+      assert.equal(transition.status, 400, id);
+    }
+  });
+
+  test("GET /orders rejects an invalid user_id filter", async () => {
+    const { status } = await get("/orders?user_id=abc");
+    assert.equal(status, 400);
+  });
+});
+
+describe("order filters", () => {
+  test("combines status and user_id", async () => {
+    const { status, body } = await get(
+      "/orders?status=delivered&user_id=1&sort=order_id"
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.orders.map((order) => Number(order.order_id)),
+      ORDERS.filter(
+        (order) => order.user_id === 1 && order.status === "delivered"
+      ).map((order) => order.order_id)
+    );
+    assert.equal(body.data.pagination.total_orders, 2);
+    assert.equal(body.data.filters.status, "delivered");
+    assert.equal(body.data.filters.user_id, 1);
+  });
+
+  test("matches status case-insensitively", async () => {
+    const { body } = await get("/orders?status=DELIVERED&user_id=1");
+    assert.equal(body.data.orders.length, 2);
+  });
+
+  test("returns nothing for a customer without matching orders", async () => {
+    const { status, body } = await get("/orders?status=returned&user_id=2");
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.orders, []);
+    assert.equal(body.data.pagination.total_orders, 0);
+    assert.equal(body.data.pagination.total_pages, 0);
+  });
+
+  test("lists a customer's orders", async () => {
+    const { status, body } = await get("/customers/1/orders?sort=order_id");
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.orders.map((order) => Number(order.order_id)),
+      [1, 2, 3, 4, 5]
+    );
+  });
+
+  test("applies filter operators", async () => {
+    const orderIds = (orders) =>
+      orders.map((order) => order.order_id).sort((a, b) => a - b);
+
+    for (const [query, expected] of [
+      [
+        "status=in:shipped,delivered",
+        ORDERS.filter((order) =>
+          ["shipped", "delivered"].includes(order.status)
+        ),
+      ],
+      ["num_of_item=gt:2", ORDERS.filter((order) => order.num_of_item > 2)],
+      [
+        "created_at=gte:2024-01-20&created_at=lte:2024-01-24",
+        ORDERS.filter((order) => order.order_id >= 11 && order.order_id <= 15),
+      ],
+      [
+        "status=ne:pending&user_id=in:1,2",
+        ORDERS.filter(
+          (order) => order.user_id <= 2 && order.status !== "pending"
+        ),
+      ],
+    ]) {
+      const { status, body } = await get(`/orders?limit=100&${query}`);
+      assert.equal(status, 200, query);
+      assert.deepEqual(
+        orderIds(body.data.orders.map((order) => Number(order.order_id))),
+        orderIds(expected.map((order) => order.order_id)),
+        query
+      );
+    }
+  });
+
+  test("echoes the applied operators", async () => {
+    const { body } = await get("/orders?num_of_item=gt:2&status=in:shipped");
+    assert.deepEqual(body.data.filters, {
+      num_of_item: { gt: 2 },
+      status: { in: ["shipped"] },
+    });
+  });
+
+  test("rejects operators a field does not support", async () => {
+    const { status, body } = await get("/orders?status=gt:shipped");
+    assert.equal(status, 400);
+    assert.equal(body.error, "Invalid filter");
+  });
+
+  test("lists a status in the GET /orders shape", async () => {
+    const { status, body } = await get(
+      "/orders/status/DELIVERED?user_id=1&sort=order_id"
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.orders.map((order) => Number(order.order_id)),
+      [1, 2]
+    );
+    assert.equal(body.data.orders[0].customer.full_name, "First1 Last01");
+    assert.equal(body.data.pagination.total_orders, 2);
+    assert.deepEqual(body.data.filters, { status: "delivered", user_id: 1 });
+  });
+
+  test("filters a customer's orders", async () => {
+    const { status, body } = await get(
+      "/customers/1/orders?status=in:delivered,returned&sort=order_id"
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.orders.map((order) => Number(order.order_id)),
+      [1, 2, 3]
+    );
+    assert.equal(body.data.orders[0].customer.first_name, "First1");
+  });
+
+  test("pages a customer's orders", async () => {
+    const first = await get("/customers/1/orders?sort=order_id&limit=2");
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      first.body.data.orders.map((order) => Number(order.order_id)),
+      [1, 2]
+    );
+    assert.equal(first.body.data.pagination.total_orders, 5);
+    assert.equal(first.body.data.pagination.total_pages, 3);
+
+    const seen = [];
+    let cursor = "";
+    for (let pages = 0; pages < 5; pages++) {
+      const { status, body } = await get(
+        `/customers/1/orders?limit=2&sort=order_id&cursor=${encodeURIComponent(cursor)}`
+      );
+      assert.equal(status, 200);
+      seen.push(...body.data.orders.map((order) => Number(order.order_id)));
+      if (!body.data.pagination.has_next_page) break;
+      cursor = body.data.pagination.next_cursor;
+    }
+    assert.deepEqual(seen, [1, 2, 3, 4, 5]);
+
+    const malformed = await get("/customers/1/orders?cursor=not-a-cursor");
+    assert.equal(malformed.status, 400);
+  });
+
+  test("filters customers with operators and aliases", async () => {
+    const older = await get("/customers?age=gte:30");
+    assert.deepEqual(
+      older.body.data.customers.map((customer) => Number(customer.id)),
+      [10, 11]
+    );
+    const aliased = await get("/customers?min_age=30&max_age=30");
+    assert.deepEqual(
+      aliased.body.data.customers.map((customer) => Number(customer.id)),
+      [10]
+    );
+  });
+});
+
+describe("not found", () => {
+  test("404s for customers that do not exist", async () => {
+    for (const url of ["/customers/999", "/customers/999/orders"]) {
+      const { status, body } = await get(url);
+      assert.equal(status, 404, url);
+      assert.equal(body.error, "Customer not found");
+    }
+  });
+
+  test("404s for deleted customers", async () => {
+    const { status, body } = await get("/customers/12");
+    assert.equal(status, 404);
+    assert.equal(body.error, "Customer not found");
+  });
+
+  test("404s for orders that do not exist", async () => {
+    const { status, body } = await get("/orders/999");
+    assert.equal(status, 404);
+    assert.equal(body.error, "Order not found");
+  });
+
+  test("404s for unknown segments and routes", async () => {
+    const segment = await get("/segments/unknown/customers");
+    assert.equal(segment.status, 404);
+    const route = await request(database.app)
+      .get("/nowhere")
+      .set("Authorization", `Bearer ${tokens.admin}`);
+    assert.equal(route.status, 404);
+    assert.equal(route.body.success, false);
+  });
+});
+
+describe("GET /stats", () => {
+  test("calculates totals and rates from the orders", async () => {
+    const { status, body } = await get("/stats");
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.statistics, {
+      total_customers: 11,
+      total_orders: 20,
+      average_items_per_order: "2.00",
+      total_items_sold: 40,
+      delivered_orders: 8,
+      returned_orders: 2,
+      unique_traffic_sources: 5,
+      delivery_rate: "40.00%",
+      return_rate: "10.00%",
+    });
+    assert.equal(body.data.source, "live");
+    assert.equal(body.data.refreshed_at, null);
+  });
+
+  test("materializes the same figures in stats_summary", async () => {
+    const { body } = await get("/stats");
+    await database.pool.query("REFRESH MATERIALIZED VIEW stats_summary");
+    const { rows } = await database.pool.query("SELECT * FROM stats_summary");
+    const statistics = body.data.statistics;
+    assert.equal(Number(rows[0].total_customers), statistics.total_customers);
+    assert.equal(Number(rows[0].total_orders), statistics.total_orders);
+    assert.equal(Number(rows[0].total_items_sold), statistics.total_items_sold);
+    assert.equal(Number(rows[0].delivered_orders), statistics.delivered_orders);
+    assert.ok(rows[0].refreshed_at instanceof Date);
+  });
+
+  test("is open to viewers", async () => {
+    const { status } = await get("/stats", { role: "viewer" });
+    assert.equal(status, 200);
+  });
+});
+
+describe("locations", () => {
+  // Fixture customers sit 0.01° apart north-west of this point, about
+  // 1.4 km per step
+  const ORIGIN = "lat=40.7128&lng=-74.006";
+
+  test("finds customers within a radius, nearest first", async () => {
+    const { status, body } = await get(
+      `/customers/nearby?${ORIGIN}&radius_km=5`
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.customers.map((customer) => Number(customer.id)),
+      [1, 2, 3]
+    );
+    const distances = body.data.customers.map(
+      (customer) => customer.distance_km
+    );
+    assert.ok(distances[0] > 1.3 && distances[0] < 1.5, String(distances));
+    assert.deepEqual(
+      [...distances].sort((a, b) => a - b),
+      distances
+    );
+  });
+
+  test("leaves out deleted customers", async () => {
+    const { body } = await get(`/customers/nearby?${ORIGIN}&radius_km=50`);
+    assert.deepEqual(
+      body.data.customers.map((customer) => Number(customer.id)),
+      ACTIVE_CUSTOMERS.map((customer) => customer.id)
+    );
+  });
+
+  test("measures from rounded coordinates for viewers", async () => {
+    const { body } = await get(`/customers/nearby?${ORIGIN}&radius_km=50`, {
+      role: "viewer",
+    });
+    for (const customer of body.data.customers) {
+      assert.equal(customer.latitude, Math.round(customer.latitude * 10) / 10);
+    }
+  });
+
+  test("rejects a missing location", async () => {
+    const { status } = await get("/customers/nearby?lat=40");
+    assert.equal(status, 400);
+  });
+
+  test("aggregates customers and orders by region", async () => {
+    const country = await get("/analytics/geo");
+    assert.equal(country.status, 200);
+    assert.equal(country.body.data.regions.length, 1);
+    const [region] = country.body.data.regions;
+    assert.equal(region.country, "United States");
+    assert.equal(region.customers, ACTIVE_CUSTOMERS.length);
+    assert.equal(region.orders, ORDERS.length);
+    assert.equal(region.returned_orders, 2);
+    assert.equal(region.return_rate, 10);
+
+    const city = await get("/analytics/geo?level=city");
+    assert.deepEqual(
+      {
+        country: city.body.data.regions[0].country,
+        state: city.body.data.regions[0].state,
+        city: city.body.data.regions[0].city,
+      },
+      { country: "United States", state: "New York", city: "New York" }
+    );
+  });
+
+  test("clusters customers into grid cells", async () => {
+    const world = await get("/analytics/geo?level=grid&zoom=0");
+    assert.equal(world.body.data.cell_size, 180);
+    assert.equal(world.body.data.cells.length, 1);
+    assert.deepEqual(world.body.data.cells[0].bounds, {
+      west: -180,
+      south: -90,
+      east: 0,
+      north: 90,
+    });
+    assert.equal(world.body.data.cells[0].customers, ACTIVE_CUSTOMERS.length);
+    assert.equal(world.body.data.cells[0].customer_id, null);
+
+    const street = await get(
+      "/analytics/geo?level=grid&zoom=12&bbox=-75,40,-73,41"
+    );
+    const cells = street.body.data.cells;
+    assert.ok(cells.length > 1);
+    assert.equal(
+      cells.reduce((sum, cell) => sum + cell.customers, 0),
+      ACTIVE_CUSTOMERS.length
+    );
+    for (const cell of cells.filter((cell) => cell.customers === 1)) {
+      assert.ok(cell.customer_id);
+    }
+
+    const limited = await get(
+      "/analytics/geo?level=grid&zoom=12&bbox=-75,40,-73,41&limit=3"
+    );
+    assert.deepEqual(limited.body.data.cells, cells.slice(0, 3));
+  });
+
+  test("limits aggregation to a bounding box", async () => {
+    const { body } = await get("/analytics/geo?bbox=0,0,10,10");
+    assert.deepEqual(body.data.regions, []);
+
+    const invalid = await get("/analytics/geo?bbox=0,10,10,0");
+    assert.equal(invalid.status, 400);
+  });
+});
+
+describe("fulfillment", () => {
+  // Fixture orders ship a day after they are placed, arrive two days later
+  // and are returned three days after that
+  test("reports percentiles and histograms of each duration", async () => {
+    const { status, body } = await get("/analytics/fulfillment");
+    assert.equal(status, 200);
+    const { metrics, breakdowns } = body.data;
+    assert.equal(body.data.orders, ORDERS.length);
+    assert.deepEqual(
+      { ...metrics.processing, histogram: undefined },
+      { orders: 14, p50: 1, p90: 1, p99: 1, histogram: undefined }
+    );
+    assert.deepEqual(metrics.processing.histogram, [
+      { days: 0, orders: 0 },
+      { days: 1, orders: 14 },
+    ]);
+    assert.equal(metrics.delivery.orders, 10);
+    assert.equal(metrics.delivery.p90, 2);
+    assert.equal(metrics.return.orders, 2);
+    assert.equal(metrics.return.p50, 3);
+
+    assert.deepEqual(
+      breakdowns.month.map((row) => [row.key, row.orders]),
+      [["2024-01", ORDERS.length]]
+    );
+    assert.deepEqual(
+      breakdowns.country.map((row) => [row.key, row.orders]),
+      [["United States", ORDERS.length]]
+    );
+    assert.deepEqual(
+      breakdowns.num_of_item.map((row) => row.key),
+      [1, 2, 3, 4]
+    );
+    assert.equal(
+      breakdowns.num_of_item[3].orders,
+      ORDERS.filter((order) => order.num_of_item === 4).length
+    );
+  });
+
+  test("limits durations to orders placed in a date range", async () => {
+    const { body } = await get("/analytics/fulfillment?from=2024-01-25");
+    assert.equal(
+      body.data.orders,
+      ORDERS.filter((order) => order.created_at >= "2024-01-25").length
+    );
+    assert.equal(body.data.metrics.processing.orders, 2);
+  });
+
+  test("flags orders waiting longer than the SLA, oldest first", async () => {
+    const { body } = await get("/analytics/fulfillment");
+    assert.deepEqual(body.data.sla.stuck, { pending: 4, shipped: 4 });
+    assert.deepEqual(
+      body.data.sla.orders.map((order) => Number(order.order_id)),
+      [4, 5, 10, 11, 14, 16, 18, 19]
+    );
+
+    const relaxed = await get(
+      "/analytics/fulfillment?pending_sla_days=100000&limit=2"
+    );
+    assert.deepEqual(relaxed.body.data.sla.stuck, { pending: 0, shipped: 4 });
+    assert.deepEqual(
+      relaxed.body.data.sla.orders.map((order) => order.status),
+      ["shipped", "shipped"]
+    );
+  });
+
+  test("rejects invalid dates and SLAs", async () => {
+    for (const query of ["from=someday", "shipped_sla_days=0"]) {
+      const { status } = await get(`/analytics/fulfillment?${query}`);
+      assert.equal(status, 400, query);
+    }
+  });
+});
+
+describe("channels", () => {
+  // Customers 7-11 signed up in the current period and 1-6 in the previous
+  // one; only customer 7 of the current period has ordered
+  const RANGE = "from=2024-01-07&to=2024-01-12&interval=day";
+
+  test("compares each traffic source with the previous period", async () => {
+    const { status, body } = await get(`/analytics/channels?${RANGE}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.previous, {
+      from: "2024-01-01",
+      to: "2024-01-06",
+    });
+    assert.equal(body.data.buckets.length, 6);
+
+    const channel = (source) =>
+      body.data.channels.find((row) => row.traffic_source === source);
+    assert.equal(body.data.channels[0].traffic_source, "Search");
+    assert.deepEqual(channel("Search").previous, {
+      signups: 2,
+      customers: 2,
+      conversion_rate: 100,
+      orders: 7,
+      orders_per_customer: 3.5,
+      items_per_order: 2,
+      return_rate: 14.29,
+      median_days_to_first_order: 13.5,
+    });
+    assert.deepEqual(channel("Organic").current, {
+      signups: 1,
+      customers: 1,
+      conversion_rate: 100,
+      orders: 4,
+      orders_per_customer: 4,
+      items_per_order: 1.75,
+      return_rate: 0,
+      median_days_to_first_order: 19,
+    });
+    assert.equal(channel("Organic").change.orders, 33.33);
+    assert.deepEqual(channel("Organic").trend.signups, [1, 0, 0, 0, 0, 0]);
+
+    const { total } = body.data;
+    assert.equal(total.current.signups, 5);
+    assert.equal(total.previous.signups, 6);
+    assert.equal(total.current.conversion_rate, 20);
+    assert.equal(total.change.conversion_rate, -80);
+  });
+
+  test("returns empty figures for a period without signups", async () => {
+    const { body } = await get(
+      "/analytics/channels?from=2025-01-01&to=2025-01-31"
+    );
+    assert.deepEqual(body.data.channels, []);
+    assert.equal(body.data.total.current.signups, 0);
+    assert.equal(body.data.total.change.signups, null);
+  });
+
+  test("rejects invalid ranges", async () => {
+    for (const query of [
+      "from=2024-02-01&to=2024-01-01",
+      "interval=hour",
+      "from=2000-01-01&to=2024-01-01&interval=day",
+    ]) {
+      const { status } = await get(`/analytics/channels?${query}`);
+      assert.equal(status, 400, query);
+    }
+  });
+});
+
+describe("sorting", () => {
+  test("sorts customers by several columns", async () => {
+    const { status, body } = await get(
+      "/customers?sort=traffic_source,-id&limit=100"
+    );
+    assert.equal(status, 200);
+    const expected = [...ACTIVE_CUSTOMERS]
+      .sort(
+        (a, b) =>
+          a.traffic_source.localeCompare(b.traffic_source) || b.id - a.id
+      )
+      .map((customer) => customer.id);
+    assert.deepEqual(
+      body.data.customers.map((customer) => Number(customer.id)),
+      expected
+    );
+  });
+
+  test("sorts orders by several columns", async () => {
+    const { body } = await get("/orders?sort=-num_of_item,order_id&limit=100");
+    const expected = [...ORDERS]
+      .sort((a, b) => b.num_of_item - a.num_of_item || a.order_id - b.order_id)
+      .map((order) => order.order_id);
+    assert.deepEqual(
+      body.data.orders.map((order) => Number(order.order_id)),
+      expected
+    );
+  });
+
+  test("rejects unknown sort fields", async () => {
+    const { status, body } = await get("/customers?sort=last_name,password");
+    assert.equal(status, 400);
+    assert.match(body.message, /password/);
+  });
+});
+
+describe("GET /stats/timeseries", () => {
+  test("counts orders per week, including empty buckets", async () => {
+    const { status, body } = await get(
+      "/stats/timeseries?metric=orders&interval=week&from=2024-01-01&to=2024-02-05"
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.buckets, [
+      "2024-01-01",
+      "2024-01-08",
+      "2024-01-15",
+      "2024-01-22",
+      "2024-01-29",
+      "2024-02-05",
+    ]);
+    assert.deepEqual(body.data.series, [
+      { group: null, data: [0, 5, 7, 7, 1, 0], total: 20 },
+    ]);
+  });
+
+  test("splits a series by group", async () => {
+    const { body } = await get(
+      "/stats/timeseries?metric=orders&interval=month&group_by=status&from=2024-01-01&to=2024-01-31"
+    );
+    const totals = Object.fromEntries(
+      body.data.series.map((series) => [series.group, series.total])
+    );
+    assert.deepEqual(totals, {
+      delivered: 8,
+      shipped: 4,
+      pending: 4,
+      returned: 2,
+      cancelled: 2,
+    });
+  });
+
+  test("counts signups of live customers", async () => {
+    const { body } = await get(
+      "/stats/timeseries?metric=signups&interval=month&from=2024-01-01&to=2024-01-31"
+    );
+    assert.equal(body.data.series[0].total, ACTIVE_CUSTOMERS.length);
+  });
+
+  test("rejects invalid metrics, groups and ranges", async () => {
+    for (const query of [
+      "metric=revenue",
+      "interval=hour",
+      "metric=signups&group_by=status",
+      "from=2024-02-01&to=2024-01-01",
+      "interval=day&from=2000-01-01&to=2024-01-01",
+    ]) {
+      const { status } = await get(`/stats/timeseries?${query}`);
+      assert.equal(status, 400, query);
+    }
+  });
+});
+
+describe("GET /analytics/cohorts", () => {
+  test("tracks each signup cohort's ordering and repeat purchases", async () => {
+    const { status, body } = await get("/analytics/cohorts?periods=2");
+    assert.equal(status, 200);
+    // Every customer signed up in January; customers 1-7 ordered that month,
+    // and all but customer 4 ordered again a day after their first order
+    assert.deepEqual(body.data.cohorts, [
+      {
+        cohort: "2024-01-01",
+        customers: ACTIVE_CUSTOMERS.length,
+        retention: [
+          { customers: 7, rate: 63.64 },
+          { customers: 0, rate: 0 },
+        ],
+        purchasers: 7,
+        repeat_purchasers: 6,
+        repeat_purchase_rate: 85.71,
+        median_days_to_second_order: 1,
+      },
+    ]);
+    assert.equal(body.data.summary.customers, ACTIVE_CUSTOMERS.length);
+  });
+
+  test("filters cohorts by traffic source", async () => {
+    const { body } = await get("/analytics/cohorts?traffic_source=search");
+    const search = ACTIVE_CUSTOMERS.filter(
+      (customer) => customer.traffic_source === "Search"
+    );
+    assert.equal(body.data.summary.customers, search.length);
+    assert.equal(
+      body.data.summary.purchasers,
+      search.filter((customer) =>
+        ORDERS.some((order) => order.user_id === customer.id)
+      ).length
+    );
+  });
+
+  test("rejects invalid intervals and periods", async () => {
+    for (const query of ["interval=year", "periods=0", "periods=61"]) {
+      const { status } = await get(`/analytics/cohorts?${query}`);
+      assert.equal(status, 400, query);
+    }
+  });
+});
+
+describe("segments", () => {
+  // Customers 8-11 have no orders
+  const PROSPECTS = ACTIVE_CUSTOMERS.filter(
+    (customer) => !ORDERS.some((order) => order.user_id === customer.id)
+  ).map((customer) => customer.id);
+
+  test("counts live customers in each segment", async () => {
+    const { status, body } = await get("/segments");
+    assert.equal(status, 200);
+    assert.equal(body.data.total_customers, ACTIVE_CUSTOMERS.length);
+    const sizes = Object.fromEntries(
+      body.data.segments.map((segment) => [segment.name, segment.customers])
+    );
+    assert.equal(sizes.prospects, PROSPECTS.length);
+    assert.equal(
+      Object.values(sizes).reduce((sum, size) => sum + size, 0),
+      ACTIVE_CUSTOMERS.length
+    );
+  });
+
+  test("lists the customers in a segment", async () => {
+    const { status, body } = await get("/segments/prospects/customers");
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.customers.map((customer) => Number(customer.id)).sort(),
+      PROSPECTS.sort()
+    );
+  });
+});
+
+describe("exports", () => {
+  test("streams customers as CSV in the requested order", async () => {
+    const { status, headers, body } = await download(
+      "/customers/export?format=csv&sort=-id"
+    );
+    assert.equal(status, 200);
+    assert.match(headers["content-type"], /^text\/csv/);
+    assert.match(headers["content-disposition"], /customers\.csv/);
+    const lines = body.toString().trim().split(/\r?\n/);
+    assert.match(lines[0], /^id,first_name,last_name,email,/);
+    assert.equal(lines.length, ACTIVE_CUSTOMERS.length + 1);
+    assert.match(lines[1], /^11,First11,Last11,customer11@example\.com,/);
+  });
+
+  test("streams filtered orders as NDJSON", async () => {
+    const { status, headers, body } = await download(
+      "/orders/export?format=ndjson&status=pending&sort=order_id"
+    );
+    assert.equal(status, 200);
+    assert.match(headers["content-type"], /^application\/x-ndjson/);
+    const rows = body
+      .toString()
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      rows.map((row) => Number(row.order_id)),
+      ORDERS.filter((order) => order.status === "pending").map(
+        (order) => order.order_id
+      )
+    );
+  });
+
+  test("picks XLSX from the Accept header", async () => {
+    const { status, body } = await download("/customers/export", {
+      headers: { Accept: EXPORT_FORMATS.xlsx },
+    });
+    assert.equal(status, 200);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+    const sheet = workbook.getWorksheet("Export");
+    assert.equal(sheet.getCell("A1").value, "id");
+    assert.equal(sheet.rowCount, ACTIVE_CUSTOMERS.length + 1);
+  });
+
+  test("is closed to viewers", async () => {
+    const { status } = await download("/customers/export?format=csv", {
+      role: "viewer",
+    });
+    assert.equal(status, 403);
+  });
+
+  test("rejects unsupported formats", async () => {
+    const byQuery = await get("/customers/export?format=pdf");
+    assert.equal(byQuery.status, 400);
+    const byHeader = await get("/orders/export", {
+      headers: { Accept: "image/png" },
+    });
+    assert.equal(byHeader.status, 406);
+  });
+});
+
+describe("privacy", () => {
+  test("exports everything held about a customer", async () => {
+    const { status, headers, body } = await download(
+      "/customers/1/data-export"
+    );
+    assert.equal(status, 200);
+    assert.match(headers["content-disposition"], /customer-1-data\.json/);
+    const bundle = JSON.parse(body.toString());
+    assert.equal(bundle.metadata.customer_id, 1);
+    assert.equal(bundle.profile.email, "customer1@example.com");
+    assert.deepEqual(
+      bundle.orders.map((order) => Number(order.order_id)),
+      ORDERS.filter((order) => order.user_id === 1).map(
+        (order) => order.order_id
+      )
+    );
+  });
+
+  test("rejects erasures of unknown customers and invalid requests", async () => {
+    const missing = await call("post", "/customers/999/erasure", { body: {} });
+    assert.equal(missing.status, 404);
+    const invalid = await call("post", "/customers/1/erasure", {
+      body: { reason: "x".repeat(501) },
+    });
+    assert.equal(invalid.status, 400);
+    const forbidden = await call("post", "/customers/1/erasure", {
+      role: "support",
+      body: {},
+    });
+    assert.equal(forbidden.status, 403);
+  });
+});
+
+describe("authentication", () => {
+  test("exchanges a username and password for a token", async () => {
+    const login = await call("post", "/auth/login", {
+      role: null,
+      body: { username: "Support", password: "support-password" },
+    });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.data.token_type, "Bearer");
+    assert.equal(login.body.data.account.role, "support");
+
+    const me = await request(database.app)
+      .get("/auth/me")
+      .set("Authorization", `Bearer ${login.body.data.token}`);
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.name, "support");
+    assert.ok(me.body.data.permissions.includes("customers:write"));
+  });
+
+  test("rejects wrong and missing credentials", async () => {
+    const wrong = await call("post", "/auth/login", {
+      role: null,
+      body: { username: "admin", password: "viewer-password" },
+    });
+    assert.equal(wrong.status, 401);
+    const unknown = await call("post", "/auth/login", {
+      role: null,
+      body: { username: "nobody", password: "admin-password" },
+    });
+    assert.equal(unknown.status, 401);
+    const missing = await call("post", "/auth/login", {
+      role: null,
+      body: { username: "admin" },
+    });
+    assert.equal(missing.status, 400);
+  });
+});
+
+describe("access", () => {
+  test("requires credentials", async () => {
+    const { status } = await get("/customers", { role: null });
+    assert.equal(status, 401);
+  });
+
+  // Every route that returns customer fields. Viewers may not export or read
+  // the audit log, so those must turn them away rather than mask.
+  const VIEWER_ROUTES = [
+    ["/customers?limit=100", 200],
+    ["/customers?limit=100&fields=id,email,location", 200],
+    ["/customers?q=customer1&fields=email,location.postal_code", 200],
+    ["/customers/1", 200],
+    ["/customers/1?fields=email,location.street_address", 200],
+    ["/customers/1/orders", 200],
+    ["/customers/1/orders?fields=order_id,customer", 200],
+    ["/customers/nearby?lat=40.7&lng=-74&radius_km=50", 200],
+    ["/segments/prospects/customers", 200],
+    ["/orders?limit=100", 200],
+    ["/orders?limit=100&fields=order_id,customer.email", 200],
+    ["/orders/1", 200],
+    ["/orders/1?fields=customer", 200],
+    ["/orders/status/pending", 200],
+    ["/analytics/geo?level=city", 200],
+    ["/analytics/geo?level=grid&zoom=12", 200],
+    ["/customers/export?format=ndjson", 403],
+    ["/orders/export?format=ndjson", 403],
+    ["/customers/1/data-export", 403],
+    ["/audit?customer_id=1", 403],
+  ];
+
+  // Fields holding personal data, and whether a value is masked enough
+  const MASKED = {
+    email: (value) => !/^[^*]+@/.test(value),
+    customer_email: (value) => !/^[^*]+@/.test(value),
+    street_address: () => false,
+    postal_code: (value) => value === null || value.length <= 3,
+    latitude: (value) => value === null || Number.isInteger(value * 10),
+    longitude: (value) => value === null || Number.isInteger(value * 10),
+  };
+
+  // Paths of personal data fields anywhere in `value` that are not masked
+  const unmaskedFields = (value, path = "") => {
+    if (Array.isArray(value)) {
+      return value.flatMap((item, i) => unmaskedFields(item, `${path}[${i}]`));
+    }
+    if (value === null || typeof value !== "object") return [];
+    return Object.entries(value).flatMap(([key, fieldValue]) =>
+      MASKED[key] && !MASKED[key](fieldValue)
+        ? [`${path}.${key}`]
+        : unmaskedFields(fieldValue, `${path}.${key}`)
+    );
+  };
+
+  for (const [url, expectedStatus] of VIEWER_ROUTES) {
+    test(`masks personal data for viewers: ${url}`, async () => {
+      const { status, text, body } = await get(url, { role: "viewer" });
+      assert.equal(status, expectedStatus);
+      assert.doesNotMatch(text, /customer\d+@example\.com/);
+      assert.doesNotMatch(text, /Main Street/);
+      assert.deepEqual(unmaskedFields(body), []);
+    });
+  }
+
+  test("keeps writes from viewers", async () => {
+    const { status } = await call("delete", "/customers/1", {
+      role: "viewer",
+    });
+    assert.equal(status, 403);
+  });
+});
+
+describe("changes", () => {
+  test("creates, updates and deletes a customer", async () => {
+    const created = await call("post", "/customers", {
+      body: {
+        first_name: "Jane",
+        last_name: "Doe",
+        email: "jane.doe@example.com",
+      },
+    });
+    assert.equal(created.status, 201);
+    const id = Number(created.body.data.customer.id);
+    assert.ok(id > CUSTOMERS.length);
+
+    const updated = await call("patch", `/customers/${id}`, {
+      body: { city: "Boston" },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.customer.location.city, "Boston");
+
+    const deleted = await call("delete", `/customers/${id}`);
+    assert.equal(deleted.status, 200);
+    const again = await call("delete", `/customers/${id}`);
+    assert.equal(again.status, 404);
+  });
+
+  test("rejects a duplicate email", async () => {
+    const { status } = await call("post", "/customers", {
+      body: {
+        first_name: "Copy",
+        last_name: "Cat",
+        email: "CUSTOMER1@example.com",
+      },
+    });
+    assert.equal(status, 409);
+
+    const taken = await call("patch", "/customers/2", {
+      body: { email: "Customer1@Example.com" },
+    });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.error, "Email already in use");
+  });
+
+  test("lets only one of two concurrent creates have an email", async () => {
+    const create = () =>
+      call("post", "/customers", {
+        body: {
+          first_name: "Race",
+          last_name: "Car",
+          email: "race@example.com",
+        },
+      });
+    const statuses = (await Promise.all([create(), create()])).map(
+      (response) => response.status
+    );
+    assert.deepEqual(statuses.sort(), [201, 409]);
+  });
+
+  test("frees the email of a deleted customer", async () => {
+    // Customer 12 is soft-deleted
+    const { status } = await call("post", "/customers", {
+      body: {
+        first_name: "Second",
+        last_name: "Chance",
+        email: "customer12@example.com",
+      },
+    });
+    assert.equal(status, 201);
+  });
+
+  test("moves an order through its transitions", async () => {
+    const shipped = await call("post", "/orders/5/transitions", {
+      body: { status: "shipped" },
+    });
+    assert.equal(shipped.status, 201);
+    assert.equal(shipped.body.data.order.status, "shipped");
+
+    const skipped = await call("post", "/orders/5/transitions", {
+      body: { status: "returned" },
+    });
+    assert.equal(skipped.status, 409);
+
+    const { body } = await get("/orders/5");
+    assert.deepEqual(
+      body.data.order.history.map((entry) => entry.to_status),
+      ["shipped"]
+    );
+  });
+
+  test("counts an order shipped the day it was placed", async () => {
+    await database.pool.query(
+      `INSERT INTO orders
+         (order_id, user_id, status, created_at, shipped_at, delivered_at, num_of_item)
+       VALUES (21, 8, 'delivered', '2024-02-01', '2024-02-01', '2024-02-03', 1)`
+    );
+    const { body } = await get("/orders/21");
+    assert.deepEqual(body.data.order.processing_metrics, {
+      processing_time_days: 0,
+      delivery_time_days: 2,
+      total_fulfillment_days: 2,
+    });
+  });
+
+  test("flags stuck orders whatever the case of their status", async () => {
+    // Rows inserted here bypass cache invalidation, so compare two URLs
+    const before = await get("/analytics/fulfillment?limit=100");
+    await database.pool.query(
+      `INSERT INTO orders
+         (order_id, user_id, status, created_at, shipped_at, num_of_item)
+       VALUES (24, 9, 'Shipped', '2024-01-02', '2024-01-03', 1),
+              (25, 9, 'PENDING', '2024-01-01', NULL, 1)`
+    );
+    const { body } = await get("/analytics/fulfillment?limit=99");
+    assert.deepEqual(body.data.sla.stuck, {
+      pending: before.body.data.sla.stuck.pending + 1,
+      shipped: before.body.data.sla.stuck.shipped + 1,
+    });
+    assert.deepEqual(
+      body.data.sla.orders
+        .slice(0, 2)
+        .map((order) => [Number(order.order_id), order.since]),
+      [
+        [25, "2024-01-01T00:00:00.000Z"],
+        [24, "2024-01-03T00:00:00.000Z"],
+      ]
+    );
+  });
+
+  test("counts returns by location whatever the case of their status", async () => {
+    // Rows inserted here bypass cache invalidation, so compare two URLs
+    const unitedStates = async (url) =>
+      (await get(url)).body.data.regions.find(
+        (region) => region.country === "United States"
+      );
+    const before = await unitedStates("/analytics/geo");
+    await database.pool.query(
+      `INSERT INTO orders
+         (order_id, user_id, status, created_at, shipped_at, delivered_at, returned_at, num_of_item)
+       VALUES (26, 9, 'Returned', '2024-01-05', '2024-01-06', '2024-01-08', '2024-01-10', 1)`
+    );
+    const after = await unitedStates("/analytics/geo?level=country");
+    assert.equal(after.orders, before.orders + 1);
+    assert.equal(after.returned_orders, before.returned_orders + 1);
+  });
+
+  test("counts returns by channel whatever the case of their status", async () => {
+    // Customer 10, from Display, has no orders of their own until now
+    await database.pool.query(
+      `INSERT INTO orders
+         (order_id, user_id, status, created_at, shipped_at, delivered_at, returned_at, num_of_item)
+       VALUES (27, 10, 'RETURNED', '2024-01-15', '2024-01-16', '2024-01-18', '2024-01-20', 1),
+              (28, 10, 'delivered', '2024-01-15', '2024-01-16', '2024-01-18', NULL, 1)`
+    );
+    const { body } = await get(
+      "/analytics/channels?from=2024-01-10&to=2024-01-10"
+    );
+    const display = body.data.channels.find(
+      (row) => row.traffic_source === "Display"
+    );
+    assert.equal(display.current.orders, 2);
+    assert.equal(display.current.return_rate, 50);
+  });
+
+  test("answers 500 for transitions when the database is unavailable", async (t) => {
+    t.mock.method(console, "error", () => {});
+    refuseTransactions(t);
+    const { status, body } = await call("post", "/orders/4/transitions", {
+      body: { status: "delivered" },
+    });
+    assert.equal(status, 500);
+    assert.equal(body.message, "Failed to update order status");
+  });
+
+  test("404s for transitions of an order that does not exist", async () => {
+    const { status } = await call("post", "/orders/999/transitions", {
+      body: { status: "shipped" },
+    });
+    assert.equal(status, 404);
+  });
+});
+
+describe("merges", () => {
+  const createCustomer = async (email) => {
+    const { body } = await call("post", "/customers", {
+      body: { first_name: "Dee", last_name: "Dupe", email },
+    });
+    return Number(body.data.customer.id);
+  };
+
+  test("folds duplicates and their orders into a customer", async () => {
+    const survivor = await createCustomer("dee@example.com");
+    const duplicate = await createCustomer("dee.dupe@example.com");
+    await database.pool.query(
+      `INSERT INTO orders (order_id, user_id, status, created_at, num_of_item)
+       VALUES (22, $1, 'pending', '2024-02-02', 1)`,
+      [duplicate]
+    );
+
+    const merged = await call("post", `/customers/${survivor}/merge`, {
+      body: { duplicate_ids: [duplicate] },
+    });
+    assert.equal(merged.status, 200);
+    assert.deepEqual(merged.body.data.merged_customer_ids, [duplicate]);
+    assert.equal(merged.body.data.orders_moved, 1);
+
+    const gone = await get(`/customers/${duplicate}`);
+    assert.equal(gone.status, 404);
+    assert.match(
+      gone.body.message,
+      new RegExp(`merged into customer ${survivor}`)
+    );
+    const orders = await get(`/customers/${survivor}/orders`);
+    assert.deepEqual(
+      orders.body.data.orders.map((order) => Number(order.order_id)),
+      [22]
+    );
+
+    const audit = await get(
+      `/audit?customer_id=${duplicate}&action=customer.merge`
+    );
+    assert.equal(audit.status, 200);
+    assert.equal(audit.body.data.entries.length, 1);
+    assert.deepEqual(audit.body.data.entries[0].changes, {
+      merged_into: { from: null, to: survivor },
+    });
+  });
+
+  test("answers 500 when the database is unavailable", async (t) => {
+    t.mock.method(console, "error", () => {});
+    refuseTransactions(t);
+    const { status, body } = await call("post", "/customers/1/merge", {
+      body: { duplicate_ids: [2] },
+    });
+    assert.equal(status, 500);
+    assert.equal(body.message, "Failed to merge customers");
+  });
+
+  test("rejects merging a customer into itself or a missing one", async () => {
+    const self = await call("post", "/customers/1/merge", {
+      body: { duplicate_ids: [1] },
+    });
+    assert.equal(self.status, 400);
+    const deleted = await call("post", "/customers/1/merge", {
+      body: { duplicate_ids: [12] },
+    });
+    assert.equal(deleted.status, 404);
+  });
+});
+
+describe("GET /audit", () => {
+  test("lists changes to an order, newest first", async () => {
+    await call("post", "/orders/16/transitions", {
+      body: { status: "shipped", note: "Packed" },
+    });
+    await call("post", "/orders/16/transitions", {
+      body: { status: "delivered" },
+    });
+
+    const { status, body } = await get("/audit?order_id=16");
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.entries.map((entry) => entry.changes.status),
+      [
+        { from: "shipped", to: "delivered" },
+        { from: "pending", to: "shipped" },
+      ]
+    );
+    assert.equal(body.data.entries[1].actor, "admin");
+    assert.deepEqual(body.data.entries[1].details, { note: "Packed" });
+  });
+
+  test("is closed to viewers", async () => {
+    const { status } = await get("/audit", { role: "viewer" });
+    assert.equal(status, 403);
+  });
+});
+
+// Upload a CSV to POST /imports and wait for the job to finish
+const runUpload = async (type, csv, { role = "admin" } = {}) => {
+  const response = await request(database.app)
+    .post("/imports")
+    .set("Authorization", `Bearer ${tokens[role]}`)
+    .field("type", type)
+    .attach("file", Buffer.from(csv), `${type}.csv`);
+  assert.deepEqual(
+    checkResponse("post", "/imports", response.status, response.body),
+    []
+  );
+  if (response.status !== 202) return response;
+
+  assert.equal(
+    response.headers.location,
+    `/imports/${response.body.data.job.id}`
+  );
+  for (;;) {
+    const polled = await get(response.headers.location);
+    if (polled.body.data.job.status !== "running") return polled;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+describe("imports", () => {
+  test("imports customers in the background", async () => {
+    const { body } = await runUpload(
+      "users",
+      "id,first_name,last_name,email\n" +
+        "201,Ima,Port,ima.port@example.com\n" +
+        "202,Ed,Port,ed.port@example.com\n"
+    );
+    assert.equal(body.data.job.status, "completed");
+    assert.equal(body.data.job.inserted, 2);
+
+    const customer = await get("/customers/202");
+    assert.equal(customer.status, 200);
+    assert.equal(customer.body.data.customer.email, "ed.port@example.com");
+  });
+
+  test("rejects a file with invalid rows", async () => {
+    const { body } = await runUpload(
+      "orders",
+      "order_id,user_id,status,created_at,num_of_item\n" +
+        "301,1,pending,2024-02-01,1\n" +
+        "302,1,pending,2024-02-01,0\n"
+    );
+    assert.equal(body.data.job.status, "rejected");
+    assert.deepEqual(
+      body.data.job.errors.map((error) => [error.line, error.field]),
+      [[3, "num_of_item"]]
+    );
+    const order = await get("/orders/301");
+    assert.equal(order.status, 404);
+  });
+
+  test("rejects requests without a file or a known type", async () => {
+    const { status } = await runUpload("products", "id\n1\n");
+    assert.equal(status, 400);
+    const missing = await call("post", "/imports", { body: { type: "users" } });
+    assert.equal(missing.status, 400);
+  });
+
+  test("is limited to admins", async () => {
+    const { status } = await runUpload("users", "id\n", { role: "support" });
+    assert.equal(status, 403);
+  });
+
+  test("404s for unknown import jobs", async () => {
+    const { status } = await get("/imports/not-a-job");
+    assert.equal(status, 404);
+  });
+});
+
+describe("runImport", () => {
+  const importCsv = (type, csv, options = {}) =>
+    runImport(database.pool, {
+      type,
+      stream: Readable.from([csv]),
+      ...options,
+    });
+
+  const existingIds = async (table, key, ids) => {
+    const { rows } = await database.pool.query(
+      `SELECT ${key} FROM ${table} WHERE ${key} = ANY($1) ORDER BY ${key}`,
+      [ids]
+    );
+    return rows.map((row) => Number(row[key]));
+  };
+
+  test("writes nothing when any row is invalid", async () => {
+    const progress = await importCsv(
+      "users",
+      "id,first_name,last_name,email,age\n" +
+        "401,Val,Id,val.id@example.com,30\n" +
+        "402,In,Valid,not-an-email,200\n" +
+        "403,Also,Valid,also.valid@example.com,40\n"
+    );
+    assert.equal(progress.processed_rows, 3);
+    assert.equal(progress.failed_rows, 1);
+    assert.deepEqual(
+      progress.errors.map((error) => [error.line, error.field]),
+      [
+        [3, "email"],
+        [3, "age"],
+      ]
+    );
+    assert.deepEqual(await existingIds("users", "id", [401, 402, 403]), []);
+  });
+
+  test("reports an email another customer already uses", async () => {
+    const progress = await importCsv(
+      "users",
+      "id,first_name,last_name,email\n" +
+        "404,Fresh,Face,fresh.face@example.com\n" +
+        "405,Copy,Cat,CUSTOMER1@example.com\n"
+    );
+    assert.equal(progress.failed_rows, 1);
+    assert.deepEqual(
+      progress.errors.map((error) => [error.line, error.field]),
+      [[3, "email"]]
+    );
+    assert.deepEqual(await existingIds("users", "id", [404, 405]), []);
+  });
+
+  test("checks every row but writes nothing in a dry run", async () => {
+    const progress = await importCsv(
+      "users",
+      "id,first_name,last_name,email\n411,Dry,Run,dry.run@example.com\n",
+      { dryRun: true }
+    );
+    assert.equal(progress.failed_rows, 0);
+    assert.equal(progress.inserted, 1);
+    assert.deepEqual(await existingIds("users", "id", [411]), []);
+  });
+
+  test("counts inserted and updated rows", async () => {
+    const first = await importCsv(
+      "users",
+      "id,first_name,last_name,email\n" +
+        "421,Up,Sert,up.sert@example.com\n" +
+        "422,Re,Place,re.place@example.com\n"
+    );
+    assert.deepEqual([first.inserted, first.updated], [2, 0]);
+
+    const second = await importCsv(
+      "users",
+      "id,first_name,last_name,email,shoe_size\n" +
+        "422,Replaced,Place,re.place@example.com,9\n" +
+        "423,New,Row,new.row@example.com,10\n"
+    );
+    assert.deepEqual([second.inserted, second.updated], [1, 1]);
+    assert.deepEqual(second.ignored_columns, ["shoe_size"]);
+    const { rows } = await database.pool.query(
+      "SELECT first_name FROM users WHERE id = 422"
+    );
+    assert.equal(rows[0].first_name, "Replaced");
+  });
+
+  test("rejects orders for customers that do not exist", async () => {
+    const progress = await importCsv(
+      "orders",
+      "order_id,user_id,status,created_at,num_of_item\n" +
+        "501,1,pending,2024-02-01,1\n" +
+        "502,9999,pending,2024-02-01,1\n"
+    );
+    assert.equal(progress.failed_rows, 1);
+    assert.deepEqual(progress.errors, [
+      {
+        line: 3,
+        field: "user_id",
+        message: "user_id 9999 does not match a customer",
+      },
+    ]);
+    assert.deepEqual(await existingIds("orders", "order_id", [501, 502]), []);
+  });
+
+  test("fails a file missing a required column", async () => {
+    await assert.rejects(
+      importCsv("users", "id,first_name,last_name\n431,No,Email\n"),
+      /Missing required columns: email/
+    );
+    assert.deepEqual(await existingIds("users", "id", [431]), []);
+  });
+});
+
+describe("API keys", () => {
+  test("creates, uses and revokes a key", async () => {
+    const created = await call("post", "/auth/api-keys", {
+      body: { name: "Reporting", role: "viewer" },
+    });
+    assert.equal(created.status, 201);
+    const { id, key } = created.body.data.api_key;
+
+    const listed = await get("/auth/api-keys");
+    const entry = listed.body.data.api_keys.find(
+      (apiKey) => Number(apiKey.id) === Number(id)
+    );
+    assert.equal(entry.name, "Reporting");
+    assert.equal(entry.key, undefined);
+
+    const withKey = { role: null, headers: { "X-API-Key": key } };
+    const customers = await get("/customers", withKey);
+    assert.equal(customers.status, 200);
+    assert.doesNotMatch(customers.text, /customer\d+@example\.com/);
+
+    const revoked = await call("delete", `/auth/api-keys/${id}`);
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.data.api_key.revoked_at);
+    const refused = await get("/customers", withKey);
+    assert.equal(refused.status, 401);
+  });
+
+  test("rejects keys without a name or a known role", async () => {
+    for (const body of [
+      { name: " ", role: "viewer" },
+      { name: "Reporting", role: "owner" },
+    ]) {
+      const { status } = await call("post", "/auth/api-keys", { body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  });
+});
+
+describe("accounts", () => {
+  test("apply role changes and deletions to live tokens", async () => {
+    await createAccount(database.pool, {
+      username: "temp",
+      password: "temp-password",
+      role: "support",
+    });
+    const login = await call("post", "/auth/login", {
+      role: null,
+      body: { username: "temp", password: "temp-password" },
+    });
+    const asTemp = {
+      role: null,
+      headers: { Authorization: `Bearer ${login.body.data.token}` },
+    };
+    assert.equal((await get("/audit", asTemp)).status, 200);
+
+    await database.pool.query(
+      "UPDATE accounts SET role = 'viewer' WHERE username = 'temp'"
+    );
+    const demoted = await get("/audit", asTemp);
+    assert.equal(demoted.status, 403);
+    assert.match(demoted.body.message, /viewer role/);
+
+    await database.pool.query("DELETE FROM accounts WHERE username = 'temp'");
+    const deleted = await get("/customers", asTemp);
+    assert.equal(deleted.status, 401);
+    assert.equal(deleted.body.message, "Account no longer exists");
+  });
+});
+
+describe("erasure", () => {
+  let customerId;
+  let mergedId;
+
+  // A customer with a change in the audit log and an account merged into
+  // them, erased once for every test below
+  before(async () => {
+    const create = async (email) => {
+      const { body } = await call("post", "/customers", {
+        body: { first_name: "Erin", last_name: "Rase", email },
+      });
+      return Number(body.data.customer.id);
+    };
+    customerId = await create("erin@example.com");
+    mergedId = await create("erin.old@example.com");
+    await call("patch", `/customers/${customerId}`, {
+      body: { first_name: "Erinn", city: "Albany" },
+    });
+    await call("post", `/customers/${customerId}/merge`, {
+      body: { duplicate_ids: [mergedId] },
+    });
+
+    const erased = await call("post", `/customers/${customerId}/erasure`, {
+      body: { reason: "Data subject request", reference: "DSR-1" },
+    });
+    assert.equal(erased.status, 200);
+    assert.deepEqual(
+      erased.body.data.erasure_request.erased_customer_ids.map(Number),
+      [customerId, mergedId]
+    );
+  });
+
+  test("anonymizes the customer and the accounts merged into them", async () => {
+    const { rows } = await database.pool.query(
+      "SELECT * FROM users WHERE id = ANY($1) ORDER BY id",
+      [[customerId, mergedId]]
+    );
+    assert.equal(rows.length, 2);
+    for (const row of rows) {
+      for (const [field, erasedValue] of Object.entries(ERASED_FIELDS)) {
+        assert.equal(row[field], erasedValue(Number(row.id)), field);
+      }
+      assert.ok(row.anonymized_at);
+    }
+    // Location kept for aggregate statistics
+    assert.equal(rows[0].city, "Albany");
+    assert.doesNotMatch(JSON.stringify(rows), /Erin|erin/);
+  });
+
+  test("keeps which audited fields changed, but not their values", async () => {
+    const { body } = await get(
+      `/audit?customer_id=${customerId}&action=customer.update`
+    );
+    assert.equal(body.data.entries.length, 1);
+    assert.deepEqual(body.data.entries[0].changes, {
+      first_name: { from: "[erased]", to: "[erased]" },
+      city: { from: null, to: "Albany" },
+    });
+    const created = await get(
+      `/audit?customer_id=${mergedId}&action=customer.create`
+    );
+    assert.doesNotMatch(JSON.stringify(created.body.data.entries), /erin/i);
+  });
+
+  test("refuses to erase a customer twice", async () => {
+    const { status, body } = await call(
+      "post",
+      `/customers/${customerId}/erasure`,
+      { body: {} }
+    );
+    assert.equal(status, 409);
+    assert.equal(body.error, "Customer anonymized");
+    const { rows } = await database.pool.query(
+      "SELECT COUNT(*)::int AS count FROM erasure_requests WHERE customer_id = $1",
+      [customerId]
+    );
+    assert.equal(rows[0].count, 1);
+  });
+
+  test("is not undone by re-importing the customer", async () => {
+    const { body: created } = await call("post", "/customers", {
+      body: { first_name: "Del", last_name: "Eted", email: "del@example.com" },
+    });
+    const deletedId = Number(created.data.customer.id);
+    await call("delete", `/customers/${deletedId}`);
+
+    const { body } = await runUpload(
+      "users",
+      "id,first_name,last_name,email,street_address,latitude,longitude\n" +
+        `${customerId},Erin,Rase,erin@example.com,1 Main St,42.65,-73.75\n` +
+        `${deletedId},Del,Eted,del.new@example.com,2 Main St,42.65,-73.75\n` +
+        "431,New,Comer,new.comer@example.com,3 Main St,42.65,-73.75\n"
+    );
+    assert.equal(body.data.job.status, "completed");
+    assert.equal(body.data.job.inserted, 1);
+    assert.equal(body.data.job.updated, 0);
+    assert.equal(body.data.job.skipped, 2);
+    assert.deepEqual(
+      body.data.job.skipped_rows.map((row) => row.line),
+      [2, 3]
+    );
+
+    const { rows } = await database.pool.query(
+      "SELECT * FROM users WHERE id = ANY($1) ORDER BY id",
+      [[customerId, deletedId]]
+    );
+    const [erased, deleted] = rows;
+    for (const [field, erasedValue] of Object.entries(ERASED_FIELDS)) {
+      assert.equal(erased[field], erasedValue(customerId), field);
+    }
+    assert.ok(erased.anonymized_at);
+    assert.equal(deleted.email, "del@example.com");
+    assert.ok(deleted.deleted_at);
+  });
+
+  test("exports a ZIP with a file per section", async () => {
+    const { status, headers, body } = await download(
+      `/customers/${customerId}/data-export?format=zip`
+    );
+    assert.equal(status, 200);
+    assert.match(headers["content-type"], /^application\/zip/);
+
+    const files = Object.fromEntries(
+      readZip(body).map((entry) => [
+        entry.name,
+        JSON.parse(entry.contents.toString()),
+      ])
+    );
+    assert.deepEqual(
+      Object.keys(files).sort(),
+      [
+        "metadata.json",
+        ...EXPORT_SECTIONS.map((section) => `${section}.json`),
+      ].sort()
+    );
+    assert.deepEqual(files["metadata.json"].sections, EXPORT_SECTIONS);
+    assert.equal(files["profile.json"].first_name, "Anonymized");
+    assert.deepEqual(
+      files["merged_accounts.json"].map((account) => Number(account.id)),
+      [mergedId]
+    );
+    assert.equal(files["erasure_requests.json"][0].reference, "DSR-1");
+  });
+});
+
+describe("caching", () => {
+  test("answers a matching If-None-Match with 304", async () => {
+    const first = await get("/customers?limit=5");
+    assert.ok(first.headers.etag);
+    assert.equal(first.headers["cache-control"], "private, no-cache");
+
+    const again = await get("/customers?limit=5", {
+      headers: { "If-None-Match": first.headers.etag },
+    });
+    assert.equal(again.status, 304);
+  });
+
+  test("keeps roles apart", async () => {
+    const admin = await get("/orders?limit=100");
+    const viewer = await get("/orders?limit=100", { role: "viewer" });
+    assert.notEqual(viewer.headers.etag, admin.headers.etag);
+    assert.doesNotMatch(viewer.text, /customer\d+@example\.com/);
+  });
+
+  test("shows customer writes in cached lists and statistics", async () => {
+    const before = await get("/stats");
+    const empty = await get("/customers?q=Cached");
+    assert.deepEqual(empty.body.data.customers, []);
+
+    const created = await call("post", "/customers", {
+      body: {
+        first_name: "Cached",
+        last_name: "Customer",
+        email: "cached.customer@example.com",
+      },
+    });
+    const listed = await get("/customers?q=Cached", {
+      headers: { "If-None-Match": empty.headers.etag },
+    });
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.data.customers.length, 1);
+    const after = await get("/stats");
+    assert.equal(
+      after.body.data.statistics.total_customers,
+      before.body.data.statistics.total_customers + 1
+    );
+
+    await call("delete", `/customers/${created.body.data.customer.id}`);
+    const deleted = await get("/customers?q=Cached");
+    assert.deepEqual(deleted.body.data.customers, []);
+  });
+
+  test("shows order transitions in cached lists", async () => {
+    const pending = async () =>
+      (await get("/orders/status/pending?limit=100")).body.data.orders.map(
+        (order) => Number(order.order_id)
+      );
+    assert.ok((await pending()).includes(11));
+
+    const cancelled = await call("post", "/orders/11/transitions", {
+      body: { status: "cancelled" },
+    });
+    assert.equal(cancelled.status, 201);
+    assert.ok(!(await pending()).includes(11));
+  });
+});
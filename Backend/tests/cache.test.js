@@ -0,0 +1,156 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const request = require("supertest");
+const { createMemoryStore, createResponseCache } = require("../cache");
+
+describe("createMemoryStore", () => {
+  test("evicts the least recently used entry", async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set("a", 1);
+    await store.set("b", 2);
+    assert.equal(await store.get("a"), 1);
+    await store.set("c", 3);
+
+    assert.equal(await store.get("b"), undefined);
+    assert.equal(await store.get("a"), 1);
+    assert.equal(await store.get("c"), 3);
+  });
+
+  test("expires entries after their ttl", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"] });
+    const store = createMemoryStore();
+    await store.set("a", 1, 60);
+    await store.set("b", 2);
+
+    t.mock.timers.tick(61 * 1000);
+    assert.equal(await store.get("a"), undefined);
+    assert.equal(await store.get("b"), 2);
+  });
+});
+
+// An app with one cached route counting how often it runs. Callers send
+// their role in a header.
+const cachedApp = (cache) => {
+  const app = express();
+  let calls = 0;
+  app.use((req, res, next) => {
+    req.auth = { role: req.get("X-Role") || "admin" };
+    next();
+  });
+  app.get("/items", cache.cached({ tags: ["items"] }), (req, res) => {
+    calls += 1;
+    if (req.query.fail) {
+      return res.status(400).json({ success: false, error: "Bad" });
+    }
+    res.json({ success: true, data: { calls, role: req.auth.role } });
+  });
+  return { app, calls: () => calls };
+};
+
+describe("createResponseCache", () => {
+  test("serves repeated requests from the cache", async () => {
+    const { app, calls } = cachedApp(createResponseCache());
+
+    const first = await request(app).get("/items");
+    assert.equal(first.headers["x-cache"], "MISS");
+    assert.equal(first.headers["cache-control"], "private, no-cache");
+    assert.match(first.headers.etag, /^W\/"/);
+
+    const second = await request(app).get("/items");
+    assert.equal(second.headers["x-cache"], "HIT");
+    assert.equal(second.headers.etag, first.headers.etag);
+    assert.deepEqual(second.body, first.body);
+    assert.equal(calls(), 1);
+  });
+
+  test("answers a matching If-None-Match with 304", async () => {
+    const { app } = cachedApp(createResponseCache());
+    const { headers } = await request(app).get("/items");
+
+    const revalidated = await request(app)
+      .get("/items")
+      .set("If-None-Match", headers.etag);
+    assert.equal(revalidated.status, 304);
+    assert.equal(revalidated.text, "");
+
+    const stale = await request(app)
+      .get("/items")
+      .set("If-None-Match", 'W/"old"');
+    assert.equal(stale.status, 200);
+  });
+
+  test("caches each role and URL separately", async () => {
+    const { app, calls } = cachedApp(createResponseCache());
+    const admin = await request(app).get("/items");
+    const viewer = await request(app).get("/items").set("X-Role", "viewer");
+    await request(app).get("/items?page=2");
+
+    assert.notEqual(viewer.headers.etag, admin.headers.etag);
+    assert.equal(viewer.body.data.role, "viewer");
+    assert.equal(calls(), 3);
+  });
+
+  test("runs the route again once a tag is invalidated", async () => {
+    const cache = createResponseCache();
+    const { app, calls } = cachedApp(cache);
+    await request(app).get("/items");
+    await cache.invalidate("other");
+    await request(app).get("/items");
+    assert.equal(calls(), 1);
+
+    await cache.invalidate("items");
+    const fresh = await request(app).get("/items");
+    assert.equal(fresh.headers["x-cache"], "MISS");
+    assert.equal(fresh.body.data.calls, 2);
+  });
+
+  test("does not cache failed responses", async () => {
+    const { app, calls } = cachedApp(createResponseCache());
+    await request(app).get("/items?fail=1");
+    const again = await request(app).get("/items?fail=1");
+    assert.equal(again.status, 400);
+    assert.equal(again.headers["x-cache"], undefined);
+    assert.equal(calls(), 2);
+  });
+
+  test("stores and sends bodies as transformed", async () => {
+    const stored = [];
+    const memory = createMemoryStore();
+    const store = {
+      ...memory,
+      set: async (key, value, ttl) => {
+        if (key.startsWith("response:")) stored.push(value.body);
+        return memory.set(key, value, ttl);
+      },
+    };
+    const transform = (body, req) => ({
+      ...body,
+      data: { ...body.data, role: `${req.auth.role} (masked)` },
+    });
+    const { app } = cachedApp(createResponseCache({ store, transform }));
+
+    const miss = await request(app).get("/items").set("X-Role", "viewer");
+    const hit = await request(app).get("/items").set("X-Role", "viewer");
+    assert.equal(hit.headers["x-cache"], "HIT");
+    assert.deepEqual(stored, [
+      { success: true, data: { calls: 1, role: "viewer (masked)" } },
+    ]);
+    assert.deepEqual(miss.body, stored[0]);
+    assert.deepEqual(hit.body, stored[0]);
+  });
+
+  test("falls back to the route when the store fails", async () => {
+    const broken = {
+      get: async () => {
+        throw new Error("store down");
+      },
+      set: async () => {},
+      delete: async () => {},
+    };
+    const { app } = cachedApp(createResponseCache({ store: broken }));
+    const { status, body } = await request(app).get("/items");
+    assert.equal(status, 200);
+    assert.equal(body.data.calls, 1);
+  });
+});
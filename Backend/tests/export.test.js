@@ -0,0 +1,88 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { Writable } = require("stream");
+const { streamExport } = require("../export");
+
+// A pool whose cursor hands out `total` random (so incompressible) rows and
+// counts how many have been read. Like a real cursor, each read waits for
+// I/O.
+const rowPool = (total) => {
+  const state = { read: 0 };
+  const cursor = {
+    read: async (count) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      const rows = [];
+      while (rows.length < count && state.read < total) {
+        state.read += 1;
+        rows.push({
+          id: state.read,
+          token: crypto.randomBytes(24).toString("hex"),
+        });
+      }
+      return rows;
+    },
+    close: async () => {},
+  };
+  const pool = {
+    connect: async () => ({ query: () => cursor, release: () => {} }),
+  };
+  return { pool, state };
+};
+
+// A response whose client does not read until `resume` is called
+const slowResponse = () => {
+  let paused = true;
+  let pending = null;
+  const res = new Writable({
+    highWaterMark: 16 * 1024,
+    write(chunk, encoding, callback) {
+      if (paused) pending = callback;
+      else callback();
+    },
+  });
+  res.status = () => res;
+  res.setHeader = () => {};
+  res.resume = () => {
+    paused = false;
+    if (pending) pending();
+  };
+  return res;
+};
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 300));
+
+describe("streamExport", () => {
+  for (const format of ["csv", "ndjson", "xlsx"]) {
+    test(`stops reading ${format} rows while the client is not reading`, async () => {
+      const total = 100000;
+      const { pool, state } = rowPool(total);
+      const res = slowResponse();
+      const heapBefore = process.memoryUsage().heapUsed;
+
+      const exported = streamExport(pool, res, {
+        query: "SELECT",
+        params: [],
+        columns: ["id", "token"],
+        format,
+        filename: "rows",
+      });
+      await settle();
+      const stalledAt = state.read;
+      await settle();
+
+      // Only a few batches are held while the response is full
+      assert.equal(state.read, stalledAt);
+      assert.ok(stalledAt < 10000, `read ${stalledAt} rows`);
+      assert.ok(
+        process.memoryUsage().heapUsed - heapBefore < 32 * 1024 * 1024,
+        "heap grew"
+      );
+
+      res.resume();
+      await exported;
+      assert.equal(state.read, total);
+      assert.ok(res.writableEnded);
+    });
+  }
+});
@@ -0,0 +1,48 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { boundingBox, parseBbox, bboxConditions } = require("../geo");
+
+describe("boundingBox", () => {
+  test("widens longitudes away from the equator", () => {
+    const box = boundingBox(60, 10, 111.19);
+    assert.ok(Math.abs(box.south - 59) < 0.01);
+    assert.ok(Math.abs(box.north - 61) < 0.01);
+    assert.ok(box.east - 10 > 2 && box.east - 10 < 2.2);
+    assert.equal(box.east - 10, 10 - box.west);
+  });
+
+  test("drops the longitude range near a pole or the antimeridian", () => {
+    assert.equal(boundingBox(89.9, 0, 50).west, null);
+    assert.equal(boundingBox(0, 179.9, 50).east, null);
+  });
+});
+
+describe("parseBbox", () => {
+  test("reads west,south,east,north", () => {
+    assert.deepEqual(parseBbox("-10,40.5,20,60"), {
+      bbox: { west: -10, south: 40.5, east: 20, north: 60 },
+    });
+    assert.deepEqual(parseBbox(undefined), { bbox: null });
+  });
+
+  test("rejects malformed or out of range boxes", () => {
+    for (const value of ["1,2,3", "a,0,1,1", "0,0,200,10", "0,10,10,0"]) {
+      assert.ok(parseBbox(value).error, value);
+    }
+  });
+});
+
+test("bboxConditions wraps boxes crossing the antimeridian", () => {
+  const params = [];
+  const conditions = bboxConditions(
+    { west: 170, south: -10, east: -170, north: 10 },
+    "lat",
+    "lng",
+    params
+  );
+  assert.deepEqual(conditions, [
+    "lat BETWEEN $1 AND $2",
+    "(lng >= $3 OR lng <= $4)",
+  ]);
+  assert.deepEqual(params, [-10, 10, 170, -170]);
+});
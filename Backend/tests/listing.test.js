@@ -0,0 +1,148 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildFilters, whereClause, parsePagination } = require("../listing");
+
+const FIELDS = {
+  status: { expression: "o.status", type: "text" },
+  user_id: { expression: "o.user_id", type: "id" },
+  num_of_item: { expression: "o.num_of_item", type: "integer" },
+  segment: {
+    expression: "seg.segment",
+    type: "enum",
+    values: ["champions", "lost"],
+  },
+  created_at: {
+    expression: "o.created_at",
+    type: "date",
+    aliases: { from: "gte", to: "lte" },
+  },
+  customer_id: { expression: "customer_ids", type: "ids" },
+};
+
+describe("buildFilters", () => {
+  test("matches a plain value exactly", () => {
+    assert.deepEqual(buildFilters({ status: "Shipped" }, FIELDS), {
+      conditions: ["LOWER(o.status) = $1"],
+      params: ["shipped"],
+      filters: { status: "Shipped" },
+    });
+  });
+
+  test("parses operators and parameterizes every value", () => {
+    const { conditions, params, filters } = buildFilters(
+      {
+        status: "in:shipped, delivered",
+        num_of_item: "gt:2",
+        user_id: "ne:7",
+      },
+      FIELDS
+    );
+    assert.deepEqual(conditions, [
+      "LOWER(o.status) = ANY($1)",
+      "o.user_id <> $2",
+      "o.num_of_item > $3",
+    ]);
+    assert.deepEqual(params, [["shipped", "delivered"], 7, 2]);
+    assert.deepEqual(filters, {
+      status: { in: ["shipped", "delivered"] },
+      user_id: { ne: 7 },
+      num_of_item: { gt: 2 },
+    });
+  });
+
+  test("keeps injected SQL in the parameters", () => {
+    const { conditions, params } = buildFilters(
+      { status: "'; DROP TABLE orders; --" },
+      FIELDS
+    );
+    assert.deepEqual(conditions, ["LOWER(o.status) = $1"]);
+    assert.deepEqual(params, ["'; drop table orders; --"]);
+  });
+
+  test("covers whole days for date-only values", () => {
+    const { conditions, params } = buildFilters(
+      { created_at: "lte:2024-01-31" },
+      FIELDS
+    );
+    assert.deepEqual(conditions, ["o.created_at < $1"]);
+    assert.equal(params[0].toISOString(), "2024-02-01T00:00:00.000Z");
+  });
+
+  test("combines repeated parameters and aliases", () => {
+    const { conditions, filters } = buildFilters(
+      {
+        created_at: ["gte:2024-01-01", "ne:2024-01-05"],
+        to: "2024-01-31",
+      },
+      FIELDS
+    );
+    assert.equal(conditions.length, 3);
+    assert.deepEqual(filters, {
+      created_at: { gte: "2024-01-01", ne: "2024-01-05" },
+      to: "2024-01-31",
+    });
+  });
+
+  test("matches array elements", () => {
+    assert.deepEqual(
+      buildFilters({ customer_id: "in:1,2" }, FIELDS).conditions,
+      ["customer_ids && $1::bigint[]"]
+    );
+    assert.deepEqual(buildFilters({ customer_id: "3" }, FIELDS).conditions, [
+      "$1::bigint = ANY(customer_ids)",
+    ]);
+  });
+
+  test("numbers placeholders after existing parameters", () => {
+    const { conditions, params } = buildFilters({ num_of_item: "2" }, FIELDS, [
+      "42",
+    ]);
+    assert.deepEqual(conditions, ["o.num_of_item = $2"]);
+    assert.deepEqual(params, ["42", 2]);
+  });
+
+  test("rejects invalid values and operators", () => {
+    for (const [query, error] of [
+      [{ user_id: "abc" }, "user_id must be a positive integer"],
+      [{ num_of_item: "gt:many" }, "num_of_item must be an integer"],
+      [{ from: "yesterday" }, "from must be a valid date (YYYY-MM-DD)"],
+      [{ segment: "vip" }, "segment must be one of: champions, lost"],
+      [{ status: "in:shipped," }, "status must not be empty"],
+    ]) {
+      assert.deepEqual(buildFilters(query, FIELDS), { error });
+    }
+    assert.match(
+      buildFilters({ status: "gt:shipped" }, FIELDS).error,
+      /^status does not support "gt"/
+    );
+    assert.match(
+      buildFilters({ created_at: "in:2024-01-01" }, FIELDS).error,
+      /^created_at does not support "in"/
+    );
+  });
+
+  test("ignores unknown operators and empty values", () => {
+    assert.deepEqual(buildFilters({ status: "like:x", user_id: "" }, FIELDS), {
+      conditions: ["LOWER(o.status) = $1"],
+      params: ["like:x"],
+      filters: { status: "like:x" },
+    });
+  });
+});
+
+test("whereClause joins conditions", () => {
+  assert.equal(whereClause([]), "");
+  assert.equal(whereClause(["a = $1", "b = $2"]), " WHERE a = $1 AND b = $2");
+});
+
+test("parsePagination selects cursor or page mode", () => {
+  assert.deepEqual(parsePagination({ page: "3", limit: "20" }), {
+    cursorMode: false,
+    cursor: undefined,
+    page: 3,
+    limit: 20,
+    offset: 40,
+  });
+  assert.equal(parsePagination({ cursor: "" }).cursorMode, true);
+  assert.equal(parsePagination({}, { defaultLimit: 20 }).limit, 20);
+});
@@ -0,0 +1,237 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { buildOpenApiSpec } = require("../openapi");
+const { FILTER_TYPE_OPERATORS } = require("../listing");
+const { validateRequests, createResponseValidator } = require("../validation");
+
+const spec = buildOpenApiSpec({
+  segments: ["champions", "lost", "prospects"],
+  customerSortFields: ["id", "last_name", "order_count"],
+  orderSortFields: ["order_id", "created_at"],
+  customerOrderSortFields: ["order_id", "created_at"],
+  orderStatuses: ["pending", "shipped", "delivered", "returned", "cancelled"],
+  exportFormats: { csv: "text/csv", ndjson: "application/x-ndjson" },
+  importTypes: { users: {}, orders: {} },
+  roles: ["viewer", "support", "admin"],
+  timeseries: {
+    metrics: ["orders", "signups"],
+    intervals: ["day", "month"],
+    groups: ["status", "country"],
+  },
+  cohortIntervals: ["month", "week"],
+  filterOperators: FILTER_TYPE_OPERATORS,
+  geoLevels: ["country", "state", "city", "grid"],
+  maxGridZoom: 16,
+  fulfillment: {
+    metrics: ["processing", "delivery", "return"],
+    breakdowns: ["month", "country", "num_of_item"],
+    histogramDays: 30,
+    sla: { pending: 3, shipped: 7 },
+  },
+});
+
+// Routes registered in server.js, as "get /customers/{id}"
+const serverRoutes = () => {
+  const source = fs.readFileSync(
+    path.join(__dirname, "..", "server.js"),
+    "utf8"
+  );
+  return [...source.matchAll(/app\.(get|post|patch|delete)\(\s*"([^"]+)"/g)]
+    .map(
+      ([, method, route]) => `${method} ${route.replace(/:([a-z_]+)/g, "{$1}")}`
+    )
+    .filter((route) => !route.includes("*"));
+};
+
+const documentedOperations = () =>
+  Object.entries(spec.paths).flatMap(([route, item]) =>
+    ["get", "post", "patch", "delete"]
+      .filter((method) => item[method])
+      .map((method) => `${method} ${route}`)
+  );
+
+describe("document", () => {
+  test("documents every route in server.js", () => {
+    const documented = new Set(documentedOperations());
+    const missing = serverRoutes().filter((route) => !documented.has(route));
+    assert.deepEqual(missing, []);
+  });
+
+  test("documents no route server.js lacks", () => {
+    const routes = new Set(serverRoutes());
+    const extra = documentedOperations().filter((route) => !routes.has(route));
+    assert.deepEqual(extra, []);
+  });
+
+  test("every operation has a success and an error response", () => {
+    for (const [route, item] of Object.entries(spec.paths)) {
+      for (const method of ["get", "post", "patch", "delete"]) {
+        if (!item[method]) continue;
+        const statuses = Object.keys(item[method].responses);
+        assert.ok(
+          statuses.some((status) => status.startsWith("2")),
+          `${method} ${route} has no 2xx response`
+        );
+        if (item[method].security) {
+          assert.ok(statuses.includes("401"), `${method} ${route} lacks 401`);
+        }
+      }
+    }
+  });
+
+  test("every reference resolves", () => {
+    const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g) || [];
+    for (const ref of new Set(refs)) {
+      const target = ref
+        .slice(10, -1)
+        .split("/")
+        .reduce((node, key) => node && node[key], spec);
+      assert.ok(target, `${ref} does not resolve`);
+    }
+  });
+});
+
+describe("validateRequests", () => {
+  // Send a request through the validator; valid requests reach a handler
+  // that always succeeds
+  const send = async (method, url, body) => {
+    const app = express();
+    app.use(express.json());
+    app.use(validateRequests(spec));
+    app.all("*", (req, res) =>
+      res.json({ success: true, data: { reached: true } })
+    );
+
+    const server = app.listen(0);
+    try {
+      const response = await fetch(
+        `http://127.0.0.1:${server.address().port}${url}`,
+        {
+          method,
+          headers: body ? { "Content-Type": "application/json" } : {},
+          body: body ? JSON.stringify(body) : undefined,
+        }
+      );
+      return { status: response.status, body: await response.json() };
+    } finally {
+      server.close();
+    }
+  };
+
+  test("passes valid requests through", async () => {
+    const { status } = await send("GET", "/customers?page=2&limit=100");
+    assert.equal(status, 200);
+  });
+
+  test("rejects ids that are not positive integers", async () => {
+    for (const id of ["1.5", "abc", "0", "-3"]) {
+      const { status, body } = await send("GET", `/customers/${id}`);
+      assert.equal(status, 400, id);
+      assert.equal(body.details[0].field, "id");
+      assert.equal(body.details[0].location, "path");
+    }
+  });
+
+  test("bounds page sizes", async () => {
+    const { status, body } = await send("GET", "/orders?limit=500");
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [
+      { field: "limit", location: "query", message: "limit must be <= 100" },
+    ]);
+  });
+
+  test("lists every invalid parameter", async () => {
+    const { body } = await send("GET", "/customers?page=x&min_age=old");
+    assert.equal(body.success, false);
+    assert.equal(body.error, "Validation failed");
+    assert.deepEqual(body.details.map((detail) => detail.field).sort(), [
+      "min_age",
+      "page",
+    ]);
+  });
+
+  test("literal paths win over templated ones", async () => {
+    const { status } = await send("GET", "/customers/export?format=csv");
+    assert.equal(status, 200);
+  });
+
+  test("validates JSON bodies", async () => {
+    const { status, body } = await send("POST", "/customers", {
+      first_name: "",
+      email: "jane@example.com",
+      nickname: "J",
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map((detail) => detail.message).sort(), [
+      "first_name must not be empty",
+      "last_name is required",
+      "nickname is not an accepted field",
+    ]);
+  });
+
+  test("requires a JSON body where the operation does", async () => {
+    const { status, body } = await send("POST", "/customers/1/merge");
+    assert.equal(status, 400);
+    assert.equal(body.details[0].location, "body");
+  });
+
+  test("leaves undocumented paths alone", async () => {
+    const { status } = await send("GET", "/nowhere?limit=abc");
+    assert.equal(status, 200);
+  });
+});
+
+describe("createResponseValidator", () => {
+  const check = createResponseValidator(spec);
+
+  test("accepts documented responses", () => {
+    assert.deepEqual(
+      check("get", "/customers?limit=1", 200, {
+        success: true,
+        data: {
+          customers: [{ id: "1", order_count: "3", segment: "champions" }],
+          pagination: {
+            current_page: 1,
+            total_pages: 1,
+            total_customers: 1,
+            per_page: 1,
+            has_next_page: false,
+            has_prev_page: false,
+          },
+        },
+      }),
+      []
+    );
+    assert.deepEqual(
+      check("get", "/orders/1", 404, {
+        success: false,
+        error: "Order not found",
+        message: "Order with ID 1 does not exist",
+      }),
+      []
+    );
+  });
+
+  test("reports responses that do not match", () => {
+    assert.notDeepEqual(
+      check("get", "/customers/1", 200, {
+        success: true,
+        data: { customer: { id: 1.5 } },
+      }),
+      []
+    );
+    assert.notDeepEqual(
+      check("get", "/customers/1", 200, { customer: { id: 1 } }),
+      []
+    );
+  });
+
+  test("reports undocumented statuses", () => {
+    assert.deepEqual(check("get", "/stats", 418, {}), [
+      "GET /stats does not document status 418",
+    ]);
+  });
+});
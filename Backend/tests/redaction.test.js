@@ -0,0 +1,283 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+  maskEmail,
+  redact,
+  parseFields,
+  projectRecord,
+  redactResponseData,
+  redactResponseBody,
+  applyRedactionPolicy,
+  selectExportColumns,
+} = require("../redaction");
+
+const viewer = { type: "account", id: "1", name: "viewer", role: "viewer" };
+const support = { type: "account", id: "2", name: "support", role: "support" };
+const admin = { type: "api_key", id: "3", name: "etl", role: "admin" };
+
+// The shapes personal data takes in API responses and export rows
+const RESPONSES = {
+  customerDetail: {
+    customer: {
+      id: "7",
+      first_name: "Jane",
+      last_name: "Doe",
+      email: "jane.doe@example.com",
+      location: {
+        city: "Austin",
+        street_address: "1 Main St",
+        postal_code: "78701",
+        latitude: 30.267153,
+        longitude: -97.743057,
+      },
+      created_at: new Date("2024-01-01T00:00:00Z"),
+    },
+  },
+  customerList: {
+    customers: [
+      { id: "7", email: "jane.doe@example.com", order_count: 2 },
+      { id: "8", email: "sam@example.org", order_count: 0 },
+    ],
+    pagination: { current_page: 1 },
+  },
+  orderDetail: {
+    order: {
+      order_id: "3",
+      customer: { user_id: "7", email: "jane.doe@example.com" },
+    },
+  },
+  ordersByStatus: {
+    orders: [{ order_id: "3", customer_email: "jane.doe@example.com" }],
+  },
+  exportRow: {
+    id: "7",
+    email: "jane.doe@example.com",
+    latitude: "30.267153",
+    longitude: "-97.743057",
+  },
+};
+
+// Every unmasked personal value found anywhere in `value`
+const findLeaks = (value, path = "data") => {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, i) => findLeaks(item, `${path}[${i}]`));
+  }
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return [];
+  }
+
+  return Object.entries(value).flatMap(([key, field]) => {
+    const at = `${path}.${key}`;
+    if (key === "street_address") return [at];
+    if (/email/.test(key) && !/^.\*\*\*@/.test(field)) return [at];
+    if (key === "postal_code" && field && field.length > 3) return [at];
+    if (
+      (key === "latitude" || key === "longitude") &&
+      field !== null &&
+      Math.round(field * 10) !== field * 10
+    ) {
+      return [at];
+    }
+    return findLeaks(field, at);
+  });
+};
+
+describe("maskEmail", () => {
+  test("keeps the first character and the domain", () => {
+    assert.equal(maskEmail("jane.doe@example.com"), "j***@example.com");
+  });
+
+  test("masks values that are not addresses entirely", () => {
+    assert.equal(maskEmail("not-an-email"), "***");
+    assert.equal(maskEmail("@example.com"), "***");
+  });
+
+  test("leaves missing values alone", () => {
+    assert.equal(maskEmail(null), null);
+  });
+});
+
+describe("redact", () => {
+  for (const [name, data] of Object.entries(RESPONSES)) {
+    test(`leaves nothing unmasked in ${name} for viewers`, () => {
+      assert.deepEqual(findLeaks(redact(data, viewer)), []);
+    });
+
+    test(`leaves nothing unmasked in ${name} for anonymous callers`, () => {
+      assert.deepEqual(findLeaks(redact(data, null)), []);
+    });
+
+    test(`returns ${name} unchanged for roles that may read PII`, () => {
+      assert.deepEqual(redact(data, support), data);
+      assert.deepEqual(redact(data, admin), data);
+    });
+  }
+
+  test("applies each rule to customer location fields", () => {
+    const { customer } = redact(RESPONSES.customerDetail, viewer);
+    assert.equal(customer.email, "j***@example.com");
+    assert.deepEqual(customer.location, {
+      city: "Austin",
+      postal_code: "787",
+      latitude: 30.3,
+      longitude: -97.7,
+    });
+    assert.ok(customer.created_at instanceof Date);
+  });
+
+  test("does not modify its input", () => {
+    const data = structuredClone(RESPONSES.customerDetail);
+    redact(data, viewer);
+    assert.deepEqual(data, RESPONSES.customerDetail);
+  });
+});
+
+describe("parseFields", () => {
+  test("splits a comma-separated list", () => {
+    assert.deepEqual(parseFields("id, email,location.city"), {
+      fields: ["id", "email", "location.city"],
+    });
+  });
+
+  test("treats a missing or empty value as no projection", () => {
+    assert.deepEqual(parseFields(undefined), { fields: null });
+    assert.deepEqual(parseFields(""), { fields: null });
+  });
+
+  test("rejects malformed field names", () => {
+    assert.ok(parseFields("id,email;drop").error);
+    assert.ok(parseFields(",").error);
+  });
+});
+
+describe("projection", () => {
+  test("keeps top-level and nested fields, skipping unknown ones", () => {
+    const { customer } = RESPONSES.customerDetail;
+    assert.deepEqual(
+      projectRecord(customer, ["id", "location.city", "nickname"]),
+      { id: "7", location: { city: "Austin" } }
+    );
+  });
+
+  test("projects list records and leaves pagination alone", () => {
+    assert.deepEqual(
+      redactResponseData(RESPONSES.customerList, support, ["id"]),
+      { customers: [{ id: "7" }, { id: "8" }], pagination: { current_page: 1 } }
+    );
+  });
+
+  test("cannot bring back a redacted field", () => {
+    const data = redactResponseData(RESPONSES.customerDetail, viewer, [
+      "email",
+      "location.street_address",
+    ]);
+    assert.deepEqual(data, {
+      customer: { email: "j***@example.com", location: {} },
+    });
+  });
+});
+
+describe("selectExportColumns", () => {
+  const available = ["id", "email", "age"];
+
+  test("exports every column by default", () => {
+    assert.deepEqual(selectExportColumns(null, available), {
+      columns: available,
+    });
+  });
+
+  test("exports the requested columns in the requested order", () => {
+    assert.deepEqual(selectExportColumns(["age", "id", "age"], available), {
+      columns: ["age", "id"],
+    });
+  });
+
+  test("rejects unknown columns", () => {
+    assert.match(
+      selectExportColumns(["id", "street_address"], available).error,
+      /street_address/
+    );
+  });
+});
+
+describe("redactResponseBody", () => {
+  test("redacts and projects the data for the request", () => {
+    const body = { success: true, data: RESPONSES.customerList };
+    const redacted = redactResponseBody(body, {
+      auth: viewer,
+      fields: ["email"],
+    });
+    assert.deepEqual(redacted.data.customers, [
+      { email: "j***@example.com" },
+      { email: "s***@example.org" },
+    ]);
+    assert.equal(body.data, RESPONSES.customerList);
+  });
+
+  test("returns a body it has already redacted as it is", () => {
+    const req = { auth: viewer, fields: null };
+    const redacted = redactResponseBody(
+      { success: true, data: RESPONSES.customerDetail },
+      req
+    );
+    assert.equal(redactResponseBody(redacted, req), redacted);
+  });
+});
+
+describe("applyRedactionPolicy", () => {
+  // Serve `body` through the middleware as the given caller
+  const serve = async (auth, body, query = "") => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.auth = auth;
+      next();
+    });
+    app.use(applyRedactionPolicy);
+    app.get("/", (req, res) => res.json(body));
+
+    const server = app.listen(0);
+    try {
+      const response = await fetch(
+        `http://127.0.0.1:${server.address().port}/${query}`
+      );
+      return { status: response.status, body: await response.json() };
+    } finally {
+      server.close();
+    }
+  };
+
+  test("redacts successful responses", async () => {
+    const { body } = await serve(viewer, {
+      success: true,
+      data: RESPONSES.customerDetail,
+    });
+    assert.equal(body.data.customer.email, "j***@example.com");
+    assert.deepEqual(findLeaks(body.data), []);
+  });
+
+  test("applies ?fields= to the records", async () => {
+    const { body } = await serve(
+      support,
+      { success: true, data: RESPONSES.ordersByStatus },
+      "?fields=order_id"
+    );
+    assert.deepEqual(body.data, { orders: [{ order_id: "3" }] });
+  });
+
+  test("rejects malformed ?fields= with a 400", async () => {
+    const { status, body } = await serve(
+      support,
+      { success: true, data: {} },
+      "?fields=a-b"
+    );
+    assert.equal(status, 400);
+    assert.equal(body.error, "Invalid fields");
+  });
+
+  test("passes error responses through", async () => {
+    const error = { success: false, error: "Not found", message: "Gone" };
+    const { body } = await serve(viewer, error);
+    assert.deepEqual(body, error);
+  });
+});
@@ -0,0 +1,85 @@
+// Rows loaded into the test database. Small enough to reason about by hand:
+//
+// - 12 customers; customer 12 is soft-deleted, so 11 are active. The active
+//   ones cycle through five traffic sources.
+// - 20 orders from customers 1-7: 8 delivered, 2 returned, 4 shipped,
+//   4 pending and 2 cancelled, with 40 items between them.
+//
+// The API tests derive their expectations from these arrays, so change them
+// together.
+
+const TRAFFIC_SOURCES = ["Search", "Organic", "Email", "Facebook", "Display"];
+
+const day = (n) => new Date(Date.UTC(2024, 0, n)).toISOString();
+
+const CUSTOMERS = Array.from({ length: 12 }, (_, i) => {
+  const id = i + 1;
+  return {
+    id,
+    first_name: `First${id}`,
+    last_name: `Last${String(id).padStart(2, "0")}`,
+    email: `customer${id}@example.com`,
+    age: 20 + id,
+    gender: id % 2 ? "F" : "M",
+    state: "New York",
+    street_address: `${id} Main Street`,
+    postal_code: `100${String(id).padStart(2, "0")}`,
+    city: "New York",
+    country: "United States",
+    latitude: 40.7128 + id / 100,
+    longitude: -74.006 - id / 100,
+    traffic_source: id === 12 ? "Referral" : TRAFFIC_SOURCES[i % 5],
+    created_at: day(id),
+    deleted_at: id === 12 ? day(28) : null,
+  };
+});
+
+// [user_id, status, num_of_item] for orders 1-20
+const ORDER_SPECS = [
+  [1, "delivered", 1],
+  [1, "delivered", 3],
+  [1, "returned", 2],
+  [1, "shipped", 2],
+  [1, "pending", 2],
+  [2, "delivered", 4],
+  [2, "delivered", 1],
+  [2, "cancelled", 1],
+  [3, "delivered", 2],
+  [3, "shipped", 2],
+  [4, "pending", 3],
+  [5, "delivered", 1],
+  [5, "returned", 2],
+  [5, "shipped", 3],
+  [6, "delivered", 2],
+  [6, "pending", 2],
+  [7, "delivered", 3],
+  [7, "shipped", 2],
+  [7, "pending", 1],
+  [7, "cancelled", 1],
+];
+
+const ORDERS = ORDER_SPECS.map(([user_id, status, num_of_item], i) => {
+  const created = 10 + i;
+  const shipped = ["shipped", "delivered", "returned"].includes(status);
+  const delivered = ["delivered", "returned"].includes(status);
+  return {
+    order_id: i + 1,
+    user_id,
+    status,
+    gender: CUSTOMERS[user_id - 1].gender,
+    created_at: day(created),
+    shipped_at: shipped ? day(created + 1) : null,
+    delivered_at: delivered ? day(created + 3) : null,
+    returned_at: status === "returned" ? day(created + 6) : null,
+    num_of_item,
+  };
+});
+
+// Sign-in accounts, one per role
+const ACCOUNTS = ["viewer", "support", "admin"].map((role) => ({
+  username: role,
+  password: `${role}-password`,
+  role,
+}));
+
+module.exports = { CUSTOMERS, ORDERS, ACCOUNTS };
@@ -0,0 +1,149 @@
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { CUSTOMERS, ORDERS, ACCOUNTS } = require("./fixtures");
+
+// A throwaway PostgreSQL server for the API tests: a fresh cluster in a
+// temporary directory on a free port, migrated and loaded with the fixtures.
+// The API reads its connection settings and JWT secret from the
+// environment, so they are set here before any of it is loaded.
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+const insertRows = (pool, table, rows) => {
+  const columns = Object.keys(rows[0]);
+  const values = rows.flatMap((row) => columns.map((column) => row[column]));
+  const placeholders = rows
+    .map(
+      (_, i) =>
+        `(${columns.map((__, j) => `$${i * columns.length + j + 1}`).join(", ")})`
+    )
+    .join(", ");
+  return pool.query(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES ${placeholders}`,
+    values
+  );
+};
+
+// The PostgreSQL binaries ship in @embedded-postgres/<platform>-<arch>.
+// Resolves to their paths once they can be run: some installs (e.g. `npm ci`
+// from a cache, or a copied node_modules) drop the execute bit, which
+// embedded-postgres restores without waiting for the chmod. As root the
+// server runs as a separate "postgres" user, which must be able to enter
+// every directory above the binaries; if it cannot, the spawn fails with
+// EACCES in a way embedded-postgres does not report, so check it up front.
+const prepareBinaries = async (runAsPostgresUser) => {
+  const binaries = await import(
+    `@embedded-postgres/${os.platform()}-${os.arch()}`
+  );
+  const files = [binaries.initdb, binaries.postgres, binaries.pg_ctl];
+  for (const file of files) {
+    const { mode } = fs.statSync(file);
+    if ((mode & 0o111) !== 0o111) fs.chmodSync(file, mode | 0o111);
+  }
+  if (runAsPostgresUser) {
+    for (let dir = path.dirname(files[0]); ; dir = path.dirname(dir)) {
+      if (!(fs.statSync(dir).mode & 0o001)) {
+        throw new Error(
+          `the "postgres" user cannot enter ${dir}; run \`chmod o+x ${dir}\` or install the project somewhere it can reach`
+        );
+      }
+      if (dir === path.dirname(dir)) break;
+    }
+  }
+};
+
+// Start the database and load the app against it. Resolves to { app, pool,
+// stop }; call stop() when the tests are done. Rejects if the server cannot
+// be started, so the test run fails instead of running no tests.
+const startTestDatabase = async () => {
+  const { default: EmbeddedPostgres } = await import("embedded-postgres");
+  // initdb refuses to run as root (e.g. in CI containers)
+  const runAsPostgresUser = process.getuid && process.getuid() === 0;
+  try {
+    await prepareBinaries(runAsPostgresUser);
+  } catch (error) {
+    throw new Error(`Cannot run embedded PostgreSQL: ${error.message}`);
+  }
+  const port = await freePort();
+  const databaseDir = path.join(
+    os.tmpdir(),
+    `customer-api-test-${process.pid}-${Date.now()}`
+  );
+  const output = [];
+  const server = new EmbeddedPostgres({
+    databaseDir,
+    port,
+    user: "postgres",
+    password: "postgres",
+    persistent: false,
+    createPostgresUser: runAsPostgresUser,
+    // Keep the server output to explain a failed start
+    onLog: (message) => output.push(message),
+    onError: (error) => output.push(String(error)),
+  });
+  try {
+    await server.initialise();
+    await server.start();
+  } catch (error) {
+    await server.stop().catch(() => {});
+    fs.rmSync(databaseDir, { recursive: true, force: true });
+    // start() rejects without a reason when postgres exits early
+    throw new Error(
+      `Embedded PostgreSQL failed to start: ${
+        error ? error.message : "the server exited"
+      }\n${output.join("").slice(-2000)}`
+    );
+  }
+
+  Object.assign(process.env, {
+    DB_HOST: "localhost",
+    DB_PORT: String(port),
+    DB_USER: "postgres",
+    DB_PASSWORD: "postgres",
+    DB_NAME: "postgres",
+    JWT_SECRET: "test-secret",
+  });
+  const pool = require("../../db");
+  const { migrateUp } = require("../../migrator");
+  const { createAccount } = require("../../auth");
+
+  try {
+    await migrateUp(pool);
+    await insertRows(pool, "users", CUSTOMERS);
+    await insertRows(pool, "orders", ORDERS);
+    await pool.query(
+      "SELECT setval('users_id_seq', (SELECT MAX(id) FROM users))"
+    );
+    for (const account of ACCOUNTS) {
+      await createAccount(pool, account);
+    }
+  } catch (error) {
+    await pool.end();
+    await server.stop();
+    throw error;
+  }
+
+  const app = require("../../server");
+  return {
+    app,
+    pool,
+    stop: async () => {
+      await pool.end();
+      await server.stop();
+      fs.rmSync(databaseDir, { recursive: true, force: true });
+    },
+  };
+};
+
+module.exports = { startTestDatabase };
@@ -0,0 +1,51 @@
+const zlib = require("zlib");
+
+// Just enough of a ZIP reader for the tests: the entries listed in the
+// central directory, each with its name and uncompressed contents. Handles
+// stored and deflated entries, which is all archiver writes.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+
+const readZip = (buffer) => {
+  const end = buffer.lastIndexOf(
+    Buffer.from([0x50, 0x4b, 0x05, 0x06]),
+    buffer.length - 22
+  );
+  if (end < 0 || buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY) {
+    throw new Error("Not a ZIP archive");
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error("Malformed ZIP central directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeader = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    // The local header repeats the name and has its own extra field
+    const dataStart =
+      localHeader +
+      30 +
+      buffer.readUInt16LE(localHeader + 26) +
+      buffer.readUInt16LE(localHeader + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries.push({
+      name,
+      contents: method === 8 ? zlib.inflateRawSync(data) : data,
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+module.exports = { readZip };
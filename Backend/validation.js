@@ -0,0 +1,282 @@
+const Ajv = require("ajv");
+
+// Request validation against the OpenAPI document (see openapi.js), and the
+// response checks the tests use. Path and query parameters are checked
+// against their schemas after coercing them from strings; JSON request
+// bodies are checked as sent.
+
+// Send a 400 response listing every invalid field as { field, message },
+// plus `location` (path, query or body) for parameter and schema errors
+const sendValidationError = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    error: "Validation failed",
+    message: `${errors.length} field${
+      errors.length === 1 ? "" : "s"
+    } failed validation`,
+    details: errors,
+  });
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+const createAjv = (spec, options = {}) => {
+  const ajv = new Ajv({
+    allErrors: true,
+    strict: false,
+    validateFormats: false,
+    ...options,
+  });
+  ajv.addSchema(spec, "openapi");
+  return ajv;
+};
+
+// Point local references ("#/components/...") at the registered document so
+// schemas taken out of it still resolve
+const resolveRefs = (schema) => {
+  if (Array.isArray(schema)) return schema.map(resolveRefs);
+  if (!schema || typeof schema !== "object") return schema;
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => [
+      key,
+      key === "$ref" && typeof value === "string" && value.startsWith("#/")
+        ? `openapi${value}`
+        : resolveRefs(value),
+    ])
+  );
+};
+
+// Follow a "#/components/..." reference within the document
+const dereference = (spec, item) => {
+  if (!item || !item.$ref) return item;
+  return item.$ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node[key], spec);
+};
+
+// Document paths as matchers, most specific first: literal segments win
+// over templated ones, so /customers/export is not taken for
+// /customers/{id}
+const compilePathMatchers = (spec) =>
+  Object.keys(spec.paths)
+    .map((path) => {
+      const names = [];
+      const pattern = path.replace(/\{([^}]+)\}/g, (_, name) => {
+        names.push(name);
+        return "([^/]+)";
+      });
+      return { path, names, regex: new RegExp(`^${pattern}/?$`) };
+    })
+    .sort((a, b) => a.names.length - b.names.length);
+
+// Find the document path and path parameters for a request path
+const matchPath = (matchers, requestPath) => {
+  for (const matcher of matchers) {
+    const match = matcher.regex.exec(requestPath);
+    if (match) {
+      return {
+        path: matcher.path,
+        params: Object.fromEntries(
+          matcher.names.map((name, i) => [
+            name,
+            decodeURIComponent(match[i + 1]),
+          ])
+        ),
+      };
+    }
+  }
+  return null;
+};
+
+// Turn Ajv errors into { field, location, message } entries; `field` is
+// the dotted path of the offending value (null for the body as a whole)
+const formatErrors = (errors, location) =>
+  errors
+    .filter((error) => !["anyOf", "oneOf", "allOf"].includes(error.keyword))
+    .map((error) => {
+      const path = error.instancePath
+        .split("/")
+        .slice(1)
+        .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+      let field = path.join(".") || null;
+      let message = error.message;
+
+      if (error.keyword === "required") {
+        field = [field, error.params.missingProperty].filter(Boolean).join(".");
+        message = "is required";
+      } else if (error.keyword === "additionalProperties") {
+        field = [field, error.params.additionalProperty]
+          .filter(Boolean)
+          .join(".");
+        message = "is not an accepted field";
+      } else if (error.keyword === "minLength" && error.params.limit === 1) {
+        message = "must not be empty";
+      } else if (error.keyword === "enum") {
+        message = `must be one of: ${error.params.allowedValues
+          .filter((value) => value !== null)
+          .join(", ")}`;
+      }
+
+      return {
+        field,
+        location,
+        message: field ? `${field} ${message}` : `Request body ${message}`,
+      };
+    })
+    // One entry per field and message
+    .filter(
+      (error, i, all) =>
+        all.findIndex(
+          (other) =>
+            other.field === error.field && other.message === error.message
+        ) === i
+    );
+
+// Compile the checks for one operation: its parameters (path-level and
+// operation-level) grouped by location, and its JSON request body
+const compileOperation = (ajv, spec, pathItem, operation) => {
+  const parameters = [
+    ...(pathItem.parameters || []),
+    ...(operation.parameters || []),
+  ].map((parameter) => dereference(spec, parameter));
+
+  const validators = {};
+  for (const location of ["path", "query"]) {
+    const located = parameters.filter((parameter) => parameter.in === location);
+    if (located.length === 0) continue;
+    validators[location] = ajv.compile(
+      resolveRefs({
+        type: "object",
+        properties: Object.fromEntries(
+          located.map((parameter) => [parameter.name, parameter.schema])
+        ),
+        required: located
+          .filter((parameter) => parameter.required)
+          .map((parameter) => parameter.name),
+      })
+    );
+  }
+
+  const body = operation.requestBody;
+  const bodySchema =
+    body && body.content["application/json"]
+      ? body.content["application/json"].schema
+      : null;
+  return {
+    validators,
+    body: bodySchema
+      ? {
+          required: Boolean(body.required),
+          validate: ajv.compile(resolveRefs(bodySchema)),
+        }
+      : null,
+  };
+};
+
+// Middleware validating each request against its operation in `spec`.
+// Requests for paths or methods the document does not describe are passed
+// on untouched (the 404 handler answers them). Invalid requests get a 400
+// listing every problem.
+const validateRequests = (spec) => {
+  // Coerce copies of the string parameters to their schema types
+  const ajv = createAjv(spec, { coerceTypes: true, useDefaults: false });
+  const matchers = compilePathMatchers(spec);
+  const operations = new Map();
+
+  for (const [path, pathItem] of Object.entries(spec.paths)) {
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method]) {
+        operations.set(
+          `${method} ${path}`,
+          compileOperation(ajv, spec, pathItem, pathItem[method])
+        );
+      }
+    }
+  }
+
+  return (req, res, next) => {
+    const match = matchPath(matchers, req.path);
+    const operation =
+      match && operations.get(`${req.method.toLowerCase()} ${match.path}`);
+    if (!operation) return next();
+
+    const errors = [];
+    for (const [location, values] of [
+      ["path", match.params],
+      ["query", req.query],
+    ]) {
+      const validate = operation.validators[location];
+      if (validate && !validate({ ...values })) {
+        errors.push(...formatErrors(validate.errors, location));
+      }
+    }
+
+    if (operation.body && req.is("application/json")) {
+      if (!operation.body.validate(req.body)) {
+        errors.push(...formatErrors(operation.body.validate.errors, "body"));
+      }
+    } else if (
+      operation.body &&
+      operation.body.required &&
+      !req.is("multipart/form-data")
+    ) {
+      errors.push({
+        field: null,
+        location: "body",
+        message: "Request body must be JSON",
+      });
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    next();
+  };
+};
+
+// Build a checker for responses: check(method, path, status, body) returns
+// a list of problems (empty when the body matches the documented schema).
+// `path` is a request path such as "/customers/1".
+const createResponseValidator = (spec) => {
+  const ajv = createAjv(spec);
+  const matchers = compilePathMatchers(spec);
+  const compiled = new Map();
+
+  return (method, requestPath, status, body) => {
+    const match = matchPath(matchers, requestPath.split("?")[0]);
+    const operation = match && spec.paths[match.path][method.toLowerCase()];
+    if (!operation) {
+      return [`${method.toUpperCase()} ${requestPath} is not documented`];
+    }
+
+    const response = dereference(
+      spec,
+      operation.responses[status] || operation.responses.default
+    );
+    if (!response) {
+      return [
+        `${method.toUpperCase()} ${match.path} does not document status ${status}`,
+      ];
+    }
+
+    const media = response.content && response.content["application/json"];
+    if (!media) return [];
+
+    const key = `${method} ${match.path} ${status}`;
+    if (!compiled.has(key)) {
+      compiled.set(key, ajv.compile(resolveRefs(media.schema)));
+    }
+    const validate = compiled.get(key);
+    return validate(body)
+      ? []
+      : validate.errors.map(
+          (error) => `${error.instancePath || "body"} ${error.message}`
+        );
+  };
+};
+
+module.exports = {
+  sendValidationError,
+  validateRequests,
+  createResponseValidator,
+};
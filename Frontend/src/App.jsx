@@ -1,10 +1,70 @@
-
+import {
+  BrowserRouter,
+  Navigate,
+  Outlet,
+  Route,
+  Routes,
+  useLocation,
+} from 'react-router-dom'
+import NavBar from './components/NavBar'
 import CustomerListApp from './components/CustomerList'
+import CustomerDetail from './components/CustomerDetail'
+import OrdersPage from './components/OrdersPage'
+import OrderDetail from './components/OrderDetail'
+import AnalyticsPage from './components/AnalyticsPage'
+import MapPage from './components/MapPage'
+import FulfillmentPage from './components/FulfillmentPage'
+import LoginPage from './components/LoginPage'
+import useSession from './hooks/useSession'
+
+// Navigation bar above every page. Signed-out visitors are sent to the
+// sign-in screen, which brings them back here afterwards.
+function Layout() {
+  const session = useSession()
+  const location = useLocation()
+
+  if (!session) {
+    return (
+      <Navigate
+        to="/login"
+        state={{ from: location.pathname + location.search }}
+        replace
+      />
+    )
+  }
+
+  return (
+    <>
+      <NavBar />
+      <Outlet />
+    </>
+  )
+}
 
 function App() {
 
   return (
-    <CustomerListApp />
+    <BrowserRouter>
+      <Routes>
+        <Route path="/login" element={<LoginPage />} />
+        <Route element={<Layout />}>
+          <Route path="/customers" element={<CustomerListApp />}>
+            <Route path=":customerId" element={<CustomerDetail />} />
+            <Route
+              path=":customerId/orders/:orderId"
+              element={<CustomerDetail />}
+            />
+          </Route>
+          <Route path="/orders" element={<OrdersPage />}>
+            <Route path=":orderId" element={<OrderDetail />} />
+          </Route>
+          <Route path="/analytics" element={<AnalyticsPage />} />
+          <Route path="/fulfillment" element={<FulfillmentPage />} />
+          <Route path="/map" element={<MapPage />} />
+        </Route>
+        <Route path="*" element={<Navigate to="/customers" replace />} />
+      </Routes>
+    </BrowserRouter>
   )
 }
 
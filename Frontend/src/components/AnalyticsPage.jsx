@@ -0,0 +1,32 @@
+import React from "react";
+import { BarChart3 } from "lucide-react";
+import ChannelComparison from "./ChannelComparison";
+import CohortHeatmap from "./CohortHeatmap";
+
+// Analytics workspace: customer behaviour reports beyond the headline stats
+const AnalyticsPage = () => {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-2">
+            <BarChart3 className="w-8 h-8 text-purple-600" />
+            Analytics
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Acquisition channels, retention and purchasing behaviour across
+            customer cohorts
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <ChannelComparison />
+        <CohortHeatmap />
+      </main>
+    </div>
+  );
+};
+
+export default AnalyticsPage;
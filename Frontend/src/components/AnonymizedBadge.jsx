@@ -0,0 +1,18 @@
+import React from "react";
+import { EyeOff } from "lucide-react";
+
+// Marks a customer whose personal data has been erased
+const AnonymizedBadge = ({ anonymizedAt }) => {
+  if (!anonymizedAt) return null;
+  return (
+    <span
+      title={`Anonymized on ${new Date(anonymizedAt).toLocaleDateString()}`}
+      className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700"
+    >
+      <EyeOff className="w-3 h-3" />
+      Anonymized
+    </span>
+  );
+};
+
+export default AnonymizedBadge;
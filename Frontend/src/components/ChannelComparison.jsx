@@ -0,0 +1,258 @@
+import React, { useEffect, useState } from "react";
+import {
+  Loader,
+  AlertCircle,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+} from "lucide-react";
+import DateRangePicker from "./DateRangePicker";
+import Sparkline from "./Sparkline";
+import useApiRequest from "../hooks/useApiRequest";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import { getChannels } from "../utils/api";
+import { SERIES_COLORS } from "../utils/charts";
+import { daysAgo } from "../utils/format";
+
+const INTERVALS = ["day", "week", "month"];
+
+// Table columns: the figure shown, how to format it and whether a fall is
+// an improvement
+const COLUMNS = [
+  { key: "signups", label: "Signups" },
+  { key: "conversion_rate", label: "Conversion", unit: "%" },
+  { key: "orders_per_customer", label: "Orders / Customer" },
+  { key: "items_per_order", label: "Items / Order" },
+  { key: "return_rate", label: "Return Rate", unit: "%", lowerIsBetter: true },
+  {
+    key: "median_days_to_first_order",
+    label: "Days to 1st Order",
+    lowerIsBetter: true,
+  },
+];
+
+const selectClassName =
+  "px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const formatValue = (value, unit = "") =>
+  value === null ? "–" : `${value}${unit}`;
+
+// Channels ordered by name or a current-period figure; channels without
+// one go last
+const sortChannels = (channels, { key, direction }) => {
+  const value = (channel) =>
+    key === "traffic_source" ? channel.traffic_source : channel.current[key];
+  return [...channels].sort((a, b) => {
+    const [x, y] = [value(a), value(b)];
+    if (x === null || y === null) return (x === null) - (y === null);
+    const order = typeof x === "string" ? x.localeCompare(y) : x - y;
+    return direction === "asc" ? order : -order;
+  });
+};
+
+// Percentage change from the previous period, green when it is an
+// improvement
+const Change = ({ value, lowerIsBetter }) => {
+  if (value === null || value === 0) return null;
+  const better = lowerIsBetter ? value < 0 : value > 0;
+  return (
+    <span
+      className={`block text-xs ${better ? "text-green-600" : "text-red-600"}`}
+    >
+      {value > 0 ? "▲" : "▼"} {Math.abs(value)}%
+    </span>
+  );
+};
+
+// Column header sorting the table by `column` when clicked
+const SortHeader = ({ column, sort, onSort, align = "right" }) => {
+  const active = sort.key === column.key;
+  const Icon = !active
+    ? ArrowUpDown
+    : sort.direction === "asc"
+      ? ArrowUp
+      : ArrowDown;
+  return (
+    <th
+      className={`px-3 py-2 text-${align}`}
+      aria-sort={
+        active
+          ? sort.direction === "asc"
+            ? "ascending"
+            : "descending"
+          : "none"
+      }
+    >
+      <button
+        onClick={() => onSort(column.key)}
+        className="inline-flex items-center gap-1 uppercase hover:text-gray-700"
+      >
+        {column.label}
+        <Icon className={`w-3 h-3 ${active ? "" : "text-gray-300"}`} />
+      </button>
+    </th>
+  );
+};
+
+// Per-channel acquisition figures from GET /analytics/channels, compared
+// with the previous period, with a signup trend for each channel
+const ChannelComparison = () => {
+  const [range, setRange] = useState({ from: daysAgo(89), to: daysAgo(0) });
+  const [trendInterval, setTrendInterval] = useState("week");
+  const [sort, setSort] = useState({ key: "signups", direction: "desc" });
+  const [report, setReport] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  // Wait for typed dates to settle before fetching
+  const debouncedRange = useDebouncedValue(range, 300);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ interval: trendInterval });
+    if (debouncedRange.from) params.set("from", debouncedRange.from);
+    if (debouncedRange.to) params.set("to", debouncedRange.to);
+    run((signal) => getChannels(params, { signal }), setReport);
+  }, [run, debouncedRange, trendInterval]);
+
+  // Clicking the sorted column flips its direction
+  const toggleSort = (key) =>
+    setSort((current) =>
+      current.key === key
+        ? { key, direction: current.direction === "asc" ? "desc" : "asc" }
+        : { key, direction: key === "traffic_source" ? "asc" : "desc" },
+    );
+
+  return (
+    <section className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            Channel performance
+          </h2>
+          <p className="text-sm text-gray-500">
+            Customers by traffic source, compared with the previous period
+            {report && ` (${report.previous.from} to ${report.previous.to})`}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <DateRangePicker value={range} onChange={setRange} />
+          <select
+            aria-label="Trend interval"
+            value={trendInterval}
+            onChange={(e) => setTrendInterval(e.target.value)}
+            className={`${selectClassName} capitalize`}
+          >
+            {INTERVALS.map((option) => (
+              <option key={option} value={option}>
+                {option}ly
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="flex flex-col items-center gap-3 py-12 text-sm text-red-600">
+          <div className="flex items-center gap-2">
+            <AlertCircle className="w-5 h-5" />
+            {error.message}
+          </div>
+          <button
+            onClick={retry}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Retry
+          </button>
+        </div>
+      ) : !report ? (
+        <div className="flex justify-center py-12">
+          <Loader className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : report.channels.length === 0 ? (
+        <p className="py-8 text-center text-sm text-orange-600">
+          No customers signed up in this range
+        </p>
+      ) : (
+        <div className={`overflow-x-auto ${loading ? "opacity-50" : ""}`}>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-xs font-medium text-gray-500 tracking-wider">
+                <SortHeader
+                  column={{ key: "traffic_source", label: "Channel" }}
+                  sort={sort}
+                  onSort={toggleSort}
+                  align="left"
+                />
+                {COLUMNS.map((column) => (
+                  <SortHeader
+                    key={column.key}
+                    column={column}
+                    sort={sort}
+                    onSort={toggleSort}
+                  />
+                ))}
+                <th className="px-3 py-2 text-left uppercase">Signup Trend</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {sortChannels(report.channels, sort).map((channel) => (
+                <tr key={channel.traffic_source ?? "unknown"}>
+                  <td className="px-3 py-2 font-medium text-gray-900">
+                    {channel.traffic_source || "Unknown"}
+                  </td>
+                  {COLUMNS.map((column) => (
+                    <td
+                      key={column.key}
+                      className="px-3 py-2 text-right text-gray-900"
+                      title={`Previous period: ${formatValue(
+                        channel.previous[column.key],
+                        column.unit,
+                      )}`}
+                    >
+                      {formatValue(channel.current[column.key], column.unit)}
+                      <Change
+                        value={channel.change[column.key]}
+                        lowerIsBetter={column.lowerIsBetter}
+                      />
+                    </td>
+                  ))}
+                  <td className="px-3 py-2">
+                    <Sparkline
+                      data={channel.trend.signups}
+                      color={
+                        SERIES_COLORS[
+                          report.channels.indexOf(channel) %
+                            SERIES_COLORS.length
+                        ]
+                      }
+                      label={`${channel.traffic_source || "Unknown"} signups`}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t-2 border-gray-200 font-semibold">
+                <td className="px-3 py-2 text-gray-900">All channels</td>
+                {COLUMNS.map((column) => (
+                  <td
+                    key={column.key}
+                    className="px-3 py-2 text-right text-gray-900"
+                  >
+                    {formatValue(report.total.current[column.key], column.unit)}
+                    <Change
+                      value={report.total.change[column.key]}
+                      lowerIsBetter={column.lowerIsBetter}
+                    />
+                  </td>
+                ))}
+                <td />
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ChannelComparison;
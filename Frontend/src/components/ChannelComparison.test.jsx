@@ -0,0 +1,116 @@
+import React from "react";
+import { beforeEach, describe, expect, test } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { http, HttpResponse } from "msw";
+import ChannelComparison from "./ChannelComparison";
+import { API_BASE_URL } from "../config";
+import { server } from "../test/server";
+
+const figures = (signups, conversionRate, returnRate) => ({
+  signups,
+  customers: 0,
+  conversion_rate: conversionRate,
+  orders: 0,
+  orders_per_customer: null,
+  items_per_order: null,
+  return_rate: returnRate,
+  median_days_to_first_order: null,
+});
+
+const channel = (source, current, previous, change) => ({
+  traffic_source: source,
+  current,
+  previous,
+  change: { ...figures(null, null, null), ...change },
+  trend: { signups: [1, 3, 2], orders: [0, 1, 1] },
+});
+
+const REPORT = {
+  interval: "week",
+  from: "2024-04-01",
+  to: "2024-06-29",
+  previous: { from: "2024-01-02", to: "2024-03-31" },
+  buckets: ["2024-04-01", "2024-04-08", "2024-04-15"],
+  channels: [
+    channel("Search", figures(30, 40, 5), figures(20, 50, 10), {
+      signups: 50,
+      return_rate: -50,
+    }),
+    channel("Email", figures(10, 80, null), figures(10, 60, null), {
+      conversion_rate: 33.33,
+    }),
+    channel(null, figures(5, null, 20), figures(0, null, null), {}),
+  ],
+  total: {
+    current: figures(45, 50, 8),
+    previous: figures(30, 53.33, 10),
+    change: { ...figures(null, -6.25, -20), signups: 50 },
+  },
+};
+
+// Channel names in the table, top to bottom
+const channelOrder = () =>
+  within(screen.getByRole("table"))
+    .getAllByRole("row")
+    .slice(1, -1)
+    .map((row) => within(row).getAllByRole("cell")[0].textContent);
+
+let requests;
+
+describe("ChannelComparison", () => {
+  beforeEach(() => {
+    requests = [];
+    server.use(
+      http.get(`${API_BASE_URL}/analytics/channels`, ({ request }) => {
+        requests.push(Object.fromEntries(new URL(request.url).searchParams));
+        return HttpResponse.json({ success: true, data: REPORT });
+      }),
+    );
+  });
+
+  test("compares channels with the previous period", async () => {
+    render(<ChannelComparison />);
+
+    await screen.findByRole("table");
+    expect(channelOrder()).toEqual(["Search", "Email", "Unknown"]);
+    expect(
+      screen.getByRole("img", { name: "Search signups" }),
+    ).toBeInTheDocument();
+
+    const search = screen.getByText("Search").closest("tr");
+    // More signups and fewer returns are both improvements
+    expect(within(search).getByText("▲ 50%")).toHaveClass("text-green-600");
+    expect(within(search).getByText("▼ 50%")).toHaveClass("text-green-600");
+    expect(
+      within(screen.getByText("All channels").closest("tr")).getByText(
+        "▼ 6.25%",
+      ),
+    ).toHaveClass("text-red-600");
+    expect(requests[0].interval).toBe("week");
+  });
+
+  test("sorts by a column, with missing values last", async () => {
+    const user = userEvent.setup();
+    render(<ChannelComparison />);
+    await screen.findByRole("table");
+
+    await user.click(screen.getByRole("button", { name: "Conversion" }));
+    expect(channelOrder()).toEqual(["Email", "Search", "Unknown"]);
+
+    await user.click(screen.getByRole("button", { name: "Conversion" }));
+    expect(channelOrder()).toEqual(["Search", "Email", "Unknown"]);
+
+    await user.click(screen.getByRole("button", { name: "Channel" }));
+    expect(channelOrder()).toEqual(["Email", "Search", "Unknown"]);
+  });
+
+  test("refetches with the chosen trend interval", async () => {
+    const user = userEvent.setup();
+    render(<ChannelComparison />);
+    await screen.findByRole("table");
+
+    await user.selectOptions(screen.getByLabelText("Trend interval"), "month");
+    await waitFor(() => expect(requests.at(-1).interval).toBe("month"));
+  });
+});
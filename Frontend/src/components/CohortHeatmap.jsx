@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from "react";
+import { Loader, AlertCircle } from "lucide-react";
+import { TRAFFIC_SOURCES } from "../constants";
+import useApiRequest from "../hooks/useApiRequest";
+import { getCohorts } from "../utils/api";
+import { formatDate } from "../utils/format";
+
+const INTERVALS = ["month", "week"];
+
+const selectClassName =
+  "px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+// Background for a retention cell, darker for higher rates relative to the
+// best cell in the table
+const cellStyle = (rate, maxRate) => {
+  const intensity = maxRate > 0 ? rate / maxRate : 0;
+  return {
+    backgroundColor: `rgba(37, 99, 235, ${0.08 + intensity * 0.82})`,
+    color: intensity > 0.5 ? "white" : "#1f2937",
+  };
+};
+
+const formatDays = (days) => (days === null ? "–" : `${days}d`);
+const formatRate = (rate) => (rate === null ? "–" : `${rate}%`);
+
+// Signup cohort × periods-since-signup retention heatmap from
+// GET /analytics/cohorts, filterable by acquisition channel
+const CohortHeatmap = () => {
+  const [cohortInterval, setCohortInterval] = useState("month");
+  const [trafficSource, setTrafficSource] = useState("");
+  const [cohorts, setCohorts] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  useEffect(() => {
+    const params = { interval: cohortInterval };
+    if (trafficSource) params.traffic_source = trafficSource;
+    run((signal) => getCohorts(params, { signal }), setCohorts);
+  }, [run, cohortInterval, trafficSource]);
+
+  const maxRate = cohorts
+    ? Math.max(
+        0,
+        ...cohorts.cohorts.flatMap((cohort) =>
+          cohort.retention.filter(Boolean).map((cell) => cell.rate),
+        ),
+      )
+    : 0;
+  const periodLabel = cohortInterval === "month" ? "M" : "W";
+
+  return (
+    <section className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            Cohort retention
+          </h2>
+          <p className="text-sm text-gray-500">
+            Share of each signup cohort that ordered in each {cohortInterval}{" "}
+            after signing up
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <select
+            aria-label="Cohort interval"
+            value={cohortInterval}
+            onChange={(e) => setCohortInterval(e.target.value)}
+            className={`${selectClassName} capitalize`}
+          >
+            {INTERVALS.map((option) => (
+              <option key={option} value={option}>
+                {option}ly
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Traffic source"
+            value={trafficSource}
+            onChange={(e) => setTrafficSource(e.target.value)}
+            className={selectClassName}
+          >
+            <option value="">All traffic sources</option>
+            {TRAFFIC_SOURCES.map((source) => (
+              <option key={source} value={source}>
+                {source}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="flex flex-col items-center gap-3 py-12 text-sm text-red-600">
+          <div className="flex items-center gap-2">
+            <AlertCircle className="w-5 h-5" />
+            {error.message}
+          </div>
+          <button
+            onClick={retry}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Retry
+          </button>
+        </div>
+      ) : !cohorts ? (
+        <div className="flex justify-center py-12">
+          <Loader className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : (
+        <div className={loading ? "opacity-50" : ""}>
+          {/* Summary */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm font-medium text-gray-500">Customers</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {cohorts.summary.customers}
+              </p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm font-medium text-gray-500">
+                Repeat Purchase Rate
+              </p>
+              <p className="text-2xl font-bold text-gray-900">
+                {formatRate(cohorts.summary.repeat_purchase_rate)}
+              </p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm font-medium text-gray-500">
+                Median Days to 2nd Order
+              </p>
+              <p className="text-2xl font-bold text-gray-900">
+                {formatDays(cohorts.summary.median_days_to_second_order)}
+              </p>
+            </div>
+          </div>
+
+          {cohorts.cohorts.length === 0 ? (
+            <p className="py-8 text-center text-sm text-orange-600">
+              No customers signed up through this channel
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <th className="px-3 py-2 text-left">Cohort</th>
+                    <th className="px-3 py-2 text-right">Customers</th>
+                    {Array.from({ length: cohorts.periods }, (_, index) => (
+                      <th key={index} className="px-2 py-2 text-center">
+                        {periodLabel}
+                        {index}
+                      </th>
+                    ))}
+                    <th className="px-3 py-2 text-right">Repeat</th>
+                    <th className="px-3 py-2 text-right">To 2nd</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {cohorts.cohorts.map((cohort) => (
+                    <tr key={cohort.cohort}>
+                      <td className="px-3 py-1 whitespace-nowrap text-gray-900">
+                        {formatDate(cohort.cohort)}
+                      </td>
+                      <td className="px-3 py-1 text-right text-gray-900">
+                        {cohort.customers}
+                      </td>
+                      {cohort.retention.map((cell, index) =>
+                        cell ? (
+                          <td
+                            key={index}
+                            className="px-2 py-1 text-center text-xs"
+                            style={cellStyle(cell.rate, maxRate)}
+                            title={`${cell.customers} of ${cohort.customers} customers`}
+                          >
+                            {cell.rate}%
+                          </td>
+                        ) : (
+                          <td key={index} className="px-2 py-1" />
+                        ),
+                      )}
+                      <td className="px-3 py-1 text-right text-gray-900">
+                        {formatRate(cohort.repeat_purchase_rate)}
+                      </td>
+                      <td className="px-3 py-1 text-right text-gray-900">
+                        {formatDays(cohort.median_days_to_second_order)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CohortHeatmap;
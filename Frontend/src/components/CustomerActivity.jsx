@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Loader, AlertCircle } from "lucide-react";
+import useApiRequest from "../hooks/useApiRequest";
+import { listAudit } from "../utils/api";
+import { formatDateTime } from "../utils/format";
+
+const ENTRIES_PER_PAGE = 20;
+
+// How each audited action reads in the activity feed
+const ACTION_LABELS = {
+  "customer.view": "viewed the profile",
+  "customer.orders_view": "viewed the orders",
+  "customer.create": "created the customer",
+  "customer.update": "updated the profile",
+  "customer.delete": "deleted the customer",
+  "customer.merge": "merged customers",
+  "customer.data_export": "exported the customer's data",
+  "customer.erase": "anonymized the customer",
+  "order.view": "viewed an order",
+  "order.transition": "changed an order's status",
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return formatDateTime(value);
+  }
+  return String(value);
+};
+
+// Who viewed or changed a customer and when, newest first, from
+// GET /audit?customer_id=
+const CustomerActivity = ({ customerId }) => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  // Fetch a page of audit entries; later pages are appended
+  const fetchActivity = useCallback(
+    (page) =>
+      run(
+        (signal) =>
+          listAudit(
+            { customer_id: customerId, page, limit: ENTRIES_PER_PAGE },
+            { signal },
+          ),
+        (result) => {
+          setEntries((previous) =>
+            page === 1 ? result.entries : [...previous, ...result.entries],
+          );
+          setPagination(result.pagination);
+        },
+      ),
+    [run, customerId],
+  );
+
+  useEffect(() => {
+    fetchActivity(1);
+  }, [fetchActivity]);
+
+  if (error && entries.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <AlertCircle className="w-8 h-8 text-red-500 mx-auto mb-2" />
+        <p className="text-gray-600 mb-4">{error.message}</p>
+        <button
+          onClick={retry}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!pagination || (loading && entries.length === 0)) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader className="w-6 h-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500">No recorded activity</p>;
+  }
+
+  return (
+    <div>
+      <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+        {entries.map((entry) => (
+          <li key={entry.id} className="px-4 py-3 text-sm">
+            <div className="flex items-start justify-between gap-2">
+              <p className="text-gray-900">
+                <span className="font-medium">
+                  {entry.actor || "Anonymous"}
+                </span>
+                {entry.actor_role && (
+                  <span className="ml-1 text-xs text-gray-500">
+                    ({entry.actor_role})
+                  </span>
+                )}{" "}
+                {ACTION_LABELS[entry.action] || entry.action}
+                {entry.order_ids.length === 1 &&
+                  entry.action.startsWith("order.") &&
+                  ` #${entry.order_ids[0]}`}
+              </p>
+              <span className="text-xs text-gray-500 whitespace-nowrap">
+                {formatDateTime(entry.occurred_at)}
+              </span>
+            </div>
+            {entry.changes && (
+              <dl className="mt-2 space-y-1 text-xs">
+                {Object.entries(entry.changes).map(([field, change]) => (
+                  <div key={field} className="flex gap-2">
+                    <dt className="text-gray-500">{field}</dt>
+                    <dd className="text-gray-900">
+                      <span className="line-through text-gray-400">
+                        {formatValue(change.from)}
+                      </span>{" "}
+                      → {formatValue(change.to)}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+            {entry.details?.merged_customer_ids && (
+              <p className="mt-1 text-xs text-gray-500">
+                Merged customers {entry.details.merged_customer_ids.join(", ")}
+              </p>
+            )}
+            {entry.details?.note && (
+              <p className="mt-1 text-xs text-gray-500">
+                Note: {entry.details.note}
+              </p>
+            )}
+          </li>
+        ))}
+      </ul>
+      {error && <p className="mt-3 text-sm text-red-600">{error.message}</p>}
+      {pagination?.has_next_page && (
+        <button
+          onClick={() => fetchActivity(pagination.current_page + 1)}
+          disabled={loading}
+          className="mt-3 w-full px-3 py-1 border border-gray-300 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+        >
+          {loading ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CustomerActivity;
@@ -0,0 +1,90 @@
+import React from "react";
+import { User, Mail, ShoppingCart, MapPin, Calendar } from "lucide-react";
+import { Link, useLocation } from "react-router-dom";
+import SegmentBadge from "./SegmentBadge";
+import AnonymizedBadge from "./AnonymizedBadge";
+import { formatDate } from "../utils/format";
+
+// Customer list as a grid of cards; `onOpen` is called with a customer's id
+// when their card is clicked
+const CustomerCards = ({ customers, onOpen }) => {
+  const location = useLocation();
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {customers.map((customer) => (
+        <div
+          key={customer.id}
+          onClick={() => onOpen(customer.id)}
+          className="bg-white rounded-lg shadow-sm p-6 hover:shadow-md transition-shadow cursor-pointer"
+        >
+          <div className="flex items-center mb-4">
+            <div className="w-12 h-12 bg-blue-100 rounded-full flex items-center justify-center">
+              <User className="w-6 h-6 text-blue-600" />
+            </div>
+            <div className="ml-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                <Link
+                  to={{
+                    pathname: `/customers/${customer.id}`,
+                    search: location.search,
+                  }}
+                  onClick={(e) => e.stopPropagation()}
+                  className="hover:text-blue-600"
+                >
+                  {customer.first_name} {customer.last_name}
+                </Link>
+              </h3>
+              <p className="text-sm text-gray-500">ID: {customer.id}</p>
+              <AnonymizedBadge anonymizedAt={customer.anonymized_at} />
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex items-center text-sm">
+              <Mail className="w-4 h-4 text-gray-400 mr-3" />
+              <span className="text-gray-900">{customer.email}</span>
+            </div>
+
+            <div className="flex items-center text-sm">
+              <MapPin className="w-4 h-4 text-gray-400 mr-3" />
+              <span className="text-gray-900">
+                {customer.city}, {customer.state}
+              </span>
+            </div>
+
+            <div className="flex items-center text-sm">
+              <ShoppingCart className="w-4 h-4 text-gray-400 mr-3" />
+              <span className="text-gray-900">
+                {customer.order_count} orders
+              </span>
+            </div>
+
+            <div className="flex items-center text-sm">
+              <Calendar className="w-4 h-4 text-gray-400 mr-3" />
+              <span className="text-gray-900">
+                {formatDate(customer.created_at)}
+              </span>
+            </div>
+          </div>
+
+          <div className="mt-4 pt-4 border-t border-gray-200">
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+              {customer.traffic_source}
+            </span>
+            <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+              {customer.age} years
+            </span>
+            {customer.segment && (
+              <span className="ml-2">
+                <SegmentBadge segment={customer.segment} />
+              </span>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CustomerCards;
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
+import {
+  User,
+  Mail,
+  MapPin,
+  Calendar,
+  ShoppingCart,
+  ArrowLeft,
+  Loader,
+  AlertCircle,
+  History,
+} from "lucide-react";
+import Drawer from "./Drawer";
+import StatusBadge from "./StatusBadge";
+import SegmentBadge from "./SegmentBadge";
+import AnonymizedBadge from "./AnonymizedBadge";
+import OrderTimeline from "./OrderTimeline";
+import CustomerActivity from "./CustomerActivity";
+import useApiRequest from "../hooks/useApiRequest";
+import useSession from "../hooks/useSession";
+import { getCustomer, getCustomerOrders } from "../utils/api";
+import { formatDate } from "../utils/format";
+
+const ORDERS_PER_PAGE = 5;
+
+// Tabs under the profile; Activity needs the audit:read permission
+const DETAIL_TABS = [
+  { key: "orders", label: "Orders", icon: ShoppingCart },
+  {
+    key: "activity",
+    label: "Activity",
+    icon: History,
+    permission: "audit:read",
+  },
+];
+
+// Slide-over panel for /customers/:customerId, showing the customer's
+// profile, order statistics, and orders or activity log. With
+// /orders/:orderId appended it shows that order's timeline instead.
+const CustomerDetail = () => {
+  const { customerId, orderId } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const session = useSession();
+  const [tab, setTab] = useState("orders");
+  const [customer, setCustomer] = useState(null);
+  const [orderPage, setOrderPage] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+  const {
+    run: runOrders,
+    retry: retryOrders,
+    loading: ordersLoading,
+    error: ordersError,
+  } = useApiRequest();
+
+  // Fetch customer profile from API
+  useEffect(() => {
+    run((signal) => getCustomer(customerId, { signal }), setCustomer);
+  }, [run, customerId]);
+
+  // Fetch one page of orders; an empty cursor fetches the first page.
+  // `number` is the page's position, for the "Page n of m" label.
+  const fetchOrders = useCallback(
+    (cursor, number) =>
+      runOrders(
+        (signal) =>
+          getCustomerOrders(
+            customerId,
+            { cursor, limit: ORDERS_PER_PAGE },
+            { signal },
+          ),
+        (data) =>
+          setOrderPage({
+            orders: data.orders,
+            pagination: data.pagination,
+            number,
+          }),
+      ),
+    [runOrders, customerId],
+  );
+
+  useEffect(() => {
+    setOrderPage(null);
+    fetchOrders("", 1);
+  }, [fetchOrders]);
+
+  // Close the panel, keeping the list's search parameters
+  const close = useCallback(() => {
+    navigate({ pathname: "/customers", search: location.search });
+  }, [navigate, location.search]);
+
+  let content;
+  if (error) {
+    content = (
+      <div className="text-center py-12">
+        <AlertCircle className="w-8 h-8 text-red-500 mx-auto mb-2" />
+        <p className="text-gray-600 mb-4">{error.message}</p>
+        <button
+          onClick={retry}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  } else if (loading || !customer) {
+    content = (
+      <div className="flex justify-center py-12">
+        <Loader className="w-6 h-6 animate-spin text-blue-600" />
+      </div>
+    );
+  } else if (orderId) {
+    content = (
+      <div>
+        <Link
+          to={{
+            pathname: `/customers/${customerId}`,
+            search: location.search,
+          }}
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-4"
+        >
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to {customer.full_name}
+        </Link>
+        <OrderTimeline orderId={orderId} />
+      </div>
+    );
+  } else {
+    const stats = customer.order_statistics;
+    const { location: address } = customer;
+    const totalOrderPages = Math.max(
+      1,
+      Math.ceil(stats.total_orders / ORDERS_PER_PAGE),
+    );
+    content = (
+      <div className="space-y-6">
+        {/* Profile */}
+        <div className="flex items-center">
+          <div className="w-14 h-14 bg-blue-100 rounded-full flex items-center justify-center">
+            <User className="w-7 h-7 text-blue-600" />
+          </div>
+          <div className="ml-4">
+            <h3 className="text-xl font-medium text-gray-900">
+              {customer.full_name}
+            </h3>
+            <p className="text-sm text-gray-500">ID: {customer.id}</p>
+            {(customer.segment || customer.anonymized_at) && (
+              <div className="mt-1 flex flex-wrap gap-1">
+                <SegmentBadge segment={customer.segment} />
+                <AnonymizedBadge anonymizedAt={customer.anonymized_at} />
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-3 text-sm">
+          <div className="flex items-center">
+            <Mail className="w-4 h-4 text-gray-400 mr-3" />
+            <span className="text-gray-900">{customer.email}</span>
+          </div>
+          <div className="flex items-start">
+            <MapPin className="w-4 h-4 text-gray-400 mr-3 mt-0.5" />
+            <div className="text-gray-900">
+              {address.street_address && <div>{address.street_address}</div>}
+              <div>
+                {[address.city, address.state, address.postal_code]
+                  .filter(Boolean)
+                  .join(", ")}
+              </div>
+              <div>{address.country}</div>
+              {address.street_address === undefined && (
+                <div className="text-gray-500">
+                  Street address hidden for your role
+                </div>
+              )}
+              {address.latitude != null && address.longitude != null && (
+                <div className="text-gray-500">
+                  {Number(address.latitude).toFixed(4)},{" "}
+                  {Number(address.longitude).toFixed(4)}
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="flex items-center">
+            <Calendar className="w-4 h-4 text-gray-400 mr-3" />
+            <span className="text-gray-900">
+              Joined {formatDate(customer.created_at)}
+            </span>
+          </div>
+          <div>
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+              {customer.traffic_source}
+            </span>
+            {customer.age !== null && (
+              <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                {customer.age} years
+              </span>
+            )}
+            {customer.gender && (
+              <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                {customer.gender}
+              </span>
+            )}
+          </div>
+        </div>
+
+        {/* Order statistics */}
+        <div className="grid grid-cols-2 gap-4">
+          {[
+            ["Total Orders", stats.total_orders],
+            ["Items Ordered", stats.total_items_ordered],
+            ["Delivered", stats.delivered_orders],
+            ["Returned", stats.returned_orders],
+          ].map(([label, value]) => (
+            <div key={label} className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">{label}</p>
+              <p className="text-lg font-semibold text-gray-900">{value}</p>
+            </div>
+          ))}
+        </div>
+        {stats.first_order_date && (
+          <p className="text-sm text-gray-500">
+            First order {formatDate(stats.first_order_date)} · Last order{" "}
+            {formatDate(stats.last_order_date)}
+          </p>
+        )}
+
+        {/* Orders and activity */}
+        <div>
+          <div
+            role="tablist"
+            className="flex gap-4 border-b border-gray-200 mb-3"
+          >
+            {DETAIL_TABS.filter(
+              (item) =>
+                !item.permission ||
+                session?.account.permissions.includes(item.permission),
+            ).map((item) => {
+              const Icon = item.icon;
+              return (
+                <button
+                  key={item.key}
+                  role="tab"
+                  aria-selected={tab === item.key}
+                  onClick={() => setTab(item.key)}
+                  className={`flex items-center gap-2 pb-2 -mb-px text-sm font-medium border-b-2 ${
+                    tab === item.key
+                      ? "border-blue-600 text-blue-600"
+                      : "border-transparent text-gray-500 hover:text-gray-700"
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {item.label}
+                </button>
+              );
+            })}
+          </div>
+          {tab === "activity" ? (
+            <CustomerActivity customerId={customerId} />
+          ) : ordersError ? (
+            <div className="text-center py-8">
+              <AlertCircle className="w-8 h-8 text-red-500 mx-auto mb-2" />
+              <p className="text-gray-600 mb-4">{ordersError.message}</p>
+              <button
+                onClick={retryOrders}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Retry
+              </button>
+            </div>
+          ) : !orderPage ? (
+            <div className="flex justify-center py-8">
+              <Loader className="w-6 h-6 animate-spin text-blue-600" />
+            </div>
+          ) : orderPage.orders.length === 0 && orderPage.number === 1 ? (
+            <p className="text-sm text-gray-500">No orders yet</p>
+          ) : (
+            <>
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {orderPage.orders.map((order) => (
+                  <li key={order.order_id}>
+                    <Link
+                      to={{
+                        pathname: `/customers/${customerId}/orders/${order.order_id}`,
+                        search: location.search,
+                      }}
+                      className="flex items-center justify-between px-4 py-3 hover:bg-gray-50"
+                    >
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          Order #{order.order_id}
+                        </p>
+                        <p className="text-sm text-gray-500">
+                          {formatDate(order.created_at)} · {order.num_of_item}{" "}
+                          item{order.num_of_item === 1 ? "" : "s"}
+                        </p>
+                      </div>
+                      <StatusBadge status={order.status} />
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+              {(orderPage.pagination.has_prev_page ||
+                orderPage.pagination.has_next_page) && (
+                <div className="flex items-center justify-between mt-3 text-sm">
+                  <button
+                    onClick={() =>
+                      fetchOrders(
+                        orderPage.pagination.prev_cursor,
+                        orderPage.number - 1,
+                      )
+                    }
+                    disabled={
+                      ordersLoading || !orderPage.pagination.has_prev_page
+                    }
+                    className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-gray-500">
+                    Page {orderPage.number} of{" "}
+                    {Math.max(totalOrderPages, orderPage.number)}
+                  </span>
+                  <button
+                    onClick={() =>
+                      fetchOrders(
+                        orderPage.pagination.next_cursor,
+                        orderPage.number + 1,
+                      )
+                    }
+                    disabled={
+                      ordersLoading || !orderPage.pagination.has_next_page
+                    }
+                    className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <Drawer
+      title={orderId ? "Order Timeline" : "Customer Details"}
+      onClose={close}
+    >
+      {content}
+    </Drawer>
+  );
+};
+
+export default CustomerDetail;
@@ -0,0 +1,97 @@
+import React from "react";
+import { X } from "lucide-react";
+import { CUSTOMER_SEGMENTS, TRAFFIC_SOURCES } from "../constants";
+
+// Customer filter fields. `filters` maps each field to its value (empty
+// for any); `onChange` is called with a field and its new value.
+const CustomerFilters = ({ filters, onChange, onClear }) => (
+  <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+    {["country", "state", "city"].map((key) => (
+      <input
+        key={key}
+        type="text"
+        placeholder={key.charAt(0).toUpperCase() + key.slice(1)}
+        value={filters[key]}
+        onChange={(e) => onChange(key, e.target.value)}
+        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+    ))}
+    <select
+      value={filters.gender}
+      onChange={(e) => onChange("gender", e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    >
+      <option value="">Any gender</option>
+      <option value="F">Female</option>
+      <option value="M">Male</option>
+    </select>
+    <select
+      value={filters.traffic_source}
+      onChange={(e) => onChange("traffic_source", e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    >
+      <option value="">Any traffic source</option>
+      {TRAFFIC_SOURCES.map((source) => (
+        <option key={source} value={source}>
+          {source}
+        </option>
+      ))}
+    </select>
+    <select
+      value={filters.segment}
+      onChange={(e) => onChange("segment", e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    >
+      <option value="">Any segment</option>
+      {CUSTOMER_SEGMENTS.map((segment) => (
+        <option key={segment.name} value={segment.name}>
+          {segment.label}
+        </option>
+      ))}
+    </select>
+    <div className="flex items-center gap-2">
+      <input
+        type="number"
+        min="0"
+        placeholder="Min age"
+        value={filters.min_age}
+        onChange={(e) => onChange("min_age", e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      <span className="text-gray-400">–</span>
+      <input
+        type="number"
+        min="0"
+        placeholder="Max age"
+        value={filters.max_age}
+        onChange={(e) => onChange("max_age", e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+    </div>
+    <div className="flex items-center gap-2 lg:col-span-2">
+      <span className="text-sm text-gray-500 whitespace-nowrap">Joined</span>
+      <input
+        type="date"
+        value={filters.signup_from}
+        onChange={(e) => onChange("signup_from", e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      <span className="text-gray-400">–</span>
+      <input
+        type="date"
+        value={filters.signup_to}
+        onChange={(e) => onChange("signup_to", e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+    </div>
+    <button
+      onClick={onClear}
+      className="flex items-center justify-center gap-1 px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+    >
+      <X className="w-4 h-4" />
+      Clear all
+    </button>
+  </div>
+);
+
+export default CustomerFilters;
@@ -1,102 +1,141 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { Search, Filter, Loader, AlertCircle, Users } from "lucide-react";
 import {
-  Search,
-  User,
-  Mail,
-  ShoppingCart,
-  MapPin,
-  Calendar,
-  Loader,
-  AlertCircle,
-  Users,
-} from "lucide-react";
+  Outlet,
+  useLocation,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import CustomerCards from "./CustomerCards";
+import CustomerFilters from "./CustomerFilters";
+import CustomerTable from "./CustomerTable";
+import ExportMenu from "./ExportMenu";
+import Pagination from "./Pagination";
+import StatsCharts from "./StatsCharts";
+import StatsSummary from "./StatsSummary";
+import useCustomerFeed from "../hooks/useCustomerFeed";
+import useCustomerPages from "../hooks/useCustomerPages";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import useStats from "../hooks/useStats";
+import { API_BASE_URL } from "../config";
 
-const API_BASE_URL = "http://localhost:3000";
+const EMPTY_FILTERS = {
+  country: "",
+  state: "",
+  city: "",
+  gender: "",
+  traffic_source: "",
+  segment: "",
+  min_age: "",
+  max_age: "",
+  signup_from: "",
+  signup_to: "",
+};
 
 const CustomerListApp = () => {
-  const [customers, setCustomers] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
-  const [currentPage, setCurrentPage] = useState(1);
-  const [pagination, setPagination] = useState({});
-  const [stats, setStats] = useState({});
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
   const [viewMode, setViewMode] = useState("table"); // 'table' or 'cards'
+  // Sort (e.g. "-order_count,last_name") lives in the URL so it survives
+  // reloads and can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sort = searchParams.get("sort") || "";
+  const navigate = useNavigate();
+  const location = useLocation();
+  const loadMoreRef = useRef(null);
 
-  // Fetch customers from API
-  const fetchCustomers = async (page = 1) => {
-    try {
-      setLoading(true);
-      const response = await fetch(
-        `${API_BASE_URL}/customers?page=${page}&limit=12`
-      );
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const data = await response.json();
+  // Only hit the API once the user has stopped typing
+  const debouncedSearch = useDebouncedValue(searchTerm.trim(), 300);
+  const debouncedFilters = useDebouncedValue(filters, 300);
 
-      if (data.success) {
-        setCustomers(data.data.customers);
-        setPagination(data.data.pagination);
-        setCurrentPage(page);
-      } else {
-        throw new Error(data.message || "Failed to fetch customers");
-      }
-    } catch (err) {
-      setError(err.message);
-      console.error("Error fetching customers:", err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Search, filter and sort parameters shared by both views
+  const customerQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    if (debouncedSearch) params.set("q", debouncedSearch);
+    if (sort) params.set("sort", sort);
+    Object.entries(debouncedFilters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    return params.toString();
+  }, [debouncedSearch, debouncedFilters, sort]);
 
-  // Fetch statistics
-  const fetchStats = async () => {
-    try {
-      const response = await fetch(`${API_BASE_URL}/stats`);
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success) {
-          setStats(data.data.statistics);
-        }
-      }
-    } catch (err) {
-      console.error("Error fetching stats:", err);
-    }
-  };
+  // Numbered pages for the table view, an infinite feed for the cards view.
+  // Each reloads from the start when the search, filters or sort change.
+  const pages = useCustomerPages(customerQuery, {
+    enabled: viewMode === "table",
+  });
+  const feed = useCustomerFeed(customerQuery, {
+    enabled: viewMode === "cards",
+  });
+  const list = viewMode === "table" ? pages : feed;
+  const { customers } = list;
+  const { stats } = useStats();
 
+  // Cards view: load the next batch once the sentinel below the cards
+  // scrolls into view
+  const { nextCursor, loading, loadMore } = feed;
   useEffect(() => {
-    fetchCustomers(1);
-    fetchStats();
-  }, []);
+    const sentinel = loadMoreRef.current;
+    if (viewMode !== "cards" || !nextCursor || loading || !sentinel) return;
 
-  // Filter customers based on search term
-  const filteredCustomers = customers.filter((customer) => {
-    const fullName =
-      `${customer.first_name} ${customer.last_name}`.toLowerCase();
-    const email = customer.email.toLowerCase();
-    const search = searchTerm.toLowerCase();
-    return fullName.includes(search) || email.includes(search);
-  });
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: "200px" },
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [viewMode, nextCursor, loading, loadMore]);
+
+  const isFiltering =
+    debouncedSearch !== "" ||
+    Object.values(debouncedFilters).some((value) => value !== "");
+  const activeFilterCount = Object.values(filters).filter(
+    (value) => value !== "",
+  ).length;
+
+  // Toggle sorting on a column: asc -> desc -> asc. With `multi`, the column
+  // is added to (or toggled within) the existing sort instead of replacing it.
+  const handleSort = (field, multi) => {
+    const terms = sort ? sort.split(",") : [];
+    const index = terms.findIndex((term) => term.replace(/^-/, "") === field);
+    const next = terms[index] === field ? `-${field}` : field;
 
-  // Handle page change
-  const handlePageChange = (newPage) => {
-    if (newPage >= 1 && newPage <= pagination.total_pages) {
-      fetchCustomers(newPage);
+    let nextSort;
+    if (!multi) {
+      nextSort = index === 0 ? next : field;
+    } else if (index === -1) {
+      nextSort = [...terms, next].join(",");
+    } else {
+      terms[index] = next;
+      nextSort = terms.join(",");
     }
+
+    const params = new URLSearchParams(searchParams);
+    params.set("sort", nextSort);
+    setSearchParams(params, { replace: true });
   };
 
-  // Format date
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
-    });
+  // Open the customer detail panel, keeping the list's URL parameters
+  const openCustomer = (customerId) => {
+    navigate({ pathname: `/customers/${customerId}`, search: location.search });
+  };
+
+  // Update a single filter field
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
   };
 
-  // Loading component
-  if (loading && customers.length === 0) {
+  // Reset search and filters
+  const clearFilters = () => {
+    setSearchTerm("");
+    setFilters(EMPTY_FILTERS);
+  };
+
+  // Loading component (first load only, so the search box keeps focus)
+  if (!pages.loaded && !feed.loaded && !list.error) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -108,7 +147,7 @@ const CustomerListApp = () => {
   }
 
   // Error component
-  if (error) {
+  if (list.error) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center max-w-md mx-auto p-6">
@@ -116,15 +155,12 @@ const CustomerListApp = () => {
           <h2 className="text-xl font-semibold text-gray-900 mb-2">
             Connection Error
           </h2>
-          <p className="text-gray-600 mb-4">{error}</p>
+          <p className="text-gray-600 mb-4">{list.error.message}</p>
           <p className="text-sm text-gray-500 mb-4">
             Make sure your API server is running on {API_BASE_URL}
           </p>
           <button
-            onClick={() => {
-              setError(null);
-              fetchCustomers(currentPage);
-            }}
+            onClick={list.retry}
             className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
           >
             Retry
@@ -153,7 +189,7 @@ const CustomerListApp = () => {
               <div className="text-right">
                 <p className="text-sm text-gray-500">Total Customers</p>
                 <p className="text-2xl font-bold text-blue-600">
-                  {stats.total_customers || 0}
+                  {stats?.total_customers || 0}
                 </p>
               </div>
             </div>
@@ -162,66 +198,10 @@ const CustomerListApp = () => {
       </header>
 
       {/* Stats Dashboard */}
-      {Object.keys(stats).length > 0 && (
+      {stats && (
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-            <div className="bg-white p-6 rounded-lg shadow-sm">
-              <div className="flex items-center">
-                <Users className="w-8 h-8 text-blue-600" />
-                <div className="ml-4">
-                  <p className="text-sm font-medium text-gray-500">
-                    Total Customers
-                  </p>
-                  <p className="text-2xl font-bold text-gray-900">
-                    {stats.total_customers}
-                  </p>
-                </div>
-              </div>
-            </div>
-            <div className="bg-white p-6 rounded-lg shadow-sm">
-              <div className="flex items-center">
-                <ShoppingCart className="w-8 h-8 text-green-600" />
-                <div className="ml-4">
-                  <p className="text-sm font-medium text-gray-500">
-                    Total Orders
-                  </p>
-                  <p className="text-2xl font-bold text-gray-900">
-                    {stats.total_orders}
-                  </p>
-                </div>
-              </div>
-            </div>
-            <div className="bg-white p-6 rounded-lg shadow-sm">
-              <div className="flex items-center">
-                <div className="w-8 h-8 bg-purple-100 rounded-full flex items-center justify-center">
-                  <span className="text-purple-600 font-bold">✓</span>
-                </div>
-                <div className="ml-4">
-                  <p className="text-sm font-medium text-gray-500">
-                    Delivery Rate
-                  </p>
-                  <p className="text-2xl font-bold text-gray-900">
-                    {stats.delivery_rate}
-                  </p>
-                </div>
-              </div>
-            </div>
-            <div className="bg-white p-6 rounded-lg shadow-sm">
-              <div className="flex items-center">
-                <div className="w-8 h-8 bg-orange-100 rounded-full flex items-center justify-center">
-                  <span className="text-orange-600 font-bold">↩</span>
-                </div>
-                <div className="ml-4">
-                  <p className="text-sm font-medium text-gray-500">
-                    Return Rate
-                  </p>
-                  <p className="text-2xl font-bold text-gray-900">
-                    {stats.return_rate}
-                  </p>
-                </div>
-              </div>
-            </div>
-          </div>
+          <StatsSummary stats={stats} />
+          <StatsCharts />
         </div>
       )}
 
@@ -241,7 +221,20 @@ const CustomerListApp = () => {
               />
             </div>
             <div className="flex items-center gap-2">
-              <span className="text-sm text-gray-500">View:</span>
+              <button
+                onClick={() => setShowFilters(!showFilters)}
+                className={`flex items-center gap-1 px-3 py-1 rounded ${
+                  showFilters || activeFilterCount > 0
+                    ? "bg-blue-100 text-blue-700"
+                    : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                }`}
+              >
+                <Filter className="w-4 h-4" />
+                Filters
+                {activeFilterCount > 0 && ` (${activeFilterCount})`}
+              </button>
+              <ExportMenu path="/customers/export" query={customerQuery} />
+              <span className="text-sm text-gray-500 ml-2">View:</span>
               <button
                 onClick={() => setViewMode("table")}
                 className={`px-3 py-1 rounded ${
@@ -265,10 +258,22 @@ const CustomerListApp = () => {
             </div>
           </div>
 
-          {searchTerm && (
+          {showFilters && (
+            <CustomerFilters
+              filters={filters}
+              onChange={handleFilterChange}
+              onClear={clearFilters}
+            />
+          )}
+
+          {isFiltering && (
             <div className="mt-4 text-sm text-gray-600">
-              Showing {filteredCustomers.length} of {customers.length} customers
-              {filteredCustomers.length === 0 && (
+              {viewMode === "table"
+                ? `Found ${pages.pagination.total_customers || 0} matching customers`
+                : `Showing ${customers.length} matching customers${
+                    nextCursor ? " so far" : ""
+                  }`}
+              {customers.length === 0 && (
                 <span className="text-orange-600 ml-2">- No matches found</span>
               )}
             </div>
@@ -277,205 +282,44 @@ const CustomerListApp = () => {
 
         {/* Customer List */}
         {viewMode === "table" ? (
-          // Table View
-          <div className="bg-white rounded-lg shadow-sm overflow-hidden">
-            <div className="overflow-x-auto">
-              <table className="min-w-full divide-y divide-gray-200">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Customer
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Contact
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Location
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Orders
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Joined
-                    </th>
-                  </tr>
-                </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                  {filteredCustomers.map((customer) => (
-                    <tr key={customer.id} className="hover:bg-gray-50">
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center">
-                          <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
-                            <User className="w-5 h-5 text-blue-600" />
-                          </div>
-                          <div className="ml-4">
-                            <div className="text-sm font-medium text-gray-900">
-                              {customer.first_name} {customer.last_name}
-                            </div>
-                            <div className="text-sm text-gray-500">
-                              ID: {customer.id}
-                            </div>
-                          </div>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center text-sm text-gray-900">
-                          <Mail className="w-4 h-4 text-gray-400 mr-2" />
-                          {customer.email}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {customer.age} years, {customer.gender}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center text-sm text-gray-900">
-                          <MapPin className="w-4 h-4 text-gray-400 mr-2" />
-                          {customer.city}, {customer.state}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {customer.country}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center">
-                          <ShoppingCart className="w-4 h-4 text-gray-400 mr-2" />
-                          <span className="text-sm font-medium text-gray-900">
-                            {customer.order_count}
-                          </span>
-                          <span className="text-sm text-gray-500 ml-1">
-                            orders
-                          </span>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center text-sm text-gray-900">
-                          <Calendar className="w-4 h-4 text-gray-400 mr-2" />
-                          {formatDate(customer.created_at)}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {customer.traffic_source}
-                        </div>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </div>
+          <CustomerTable
+            customers={customers}
+            sort={sort}
+            onSort={handleSort}
+            onOpen={openCustomer}
+          />
         ) : (
-          // Cards View
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {filteredCustomers.map((customer) => (
-              <div
-                key={customer.id}
-                className="bg-white rounded-lg shadow-sm p-6 hover:shadow-md transition-shadow"
-              >
-                <div className="flex items-center mb-4">
-                  <div className="w-12 h-12 bg-blue-100 rounded-full flex items-center justify-center">
-                    <User className="w-6 h-6 text-blue-600" />
-                  </div>
-                  <div className="ml-4">
-                    <h3 className="text-lg font-medium text-gray-900">
-                      {customer.first_name} {customer.last_name}
-                    </h3>
-                    <p className="text-sm text-gray-500">ID: {customer.id}</p>
-                  </div>
-                </div>
-
-                <div className="space-y-3">
-                  <div className="flex items-center text-sm">
-                    <Mail className="w-4 h-4 text-gray-400 mr-3" />
-                    <span className="text-gray-900">{customer.email}</span>
-                  </div>
-
-                  <div className="flex items-center text-sm">
-                    <MapPin className="w-4 h-4 text-gray-400 mr-3" />
-                    <span className="text-gray-900">
-                      {customer.city}, {customer.state}
-                    </span>
-                  </div>
-
-                  <div className="flex items-center text-sm">
-                    <ShoppingCart className="w-4 h-4 text-gray-400 mr-3" />
-                    <span className="text-gray-900">
-                      {customer.order_count} orders
-                    </span>
-                  </div>
-
-                  <div className="flex items-center text-sm">
-                    <Calendar className="w-4 h-4 text-gray-400 mr-3" />
-                    <span className="text-gray-900">
-                      {formatDate(customer.created_at)}
-                    </span>
-                  </div>
-                </div>
-
-                <div className="mt-4 pt-4 border-t border-gray-200">
-                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
-                    {customer.traffic_source}
-                  </span>
-                  <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                    {customer.age} years
-                  </span>
-                </div>
-              </div>
-            ))}
-          </div>
+          <CustomerCards customers={customers} onOpen={openCustomer} />
         )}
 
-        {/* Pagination */}
-        <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
-          <div className="flex items-center justify-between">
-            <div className="text-sm text-gray-700">
-              Showing page {pagination.current_page} of {pagination.total_pages}
-              ({pagination.total_customers} total customers)
-            </div>
-
-            <div className="flex items-center space-x-2">
-              <button
-                onClick={() => handlePageChange(currentPage - 1)}
-                disabled={!pagination.has_prev_page || loading}
-                className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Previous
-              </button>
-
-              <div className="flex items-center space-x-1">
-                {Array.from(
-                  { length: Math.min(5, pagination.total_pages || 1) },
-                  (_, i) => {
-                    const page = i + Math.max(1, currentPage - 2);
-                    if (page > (pagination.total_pages || 1)) return null;
-
-                    return (
-                      <button
-                        key={page}
-                        onClick={() => handlePageChange(page)}
-                        disabled={loading}
-                        className={`px-3 py-2 text-sm rounded-md ${
-                          page === currentPage
-                            ? "bg-blue-600 text-white"
-                            : "border border-gray-300 hover:bg-gray-50"
-                        } disabled:opacity-50`}
-                      >
-                        {page}
-                      </button>
-                    );
-                  }
-                )}
-              </div>
-
-              <button
-                onClick={() => handlePageChange(currentPage + 1)}
-                disabled={!pagination.has_next_page || loading}
-                className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Next
-              </button>
-            </div>
+        {/* Pagination (table view) or infinite scroll sentinel (cards view) */}
+        {viewMode === "table" ? (
+          <Pagination
+            pagination={pages.pagination}
+            currentPage={pages.currentPage}
+            totalItems={pages.pagination.total_customers}
+            itemLabel="customers"
+            loading={pages.loading}
+            onPageChange={pages.goToPage}
+          />
+        ) : (
+          <div
+            ref={loadMoreRef}
+            className="flex justify-center py-8 text-sm text-gray-500"
+          >
+            {loading ? (
+              <Loader className="w-6 h-6 animate-spin text-blue-600" />
+            ) : (
+              !nextCursor &&
+              customers.length > 0 &&
+              "You've reached the end of the list"
+            )}
           </div>
-        </div>
+        )}
       </main>
+
+      {/* Customer detail panel (nested /customers/:customerId routes) */}
+      <Outlet />
     </div>
   );
 };
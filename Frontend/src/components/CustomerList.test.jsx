@@ -0,0 +1,141 @@
+import React from "react";
+import { beforeEach, describe, expect, test } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import { http, HttpResponse } from "msw";
+import CustomerListApp from "./CustomerList";
+import { API_BASE_URL } from "../config";
+import { makeCustomers, server, setCustomers } from "../test/server";
+
+const renderList = () =>
+  render(
+    <MemoryRouter initialEntries={["/customers"]}>
+      <Routes>
+        <Route path="/customers" element={<CustomerListApp />} />
+      </Routes>
+    </MemoryRouter>,
+  );
+
+// Ids of the customers in the table, in order
+const tableIds = () =>
+  within(screen.getByRole("table"))
+    .getAllByText(/^ID: /)
+    .map((cell) => Number(cell.textContent.replace("ID: ", "")));
+
+const button = (name) => screen.getByRole("button", { name });
+
+describe("CustomerList", () => {
+  beforeEach(() => setCustomers(makeCustomers(30)));
+
+  test("shows the first page of customers in a table", async () => {
+    renderList();
+    expect(screen.getByText("Loading customers...")).toBeInTheDocument();
+
+    await screen.findByRole("table");
+    expect(tableIds()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(
+      screen.getByText("Showing page 1 of 3 (30 total customers)"),
+    ).toBeInTheDocument();
+    expect(await screen.findByText("50.00%")).toBeInTheDocument();
+  });
+
+  test("switches between the table and cards views", async () => {
+    const user = userEvent.setup();
+    setCustomers(makeCustomers(5));
+    renderList();
+    await screen.findByRole("table");
+
+    await user.click(button("Cards"));
+    expect(
+      await screen.findByText("You've reached the end of the list"),
+    ).toBeInTheDocument();
+    expect(screen.queryByRole("table")).not.toBeInTheDocument();
+    expect(screen.queryByText(/Showing page/)).not.toBeInTheDocument();
+    expect(screen.getAllByText(/^ID: /)).toHaveLength(5);
+
+    await user.click(button("Table"));
+    expect(await screen.findByRole("table")).toBeInTheDocument();
+    expect(tableIds()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test("moves between pages with Next, Previous and page numbers", async () => {
+    const user = userEvent.setup();
+    renderList();
+    await screen.findByRole("table");
+    expect(button("Previous")).toBeDisabled();
+
+    await user.click(button("Next"));
+    await waitFor(() => expect(tableIds()[0]).toBe(13));
+    expect(screen.getByText(/Showing page 2 of 3/)).toBeInTheDocument();
+
+    await user.click(button("3"));
+    await waitFor(() => expect(tableIds()).toEqual([25, 26, 27, 28, 29, 30]));
+    expect(button("Next")).toBeDisabled();
+
+    await user.click(button("Previous"));
+    await waitFor(() => expect(tableIds()[0]).toBe(13));
+  });
+
+  test("shows the error screen and recovers on Retry", async () => {
+    const user = userEvent.setup();
+    server.use(
+      http.get(
+        `${API_BASE_URL}/customers`,
+        () =>
+          HttpResponse.json(
+            {
+              success: false,
+              error: "Internal server error",
+              message: "Failed to fetch customers",
+            },
+            { status: 500 },
+          ),
+        { once: true },
+      ),
+    );
+    renderList();
+
+    expect(await screen.findByText("Connection Error")).toBeInTheDocument();
+    expect(screen.getByText("Failed to fetch customers")).toBeInTheDocument();
+
+    await user.click(button("Retry"));
+    expect(await screen.findByRole("table")).toBeInTheDocument();
+    expect(tableIds()).toHaveLength(12);
+  });
+
+  test("reports an API that cannot be reached", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/customers`, () => HttpResponse.error()),
+    );
+    renderList();
+
+    expect(
+      await screen.findByText(`Could not reach the API at ${API_BASE_URL}`),
+    ).toBeInTheDocument();
+  });
+
+  test("says when a search matches nobody", async () => {
+    const user = userEvent.setup();
+    renderList();
+    await screen.findByRole("table");
+
+    await user.type(
+      screen.getByPlaceholderText("Search by name or email..."),
+      "nobody",
+    );
+    expect(await screen.findByText("- No matches found")).toBeInTheDocument();
+    expect(screen.getByText(/Found 0 matching customers/)).toBeInTheDocument();
+    expect(screen.queryAllByText(/^ID: /)).toHaveLength(0);
+  });
+
+  test("shows an empty list when there are no customers", async () => {
+    setCustomers([]);
+    renderList();
+
+    await screen.findByRole("table");
+    expect(screen.queryAllByText(/^ID: /)).toHaveLength(0);
+    expect(button("Next")).toBeDisabled();
+    expect(button("Previous")).toBeDisabled();
+  });
+});
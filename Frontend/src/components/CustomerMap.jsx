@@ -0,0 +1,244 @@
+import React, { useRef } from "react";
+import { Plus, Minus, Maximize2 } from "lucide-react";
+import { feature } from "topojson-client";
+import world from "world-atlas/countries-110m.json";
+import {
+  MAP_HEIGHT,
+  MAP_WIDTH,
+  WORLD_VIEW,
+  clampView,
+  geometryPath,
+  outlineCountryName,
+  project,
+  zoomView,
+} from "../utils/geo";
+
+// Country outlines are bundled with the app, so the map draws without any
+// tile server
+const COUNTRIES = feature(world, world.objects.countries).features.map(
+  (country) => ({
+    id: country.id,
+    name: country.properties.name,
+    path: geometryPath(country.geometry),
+  }),
+);
+
+const NO_DATA_FILL = "#e5e7eb";
+
+// Fill for a country, darker for more orders relative to the busiest one
+const countryFill = (orders, maxOrders) => {
+  if (!orders || maxOrders <= 0) return NO_DATA_FILL;
+  return `rgba(37, 99, 235, ${0.12 + (orders / maxOrders) * 0.78})`;
+};
+
+const controlClassName =
+  "p-1.5 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50";
+
+// World map shading countries by order volume (`countries`, regions from
+// GET /analytics/geo?level=country) with customer clusters (`cells`, from
+// level=grid) on top. The visible area is `view`, an SVG viewBox in map
+// units; dragging, double-clicking and the zoom buttons report a new one
+// through onViewChange.
+const CustomerMap = ({ view, onViewChange, countries, cells, onCellClick }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const ordersByCountry = new Map();
+  (countries || []).forEach((region) => {
+    const name = outlineCountryName(region.country);
+    ordersByCountry.set(name, (ordersByCountry.get(name) || 0) + region.orders);
+  });
+  const maxOrders = Math.max(0, ...ordersByCountry.values());
+  const maxCustomers = Math.max(1, ...(cells || []).map((c) => c.customers));
+
+  // Markers keep the same size on screen at every zoom
+  const scale = view.width / MAP_WIDTH;
+
+  // Map point under a mouse position
+  const mapPoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [
+      view.x + ((event.clientX - rect.left) / rect.width) * view.width,
+      view.y + ((event.clientY - rect.top) / rect.height) * view.height,
+    ];
+  };
+
+  const handlePointerDown = (event) => {
+    dragRef.current = {
+      clientX: event.clientX,
+      clientY: event.clientY,
+      view,
+      moved: false,
+    };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag || !event.buttons) return;
+    const dx = event.clientX - drag.clientX;
+    const dy = event.clientY - drag.clientY;
+    if (!drag.moved && Math.hypot(dx, dy) < 3) return;
+    drag.moved = true;
+
+    const rect = svgRef.current.getBoundingClientRect();
+    onViewChange(
+      clampView({
+        ...drag.view,
+        x: drag.view.x - (dx / rect.width) * drag.view.width,
+        y: drag.view.y - (dy / rect.height) * drag.view.height,
+      }),
+    );
+  };
+
+  // A drag ends with a click on whatever is under the pointer; ignore it
+  const handleClickCapture = (event) => {
+    if (dragRef.current?.moved) event.stopPropagation();
+    dragRef.current = null;
+  };
+
+  const zoomAtCenter = (factor) =>
+    onViewChange(
+      zoomView(view, factor, view.x + view.width / 2, view.y + view.height / 2),
+    );
+
+  return (
+    <div>
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          role="img"
+          aria-label="Customer map"
+          viewBox={`${view.x} ${view.y} ${view.width} ${view.height}`}
+          preserveAspectRatio="xMidYMid meet"
+          className="w-full bg-sky-50 rounded-lg cursor-grab select-none touch-none"
+          style={{ aspectRatio: `${MAP_WIDTH} / ${MAP_HEIGHT}` }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onClickCapture={handleClickCapture}
+          onDoubleClick={(event) =>
+            onViewChange(zoomView(view, 2, ...mapPoint(event)))
+          }
+        >
+          <g>
+            {COUNTRIES.map((country) => {
+              const orders = ordersByCountry.get(country.name) || 0;
+              return (
+                <path
+                  key={country.id ?? country.name}
+                  d={country.path}
+                  fill={countryFill(orders, maxOrders)}
+                  stroke="white"
+                  strokeWidth={0.75}
+                  vectorEffect="non-scaling-stroke"
+                >
+                  <title>
+                    {country.name}: {orders} orders
+                  </title>
+                </path>
+              );
+            })}
+          </g>
+          <g>
+            {(cells || []).map((cell) => {
+              const [x, y] = project(cell.longitude, cell.latitude);
+              const radius =
+                (4 + 10 * Math.sqrt(cell.customers / maxCustomers)) * scale;
+              return (
+                <g
+                  key={`${cell.bounds.west},${cell.bounds.south}`}
+                  role="button"
+                  aria-label={
+                    cell.customer_id
+                      ? `Customer ${cell.customer_id}`
+                      : `${cell.customers} customers`
+                  }
+                  className="cursor-pointer"
+                  onClick={() => onCellClick(cell)}
+                >
+                  <title>
+                    {cell.customers} customers, {cell.orders} orders
+                  </title>
+                  <circle
+                    cx={x}
+                    cy={y}
+                    r={radius}
+                    fill={cell.customer_id ? "#16a34a" : "#ea580c"}
+                    fillOpacity={0.85}
+                    stroke="white"
+                    strokeWidth={1.5}
+                    vectorEffect="non-scaling-stroke"
+                  />
+                  {cell.customers > 1 && (
+                    <text
+                      x={x}
+                      y={y}
+                      dy="0.35em"
+                      textAnchor="middle"
+                      fontSize={9 * scale}
+                      fill="white"
+                      className="pointer-events-none font-semibold"
+                    >
+                      {cell.customers}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+
+        {/* Zoom controls */}
+        <div className="absolute top-3 right-3 flex flex-col gap-1">
+          <button
+            aria-label="Zoom in"
+            onClick={() => zoomAtCenter(2)}
+            className={controlClassName}
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+          <button
+            aria-label="Zoom out"
+            onClick={() => zoomAtCenter(0.5)}
+            className={controlClassName}
+          >
+            <Minus className="w-4 h-4" />
+          </button>
+          <button
+            aria-label="Show the whole world"
+            onClick={() => onViewChange(WORLD_VIEW)}
+            className={controlClassName}
+          >
+            <Maximize2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap items-center gap-6 mt-3 text-xs text-gray-600">
+        <div className="flex items-center gap-2">
+          <span>Orders</span>
+          <span>0</span>
+          <span
+            className="w-32 h-2.5 rounded"
+            style={{
+              background:
+                "linear-gradient(to right, rgba(37, 99, 235, 0.12), rgba(37, 99, 235, 0.9))",
+            }}
+          />
+          <span>{maxOrders}</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="w-3 h-3 rounded-full bg-orange-600" />
+          Customer cluster (click to zoom in)
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="w-3 h-3 rounded-full bg-green-600" />
+          Single customer (click to open)
+        </div>
+        <span className="text-gray-400">Drag to pan, double-click to zoom</span>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerMap;
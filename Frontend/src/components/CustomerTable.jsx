@@ -0,0 +1,194 @@
+import React from "react";
+import {
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  User,
+  Mail,
+  ShoppingCart,
+  MapPin,
+  Calendar,
+} from "lucide-react";
+import { Link, useLocation } from "react-router-dom";
+import SegmentBadge from "./SegmentBadge";
+import AnonymizedBadge from "./AnonymizedBadge";
+import { formatDate } from "../utils/format";
+
+// Table header that toggles sorting on its column. Click sorts by the column
+// (toggling direction); shift-click adds it as a secondary sort.
+const SortableHeader = ({ field, label, sort, onSort }) => {
+  const terms = sort ? sort.split(",") : [];
+  const index = terms.findIndex((term) => term.replace(/^-/, "") === field);
+  const direction =
+    index === -1 ? null : terms[index].startsWith("-") ? "desc" : "asc";
+  const Icon =
+    direction === "asc"
+      ? ArrowUp
+      : direction === "desc"
+        ? ArrowDown
+        : ArrowUpDown;
+
+  return (
+    <th
+      className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+      aria-sort={
+        direction === "asc"
+          ? "ascending"
+          : direction === "desc"
+            ? "descending"
+            : "none"
+      }
+    >
+      <button
+        onClick={(e) => onSort(field, e.shiftKey)}
+        className="flex items-center gap-1 uppercase tracking-wider hover:text-gray-900"
+        title="Click to sort, shift-click to add a secondary sort"
+      >
+        {label}
+        <Icon
+          className={`w-3 h-3 ${direction ? "text-blue-600" : "text-gray-300"}`}
+        />
+        {direction && terms.length > 1 && (
+          <span className="text-blue-600">{index + 1}</span>
+        )}
+      </button>
+    </th>
+  );
+};
+
+// Customer list as a table with sortable column headers. `sort` is the
+// GET /customers sort parameter; `onOpen` is called with a customer's id
+// when their row is clicked.
+const CustomerTable = ({ customers, sort, onSort, onOpen }) => {
+  const location = useLocation();
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <SortableHeader
+                field="last_name"
+                label="Customer"
+                sort={sort}
+                onSort={onSort}
+              />
+              <SortableHeader
+                field="email"
+                label="Contact"
+                sort={sort}
+                onSort={onSort}
+              />
+              <SortableHeader
+                field="country"
+                label="Location"
+                sort={sort}
+                onSort={onSort}
+              />
+              <SortableHeader
+                field="order_count"
+                label="Orders"
+                sort={sort}
+                onSort={onSort}
+              />
+              <SortableHeader
+                field="last_order_date"
+                label="Last Order"
+                sort={sort}
+                onSort={onSort}
+              />
+              <SortableHeader
+                field="created_at"
+                label="Joined"
+                sort={sort}
+                onSort={onSort}
+              />
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {customers.map((customer) => (
+              <tr
+                key={customer.id}
+                onClick={() => onOpen(customer.id)}
+                className="hover:bg-gray-50 cursor-pointer"
+              >
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center">
+                    <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+                      <User className="w-5 h-5 text-blue-600" />
+                    </div>
+                    <div className="ml-4">
+                      <Link
+                        to={{
+                          pathname: `/customers/${customer.id}`,
+                          search: location.search,
+                        }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="text-sm font-medium text-gray-900 hover:text-blue-600"
+                      >
+                        {customer.first_name} {customer.last_name}
+                      </Link>
+                      <div className="text-sm text-gray-500">
+                        ID: {customer.id}
+                      </div>
+                      <AnonymizedBadge anonymizedAt={customer.anonymized_at} />
+                    </div>
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center text-sm text-gray-900">
+                    <Mail className="w-4 h-4 text-gray-400 mr-2" />
+                    {customer.email}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {customer.age} years, {customer.gender}
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center text-sm text-gray-900">
+                    <MapPin className="w-4 h-4 text-gray-400 mr-2" />
+                    {customer.city}, {customer.state}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {customer.country}
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center">
+                    <ShoppingCart className="w-4 h-4 text-gray-400 mr-2" />
+                    <span className="text-sm font-medium text-gray-900">
+                      {customer.order_count}
+                    </span>
+                    <span className="text-sm text-gray-500 ml-1">orders</span>
+                  </div>
+                  <div className="mt-1">
+                    <SegmentBadge segment={customer.segment} />
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {customer.last_order_date ? (
+                    formatDate(customer.last_order_date)
+                  ) : (
+                    <span className="text-gray-400">No orders yet</span>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center text-sm text-gray-900">
+                    <Calendar className="w-4 h-4 text-gray-400 mr-2" />
+                    {formatDate(customer.created_at)}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {customer.traffic_source}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerTable;
@@ -0,0 +1,51 @@
+import React from "react";
+import { Calendar } from "lucide-react";
+import { daysAgo } from "../utils/format";
+
+// Quick ranges ending today, in days
+const PRESETS = [
+  { label: "30d", days: 30 },
+  { label: "90d", days: 90 },
+  { label: "12m", days: 365 },
+];
+
+// From/to date inputs with quick presets. `value` is { from, to } as
+// YYYY-MM-DD strings; `onChange` receives the updated range.
+const DateRangePicker = ({ value, onChange }) => {
+  const applyPreset = (days) =>
+    onChange({ from: daysAgo(days), to: daysAgo(0) });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Calendar className="w-4 h-4 text-gray-400" />
+      <input
+        type="date"
+        aria-label="From date"
+        value={value.from}
+        max={value.to || undefined}
+        onChange={(e) => onChange({ ...value, from: e.target.value })}
+        className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      <span className="text-gray-400">–</span>
+      <input
+        type="date"
+        aria-label="To date"
+        value={value.to}
+        min={value.from || undefined}
+        onChange={(e) => onChange({ ...value, to: e.target.value })}
+        className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      {PRESETS.map((preset) => (
+        <button
+          key={preset.label}
+          onClick={() => applyPreset(preset.days)}
+          className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+        >
+          {preset.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default DateRangePicker;
@@ -0,0 +1,44 @@
+import React, { useEffect } from "react";
+import { X } from "lucide-react";
+
+// Slide-over panel on the right of the screen. Closes on Escape, the close
+// button or a click on the backdrop.
+const Drawer = ({ title, label, onClose, children }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div
+        className="absolute inset-0 bg-black bg-opacity-30"
+        onClick={onClose}
+        aria-hidden="true"
+      />
+      <aside
+        role="dialog"
+        aria-modal="true"
+        aria-label={label || title}
+        className="relative w-full max-w-xl h-full bg-white shadow-xl overflow-y-auto"
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-gray-100"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+        <div className="p-6">{children}</div>
+      </aside>
+    </div>
+  );
+};
+
+export default Drawer;
@@ -0,0 +1,83 @@
+import React from "react";
+import { niceMax } from "../utils/charts";
+
+const WIDTH = 360;
+const HEIGHT = 140;
+const MARGIN = { top: 8, right: 6, bottom: 22, left: 32 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Bar chart of orders per whole day from a GET /analytics/fulfillment
+// histogram. The bucket at `maxDays` holds everything that took longer.
+const DurationHistogram = ({ histogram, maxDays, color, label }) => {
+  if (histogram.length === 0) {
+    return (
+      <p className="py-10 text-center text-sm text-gray-400">No orders yet</p>
+    );
+  }
+
+  const maxValue = niceMax(Math.max(0, ...histogram.map((b) => b.orders)));
+  const slot = PLOT_WIDTH / histogram.length;
+  const y = (value) =>
+    MARGIN.top + PLOT_HEIGHT - (value / maxValue) * PLOT_HEIGHT;
+  const dayLabel = (days) => (days === maxDays ? `${days}+` : `${days}`);
+  // Show at most ~8 day labels along the x axis
+  const labelEvery = Math.ceil(histogram.length / 8);
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`${label} histogram`}
+    >
+      {[0, 0.5, 1].map((f) => (
+        <g key={f}>
+          <line
+            x1={MARGIN.left}
+            x2={WIDTH - MARGIN.right}
+            y1={y(f * maxValue)}
+            y2={y(f * maxValue)}
+            stroke="#e5e7eb"
+          />
+          <text
+            x={MARGIN.left - 4}
+            y={y(f * maxValue) + 3}
+            textAnchor="end"
+            className="fill-gray-500 text-[9px]"
+          >
+            {f * maxValue}
+          </text>
+        </g>
+      ))}
+
+      {histogram.map((bucket, i) => (
+        <g key={bucket.days}>
+          {bucket.orders > 0 && (
+            <rect
+              x={MARGIN.left + slot * i + slot * 0.1}
+              y={y(bucket.orders)}
+              width={slot * 0.8}
+              height={y(0) - y(bucket.orders)}
+              fill={color}
+            >
+              <title>{`${dayLabel(bucket.days)} days: ${bucket.orders} orders`}</title>
+            </rect>
+          )}
+          {i % labelEvery === 0 && (
+            <text
+              x={MARGIN.left + slot * i + slot / 2}
+              y={HEIGHT - 8}
+              textAnchor="middle"
+              className="fill-gray-500 text-[9px]"
+            >
+              {dayLabel(bucket.days)}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export default DurationHistogram;
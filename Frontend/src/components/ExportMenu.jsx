@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { Download } from "lucide-react";
+import useApiRequest from "../hooks/useApiRequest";
+import useSession from "../hooks/useSession";
+import { downloadExport } from "../utils/api";
+
+const FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel (XLSX)" },
+  { value: "ndjson", label: "NDJSON" },
+];
+
+// "Export" button offering a download of `path` (e.g. /customers/export)
+// with the current list query string in each supported format. Exports need
+// the session token, so files are fetched and then saved from memory. Hidden
+// for roles that may not export.
+const ExportMenu = ({ path, query }) => {
+  const session = useSession();
+  const [open, setOpen] = useState(false);
+  const { run, loading: downloading, error } = useApiRequest();
+
+  // Save the downloaded file through a temporary object URL
+  const save = ({ blob, filename }) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+  };
+
+  const download = (format) => {
+    setOpen(false);
+    run((signal) => downloadExport(path, query, format, { signal }), save);
+  };
+
+  if (!session || !session.account.permissions.includes("data:export")) {
+    return null;
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={downloading}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="flex items-center gap-1 px-3 py-1 rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+      >
+        <Download className="w-4 h-4" />
+        {downloading ? "Exporting..." : "Export"}
+      </button>
+      {error && !open && (
+        <p
+          role="alert"
+          className="absolute right-0 mt-1 w-56 p-2 bg-red-50 border border-red-200 rounded-lg text-xs text-red-700 z-10"
+        >
+          {error.message}
+        </p>
+      )}
+      {open && (
+        <div
+          role="menu"
+          className="absolute right-0 mt-1 w-40 bg-white border border-gray-200 rounded-lg shadow-lg z-10"
+        >
+          {FORMATS.map((format) => (
+            <button
+              key={format.value}
+              role="menuitem"
+              onClick={() => download(format.value)}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,307 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Truck, Loader, AlertCircle, AlertTriangle } from "lucide-react";
+import DateRangePicker from "./DateRangePicker";
+import DurationHistogram from "./DurationHistogram";
+import StatusBadge from "./StatusBadge";
+import useFulfillment from "../hooks/useFulfillment";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import { SERIES_COLORS } from "../utils/charts";
+import { formatDateTime } from "../utils/format";
+
+const METRICS = [
+  { key: "processing", label: "Processing", description: "Order to shipment" },
+  { key: "delivery", label: "Delivery", description: "Shipment to delivery" },
+  { key: "return", label: "Return", description: "Delivery to return" },
+];
+
+const BREAKDOWNS = [
+  { value: "month", label: "Month" },
+  { value: "country", label: "Country" },
+  { value: "num_of_item", label: "Items per order" },
+];
+
+const SLA_STATUSES = ["pending", "shipped"];
+
+const inputClassName =
+  "px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const formatDays = (days) => (days === null ? "–" : `${days}d`);
+
+// Fulfillment dashboard: how long orders take to ship, arrive and come back
+// (GET /analytics/fulfillment), and the orders stuck past their SLA
+const FulfillmentPage = () => {
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [slaDays, setSlaDays] = useState({ pending: "", shipped: "" });
+  const [breakdown, setBreakdown] = useState("month");
+
+  // Wait for typed dates and SLAs to settle before fetching
+  const filters = useDebouncedValue({ ...range, ...slaDays }, 300);
+  const { data, loading, error, retry } = useFulfillment({
+    from: filters.from,
+    to: filters.to,
+    pending_sla_days: filters.pending,
+    shipped_sla_days: filters.shipped,
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-2">
+                <Truck className="w-8 h-8 text-blue-600" />
+                Fulfillment
+              </h1>
+              <p className="text-gray-600 mt-1">
+                How quickly orders ship, arrive and come back
+              </p>
+            </div>
+            <DateRangePicker value={range} onChange={setRange} />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {error ? (
+          <div className="flex flex-col items-center gap-3 py-12 text-sm text-red-600">
+            <div className="flex items-center gap-2">
+              <AlertCircle className="w-5 h-5" />
+              {error.message}
+            </div>
+            <button
+              onClick={retry}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Retry
+            </button>
+          </div>
+        ) : !data ? (
+          <div className="flex justify-center py-12">
+            <Loader className="w-6 h-6 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <div className={loading ? "opacity-50" : ""}>
+            {/* Durations */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+              {METRICS.map((metric, index) => {
+                const figures = data.metrics[metric.key];
+                return (
+                  <section
+                    key={metric.key}
+                    className="bg-white rounded-lg shadow-sm p-6"
+                  >
+                    <h2 className="text-lg font-semibold text-gray-900">
+                      {metric.label}
+                    </h2>
+                    <p className="text-sm text-gray-500 mb-4">
+                      {metric.description} · {figures.orders} orders
+                    </p>
+                    <dl className="grid grid-cols-3 gap-2 mb-4">
+                      {["p50", "p90", "p99"].map((percentile) => (
+                        <div
+                          key={percentile}
+                          className="bg-gray-50 rounded-lg p-2 text-center"
+                        >
+                          <dt className="text-xs font-medium text-gray-500 uppercase">
+                            {percentile}
+                          </dt>
+                          <dd className="text-xl font-bold text-gray-900">
+                            {formatDays(figures[percentile])}
+                          </dd>
+                        </div>
+                      ))}
+                    </dl>
+                    <DurationHistogram
+                      histogram={figures.histogram}
+                      maxDays={data.histogram_max_days}
+                      color={SERIES_COLORS[index]}
+                      label={metric.label}
+                    />
+                  </section>
+                );
+              })}
+            </div>
+
+            {/* Breakdown */}
+            <section className="bg-white rounded-lg shadow-sm p-6 mb-6">
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    Breakdown
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    Median and 90th percentile days for each group of orders
+                  </p>
+                </div>
+                <select
+                  aria-label="Break down by"
+                  value={breakdown}
+                  onChange={(e) => setBreakdown(e.target.value)}
+                  className={inputClassName}
+                >
+                  {BREAKDOWNS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {data.breakdowns[breakdown].length === 0 ? (
+                <p className="py-8 text-center text-sm text-orange-600">
+                  No orders in this range
+                </p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        <th className="px-3 py-2 text-left">
+                          {
+                            BREAKDOWNS.find(
+                              (option) => option.value === breakdown,
+                            ).label
+                          }
+                        </th>
+                        <th className="px-3 py-2 text-right">Orders</th>
+                        {METRICS.map((metric) => (
+                          <th
+                            key={metric.key}
+                            className="px-3 py-2 text-right"
+                            colSpan={2}
+                          >
+                            {metric.label} p50 / p90
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {data.breakdowns[breakdown].map((row) => (
+                        <tr key={row.key ?? "unknown"}>
+                          <td className="px-3 py-2 text-gray-900">
+                            {row.key ?? "Unknown"}
+                          </td>
+                          <td className="px-3 py-2 text-right text-gray-900">
+                            {row.orders}
+                          </td>
+                          {METRICS.flatMap((metric) =>
+                            ["p50", "p90"].map((percentile) => (
+                              <td
+                                key={`${metric.key}-${percentile}`}
+                                className="px-3 py-2 text-right text-gray-900"
+                              >
+                                {formatDays(row[metric.key][percentile])}
+                              </td>
+                            )),
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </section>
+
+            {/* Stuck orders */}
+            <section className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                    <AlertTriangle className="w-5 h-5 text-orange-500" />
+                    Stuck orders
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {SLA_STATUSES.map(
+                      (status) => `${data.sla.stuck[status]} ${status}`,
+                    ).join(", ")}{" "}
+                    past their SLA, oldest first
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-3 text-sm text-gray-600">
+                  {SLA_STATUSES.map((status) => (
+                    <label key={status} className="flex items-center gap-2">
+                      <span className="capitalize">{status} SLA</span>
+                      <input
+                        type="number"
+                        min="0.5"
+                        step="0.5"
+                        aria-label={`${status} SLA days`}
+                        placeholder={String(data.sla.days[status])}
+                        value={slaDays[status]}
+                        onChange={(e) =>
+                          setSlaDays({ ...slaDays, [status]: e.target.value })
+                        }
+                        className={`${inputClassName} w-20`}
+                      />
+                      days
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {data.sla.orders.length === 0 ? (
+                <p className="py-8 text-center text-sm text-green-700">
+                  Every order is within its SLA
+                </p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        <th className="px-3 py-2 text-left">Order</th>
+                        <th className="px-3 py-2 text-left">Customer</th>
+                        <th className="px-3 py-2 text-left">Status</th>
+                        <th className="px-3 py-2 text-left">Since</th>
+                        <th className="px-3 py-2 text-right">Days</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {data.sla.orders.map((order) => (
+                        <tr key={order.order_id}>
+                          <td className="px-3 py-2">
+                            <Link
+                              to={`/orders/${order.order_id}`}
+                              className="text-blue-600 hover:underline"
+                            >
+                              #{order.order_id}
+                            </Link>
+                          </td>
+                          <td className="px-3 py-2">
+                            {order.user_id ? (
+                              <Link
+                                to={`/customers/${order.user_id}`}
+                                className="text-blue-600 hover:underline"
+                              >
+                                {order.user_id}
+                              </Link>
+                            ) : (
+                              "–"
+                            )}
+                          </td>
+                          <td className="px-3 py-2">
+                            <StatusBadge status={order.status} />
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {formatDateTime(order.since)}
+                          </td>
+                          <td className="px-3 py-2 text-right font-medium text-orange-600">
+                            {order.days_in_status}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </section>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default FulfillmentPage;
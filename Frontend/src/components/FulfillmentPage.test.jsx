@@ -0,0 +1,124 @@
+import React from "react";
+import { beforeEach, describe, expect, test } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter } from "react-router-dom";
+import { http, HttpResponse } from "msw";
+import FulfillmentPage from "./FulfillmentPage";
+import { API_BASE_URL } from "../config";
+import { server } from "../test/server";
+
+const durations = (orders, p50, p90, p99) => ({ orders, p50, p90, p99 });
+
+const FULFILLMENT = {
+  filters: { from: null, to: null },
+  orders: 20,
+  histogram_max_days: 30,
+  metrics: {
+    processing: {
+      ...durations(14, 0.5, 1.5, 2),
+      histogram: [
+        { days: 0, orders: 7 },
+        { days: 1, orders: 6 },
+        { days: 2, orders: 1 },
+      ],
+    },
+    delivery: { ...durations(10, 2, 4, 6.5), histogram: [] },
+    return: { ...durations(0, null, null, null), histogram: [] },
+  },
+  breakdowns: {
+    month: [
+      {
+        key: "2024-01",
+        orders: 20,
+        processing: durations(14, 0.5, 1.5, 2),
+        delivery: durations(10, 2, 4, 6.5),
+        return: durations(0, null, null, null),
+      },
+    ],
+    country: [
+      {
+        key: "Brasil",
+        orders: 20,
+        processing: durations(14, 0.7, 1.5, 2),
+        delivery: durations(10, 3, 4, 6.5),
+        return: durations(0, null, null, null),
+      },
+    ],
+    num_of_item: [],
+  },
+  sla: {
+    days: { pending: 3, shipped: 7 },
+    stuck: { pending: 1, shipped: 0 },
+    orders: [
+      {
+        order_id: 11,
+        user_id: 4,
+        status: "pending",
+        num_of_item: 3,
+        since: "2024-01-20T00:00:00.000Z",
+        days_in_status: 640.2,
+      },
+    ],
+  },
+};
+
+// Query strings of the requests made
+let requests;
+
+const renderPage = () =>
+  render(
+    <MemoryRouter>
+      <FulfillmentPage />
+    </MemoryRouter>,
+  );
+
+describe("FulfillmentPage", () => {
+  beforeEach(() => {
+    requests = [];
+    server.use(
+      http.get(`${API_BASE_URL}/analytics/fulfillment`, ({ request }) => {
+        requests.push(Object.fromEntries(new URL(request.url).searchParams));
+        return HttpResponse.json({ success: true, data: FULFILLMENT });
+      }),
+    );
+  });
+
+  test("shows percentiles, histograms and stuck orders", async () => {
+    renderPage();
+
+    const processing = (await screen.findByText("Processing")).closest(
+      "section",
+    );
+    expect(within(processing).getByText("0.5d")).toBeInTheDocument();
+    expect(within(processing).getByText("1.5d")).toBeInTheDocument();
+    expect(
+      within(processing).getByRole("img", { name: "Processing histogram" }),
+    ).toBeInTheDocument();
+    expect(screen.getAllByText("No orders yet")).toHaveLength(2);
+
+    expect(
+      screen.getByText("1 pending, 0 shipped past their SLA, oldest first"),
+    ).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "#11" })).toHaveAttribute(
+      "href",
+      "/orders/11",
+    );
+    expect(requests[0]).toEqual({});
+  });
+
+  test("switches the breakdown and sends SLA overrides", async () => {
+    const user = userEvent.setup();
+    renderPage();
+    await screen.findByText("2024-01");
+
+    await user.selectOptions(screen.getByLabelText("Break down by"), "country");
+    expect(screen.getByText("Brasil")).toBeInTheDocument();
+    expect(screen.getByText("0.7d")).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText("pending SLA days"), "10");
+    await waitFor(() =>
+      expect(requests.at(-1)).toEqual({ pending_sla_days: "10" }),
+    );
+  });
+});
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { AlertCircle, LogIn } from "lucide-react";
+import useSession from "../hooks/useSession";
+import { signIn } from "../utils/auth";
+
+// Sign-in screen. After signing in, returns to the page that sent the user
+// here (or the customer list).
+const LoginPage = () => {
+  const session = useSession();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const destination = location.state?.from || "/customers";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      await signIn(username, password);
+      navigate(destination, { replace: true });
+    } catch (err) {
+      setError(err.message);
+      console.error("Error signing in:", err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (session) {
+    return <Navigate to={destination} replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white rounded-lg shadow-sm p-8 space-y-4"
+      >
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Think41</h1>
+          <p className="text-gray-600 mt-1">Sign in to continue</p>
+        </div>
+
+        {error && (
+          <div
+            role="alert"
+            className="flex items-center gap-2 p-3 rounded-lg bg-red-50 text-sm text-red-700"
+          >
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Username</span>
+          <input
+            type="text"
+            autoComplete="username"
+            autoFocus
+            required
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Password</span>
+          <input
+            type="password"
+            autoComplete="current-password"
+            required
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          <LogIn className="w-4 h-4" />
+          {submitting ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
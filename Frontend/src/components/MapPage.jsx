@@ -0,0 +1,206 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Globe, Loader, AlertCircle } from "lucide-react";
+import CustomerMap from "./CustomerMap";
+import useGeoAnalytics from "../hooks/useGeoAnalytics";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import {
+  WORLD_VIEW,
+  gridZoom,
+  project,
+  viewBbox,
+  zoomView,
+} from "../utils/geo";
+
+const REGION_LEVELS = [
+  { value: "country", label: "Countries", columns: ["country"] },
+  { value: "state", label: "States", columns: ["country", "state"] },
+  { value: "city", label: "Cities", columns: ["country", "state", "city"] },
+];
+
+const selectClassName =
+  "px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const formatRate = (rate) => (rate === null ? "–" : `${rate}%`);
+
+// Inline error with a retry button
+const RequestError = ({ error, onRetry }) => (
+  <div className="flex items-center justify-center gap-3 py-3 text-sm text-red-600">
+    <AlertCircle className="w-5 h-5" />
+    {error.message}
+    <button
+      onClick={onRetry}
+      className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+    >
+      Retry
+    </button>
+  </div>
+);
+
+// Where customers are: a world map shaded by order volume with customer
+// clusters for the area in view, and the regions in view ranked by orders
+const MapPage = () => {
+  const navigate = useNavigate();
+  const [view, setView] = useState(WORLD_VIEW);
+  const [level, setLevel] = useState("country");
+
+  // Wait for panning and zooming to settle before fetching the new area
+  const settledView = useDebouncedValue(view, 300);
+  const bbox = viewBbox(settledView);
+
+  const countries = useGeoAnalytics({ level: "country", limit: 1000 });
+  const clusters = useGeoAnalytics({
+    level: "grid",
+    zoom: gridZoom(settledView),
+    bbox,
+    limit: 1000,
+  });
+  const regions = useGeoAnalytics({ level, bbox, limit: 100 });
+
+  const columns = REGION_LEVELS.find(
+    (option) => option.value === level,
+  ).columns;
+
+  // Open a lone customer; zoom in on a cluster
+  const handleCellClick = (cell) => {
+    if (cell.customer_id) {
+      navigate(`/customers/${cell.customer_id}`);
+    } else {
+      setView(zoomView(view, 4, ...project(cell.longitude, cell.latitude)));
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-2">
+            <Globe className="w-8 h-8 text-blue-600" />
+            Customer Map
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Where customers are and how much they order
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <section className="bg-white rounded-lg shadow-sm p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">
+                Customers by location
+              </h2>
+              <p className="text-sm text-gray-500">
+                Countries shaded by orders placed by their customers
+              </p>
+            </div>
+            {(countries.loading || clusters.loading) && (
+              <Loader className="w-5 h-5 animate-spin text-blue-600" />
+            )}
+          </div>
+
+          {countries.error && (
+            <RequestError error={countries.error} onRetry={countries.retry} />
+          )}
+          {clusters.error && (
+            <RequestError error={clusters.error} onRetry={clusters.retry} />
+          )}
+
+          <CustomerMap
+            view={view}
+            onViewChange={setView}
+            countries={countries.data?.regions}
+            cells={clusters.data?.cells}
+            onCellClick={handleCellClick}
+          />
+        </section>
+
+        <section className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">
+                Top regions
+              </h2>
+              <p className="text-sm text-gray-500">
+                {bbox
+                  ? "Regions with customers in the area shown on the map"
+                  : "Regions with the most orders"}
+              </p>
+            </div>
+            <select
+              aria-label="Region level"
+              value={level}
+              onChange={(e) => setLevel(e.target.value)}
+              className={selectClassName}
+            >
+              {REGION_LEVELS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {regions.error ? (
+            <RequestError error={regions.error} onRetry={regions.retry} />
+          ) : !regions.data ? (
+            <div className="flex justify-center py-12">
+              <Loader className="w-6 h-6 animate-spin text-blue-600" />
+            </div>
+          ) : regions.data.regions.length === 0 ? (
+            <p className="py-8 text-center text-sm text-orange-600">
+              No customers in this area
+            </p>
+          ) : (
+            <div
+              className={`overflow-x-auto ${regions.loading ? "opacity-50" : ""}`}
+            >
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {columns.map((column) => (
+                      <th key={column} className="px-3 py-2 text-left">
+                        {column}
+                      </th>
+                    ))}
+                    <th className="px-3 py-2 text-right">Customers</th>
+                    <th className="px-3 py-2 text-right">Orders</th>
+                    <th className="px-3 py-2 text-right">Returned</th>
+                    <th className="px-3 py-2 text-right">Return Rate</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {regions.data.regions.map((region) => (
+                    <tr key={columns.map((column) => region[column]).join("|")}>
+                      {columns.map((column) => (
+                        <td key={column} className="px-3 py-2 text-gray-900">
+                          {region[column] || "Unknown"}
+                        </td>
+                      ))}
+                      <td className="px-3 py-2 text-right text-gray-900">
+                        {region.customers}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-900">
+                        {region.orders}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-900">
+                        {region.returned_orders}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-900">
+                        {formatRate(region.return_rate)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default MapPage;
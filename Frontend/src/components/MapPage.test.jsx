@@ -0,0 +1,116 @@
+import React from "react";
+import { beforeEach, describe, expect, test } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import { http, HttpResponse } from "msw";
+import MapPage from "./MapPage";
+import { API_BASE_URL } from "../config";
+import { server } from "../test/server";
+
+const figures = (customers, orders) => ({
+  customers,
+  orders,
+  returned_orders: 1,
+  return_rate: orders ? Math.round((100 / orders) * 100) / 100 : null,
+  latitude: 40.7,
+  longitude: -74,
+});
+
+const REGIONS = {
+  country: [
+    { country: "United States", ...figures(3, 10) },
+    { country: "Brasil", ...figures(1, 2) },
+  ],
+  state: [{ country: "United States", state: "New York", ...figures(3, 10) }],
+};
+
+const CELLS = [
+  {
+    ...figures(3, 8),
+    bounds: { west: -78.75, south: 39.375, east: -67.5, north: 50.625 },
+    customer_id: null,
+  },
+  {
+    ...figures(1, 2),
+    latitude: -23.5,
+    longitude: -46.6,
+    bounds: { west: -56.25, south: -28.125, east: -45, north: -16.875 },
+    customer_id: 7,
+  },
+];
+
+// Query strings of the GET /analytics/geo requests made, by level
+let requests;
+
+const renderMap = () =>
+  render(
+    <MemoryRouter initialEntries={["/map"]}>
+      <Routes>
+        <Route path="/map" element={<MapPage />} />
+        <Route path="/customers/:customerId" element={<p>Customer page</p>} />
+      </Routes>
+    </MemoryRouter>,
+  );
+
+describe("MapPage", () => {
+  beforeEach(() => {
+    requests = [];
+    server.use(
+      http.get(`${API_BASE_URL}/analytics/geo`, ({ request }) => {
+        const params = new URL(request.url).searchParams;
+        const level = params.get("level");
+        requests.push(Object.fromEntries(params));
+        return HttpResponse.json({
+          success: true,
+          data:
+            level === "grid"
+              ? { level, zoom: Number(params.get("zoom")), cells: CELLS }
+              : { level, regions: REGIONS[level] || [] },
+        });
+      }),
+    );
+  });
+
+  test("shades countries by orders and lists the top regions", async () => {
+    renderMap();
+
+    const table = await screen.findByRole("table");
+    expect(within(table).getByText("United States")).toBeInTheDocument();
+    expect(within(table).getByText("10%")).toBeInTheDocument();
+    expect(
+      await screen.findByText("United States of America: 10 orders"),
+    ).toBeInTheDocument();
+    expect(screen.getByText("Brazil: 2 orders")).toBeInTheDocument();
+    expect(screen.getByText("France: 0 orders")).toBeInTheDocument();
+  });
+
+  test("opens a lone customer and zooms in on a cluster", async () => {
+    const user = userEvent.setup();
+    renderMap();
+
+    await user.click(
+      await screen.findByRole("button", { name: "3 customers" }),
+    );
+    await waitFor(() =>
+      expect(
+        requests.some((params) => params.level === "grid" && params.bbox),
+      ).toBe(true),
+    );
+    const zoomed = requests.findLast((params) => params.level === "grid");
+    expect(Number(zoomed.zoom)).toBeGreaterThan(4);
+
+    await user.click(screen.getByRole("button", { name: "Customer 7" }));
+    expect(await screen.findByText("Customer page")).toBeInTheDocument();
+  });
+
+  test("switches the region table between levels", async () => {
+    const user = userEvent.setup();
+    renderMap();
+    await screen.findByRole("table");
+
+    await user.selectOptions(screen.getByLabelText("Region level"), "state");
+    expect(await screen.findByText("New York")).toBeInTheDocument();
+    expect(requests.at(-1)).toEqual({ level: "state", limit: "100" });
+  });
+});
@@ -0,0 +1,75 @@
+import React from "react";
+import { NavLink } from "react-router-dom";
+import {
+  Users,
+  ShoppingCart,
+  Truck,
+  BarChart3,
+  Globe,
+  LogOut,
+} from "lucide-react";
+import useSession from "../hooks/useSession";
+import { clearSession } from "../utils/auth";
+
+const NAV_ITEMS = [
+  { to: "/customers", label: "Customers", icon: Users },
+  { to: "/orders", label: "Orders", icon: ShoppingCart },
+  { to: "/fulfillment", label: "Fulfillment", icon: Truck },
+  { to: "/analytics", label: "Analytics", icon: BarChart3 },
+  { to: "/map", label: "Map", icon: Globe },
+];
+
+// Top-level app navigation between the workspace pages
+const NavBar = () => {
+  const session = useSession();
+
+  return (
+    <nav className="bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center h-12 gap-6">
+          <span className="text-white font-semibold">Think41</span>
+          <div className="flex items-center gap-1">
+            {NAV_ITEMS.map((item) => {
+              const Icon = item.icon;
+              return (
+                <NavLink
+                  key={item.to}
+                  to={item.to}
+                  className={({ isActive }) =>
+                    `flex items-center gap-2 px-3 py-1.5 rounded text-sm ${
+                      isActive
+                        ? "bg-gray-700 text-white"
+                        : "text-gray-300 hover:bg-gray-800 hover:text-white"
+                    }`
+                  }
+                >
+                  <Icon className="w-4 h-4" />
+                  {item.label}
+                </NavLink>
+              );
+            })}
+          </div>
+          {session && (
+            <div className="ml-auto flex items-center gap-3 text-sm">
+              <span className="text-gray-300">
+                {session.account.username}
+                <span className="ml-2 px-2 py-0.5 rounded bg-gray-700 text-xs text-gray-200 capitalize">
+                  {session.account.role}
+                </span>
+              </span>
+              <button
+                onClick={clearSession}
+                className="flex items-center gap-1 px-2 py-1.5 rounded text-gray-300 hover:bg-gray-800 hover:text-white"
+              >
+                <LogOut className="w-4 h-4" />
+                Sign out
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+export default NavBar;
@@ -0,0 +1,24 @@
+import React, { useCallback } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import Drawer from "./Drawer";
+import OrderTimeline from "./OrderTimeline";
+
+// Slide-over panel for /orders/:orderId
+const OrderDetail = () => {
+  const { orderId } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Close the panel, keeping the list's search parameters
+  const close = useCallback(() => {
+    navigate({ pathname: "/orders", search: location.search });
+  }, [navigate, location.search]);
+
+  return (
+    <Drawer title="Order Details" onClose={close}>
+      <OrderTimeline orderId={orderId} showCustomer />
+    </Drawer>
+  );
+};
+
+export default OrderDetail;
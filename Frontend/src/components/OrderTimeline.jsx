@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  Package,
+  Truck,
+  CheckCircle,
+  RotateCcw,
+  Clock,
+  User,
+  Mail,
+  MapPin,
+  Loader,
+  AlertCircle,
+} from "lucide-react";
+import StatusBadge from "./StatusBadge";
+import useApiRequest from "../hooks/useApiRequest";
+import { getOrder } from "../utils/api";
+import { formatDateTime } from "../utils/format";
+
+const TIMELINE_STEPS = [
+  { key: "ordered", label: "Ordered", icon: Package },
+  { key: "shipped", label: "Shipped", icon: Truck },
+  { key: "delivered", label: "Delivered", icon: CheckCircle },
+  { key: "returned", label: "Returned", icon: RotateCcw },
+];
+
+// Timeline, fulfillment metrics and status history of a single order,
+// loaded from GET /orders/:order_id. `showCustomer` adds the customer who
+// placed it, linking to their detail panel.
+const OrderTimeline = ({ orderId, showCustomer = false }) => {
+  const [order, setOrder] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  // Fetch order details from API
+  useEffect(() => {
+    run((signal) => getOrder(orderId, { signal }), setOrder);
+  }, [run, orderId]);
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <AlertCircle className="w-8 h-8 text-red-500 mx-auto mb-2" />
+        <p className="text-gray-600 mb-4">{error.message}</p>
+        <button
+          onClick={retry}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (loading || !order) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader className="w-6 h-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  const metrics = order.processing_metrics;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">
+            Order #{order.order_id}
+          </h3>
+          <p className="text-sm text-gray-500">
+            {order.num_of_item} item{order.num_of_item === 1 ? "" : "s"}
+          </p>
+        </div>
+        <StatusBadge status={order.status} />
+      </div>
+
+      {/* Customer */}
+      {showCustomer && (
+        <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+          <div className="flex items-center">
+            <User className="w-4 h-4 text-gray-400 mr-3" />
+            {order.customer.full_name ? (
+              <Link
+                to={`/customers/${order.customer.user_id}`}
+                className="font-medium text-blue-600 hover:text-blue-800"
+              >
+                {order.customer.full_name}
+              </Link>
+            ) : (
+              <span className="text-gray-500">
+                Customer #{order.customer.user_id}
+              </span>
+            )}
+          </div>
+          {order.customer.email && (
+            <div className="flex items-center">
+              <Mail className="w-4 h-4 text-gray-400 mr-3" />
+              <span className="text-gray-900">{order.customer.email}</span>
+            </div>
+          )}
+          <div className="flex items-center">
+            <MapPin className="w-4 h-4 text-gray-400 mr-3" />
+            <span className="text-gray-900">{order.customer.location}</span>
+          </div>
+        </div>
+      )}
+
+      {/* Timeline */}
+      <ol className="relative border-l border-gray-200 ml-3">
+        {TIMELINE_STEPS.map(({ key, label, icon }) => {
+          const Icon = icon;
+          const reached = Boolean(order.timeline[key]);
+          return (
+            <li key={key} className="mb-6 ml-6">
+              <span
+                className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ${
+                  reached ? "bg-blue-100" : "bg-gray-100"
+                }`}
+              >
+                <Icon
+                  className={`w-3 h-3 ${
+                    reached ? "text-blue-600" : "text-gray-400"
+                  }`}
+                />
+              </span>
+              <p
+                className={`text-sm font-medium ${
+                  reached ? "text-gray-900" : "text-gray-400"
+                }`}
+              >
+                {label}
+              </p>
+              <p className="text-sm text-gray-500">
+                {reached ? formatDateTime(order.timeline[key]) : "—"}
+              </p>
+            </li>
+          );
+        })}
+      </ol>
+
+      {/* Fulfillment metrics */}
+      <div className="grid grid-cols-3 gap-4">
+        {[
+          ["Processing", metrics.processing_time_days],
+          ["Delivery", metrics.delivery_time_days],
+          ["Total fulfillment", metrics.total_fulfillment_days],
+        ].map(([label, days]) => (
+          <div key={label} className="bg-gray-50 rounded-lg p-3">
+            <p className="text-xs text-gray-500">{label}</p>
+            <p className="text-lg font-semibold text-gray-900">
+              {days === null ? "—" : `${days} day${days === 1 ? "" : "s"}`}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Status history */}
+      {order.history && order.history.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">
+            Status history
+          </h4>
+          <ul className="space-y-2">
+            {order.history.map((entry, i) => (
+              <li key={i} className="flex items-start text-sm">
+                <Clock className="w-4 h-4 text-gray-400 mr-2 mt-0.5" />
+                <div>
+                  <span className="text-gray-900">
+                    {entry.from_status} → {entry.to_status}
+                  </span>
+                  <span className="text-gray-500 ml-2">
+                    {formatDateTime(entry.changed_at)}
+                  </span>
+                  {entry.note && <p className="text-gray-500">{entry.note}</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderTimeline;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from "react";
+import {
+  Link,
+  Outlet,
+  useLocation,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import {
+  ShoppingCart,
+  Calendar,
+  User,
+  X,
+  Loader,
+  AlertCircle,
+} from "lucide-react";
+import Pagination from "./Pagination";
+import StatusBadge from "./StatusBadge";
+import useApiRequest from "../hooks/useApiRequest";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import { listOrders } from "../utils/api";
+import { formatDate } from "../utils/format";
+
+const STATUS_TABS = [
+  { value: "", label: "All" },
+  { value: "pending", label: "Pending" },
+  { value: "shipped", label: "Shipped" },
+  { value: "delivered", label: "Delivered" },
+  { value: "returned", label: "Returned" },
+  { value: "cancelled", label: "Cancelled" },
+];
+
+const ORDERS_PER_PAGE = 15;
+
+// Orders workspace: status tabs, user/date filters and a paginated order
+// list. Filters and page live in the URL; /orders/:orderId opens the order
+// detail panel on top.
+const OrdersPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const { run, retry, loading, error } = useApiRequest();
+
+  const status = searchParams.get("status") || "";
+  const userId = searchParams.get("user_id") || "";
+  const from = searchParams.get("from") || "";
+  const to = searchParams.get("to") || "";
+  const currentPage = parseInt(searchParams.get("page")) || 1;
+
+  // Only hit the API once the filters have stopped changing
+  const query = useDebouncedValue(searchParams.toString(), 300);
+
+  // Fetch orders matching the current filters from API
+  useEffect(() => {
+    const params = new URLSearchParams(query);
+    params.set("limit", ORDERS_PER_PAGE);
+    run(
+      (signal) => listOrders(params, { signal }),
+      (page) => {
+        setOrders(page.orders);
+        setPagination(page.pagination);
+        setHasLoaded(true);
+      },
+    );
+  }, [run, query]);
+
+  // Update URL parameters. Changing a filter returns to the first page.
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    if (!("page" in changes)) params.delete("page");
+    setSearchParams(params, { replace: true });
+  };
+
+  // Open the order detail panel, keeping the list's URL parameters
+  const openOrder = (orderId) => {
+    navigate({ pathname: `/orders/${orderId}`, search: location.search });
+  };
+
+  const hasFilters = Boolean(userId || from || to);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-2">
+            <ShoppingCart className="w-8 h-8 text-green-600" />
+            Order Management
+          </h1>
+          <p className="text-gray-600 mt-1">Track orders through fulfillment</p>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {/* Status tabs and filters */}
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+          <div className="flex flex-wrap gap-2 border-b border-gray-200 pb-4">
+            {STATUS_TABS.map((tab) => (
+              <button
+                key={tab.value}
+                onClick={() => updateParams({ status: tab.value })}
+                className={`px-3 py-1 rounded ${
+                  status === tab.value
+                    ? "bg-blue-600 text-white"
+                    : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="relative">
+              <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+              <input
+                type="number"
+                min="1"
+                placeholder="Customer ID"
+                value={userId}
+                onChange={(e) => updateParams({ user_id: e.target.value })}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div className="flex items-center gap-2 lg:col-span-2">
+              <span className="text-sm text-gray-500 whitespace-nowrap">
+                Ordered
+              </span>
+              <input
+                type="date"
+                value={from}
+                onChange={(e) => updateParams({ from: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="date"
+                value={to}
+                onChange={(e) => updateParams({ to: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            {hasFilters && (
+              <button
+                onClick={() => updateParams({ user_id: "", from: "", to: "" })}
+                className="flex items-center justify-center gap-1 px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                <X className="w-4 h-4" />
+                Clear filters
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Order List */}
+        {error ? (
+          <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-gray-600 mb-4">{error.message}</p>
+            <button
+              onClick={retry}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Retry
+            </button>
+          </div>
+        ) : !hasLoaded ? (
+          <div className="bg-white rounded-lg shadow-sm p-12 flex justify-center">
+            <Loader className="w-8 h-8 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <>
+            <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {["Order", "Customer", "Status", "Items", "Ordered"].map(
+                        (label) => (
+                          <th
+                            key={label}
+                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                          >
+                            {label}
+                          </th>
+                        ),
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {orders.map((order) => (
+                      <tr
+                        key={order.order_id}
+                        onClick={() => openOrder(order.order_id)}
+                        className="hover:bg-gray-50 cursor-pointer"
+                      >
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          #{order.order_id}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <Link
+                            to={`/customers/${order.user_id}`}
+                            onClick={(e) => e.stopPropagation()}
+                            className="text-sm font-medium text-gray-900 hover:text-blue-600"
+                          >
+                            {order.customer.full_name ||
+                              `Customer #${order.user_id}`}
+                          </Link>
+                          <div className="text-sm text-gray-500">
+                            {order.customer.email}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <StatusBadge status={order.status} />
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {order.num_of_item}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center text-sm text-gray-900">
+                            <Calendar className="w-4 h-4 text-gray-400 mr-2" />
+                            {formatDate(order.created_at)}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {orders.length === 0 && (
+                <p className="p-6 text-center text-sm text-orange-600">
+                  No orders match these filters
+                </p>
+              )}
+            </div>
+
+            <Pagination
+              pagination={pagination}
+              currentPage={currentPage}
+              totalItems={pagination.total_orders}
+              itemLabel="orders"
+              loading={loading}
+              onPageChange={(page) => updateParams({ page: String(page) })}
+            />
+          </>
+        )}
+      </main>
+
+      {/* Order detail panel (nested /orders/:orderId route) */}
+      <Outlet />
+    </div>
+  );
+};
+
+export default OrdersPage;
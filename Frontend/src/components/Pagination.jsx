@@ -0,0 +1,75 @@
+import React from "react";
+
+// Page-number pagination bar: Previous/Next plus a sliding window of up to
+// five page buttons around the current page
+const Pagination = ({
+  pagination,
+  currentPage,
+  totalItems,
+  itemLabel,
+  loading,
+  onPageChange,
+}) => {
+  // Handle page change
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination.total_pages) {
+      onPageChange(newPage);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-gray-700">
+          Showing page {pagination.current_page} of {pagination.total_pages} (
+          {totalItems} total {itemLabel})
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => handlePageChange(currentPage - 1)}
+            disabled={!pagination.has_prev_page || loading}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+
+          <div className="flex items-center space-x-1">
+            {Array.from(
+              { length: Math.min(5, pagination.total_pages || 1) },
+              (_, i) => {
+                const page = i + Math.max(1, currentPage - 2);
+                if (page > (pagination.total_pages || 1)) return null;
+
+                return (
+                  <button
+                    key={page}
+                    onClick={() => handlePageChange(page)}
+                    disabled={loading}
+                    className={`px-3 py-2 text-sm rounded-md ${
+                      page === currentPage
+                        ? "bg-blue-600 text-white"
+                        : "border border-gray-300 hover:bg-gray-50"
+                    } disabled:opacity-50`}
+                  >
+                    {page}
+                  </button>
+                );
+              }
+            )}
+          </div>
+
+          <button
+            onClick={() => handlePageChange(currentPage + 1)}
+            disabled={!pagination.has_next_page || loading}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,90 @@
+import React from "react";
+import { describe, expect, test, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Pagination from "./Pagination";
+
+// Pagination for `totalPages` pages with `currentPage` selected
+const renderPagination = (currentPage, totalPages, props = {}) => {
+  const onPageChange = vi.fn();
+  render(
+    <Pagination
+      pagination={{
+        current_page: currentPage,
+        total_pages: totalPages,
+        has_next_page: currentPage < totalPages,
+        has_prev_page: currentPage > 1,
+      }}
+      currentPage={currentPage}
+      totalItems={totalPages * 10}
+      itemLabel="customers"
+      loading={false}
+      onPageChange={onPageChange}
+      {...props}
+    />,
+  );
+  return onPageChange;
+};
+
+// Numbers on the page buttons, in order
+const pageButtons = () =>
+  screen
+    .getAllByRole("button")
+    .map((button) => button.textContent)
+    .filter((label) => /^\d+$/.test(label))
+    .map(Number);
+
+describe("Pagination", () => {
+  test("shows every page when there are five or fewer", () => {
+    renderPagination(1, 3);
+    expect(pageButtons()).toEqual([1, 2, 3]);
+  });
+
+  test("slides a five-page window around the current page", () => {
+    renderPagination(6, 10);
+    expect(pageButtons()).toEqual([4, 5, 6, 7, 8]);
+  });
+
+  test("starts the window at the first page", () => {
+    renderPagination(2, 10);
+    expect(pageButtons()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test("stops the window at the last page", () => {
+    renderPagination(10, 10);
+    expect(pageButtons()).toEqual([8, 9, 10]);
+  });
+
+  test("highlights the current page", () => {
+    renderPagination(6, 10);
+    expect(screen.getByRole("button", { name: "6" })).toHaveClass(
+      "bg-blue-600",
+    );
+    expect(screen.getByRole("button", { name: "7" })).not.toHaveClass(
+      "bg-blue-600",
+    );
+  });
+
+  test("calls onPageChange for Previous, Next and page buttons", async () => {
+    const user = userEvent.setup();
+    const onPageChange = renderPagination(6, 10);
+
+    await user.click(screen.getByRole("button", { name: "Previous" }));
+    await user.click(screen.getByRole("button", { name: "Next" }));
+    await user.click(screen.getByRole("button", { name: "8" }));
+    expect(onPageChange.mock.calls).toEqual([[5], [7], [8]]);
+  });
+
+  test("disables Previous and Next at the ends", () => {
+    renderPagination(1, 1);
+    expect(screen.getByRole("button", { name: "Previous" })).toBeDisabled();
+    expect(screen.getByRole("button", { name: "Next" })).toBeDisabled();
+  });
+
+  test("disables every button while loading", () => {
+    renderPagination(6, 10, { loading: true });
+    for (const button of screen.getAllByRole("button")) {
+      expect(button).toBeDisabled();
+    }
+  });
+});
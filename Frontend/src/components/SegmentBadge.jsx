@@ -0,0 +1,29 @@
+import React from "react";
+import { CUSTOMER_SEGMENTS } from "../constants";
+
+const SEGMENT_STYLES = {
+  champions: "bg-green-100 text-green-800",
+  new: "bg-teal-100 text-teal-800",
+  loyal: "bg-blue-100 text-blue-800",
+  potential_loyalists: "bg-indigo-100 text-indigo-800",
+  at_risk: "bg-orange-100 text-orange-800",
+  hibernating: "bg-yellow-100 text-yellow-800",
+  lost: "bg-red-100 text-red-800",
+  prospects: "bg-gray-100 text-gray-800",
+};
+
+const SegmentBadge = ({ segment }) => {
+  if (!segment) return null;
+  const known = CUSTOMER_SEGMENTS.find((item) => item.name === segment);
+  return (
+    <span
+      className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+        SEGMENT_STYLES[segment] || "bg-gray-100 text-gray-800"
+      }`}
+    >
+      {known ? known.label : segment}
+    </span>
+  );
+};
+
+export default SegmentBadge;
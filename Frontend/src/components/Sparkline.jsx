@@ -0,0 +1,36 @@
+import React from "react";
+
+const WIDTH = 100;
+const HEIGHT = 24;
+
+// Tiny line chart of `data` scaled to its own maximum, for table cells
+const Sparkline = ({ data, color = "#2563eb", label }) => {
+  if (data.length === 0) return null;
+  const max = Math.max(1, ...data);
+  const step = data.length > 1 ? WIDTH / (data.length - 1) : 0;
+  const points = data
+    .map(
+      (value, i) => `${i * step},${HEIGHT - 2 - (value / max) * (HEIGHT - 4)}`,
+    )
+    .join(" ");
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-24 h-6"
+      role="img"
+      aria-label={label}
+      preserveAspectRatio="none"
+    >
+      <polyline
+        fill="none"
+        stroke={color}
+        strokeWidth="1.5"
+        vectorEffect="non-scaling-stroke"
+        points={points}
+      />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from "react";
+import { BarChart3, LineChart, Loader, AlertCircle } from "lucide-react";
+import DateRangePicker from "./DateRangePicker";
+import TimeSeriesChart from "./TimeSeriesChart";
+import useApiRequest from "../hooks/useApiRequest";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import { getTimeseries } from "../utils/api";
+import { SERIES_COLORS } from "../utils/charts";
+import { daysAgo } from "../utils/format";
+
+const METRICS = [
+  { value: "orders", label: "Orders" },
+  { value: "signups", label: "Signups" },
+  { value: "items", label: "Items sold" },
+  { value: "returns", label: "Returns" },
+];
+
+const INTERVALS = ["day", "week", "month"];
+
+const GROUP_BY_OPTIONS = [
+  { value: "", label: "No grouping" },
+  { value: "status", label: "Status" },
+  { value: "traffic_source", label: "Traffic source" },
+  { value: "country", label: "Country" },
+  { value: "gender", label: "Gender" },
+];
+
+const selectClassName =
+  "px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+// Stats dashboard charts driven by GET /stats/timeseries
+const StatsCharts = () => {
+  const [metric, setMetric] = useState("orders");
+  const [bucketInterval, setBucketInterval] = useState("week");
+  const [groupBy, setGroupBy] = useState("");
+  const [chartType, setChartType] = useState("line");
+  const [range, setRange] = useState({ from: daysAgo(365), to: daysAgo(0) });
+  const [timeseries, setTimeseries] = useState(null);
+  const { run, loading, error } = useApiRequest();
+
+  // Wait for typed dates to settle before fetching
+  const debouncedRange = useDebouncedValue(range, 300);
+
+  useEffect(() => {
+    const params = { metric, interval: bucketInterval };
+    if (groupBy) params.group_by = groupBy;
+    if (debouncedRange.from) params.from = debouncedRange.from;
+    if (debouncedRange.to) params.to = debouncedRange.to;
+    run((signal) => getTimeseries(params, { signal }), setTimeseries);
+  }, [run, metric, bucketInterval, groupBy, debouncedRange]);
+
+  // Orders have a status; signups do not
+  const changeMetric = (value) => {
+    setMetric(value);
+    if (value === "signups" && groupBy === "status") setGroupBy("");
+  };
+
+  const seriesLabel = (group) =>
+    group ?? (timeseries.group_by ? "Unknown" : "Total");
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm mb-8">
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            aria-label="Metric"
+            value={metric}
+            onChange={(e) => changeMetric(e.target.value)}
+            className={selectClassName}
+          >
+            {METRICS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Interval"
+            value={bucketInterval}
+            onChange={(e) => setBucketInterval(e.target.value)}
+            className={`${selectClassName} capitalize`}
+          >
+            {INTERVALS.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Group by"
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className={selectClassName}
+          >
+            {GROUP_BY_OPTIONS.map((option) => (
+              <option
+                key={option.value}
+                value={option.value}
+                disabled={option.value === "status" && metric === "signups"}
+              >
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <div className="flex gap-1">
+            <button
+              onClick={() => setChartType("line")}
+              aria-label="Line chart"
+              className={`p-1 rounded ${
+                chartType === "line"
+                  ? "bg-blue-600 text-white"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              <LineChart className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setChartType("bar")}
+              aria-label="Bar chart"
+              className={`p-1 rounded ${
+                chartType === "bar"
+                  ? "bg-blue-600 text-white"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              <BarChart3 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+        <DateRangePicker value={range} onChange={setRange} />
+      </div>
+
+      {error ? (
+        <div className="flex items-center justify-center gap-2 py-12 text-sm text-red-600">
+          <AlertCircle className="w-5 h-5" />
+          {error.message}
+        </div>
+      ) : !timeseries ? (
+        <div className="flex justify-center py-12">
+          <Loader className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : (
+        <div className={loading ? "opacity-50" : ""}>
+          <TimeSeriesChart
+            buckets={timeseries.buckets}
+            series={timeseries.series}
+            type={chartType}
+          />
+          <div className="flex flex-wrap gap-4 mt-2 text-sm text-gray-600">
+            {timeseries.series.map((s, i) => (
+              <span
+                key={s.group ?? "total"}
+                className="flex items-center gap-1"
+              >
+                <span
+                  className="w-3 h-3 rounded-sm"
+                  style={{
+                    backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length],
+                  }}
+                />
+                {seriesLabel(s.group)} ({s.total})
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatsCharts;
@@ -0,0 +1,58 @@
+import React from "react";
+import { Users, ShoppingCart } from "lucide-react";
+
+// Headline figures from GET /stats
+const StatsSummary = ({ stats }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+    <div className="bg-white p-6 rounded-lg shadow-sm">
+      <div className="flex items-center">
+        <Users className="w-8 h-8 text-blue-600" />
+        <div className="ml-4">
+          <p className="text-sm font-medium text-gray-500">Total Customers</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {stats.total_customers}
+          </p>
+        </div>
+      </div>
+    </div>
+    <div className="bg-white p-6 rounded-lg shadow-sm">
+      <div className="flex items-center">
+        <ShoppingCart className="w-8 h-8 text-green-600" />
+        <div className="ml-4">
+          <p className="text-sm font-medium text-gray-500">Total Orders</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {stats.total_orders}
+          </p>
+        </div>
+      </div>
+    </div>
+    <div className="bg-white p-6 rounded-lg shadow-sm">
+      <div className="flex items-center">
+        <div className="w-8 h-8 bg-purple-100 rounded-full flex items-center justify-center">
+          <span className="text-purple-600 font-bold">✓</span>
+        </div>
+        <div className="ml-4">
+          <p className="text-sm font-medium text-gray-500">Delivery Rate</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {stats.delivery_rate}
+          </p>
+        </div>
+      </div>
+    </div>
+    <div className="bg-white p-6 rounded-lg shadow-sm">
+      <div className="flex items-center">
+        <div className="w-8 h-8 bg-orange-100 rounded-full flex items-center justify-center">
+          <span className="text-orange-600 font-bold">↩</span>
+        </div>
+        <div className="ml-4">
+          <p className="text-sm font-medium text-gray-500">Return Rate</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {stats.return_rate}
+          </p>
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default StatsSummary;
@@ -0,0 +1,22 @@
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  shipped: "bg-blue-100 text-blue-800",
+  delivered: "bg-green-100 text-green-800",
+  returned: "bg-orange-100 text-orange-800",
+  cancelled: "bg-red-100 text-red-800",
+};
+
+const StatusBadge = ({ status }) => {
+  const key = (status || "").toLowerCase();
+  return (
+    <span
+      className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${
+        STATUS_STYLES[key] || "bg-gray-100 text-gray-800"
+      }`}
+    >
+      {key || "unknown"}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,122 @@
+import React from "react";
+import { SERIES_COLORS, niceMax } from "../utils/charts";
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const MARGIN = { top: 10, right: 10, bottom: 30, left: 45 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Line or stacked bar chart of series sharing the same buckets, drawn as
+// SVG. `series` is [{ group, data }] as returned by /stats/timeseries.
+const TimeSeriesChart = ({ buckets, series, type = "line" }) => {
+  const stackedTotals = buckets.map((_, i) =>
+    series.reduce((sum, s) => sum + s.data[i], 0)
+  );
+  const maxValue = niceMax(
+    type === "bar"
+      ? Math.max(0, ...stackedTotals)
+      : Math.max(0, ...series.flatMap((s) => s.data))
+  );
+  const slot = PLOT_WIDTH / Math.max(buckets.length, 1);
+  const x = (i) => MARGIN.left + slot * i + slot / 2;
+  const y = (value) =>
+    MARGIN.top + PLOT_HEIGHT - (value / maxValue) * PLOT_HEIGHT;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * maxValue);
+  // Show at most ~10 bucket labels along the x axis
+  const labelEvery = Math.ceil(buckets.length / 10);
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`${type} chart`}
+    >
+      {ticks.map((tick) => (
+        <g key={tick}>
+          <line
+            x1={MARGIN.left}
+            x2={WIDTH - MARGIN.right}
+            y1={y(tick)}
+            y2={y(tick)}
+            stroke="#e5e7eb"
+          />
+          <text
+            x={MARGIN.left - 6}
+            y={y(tick) + 4}
+            textAnchor="end"
+            className="fill-gray-500 text-[10px]"
+          >
+            {Number.isInteger(tick) ? tick : tick.toFixed(1)}
+          </text>
+        </g>
+      ))}
+
+      {buckets.map((bucket, i) =>
+        i % labelEvery === 0 ? (
+          <text
+            key={bucket}
+            x={x(i)}
+            y={HEIGHT - 10}
+            textAnchor="middle"
+            className="fill-gray-500 text-[10px]"
+          >
+            {bucket}
+          </text>
+        ) : null
+      )}
+
+      {type === "bar"
+        ? buckets.map((bucket, i) => {
+            let offset = 0;
+            return series.map((s, seriesIndex) => {
+              const value = s.data[i];
+              const top = y(offset + value);
+              const height = y(offset) - top;
+              offset += value;
+              return value > 0 ? (
+                <rect
+                  key={`${bucket}-${seriesIndex}`}
+                  x={x(i) - slot * 0.35}
+                  y={top}
+                  width={slot * 0.7}
+                  height={height}
+                  fill={SERIES_COLORS[seriesIndex % SERIES_COLORS.length]}
+                >
+                  <title>{`${s.group ?? "Total"} · ${bucket}: ${value}`}</title>
+                </rect>
+              ) : null;
+            });
+          })
+        : series.map((s, seriesIndex) => {
+            const color = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+            return (
+              <g key={s.group ?? "total"}>
+                <polyline
+                  fill="none"
+                  stroke={color}
+                  strokeWidth="2"
+                  points={s.data
+                    .map((value, i) => `${x(i)},${y(value)}`)
+                    .join(" ")}
+                />
+                {s.data.map((value, i) => (
+                  <circle
+                    key={buckets[i]}
+                    cx={x(i)}
+                    cy={y(value)}
+                    r="3"
+                    fill={color}
+                  >
+                    <title>{`${s.group ?? "Total"} · ${buckets[i]}: ${value}`}</title>
+                  </circle>
+                ))}
+              </g>
+            );
+          })}
+    </svg>
+  );
+};
+
+export default TimeSeriesChart;
@@ -0,0 +1,20 @@
+// Acquisition channels recorded in users.traffic_source
+export const TRAFFIC_SOURCES = [
+  "Search",
+  "Organic",
+  "Email",
+  "Facebook",
+  "Display",
+];
+
+// RFM customer segments returned by the API, in display order
+export const CUSTOMER_SEGMENTS = [
+  { name: "champions", label: "Champions" },
+  { name: "new", label: "New" },
+  { name: "loyal", label: "Loyal" },
+  { name: "potential_loyalists", label: "Potential Loyalists" },
+  { name: "at_risk", label: "At Risk" },
+  { name: "hibernating", label: "Hibernating" },
+  { name: "lost", label: "Lost" },
+  { name: "prospects", label: "Prospects" },
+];
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Loading and error state for a series of API requests. Starting a request
+// cancels the one before it, so a slow response for an old search never
+// lands on top of a newer one. `retry` repeats the latest request.
+const useApiRequest = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+  const latestRef = useRef(null);
+
+  // Call request(signal); its result is passed to onSuccess unless another
+  // request has started (or the component unmounted) in the meantime
+  const run = useCallback(async (request, onSuccess) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    latestRef.current = { request, onSuccess };
+
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await request(controller.signal);
+      if (!controller.signal.aborted) onSuccess(result);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      setError(err);
+      console.error("API request failed:", err);
+    } finally {
+      if (!controller.signal.aborted) setLoading(false);
+    }
+  }, []);
+
+  const retry = useCallback(() => {
+    if (latestRef.current) {
+      run(latestRef.current.request, latestRef.current.onSuccess);
+    }
+  }, [run]);
+
+  // Drop whatever is still in flight on unmount
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { run, retry, loading, error };
+};
+
+export default useApiRequest;
@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useState } from "react";
+import useApiRequest from "./useApiRequest";
+import { listCustomers } from "../utils/api";
+
+// Customers matching `query` in cursor-paginated batches for infinite
+// scroll. The feed starts over whenever the query changes; `loadMore`
+// appends the next batch.
+const useCustomerFeed = (query, { enabled = true, limit = 12 } = {}) => {
+  const [feed, setFeed] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  // An empty cursor fetches the first batch and replaces the feed
+  const fetchBatch = useCallback(
+    (cursor) =>
+      run(
+        (signal) => listCustomers(query, { cursor, limit }, { signal }),
+        (data) =>
+          setFeed((prev) => ({
+            customers:
+              cursor && prev
+                ? [...prev.customers, ...data.customers]
+                : data.customers,
+            nextCursor: data.pagination.next_cursor,
+          })),
+      ),
+    [run, query, limit],
+  );
+
+  useEffect(() => {
+    if (enabled) fetchBatch("");
+  }, [enabled, fetchBatch]);
+
+  const nextCursor = feed ? feed.nextCursor : null;
+  const loadMore = useCallback(() => {
+    if (nextCursor) fetchBatch(nextCursor);
+  }, [fetchBatch, nextCursor]);
+
+  return {
+    customers: feed ? feed.customers : [],
+    nextCursor,
+    loaded: feed !== null,
+    loading,
+    error,
+    loadMore,
+    retry,
+  };
+};
+
+export default useCustomerFeed;
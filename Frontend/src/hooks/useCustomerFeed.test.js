@@ -0,0 +1,52 @@
+import { beforeEach, describe, expect, test } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import useCustomerFeed from "./useCustomerFeed";
+import { makeCustomers, setCustomers } from "../test/server";
+
+const ids = (customers) => customers.map((customer) => customer.id);
+
+describe("useCustomerFeed", () => {
+  beforeEach(() => setCustomers(makeCustomers(25)));
+
+  test("appends batches until the end", async () => {
+    const { result } = renderHook(() => useCustomerFeed("", { limit: 10 }));
+    await waitFor(() => expect(result.current.loaded).toBe(true));
+    expect(ids(result.current.customers)).toHaveLength(10);
+
+    act(() => result.current.loadMore());
+    await waitFor(() => expect(result.current.customers).toHaveLength(20));
+    act(() => result.current.loadMore());
+    await waitFor(() => expect(result.current.customers).toHaveLength(25));
+
+    expect(ids(result.current.customers)).toEqual(
+      Array.from({ length: 25 }, (_, i) => i + 1),
+    );
+    expect(result.current.nextCursor).toBe(null);
+  });
+
+  test("starts over when the query changes", async () => {
+    const { result, rerender } = renderHook(
+      ({ query }) => useCustomerFeed(query, { limit: 10 }),
+      { initialProps: { query: "" } },
+    );
+    await waitFor(() => expect(result.current.loaded).toBe(true));
+    act(() => result.current.loadMore());
+    await waitFor(() => expect(result.current.customers).toHaveLength(20));
+
+    rerender({ query: "q=number2" });
+    await waitFor(() =>
+      expect(ids(result.current.customers)).toEqual([
+        2, 20, 21, 22, 23, 24, 25,
+      ]),
+    );
+  });
+
+  test("does nothing while disabled", async () => {
+    const { result } = renderHook(() =>
+      useCustomerFeed("", { enabled: false }),
+    );
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(result.current.loaded).toBe(false);
+    expect(result.current.loading).toBe(false);
+  });
+});
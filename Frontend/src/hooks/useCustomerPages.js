@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useState } from "react";
+import useApiRequest from "./useApiRequest";
+import { listCustomers } from "../utils/api";
+
+// Numbered pages of customers matching `query` (GET /customers search,
+// filter and sort parameters), starting over at page 1 whenever the query
+// changes. The previous page stays in place while the next one loads.
+const useCustomerPages = (query, { enabled = true, limit = 12 } = {}) => {
+  const [page, setPage] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  const goToPage = useCallback(
+    (pageNumber) =>
+      run(
+        (signal) =>
+          listCustomers(query, { page: pageNumber, limit }, { signal }),
+        (data) => setPage({ ...data, number: pageNumber }),
+      ),
+    [run, query, limit],
+  );
+
+  useEffect(() => {
+    if (enabled) goToPage(1);
+  }, [enabled, goToPage]);
+
+  return {
+    customers: page ? page.customers : [],
+    pagination: page ? page.pagination : {},
+    currentPage: page ? page.number : 1,
+    loaded: page !== null,
+    loading,
+    error,
+    goToPage,
+    retry,
+  };
+};
+
+export default useCustomerPages;
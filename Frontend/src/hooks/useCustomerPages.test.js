@@ -0,0 +1,28 @@
+import { beforeEach, describe, expect, test } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import useCustomerPages from "./useCustomerPages";
+import { makeCustomers, setCustomers } from "../test/server";
+
+const ids = (customers) => customers.map((customer) => customer.id);
+
+describe("useCustomerPages", () => {
+  beforeEach(() => setCustomers(makeCustomers(25)));
+
+  test("goes to a page and back to the first on a new query", async () => {
+    const { result, rerender } = renderHook(
+      ({ query }) => useCustomerPages(query, { limit: 10 }),
+      { initialProps: { query: "" } },
+    );
+    await waitFor(() => expect(result.current.loaded).toBe(true));
+
+    act(() => {
+      result.current.goToPage(3);
+    });
+    await waitFor(() => expect(result.current.currentPage).toBe(3));
+    expect(ids(result.current.customers)).toEqual([21, 22, 23, 24, 25]);
+
+    rerender({ query: "sort=id" });
+    await waitFor(() => expect(result.current.currentPage).toBe(1));
+    expect(result.current.pagination.total_pages).toBe(3);
+  });
+});
@@ -0,0 +1,22 @@
+import { useEffect, useState } from "react";
+import useApiRequest from "./useApiRequest";
+import { getFulfillment } from "../utils/api";
+
+// GET /analytics/fulfillment for `params`, fetched again whenever they
+// change. Empty parameters are left out, so the API defaults apply.
+const useFulfillment = (params) => {
+  const [data, setData] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value != null && value !== ""),
+  ).toString();
+
+  useEffect(() => {
+    run((signal) => getFulfillment(query, { signal }), setData);
+  }, [run, query]);
+
+  return { data, loading, error, retry };
+};
+
+export default useFulfillment;
@@ -0,0 +1,22 @@
+import { useEffect, useState } from "react";
+import useApiRequest from "./useApiRequest";
+import { getGeoAnalytics } from "../utils/api";
+
+// GET /analytics/geo for `params`, fetched again whenever they change.
+// Parameters that are null or undefined are left out.
+const useGeoAnalytics = (params) => {
+  const [data, setData] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value != null),
+  ).toString();
+
+  useEffect(() => {
+    run((signal) => getGeoAnalytics(query, { signal }), setData);
+  }, [run, query]);
+
+  return { data, loading, error, retry };
+};
+
+export default useGeoAnalytics;
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { getSession, subscribeToSession } from "../utils/auth";
+
+// The signed-in session, re-rendering on sign-in and sign-out
+const useSession = () => useSyncExternalStore(subscribeToSession, getSession);
+
+export default useSession;
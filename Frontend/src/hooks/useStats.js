@@ -0,0 +1,17 @@
+import { useEffect, useState } from "react";
+import useApiRequest from "./useApiRequest";
+import { getStats } from "../utils/api";
+
+// Overall statistics from GET /stats, fetched once on mount
+const useStats = () => {
+  const [stats, setStats] = useState(null);
+  const { run, retry, loading, error } = useApiRequest();
+
+  useEffect(() => {
+    run((signal) => getStats({ signal }), setStats);
+  }, [run]);
+
+  return { stats, loading, error, retry };
+};
+
+export default useStats;
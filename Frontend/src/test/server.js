@@ -0,0 +1,104 @@
+import { http, HttpResponse } from "msw";
+import { setupServer } from "msw/node";
+import { API_BASE_URL } from "../config";
+
+// Mock of the customer API for component tests. The customers it serves
+// are replaced per test with setCustomers(); tests override single routes
+// with server.use().
+
+// `count` customers with ids 1..count
+export const makeCustomers = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    first_name: "Customer",
+    last_name: `Number${i + 1}`,
+    email: `customer${i + 1}@example.com`,
+    age: 30,
+    gender: "F",
+    city: "Austin",
+    state: "Texas",
+    country: "United States",
+    traffic_source: "Search",
+    created_at: "2024-01-15T00:00:00.000Z",
+    order_count: 2,
+    last_order_date: "2024-03-01T00:00:00.000Z",
+    segment: "loyal",
+    anonymized_at: null,
+  }));
+
+let customers = [];
+
+export const setCustomers = (list) => {
+  customers = list;
+};
+
+export const STATS = {
+  total_customers: 42,
+  total_orders: 120,
+  average_items_per_order: "1.50",
+  total_items_sold: 180,
+  delivered_orders: 60,
+  returned_orders: 12,
+  unique_traffic_sources: 5,
+  delivery_rate: "50.00%",
+  return_rate: "10.00%",
+};
+
+// A page of GET /customers: numbered pages, or keyset pages when `cursor`
+// is present (the cursor is the index to continue from). `q` matches names.
+const listCustomers = ({ request }) => {
+  const params = new URL(request.url).searchParams;
+  const limit = parseInt(params.get("limit")) || 10;
+  const q = (params.get("q") || "").toLowerCase();
+  const matching = customers.filter((customer) =>
+    `${customer.first_name} ${customer.last_name}`.toLowerCase().includes(q),
+  );
+
+  if (params.has("cursor")) {
+    const start = parseInt(params.get("cursor")) || 0;
+    const next = start + limit;
+    return HttpResponse.json({
+      success: true,
+      data: {
+        customers: matching.slice(start, next),
+        pagination: {
+          per_page: limit,
+          has_next_page: next < matching.length,
+          next_cursor: next < matching.length ? String(next) : null,
+        },
+      },
+    });
+  }
+
+  const page = parseInt(params.get("page")) || 1;
+  const totalPages = Math.ceil(matching.length / limit);
+  return HttpResponse.json({
+    success: true,
+    data: {
+      customers: matching.slice((page - 1) * limit, page * limit),
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_customers: matching.length,
+        per_page: limit,
+        has_next_page: page < totalPages,
+        has_prev_page: page > 1,
+      },
+    },
+  });
+};
+
+export const handlers = [
+  http.get(`${API_BASE_URL}/customers`, listCustomers),
+  http.get(`${API_BASE_URL}/stats`, () =>
+    HttpResponse.json({ success: true, data: { statistics: STATS } }),
+  ),
+  http.get(`${API_BASE_URL}/stats/timeseries`, () =>
+    HttpResponse.json({
+      success: true,
+      data: { group_by: null, buckets: [], series: [] },
+    }),
+  ),
+];
+
+export const server = setupServer(...handlers);
@@ -0,0 +1,295 @@
+import { API_BASE_URL } from "../config";
+import { authFetch } from "./auth";
+
+// Client for the customer API. Each call resolves to the response's `data`
+// or rejects with an ApiError.
+
+/**
+ * @typedef {Object} Customer
+ * @property {number|string} id
+ * @property {string} first_name
+ * @property {string} last_name
+ * @property {string} email
+ * @property {number|null} age
+ * @property {string|null} gender
+ * @property {string|null} city
+ * @property {string|null} state
+ * @property {string|null} country
+ * @property {string|null} traffic_source
+ * @property {string} created_at
+ * @property {number|string} order_count
+ * @property {string|null} last_order_date
+ * @property {string|null} segment
+ * @property {string|null} anonymized_at
+ */
+
+/**
+ * Page-number pagination (`page` requests)
+ * @typedef {Object} PagePagination
+ * @property {number} current_page
+ * @property {number} total_pages
+ * @property {number} per_page
+ * @property {boolean} has_next_page
+ * @property {boolean} has_prev_page
+ * @property {number} [total_customers]
+ * @property {number} [total_orders]
+ */
+
+/**
+ * Keyset pagination (`cursor` requests)
+ * @typedef {Object} CursorPagination
+ * @property {number} per_page
+ * @property {boolean} has_next_page
+ * @property {boolean} has_prev_page
+ * @property {string|null} next_cursor
+ * @property {string|null} prev_cursor
+ */
+
+/**
+ * @typedef {Object} CustomerPage
+ * @property {Customer[]} customers
+ * @property {PagePagination|CursorPagination} pagination
+ */
+
+/**
+ * @typedef {Object} Statistics
+ * @property {number} total_customers
+ * @property {number} total_orders
+ * @property {string} average_items_per_order
+ * @property {number} total_items_sold
+ * @property {number} delivered_orders
+ * @property {number} returned_orders
+ * @property {number} unique_traffic_sources
+ * @property {string} delivery_rate
+ * @property {string} return_rate
+ */
+
+// A failed request. `status` is the HTTP status, or 0 when the API could
+// not be reached; `details` lists the fields a 400 rejected.
+export class ApiError extends Error {
+  constructor(message, { status = 0, details = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send a GET for `path` with `params` as the query string. Only a
+// cancelled request rejects with anything but an ApiError.
+const send = async (path, params, signal) => {
+  const query = new URLSearchParams(params).toString();
+  const url = `${API_BASE_URL}${path}${query ? `?${query}` : ""}`;
+
+  try {
+    return await authFetch(url, { signal });
+  } catch (err) {
+    // Let callers tell a cancelled request from a failed one
+    if (err.name === "AbortError") throw err;
+    throw new ApiError(`Could not reach the API at ${API_BASE_URL}`);
+  }
+};
+
+// The ApiError for a failed response, with the API's message when its body
+// (parsed JSON, or null) has one
+const failure = (response, body) =>
+  new ApiError(body?.message || `HTTP error! status: ${response.status}`, {
+    status: response.status,
+    details: body?.details ?? null,
+  });
+
+/**
+ * GET `path` with `params` as the query string.
+ * @param {string} path
+ * @param {URLSearchParams|Record<string, string|number>|string} [params]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<any>} the response's `data`
+ */
+export const apiGet = async (path, params = {}, { signal } = {}) => {
+  const response = await send(path, params, signal);
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body || !body.success) {
+    throw failure(response, body);
+  }
+  return body.data;
+};
+
+/**
+ * Customers and their orders in one region or grid cell
+ * @typedef {Object} GeoFigures
+ * @property {number} customers
+ * @property {number} orders
+ * @property {number} returned_orders
+ * @property {number|null} return_rate
+ * @property {number|null} latitude mean customer latitude
+ * @property {number|null} longitude mean customer longitude
+ */
+
+/**
+ * A page of customers matching `query` (the GET /customers search, filter
+ * and sort parameters). `page` is { page, limit } for numbered pages or
+ * { cursor, limit } for keyset pages; an empty cursor is the first page.
+ * @param {URLSearchParams|string} query
+ * @param {{ page?: number, cursor?: string, limit?: number }} page
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<CustomerPage>}
+ */
+export const listCustomers = (query, page, options) => {
+  const params = new URLSearchParams(query);
+  Object.entries(page).forEach(([key, value]) => params.set(key, value));
+  return apiGet("/customers", params, options);
+};
+
+/**
+ * One customer's profile, location and order statistics
+ * @param {number|string} id
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Object>}
+ */
+export const getCustomer = async (id, options) =>
+  (await apiGet(`/customers/${id}`, {}, options)).customer;
+
+/**
+ * A page of a customer's orders, optionally filtered by status and date and
+ * sorted; pass `cursor` ("" for the first page) for keyset paging
+ * @param {number|string} id
+ * @param {{ status?: string, from?: string, to?: string, sort?: string, page?: number, limit?: number, cursor?: string }} [params]
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ customer_id: number, orders: Object[], pagination: PagePagination|CursorPagination }>}
+ */
+export const getCustomerOrders = (id, params, options) =>
+  apiGet(`/customers/${id}/orders`, params, options);
+
+/**
+ * A page of orders matching `params` (the GET /orders status, user_id,
+ * from, to, sort, page and limit parameters)
+ * @param {URLSearchParams|Record<string, string|number>|string} params
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ orders: Object[], pagination: PagePagination }>}
+ */
+export const listOrders = (params, options) =>
+  apiGet("/orders", params, options);
+
+/**
+ * One order with its customer, timeline, processing metrics and status
+ * history
+ * @param {number|string} id
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Object>}
+ */
+export const getOrder = async (id, options) =>
+  (await apiGet(`/orders/${id}`, {}, options)).order;
+
+/**
+ * Overall customer and order statistics
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Statistics>}
+ */
+export const getStats = async (options) =>
+  (await apiGet("/stats", {}, options)).statistics;
+
+/**
+ * @typedef {Object} Timeseries
+ * @property {string} metric
+ * @property {string} interval
+ * @property {string|null} group_by
+ * @property {string} from
+ * @property {string} to
+ * @property {string[]} buckets first day of each bucket
+ * @property {{ group: string|null, data: number[], total: number }[]} series
+ */
+
+/**
+ * Counts of `metric` (orders, signups, items or returns) per `interval`
+ * bucket between `from` and `to`, one series per `group_by` value
+ * @param {{ metric: string, interval?: string, group_by?: string, from?: string, to?: string }} params
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Timeseries>}
+ */
+export const getTimeseries = (params, options) =>
+  apiGet("/stats/timeseries", params, options);
+
+/**
+ * Retention of each signup cohort per `interval` since signup, with the
+ * overall repeat purchase figures
+ * @param {{ interval?: string, traffic_source?: string, from?: string, to?: string }} params
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Object>}
+ */
+export const getCohorts = (params, options) =>
+  apiGet("/analytics/cohorts", params, options);
+
+/**
+ * Customers, orders and return rate by location: `regions` for
+ * level=country|state|city, `cells` of a `zoom` grid for level=grid.
+ * `bbox` (west,south,east,north) limits both to an area.
+ * @param {{ level?: string, zoom?: number, bbox?: string, limit?: number }} params
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ level: string, regions?: GeoFigures[], cells?: GeoFigures[] }>}
+ */
+export const getGeoAnalytics = (params, options) =>
+  apiGet("/analytics/geo", params, options);
+
+/**
+ * Order count and percentiles, in days, of one fulfillment duration
+ * @typedef {Object} DurationPercentiles
+ * @property {number} orders
+ * @property {number|null} p50
+ * @property {number|null} p90
+ * @property {number|null} p99
+ */
+
+/**
+ * Processing, delivery and return time percentiles and histograms, broken
+ * down by month, country and item count, with the orders stuck past their
+ * status's SLA
+ * @param {{ from?: string, to?: string, pending_sla_days?: number, shipped_sla_days?: number, limit?: number }|string} params
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Object>}
+ */
+export const getFulfillment = (params, options) =>
+  apiGet("/analytics/fulfillment", params, options);
+
+/**
+ * Acquisition and order figures per traffic source for customers who
+ * signed up between `from` and `to`, compared with the period before
+ * @param {{ from?: string, to?: string, interval?: string }} params
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Object>}
+ */
+export const getChannels = (params, options) =>
+  apiGet("/analytics/channels", params, options);
+
+/**
+ * A page of audit log entries, newest first
+ * @param {{ customer_id?: number|string, order_id?: number|string, actor?: string, action?: string, page?: number, limit?: number }} params
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ entries: Object[], pagination: PagePagination }>}
+ */
+export const listAudit = (params, options) => apiGet("/audit", params, options);
+
+/**
+ * Download an export (e.g. /customers/export) of the rows matching `query`
+ * in `format`. Exports are files rather than JSON, so this resolves to the
+ * file and the name the API gave it.
+ * @param {string} path
+ * @param {URLSearchParams|string} query
+ * @param {string} format csv, xlsx or ndjson
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ */
+export const downloadExport = async (path, query, format, { signal } = {}) => {
+  const params = new URLSearchParams(query);
+  params.set("format", format);
+  const response = await send(path, params, signal);
+  if (!response.ok) {
+    throw failure(response, await response.json().catch(() => null));
+  }
+
+  const disposition = response.headers.get("Content-Disposition") || "";
+  return {
+    blob: await response.blob(),
+    filename:
+      disposition.match(/filename="([^"]+)"/)?.[1] || `export.${format}`,
+  };
+};
@@ -0,0 +1,151 @@
+import { describe, expect, test } from "vitest";
+import { http, HttpResponse } from "msw";
+import {
+  ApiError,
+  apiGet,
+  downloadExport,
+  getOrder,
+  getStats,
+  listCustomers,
+} from "./api";
+import { API_BASE_URL } from "../config";
+import { STATS, makeCustomers, server, setCustomers } from "../test/server";
+
+describe("api client", () => {
+  test("resolves to the response's data", async () => {
+    expect(await getStats()).toEqual(STATS);
+  });
+
+  test("merges page parameters into the customer query", async () => {
+    let url;
+    server.use(
+      http.get(`${API_BASE_URL}/customers`, ({ request }) => {
+        url = new URL(request.url);
+        return HttpResponse.json({
+          success: true,
+          data: { customers: [], pagination: {} },
+        });
+      }),
+    );
+
+    await listCustomers("q=ann&sort=-order_count", { cursor: "", limit: 12 });
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      q: "ann",
+      sort: "-order_count",
+      cursor: "",
+      limit: "12",
+    });
+  });
+
+  test("returns numbered pages", async () => {
+    setCustomers(makeCustomers(3));
+    const data = await listCustomers("", { page: 2, limit: 2 });
+    expect(data.customers.map((customer) => customer.id)).toEqual([3]);
+    expect(data.pagination.has_prev_page).toBe(true);
+  });
+
+  test("rejects with the API's message, status and details", async () => {
+    const details = [
+      { field: "limit", location: "query", message: "limit must be <= 100" },
+    ];
+    server.use(
+      http.get(`${API_BASE_URL}/customers`, () =>
+        HttpResponse.json(
+          {
+            success: false,
+            error: "Validation failed",
+            message: "1 field failed validation",
+            details,
+          },
+          { status: 400 },
+        ),
+      ),
+    );
+
+    const error = await apiGet("/customers", { limit: 500 }).catch((e) => e);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.message).toBe("1 field failed validation");
+    expect(error.status).toBe(400);
+    expect(error.details).toEqual(details);
+  });
+
+  test("falls back to the status when the body is not JSON", async () => {
+    server.use(
+      http.get(
+        `${API_BASE_URL}/stats`,
+        () => new HttpResponse("Bad gateway", { status: 502 }),
+      ),
+    );
+    await expect(getStats()).rejects.toThrow("HTTP error! status: 502");
+  });
+
+  test("reports an API that cannot be reached with status 0", async () => {
+    server.use(http.get(`${API_BASE_URL}/stats`, () => HttpResponse.error()));
+    const error = await getStats().catch((e) => e);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(0);
+  });
+
+  test("unwraps single resources", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/orders/:id`, ({ params }) =>
+        HttpResponse.json({
+          success: true,
+          data: { order: { order_id: Number(params.id), status: "Shipped" } },
+        }),
+      ),
+    );
+    expect(await getOrder(7)).toEqual({ order_id: 7, status: "Shipped" });
+  });
+
+  test("downloads exports with the API's file name", async () => {
+    let url;
+    server.use(
+      http.get(`${API_BASE_URL}/orders/export`, ({ request }) => {
+        url = new URL(request.url);
+        return new HttpResponse("order_id\n1\n", {
+          headers: {
+            "Content-Type": "text/csv",
+            "Content-Disposition": 'attachment; filename="orders.csv"',
+          },
+        });
+      }),
+    );
+
+    const { blob, filename } = await downloadExport(
+      "/orders/export",
+      "status=shipped",
+      "csv",
+    );
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      status: "shipped",
+      format: "csv",
+    });
+    expect(filename).toBe("orders.csv");
+    expect(await blob.text()).toBe("order_id\n1\n");
+  });
+
+  test("rejects failed exports with the API's message", async () => {
+    server.use(
+      http.get(`${API_BASE_URL}/orders/export`, () =>
+        HttpResponse.json(
+          { success: false, error: "Forbidden", message: "Not allowed" },
+          { status: 403 },
+        ),
+      ),
+    );
+    const error = await downloadExport("/orders/export", "", "csv").catch(
+      (e) => e,
+    );
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.message).toBe("Not allowed");
+    expect(error.status).toBe(403);
+  });
+
+  test("passes cancellation through", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const error = await getStats({ signal: controller.signal }).catch((e) => e);
+    expect(error.name).toBe("AbortError");
+  });
+});
@@ -0,0 +1,87 @@
+import { API_BASE_URL } from "../config";
+
+// The signed-in session ({ token, expires_at, account }) is kept in
+// localStorage so it survives reloads, and mirrored here so components can
+// subscribe to sign-in and sign-out
+const STORAGE_KEY = "think41.session";
+
+let session;
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const readStoredSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Current session, or null when signed out or the token has expired
+export const getSession = () => {
+  if (session === undefined) {
+    session = readStoredSession();
+  }
+  if (session && new Date(session.expires_at) <= new Date()) {
+    localStorage.removeItem(STORAGE_KEY);
+    session = null;
+  }
+  return session;
+};
+
+export const setSession = (value) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+  session = value;
+  notify();
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  session = null;
+  notify();
+};
+
+// Subscribe to session changes; returns the unsubscribe function
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Whether the signed-in account's role grants `permission`
+export const hasPermission = (permission) => {
+  const current = getSession();
+  return Boolean(current && current.account.permissions.includes(permission));
+};
+
+// Exchange a username and password for a session. Throws with the API's
+// message when sign-in fails.
+export const signIn = async (username, password) => {
+  const response = await fetch(`${API_BASE_URL}/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.message || "Failed to sign in");
+  }
+  setSession(data.data);
+  return data.data;
+};
+
+// fetch() with the session token attached. A 401 means the token is no
+// longer accepted, so the session is cleared and the app returns to sign-in.
+export const authFetch = async (url, options = {}) => {
+  const current = getSession();
+  const headers = new Headers(options.headers);
+  if (current) {
+    headers.set("Authorization", `Bearer ${current.token}`);
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401) {
+    clearSession();
+  }
+  return response;
+};
@@ -0,0 +1,20 @@
+// Colors assigned to chart series in order
+export const SERIES_COLORS = [
+  "#2563eb",
+  "#16a34a",
+  "#ea580c",
+  "#9333ea",
+  "#dc2626",
+  "#0891b2",
+  "#ca8a04",
+  "#db2777",
+];
+
+// Round an axis maximum up to a readable number (1, 2 or 5 times a power
+// of ten)
+export const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find((n) => n * magnitude >= value);
+  return step * magnitude;
+};
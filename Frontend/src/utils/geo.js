@@ -0,0 +1,86 @@
+// Helpers for the customer map. The map uses an equirectangular projection
+// onto a MAP_WIDTH × MAP_HEIGHT plane: x is degrees east of 180°W and y is
+// degrees south of 90°N, so the SVG viewBox doubles as a bounding box.
+
+export const MAP_WIDTH = 360;
+export const MAP_HEIGHT = 180;
+
+// Finest grid zoom GET /analytics/geo accepts
+export const MAX_GRID_ZOOM = 16;
+
+export const project = (longitude, latitude) => [
+  longitude + 180,
+  90 - latitude,
+];
+
+const ring = (coordinates) =>
+  coordinates
+    .map((point, index) => {
+      const [x, y] = project(point[0], point[1]);
+      return `${index === 0 ? "M" : "L"}${x.toFixed(2)},${y.toFixed(2)}`;
+    })
+    .join("") + "Z";
+
+// SVG path data for a GeoJSON Polygon or MultiPolygon
+export const geometryPath = (geometry) => {
+  if (!geometry) return "";
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+  return polygons.flatMap((rings) => rings.map(ring)).join("");
+};
+
+// Country names in customer records that the world outline spells
+// differently
+const COUNTRY_ALIASES = {
+  "United States": "United States of America",
+  Brasil: "Brazil",
+  Deutschland: "Germany",
+  España: "Spain",
+  Korea: "South Korea",
+};
+
+export const outlineCountryName = (country) =>
+  COUNTRY_ALIASES[country] || country;
+
+// The whole world, as a viewBox
+export const WORLD_VIEW = { x: 0, y: 0, width: MAP_WIDTH, height: MAP_HEIGHT };
+
+// Zoom `view` by `factor` (above 1 zooms in) around the map point
+// (`cx`, `cy`), keeping it inside the world
+export const zoomView = (view, factor, cx, cy) => {
+  const width = Math.min(MAP_WIDTH, Math.max(0.05, view.width / factor));
+  const height = (width * MAP_HEIGHT) / MAP_WIDTH;
+  return clampView({ x: cx - width / 2, y: cy - height / 2, width, height });
+};
+
+// Move `view` so it stays within the world
+export const clampView = (view) => ({
+  ...view,
+  x: Math.min(Math.max(view.x, 0), MAP_WIDTH - view.width),
+  y: Math.min(Math.max(view.y, 0), MAP_HEIGHT - view.height),
+});
+
+// The `bbox` query value (west,south,east,north) for the area `view` shows,
+// or null for the whole world
+export const viewBbox = (view) => {
+  if (view.width >= MAP_WIDTH) return null;
+  const round = (value) => Math.round(value * 1e4) / 1e4;
+  return [
+    view.x - 180,
+    90 - (view.y + view.height),
+    view.x + view.width - 180,
+    90 - view.y,
+  ]
+    .map(round)
+    .join(",");
+};
+
+// Grid zoom giving about `cellsAcross` clusters across `view`
+export const gridZoom = (view, cellsAcross = 24) => {
+  const zoom = Math.round(Math.log2((180 * cellsAcross) / view.width));
+  return Math.min(MAX_GRID_ZOOM, Math.max(0, zoom));
+};
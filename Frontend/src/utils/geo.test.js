@@ -0,0 +1,48 @@
+import { describe, expect, test } from "vitest";
+import {
+  WORLD_VIEW,
+  geometryPath,
+  gridZoom,
+  outlineCountryName,
+  viewBbox,
+  zoomView,
+} from "./geo";
+
+describe("geo helpers", () => {
+  test("draws polygons in map units", () => {
+    expect(
+      geometryPath({
+        type: "Polygon",
+        coordinates: [
+          [
+            [-180, 90],
+            [0, 0],
+            [180, -90],
+          ],
+        ],
+      }),
+    ).toBe("M0.00,0.00L180.00,90.00L360.00,180.00Z");
+  });
+
+  test("matches customer country names to the outline", () => {
+    expect(outlineCountryName("United States")).toBe(
+      "United States of America",
+    );
+    expect(outlineCountryName("Brasil")).toBe("Brazil");
+    expect(outlineCountryName("France")).toBe("France");
+  });
+
+  test("zooms around a point without leaving the world", () => {
+    const view = zoomView(WORLD_VIEW, 4, 10, 10);
+    expect(view).toEqual({ x: 0, y: 0, width: 90, height: 45 });
+    expect(zoomView(view, 0.1, 180, 90)).toEqual(WORLD_VIEW);
+  });
+
+  test("turns a view into a bbox and grid zoom", () => {
+    expect(viewBbox(WORLD_VIEW)).toBeNull();
+    const view = { x: 100, y: 40, width: 36, height: 18 };
+    expect(viewBbox(view)).toBe("-80,32,-44,50");
+    expect(gridZoom(WORLD_VIEW)).toBe(4);
+    expect(gridZoom(view)).toBe(7);
+  });
+});